@@ -0,0 +1,60 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Models\User;
+use Illuminate\Console\Command;
+use Illuminate\Support\Facades\Hash;
+use Illuminate\Support\Facades\Validator;
+use Illuminate\Validation\Rules\Password;
+
+class CreateAdmin extends Command
+{
+    /**
+     * The name and signature of the console command.
+     */
+    protected $signature = 'users:create-admin {email} {--name=Admin}';
+
+    /**
+     * The console command description.
+     */
+    protected $description = 'Create an admin user, for setting up the first account without opening registration';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(): int
+    {
+        $password = $this->secret('Password');
+
+        $validator = Validator::make([
+            'email' => $this->argument('email'),
+            'name' => $this->option('name'),
+            'password' => $password,
+        ], [
+            'email' => 'required|string|email|max:255|unique:users,email',
+            'name' => 'required|string|max:255',
+            'password' => ['required', Password::defaults()],
+        ]);
+
+        if ($validator->fails()) {
+            foreach ($validator->errors()->all() as $error) {
+                $this->error($error);
+            }
+
+            return Command::FAILURE;
+        }
+
+        $user = User::create([
+            'name' => $this->option('name'),
+            'email' => $this->argument('email'),
+            'password' => Hash::make($password),
+        ]);
+
+        $user->forceFill(['role' => 'admin', 'email_verified_at' => now()])->save();
+
+        $this->info("Created admin {$user->email}");
+
+        return Command::SUCCESS;
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Console\Commands;
+
+use Illuminate\Console\Command;
+use App\Services\CredentialRotator;
+use Illuminate\Support\Facades\Log;
+
+class CutoverCredentials extends Command
+{
+    /**
+     * The name and signature of the console command.
+     */
+    protected $signature = 'soketi:cutover-credentials';
+
+    /**
+     * The console command description.
+     */
+    protected $description = 'Swap in staged app credentials whose scheduled cutover time has passed';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(CredentialRotator $rotator): int
+    {
+        try {
+            $count = $rotator->cutoverDue();
+            $this->info("Cut over credentials for {$count} apps");
+            
+            return Command::SUCCESS;
+            
+        } catch (\Exception $e) {
+            $this->error("Credential cutover failed: " . $e->getMessage());
+            Log::error('CutoverCredentials command failed', [
+                'error' => $e->getMessage(),
+                'trace' => $e->getTraceAsString()
+            ]);
+            
+            return Command::FAILURE;
+        }
+    }
+}
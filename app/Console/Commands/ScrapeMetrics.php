@@ -8,6 +8,11 @@
 use Illuminate\Support\Facades\Log;
 use Carbon\Carbon;
 use App\Jobs\ProcessScrapedMetrics;
+use App\Models\App;
+use App\Models\SoketiServer;
+use App\Services\AlertEvaluator;
+use App\Services\AppUsageMetrics;
+use App\Services\SoketiServers;
 
 class ScrapeMetrics extends Command
 {
@@ -19,30 +24,38 @@ class ScrapeMetrics extends Command
     /**
      * The console command description.
      */
-    protected $description = 'Scrape metrics from Soketi server and store in cache';
+    protected $description = 'Scrape metrics from every Soketi server and store in cache';
+
+    private int $cacheTimeout = 600; // 10 minutes
 
     /**
-     * Soketi metrics endpoint configuration
+     * Per-app Prometheus series mapped to [section, field] in the processed metrics
      */
-    private string $soketiHost;
-    private int $metricsPort;
-    private int $cacheTimeout = 600; // 10 minutes
+    private const APP_SERIES = [
+        'soketi_connected' => ['connections', 'current'],
+        'soketi_new_connections_total' => ['connections', 'total_new'],
+        'soketi_new_disconnections_total' => ['connections', 'total_disconnections'],
+        'soketi_socket_received_bytes' => ['data_transfer', 'bytes_received'],
+        'soketi_socket_transmitted_bytes' => ['data_transfer', 'bytes_sent'],
+        'soketi_ws_messages_sent_total' => ['websockets', 'messages_sent'],
+        'soketi_ws_messages_received_total' => ['websockets', 'messages_received'],
+        'soketi_http_calls_received_total' => ['http', 'calls_received'],
+        'soketi_http_received_bytes' => ['http', 'bytes_received'],
+        'soketi_http_transmitted_bytes' => ['http', 'bytes_sent'],
+    ];
 
-    public function __construct()
-    {
-        parent::__construct();
-        
-        // Get Soketi configuration from environment or defaults
-        $host = env('SOKETI_HOST', 'soketi');
-        // Add http:// prefix if not present
-        $this->soketiHost = str_starts_with($host, 'http') ? $host : "http://{$host}";
-        $this->metricsPort = env('SOKETI_METRICS_PORT', 9601);
-    }
+    /**
+     * Delta fields whose names don't follow the "{field}_since_last_scrape" pattern
+     */
+    private const DELTA_FIELDS = [
+        'total_new' => 'new_since_last_scrape',
+        'total_disconnections' => 'disconnections_since_last_scrape',
+    ];
 
     /**
      * Execute the console command.
      */
-    public function handle(): int
+    public function handle(AlertEvaluator $alerts, SoketiServers $servers): int
     {
         $startTime = microtime(true);
         $timestamp = Carbon::now();
@@ -50,26 +63,57 @@ public function handle(): int
         try {
             $this->info("Starting Soketi metrics scraping at {$timestamp->toISOString()}");
             
-            // Scrape Prometheus metrics
-            $prometheusMetrics = $this->scrapePrometheusMetrics();
-            if (!$prometheusMetrics) {
-                $this->error('Failed to scrape Prometheus metrics');
-                return Command::FAILURE;
+            $nodes = [];
+            
+            foreach ($servers->clusters() as $cluster) {
+                foreach ($cluster['servers'] as $server) {
+                    // Scrape Prometheus metrics
+                    $prometheusMetrics = $this->scrapePrometheusMetrics($server);
+                    if (!$prometheusMetrics) {
+                        $this->error("Failed to scrape Prometheus metrics from {$server->name}");
+                        $this->storeNodeStatus($server, $timestamp, null);
+                        continue;
+                    }
+                    
+                    // Scrape usage endpoint
+                    $usageMetrics = $this->scrapeUsageMetrics($server);
+                    if (!$usageMetrics) {
+                        $this->warn("Failed to scrape usage metrics from {$server->name} (non-critical)");
+                    }
+                    
+                    $nodeMetrics = $this->extractKeyMetrics($prometheusMetrics, $usageMetrics, $server);
+                    $this->storeNodeStatus($server, $timestamp, $nodeMetrics);
+                    
+                    $nodes[] = [
+                        'server' => $server,
+                        'connection' => $cluster['connection_key'],
+                        'metrics' => $nodeMetrics,
+                        'prometheus' => $prometheusMetrics,
+                    ];
+                }
             }
             
-            // Scrape usage endpoint
-            $usageMetrics = $this->scrapeUsageMetrics();
-            if (!$usageMetrics) {
-                $this->warn('Failed to scrape usage metrics (non-critical)');
+            // One node being down shouldn't blank the dashboard for the rest
+            if (!$nodes) {
+                $this->error('Failed to scrape Prometheus metrics from every server');
+                return Command::FAILURE;
             }
             
             // Process and store metrics
-            $this->processMetrics($prometheusMetrics, $usageMetrics, $timestamp);
+            $this->processMetrics($nodes, $timestamp);
             
             // Dispatch job to process metrics and derive upload insights
             ProcessScrapedMetrics::dispatch();
             $this->line("Dispatched ProcessScrapedMetrics job");
             
+            // A broken rule shouldn't fail the scrape itself
+            try {
+                $alerts->evaluate();
+            } catch (\Exception $e) {
+                $this->warn("Alert evaluation failed: " . $e->getMessage());
+                Log::error('Alert evaluation failed', ['error' => $e->getMessage()]);
+            }
+            
             $duration = round((microtime(true) - $startTime) * 1000, 2);
             $this->info("Metrics scraping completed in {$duration}ms");
             
@@ -89,10 +133,10 @@ public function handle(): int
     /**
      * Scrape Prometheus format metrics from /metrics endpoint
      */
-    private function scrapePrometheusMetrics(): ?array
+    private function scrapePrometheusMetrics(SoketiServer $server): ?array
     {
         try {
-            $url = "{$this->soketiHost}:{$this->metricsPort}/metrics";
+            $url = $server->metricsBaseUrl() . '/metrics';
             $this->line("Scraping Prometheus metrics from: {$url}");
             
             $response = Http::timeout(10)->get($url);
@@ -114,10 +158,10 @@ private function scrapePrometheusMetrics(): ?array
     /**
      * Scrape JSON usage metrics from /usage endpoint
      */
-    private function scrapeUsageMetrics(): ?array
+    private function scrapeUsageMetrics(SoketiServer $server): ?array
     {
         try {
-            $url = "{$this->soketiHost}:{$this->metricsPort}/usage";
+            $url = $server->metricsBaseUrl() . '/usage';
             $this->line("Scraping usage metrics from: {$url}");
             
             $response = Http::timeout(10)->get($url);
@@ -183,67 +227,203 @@ private function parsePrometheusMetrics(string $content): array
     }
     
     /**
-     * Process and store metrics in cache
+     * Process and store metrics in cache, summed over every node scraped
      */
-    private function processMetrics(array $prometheusMetrics, ?array $usageMetrics, Carbon $timestamp): void
+    private function processMetrics(array $nodes, Carbon $timestamp): void
     {
         // Store raw metrics
-        Cache::put('soketi:raw_prometheus_metrics', $prometheusMetrics, $this->cacheTimeout);
+        Cache::put('soketi:raw_prometheus_metrics', array_merge(...array_column($nodes, 'prometheus')), $this->cacheTimeout);
+        $usageMetrics = collect($nodes)->mapWithKeys(fn ($node) => [$node['server']->name => $node['metrics']['usage'] ?? null])->filter()->all();
         if ($usageMetrics) {
             Cache::put('soketi:raw_usage_metrics', $usageMetrics, $this->cacheTimeout);
         }
         
-        // Process key metrics for easy access
-        $processedMetrics = $this->extractKeyMetrics($prometheusMetrics, $usageMetrics);
+        // Fleet-wide totals across every cluster, for the summaries that aren't tied to one
+        $processedMetrics = $this->combineNodeMetrics(array_column($nodes, 'metrics'));
+        unset($processedMetrics['usage'], $processedMetrics['apps']);
+        if ($usageMetrics) {
+            // Usage is reported per node, keyed by server name
+            $processedMetrics['usage'] = $usageMetrics;
+        }
+        
+        Cache::put('soketi:processed_metrics', array_merge($processedMetrics, $this->scrapeTimes('soketi:processed_metrics', $timestamp)), $this->cacheTimeout);
+        
+        // Everything else is kept per cluster, as the same app ID can exist in more than one
+        foreach (collect($nodes)->groupBy('connection') as $connection => $clusterNodes) {
+            $this->processClusterMetrics($connection, $clusterNodes->all(), $timestamp);
+        }
+    }
+    
+    /**
+     * Store one cluster's totals and its apps' metrics, time series and limit hits
+     */
+    private function processClusterMetrics(string $connection, array $nodes, Carbon $timestamp): void
+    {
+        $clusterKey = "soketi:processed_metrics:cluster:{$connection}";
+        $clusterMetrics = $this->combineNodeMetrics(array_column($nodes, 'metrics'));
+        $appsMetrics = $clusterMetrics['apps'];
+        unset($clusterMetrics['apps'], $clusterMetrics['usage']);
+        
+        $scrapeTimes = $this->scrapeTimes($clusterKey, $timestamp);
+        
+        Cache::put($clusterKey, array_merge($clusterMetrics, $scrapeTimes), $this->cacheTimeout);
+        $this->storeTimeSeriesData($clusterMetrics, $timestamp, "soketi:timeseries:cluster:{$connection}");
+        
+        // Store the same data per app, keyed by Soketi's app_id label
+        $apps = $this->appsById($connection, array_keys($appsMetrics));
+        
+        foreach ($appsMetrics as $appId => $appMetrics) {
+            Cache::put("soketi:processed_metrics:app:{$connection}:{$appId}", array_merge($appMetrics, $scrapeTimes), $this->cacheTimeout);
+            $this->storeTimeSeriesData(
+                $appMetrics,
+                $timestamp,
+                "soketi:timeseries:app:{$connection}:{$appId}",
+                isset($apps[$appId]) ? $this->limitHits($apps[$appId]) : []
+            );
+            $this->storeConnectionHistory(
+                "soketi:connection_history:app:{$connection}:{$appId}",
+                $appMetrics['connections']['current'],
+                $timestamp
+            );
+        }
+        
+        $this->line("Stored processed Soketi metrics for " . count($appsMetrics) . " apps in {$connection}");
+    }
+    
+    /**
+     * When this scrape ran, and the seconds covered by the *_since_last_scrape deltas, used to derive rates
+     */
+    private function scrapeTimes(string $key, Carbon $timestamp): array
+    {
+        $previousTimestamp = Cache::get($key, [])['scraped_timestamp'] ?? null;
+        
+        return [
+            'scraped_at' => $timestamp->toISOString(),
+            'scraped_timestamp' => $timestamp->timestamp,
+            'scrape_interval' => $previousTimestamp ? max(1, $timestamp->timestamp - $previousTimestamp) : null,
+        ];
+    }
+    
+    /**
+     * Keep the last hour of per-minute connection counts in a single entry, so the overview
+     * reads one key per app instead of one per minute
+     */
+    private function storeConnectionHistory(string $key, int $connections, Carbon $timestamp): void
+    {
+        $since = $timestamp->copy()->subMinutes(AppUsageMetrics::HISTORY_MINUTES)->timestamp;
+        
+        $history = array_filter(Cache::get($key, []), fn ($minute) => $minute > $since, ARRAY_FILTER_USE_KEY);
+        $history[$timestamp->copy()->startOfMinute()->timestamp] = $connections;
         
-        // Store processed metrics with timestamp
-        $processedMetrics['scraped_at'] = $timestamp->toISOString();
-        $processedMetrics['scraped_timestamp'] = $timestamp->timestamp;
+        Cache::put($key, $history, AppUsageMetrics::HISTORY_MINUTES * 60);
+    }
+    
+    /**
+     * Load the scraped apps from the cluster's database so their limits can be checked,
+     * without failing the scrape if the database is down
+     */
+    private function appsById(string $connection, array $appIds): array
+    {
+        try {
+            return App::on($connection)->whereIn('id', $appIds)->get()->keyBy('id')->all();
+        } catch (\Exception $e) {
+            $this->warn("Could not load apps from {$connection} to check limits: " . $e->getMessage());
+            
+            return [];
+        }
+    }
+    
+    /**
+     * Keep the latest state of a node so the servers page can show which ones are up
+     */
+    private function storeNodeStatus(SoketiServer $server, Carbon $timestamp, ?array $metrics): void
+    {
+        Cache::put("soketi:processed_metrics:server:{$server->cacheKey()}", [
+            'name' => $server->name,
+            'cluster' => $server->cluster,
+            'ok' => $metrics !== null,
+            'scraped_at' => $timestamp->toISOString(),
+            'connections' => $metrics['connections']['current'] ?? null,
+            'memory_usage' => $metrics['system']['memory_usage'] ?? null,
+            'uptime' => $metrics['system']['uptime'] ?? null,
+        ], $this->cacheTimeout);
+    }
+    
+    /**
+     * Sum the metrics of the given nodes into totals, per app as well
+     */
+    private function combineNodeMetrics(array $nodeMetrics): array
+    {
+        $combined = array_shift($nodeMetrics);
         
-        Cache::put('soketi:processed_metrics', $processedMetrics, $this->cacheTimeout);
+        foreach ($nodeMetrics as $metrics) {
+            foreach (array_keys($this->emptyAppMetrics()) as $section) {
+                $combined[$section] = $this->sumSection($combined[$section], $metrics[$section]);
+            }
+            
+            foreach ($metrics['apps'] as $appId => $appMetrics) {
+                if (!isset($combined['apps'][$appId])) {
+                    $combined['apps'][$appId] = $appMetrics;
+                    continue;
+                }
+                
+                foreach ($appMetrics as $section => $values) {
+                    $combined['apps'][$appId][$section] = $this->sumSection($combined['apps'][$appId][$section], $values);
+                }
+            }
+            
+            $combined['system']['memory_usage'] += $metrics['system']['memory_usage'];
+            $combined['system']['cpu_usage'] += $metrics['system']['cpu_usage'];
+            // The most recently restarted node
+            $combined['system']['uptime'] = min($combined['system']['uptime'], $metrics['system']['uptime']);
+        }
         
-        // Store time-series data for charts
-        $this->storeTimeSeriesData($processedMetrics, $timestamp);
+        return $combined;
+    }
+    
+    /**
+     * Add up two metric sections field by field
+     */
+    private function sumSection(array $a, array $b): array
+    {
+        foreach ($b as $field => $value) {
+            $a[$field] = ($a[$field] ?? 0) + $value;
+        }
         
-        $this->line("Stored processed Soketi metrics in cache");
+        return $a;
+    }
+    
+    /**
+     * Limits the app is at or over in the scrape just stored
+     */
+    private function limitHits(App $app): array
+    {
+        return collect(app(AppUsageMetrics::class)->current($app)['limits'])
+            ->filter(fn ($utilisation) => $utilisation['percentage'] !== null && $utilisation['percentage'] >= 100)
+            ->keys()
+            ->all();
     }
     
     /**
      * Extract key metrics from raw Prometheus data
      */
-    private function extractKeyMetrics(array $prometheusMetrics, ?array $usageMetrics): array
+    private function extractKeyMetrics(array $prometheusMetrics, ?array $usageMetrics, SoketiServer $server): array
     {
-        // Get previous metrics to calculate deltas for counters
-        $previousMetrics = Cache::get('soketi:previous_raw_metrics', []);
+        // Get previous metrics to calculate deltas for counters, kept per node
+        $previousKey = "soketi:previous_raw_metrics:server:{$server->cacheKey()}";
+        $previousMetrics = Cache::get($previousKey, []);
         
-        $processed = [
-            'connections' => [
-                'current' => 0,
-                'total_new' => 0,
-                'total_disconnections' => 0,
-                'new_since_last_scrape' => 0,
-                'disconnections_since_last_scrape' => 0,
-            ],
-            'data_transfer' => [
-                'bytes_received' => 0,
-                'bytes_sent' => 0,
-                'bytes_received_since_last_scrape' => 0,
-                'bytes_sent_since_last_scrape' => 0,
-            ],
-            'websockets' => [
-                'current_connections' => 0,
-                'messages_sent' => 0,
-                'messages_sent_since_last_scrape' => 0,
-            ],
+        $processed = array_merge($this->emptyAppMetrics(), [
             'system' => [
                 'memory_usage' => 0,
                 'cpu_usage' => 0,
                 'uptime' => 0,
             ],
             'apps' => []
-        ];
+        ]);
         
         $currentRawMetrics = [];
+        $websocketPort = (string) $server->websocket_port;
         
         // Process Prometheus metrics
         foreach ($prometheusMetrics as $metric) {
@@ -251,87 +431,55 @@ private function extractKeyMetrics(array $prometheusMetrics, ?array $usageMetric
             $value = $metric['value'];
             $labels = $metric['labels'];
             
-            // Store raw values for next comparison
-            $currentRawMetrics[$name] = $value;
+            if (!isset($labels['port']) || $labels['port'] !== $websocketPort) {
+                continue;
+            }
             
+            // Per-app series (Soketi labels them with app_id)
+            if (isset(self::APP_SERIES[$name])) {
+                [$section, $field] = self::APP_SERIES[$name];
+                $appId = $labels['app_id'] ?? null;
+                
+                // Store raw values for next comparison, one per series
+                $seriesKey = $appId === null ? $name : "{$name}|{$appId}";
+                $currentRawMetrics[$seriesKey] = $value;
+                
+                $delta = null;
+                if ($name !== 'soketi_connected') {
+                    // Counters - calculate delta since last scrape
+                    $delta = max(0, (int) $value - ($previousMetrics[$seriesKey] ?? 0));
+                }
+                
+                $this->addSeriesValue($processed, $section, $field, (int) $value, $delta);
+                
+                if ($appId !== null) {
+                    $processed['apps'][$appId] ??= $this->emptyAppMetrics();
+                    $this->addSeriesValue($processed['apps'][$appId], $section, $field, (int) $value, $delta);
+                }
+                
+                continue;
+            }
+            
+            // Node.js process metrics
             switch ($name) {
-                case 'soketi_connected':
-                    // This is a gauge (current value), not a counter
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        $processed['connections']['current'] = (int) $value;
-                    }
-                    break;
-                    
-                case 'soketi_new_connections_total':
-                    // This is a counter - store total and calculate delta
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        $processed['connections']['total_new'] = (int) $value;
-                        $previousValue = $previousMetrics[$name] ?? 0;
-                        $processed['connections']['new_since_last_scrape'] = max(0, (int) $value - $previousValue);
-                    }
-                    break;
-                    
-                case 'soketi_new_disconnections_total':
-                    // This is a counter - store total and calculate delta
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        $processed['connections']['total_disconnections'] = (int) $value;
-                        $previousValue = $previousMetrics[$name] ?? 0;
-                        $processed['connections']['disconnections_since_last_scrape'] = max(0, (int) $value - $previousValue);
-                    }
-                    break;
-                    
-                case 'soketi_socket_received_bytes':
-                    // This is a counter - store total and calculate delta
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        $processed['data_transfer']['bytes_received'] = (int) $value;
-                        $previousValue = $previousMetrics[$name] ?? 0;
-                        $processed['data_transfer']['bytes_received_since_last_scrape'] = max(0, (int) $value - $previousValue);
-                    }
-                    break;
-                    
-                case 'soketi_socket_transmitted_bytes':
-                    // This is a counter - store total and calculate delta
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        $processed['data_transfer']['bytes_sent'] = (int) $value;
-                        $previousValue = $previousMetrics[$name] ?? 0;
-                        $processed['data_transfer']['bytes_sent_since_last_scrape'] = max(0, (int) $value - $previousValue);
-                    }
-                    break;
-                    
-                case 'soketi_ws_messages_sent_total':
-                    // This is a counter - store total and calculate delta
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        $processed['websockets']['messages_sent'] = (int) $value;
-                        $previousValue = $previousMetrics[$name] ?? 0;
-                        $processed['websockets']['messages_sent_since_last_scrape'] = max(0, (int) $value - $previousValue);
-                    }
-                    break;
-                    
-                // Node.js process metrics
                 case 'soketi_nodejs_heap_size_used_bytes':
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        $processed['system']['memory_usage'] = (int) $value;
-                    }
+                    $processed['system']['memory_usage'] = (int) $value;
                     break;
                     
                 case 'soketi_process_cpu_seconds_total':
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        // Convert total CPU seconds to a percentage (rough approximation)
-                        $processed['system']['cpu_usage'] = $value;
-                    }
+                    // Convert total CPU seconds to a percentage (rough approximation)
+                    $processed['system']['cpu_usage'] = $value;
                     break;
                     
                 case 'soketi_process_start_time_seconds':
-                    if (isset($labels['port']) && $labels['port'] === '6001') {
-                        // Calculate uptime
-                        $processed['system']['uptime'] = time() - (int) $value;
-                    }
+                    // Calculate uptime
+                    $processed['system']['uptime'] = time() - (int) $value;
                     break;
             }
         }
         
         // Store current raw metrics for next comparison
-        Cache::put('soketi:previous_raw_metrics', $currentRawMetrics, $this->cacheTimeout);
+        Cache::put($previousKey, $currentRawMetrics, $this->cacheTimeout);
         
         // Include usage metrics if available
         if ($usageMetrics) {
@@ -341,10 +489,64 @@ private function extractKeyMetrics(array $prometheusMetrics, ?array $usageMetric
         return $processed;
     }
     
+    /**
+     * Metric sections shared by the server totals and each app
+     */
+    private function emptyAppMetrics(): array
+    {
+        return [
+            'connections' => [
+                'current' => 0,
+                'total_new' => 0,
+                'total_disconnections' => 0,
+                'new_since_last_scrape' => 0,
+                'disconnections_since_last_scrape' => 0,
+            ],
+            'data_transfer' => [
+                'bytes_received' => 0,
+                'bytes_sent' => 0,
+                'bytes_received_since_last_scrape' => 0,
+                'bytes_sent_since_last_scrape' => 0,
+            ],
+            'websockets' => [
+                'current_connections' => 0,
+                'messages_sent' => 0,
+                'messages_sent_since_last_scrape' => 0,
+                'messages_received' => 0,
+                'messages_received_since_last_scrape' => 0,
+            ],
+            'http' => [
+                'calls_received' => 0,
+                'calls_received_since_last_scrape' => 0,
+                'bytes_received' => 0,
+                'bytes_sent' => 0,
+                'bytes_received_since_last_scrape' => 0,
+                'bytes_sent_since_last_scrape' => 0,
+            ],
+        ];
+    }
+    
+    /**
+     * Add a series value (and its delta for counters) to a metrics section
+     */
+    private function addSeriesValue(array &$metrics, string $section, string $field, int $value, ?int $delta): void
+    {
+        $metrics[$section][$field] += $value;
+        
+        if ($delta !== null) {
+            $deltaField = self::DELTA_FIELDS[$field] ?? "{$field}_since_last_scrape";
+            $metrics[$section][$deltaField] += $delta;
+        }
+        
+        if ($section === 'connections' && $field === 'current') {
+            $metrics['websockets']['current_connections'] += $value;
+        }
+    }
+    
     /**
      * Store time-series data for charts
      */
-    private function storeTimeSeriesData(array $metrics, Carbon $timestamp): void
+    private function storeTimeSeriesData(array $metrics, Carbon $timestamp, string $prefix, array $limitHits = []): void
     {
         $timeKey = $timestamp->format('Y-m-d-H-i'); // minute precision
         $hourKey = $timestamp->format('Y-m-d-H'); // hour precision
@@ -353,18 +555,23 @@ private function storeTimeSeriesData(array $metrics, Carbon $timestamp): void
         $minuteData = [
             'connections' => $metrics['connections']['current'],
             'messages_sent' => $metrics['websockets']['messages_sent'],
+            'messages_received' => $metrics['websockets']['messages_received'],
+            'http_calls' => $metrics['http']['calls_received'],
             'bytes_transferred' => $metrics['data_transfer']['bytes_received'] + $metrics['data_transfer']['bytes_sent'],
-            'memory_usage' => $metrics['system']['memory_usage'],
+            'memory_usage' => $metrics['system']['memory_usage'] ?? 0,
+            'limit_hits' => $limitHits,
             'timestamp' => $timestamp->timestamp,
             'time_label' => $timestamp->format('H:i')
         ];
         
-        Cache::put("soketi:timeseries:minute:{$timeKey}", $minuteData, 7200); // 2 hour TTL
+        Cache::put("{$prefix}:minute:{$timeKey}", $minuteData, 25200); // 7 hour TTL
         
         // Store hourly aggregated data  
-        $hourlyData = Cache::get("soketi:timeseries:hour:{$hourKey}", [
+        $hourlyData = Cache::get("{$prefix}:hour:{$hourKey}", [
             'avg_connections' => 0,
             'total_messages' => 0,
+            'total_messages_received' => 0,
+            'total_http_calls' => 0,
             'total_bytes' => 0,
             'avg_memory' => 0,
             'samples' => 0,
@@ -375,11 +582,18 @@ private function storeTimeSeriesData(array $metrics, Carbon $timestamp): void
         $hourlyData['avg_connections'] = (($hourlyData['avg_connections'] * $hourlyData['samples']) + $currentConnections) / ($hourlyData['samples'] + 1);
         $hourlyData['peak_connections'] = max($hourlyData['peak_connections'], $currentConnections);
         $hourlyData['total_messages'] = $metrics['websockets']['messages_sent'];
+        $hourlyData['total_messages_received'] = $metrics['websockets']['messages_received'];
+        $hourlyData['total_http_calls'] = $metrics['http']['calls_received'];
         $hourlyData['total_bytes'] = $metrics['data_transfer']['bytes_received'] + $metrics['data_transfer']['bytes_sent'];
-        $hourlyData['avg_memory'] = (($hourlyData['avg_memory'] * $hourlyData['samples']) + $metrics['system']['memory_usage']) / ($hourlyData['samples'] + 1);
+        $hourlyData['avg_memory'] = (($hourlyData['avg_memory'] * $hourlyData['samples']) + ($metrics['system']['memory_usage'] ?? 0)) / ($hourlyData['samples'] + 1);
         $hourlyData['samples']++;
+        
+        // Number of scrapes in the hour that found the app at each limit
+        foreach ($limitHits as $limit) {
+            $hourlyData['limit_hits'][$limit] = ($hourlyData['limit_hits'][$limit] ?? 0) + 1;
+        }
         $hourlyData['last_updated'] = $timestamp->timestamp;
         
-        Cache::put("soketi:timeseries:hour:{$hourKey}", $hourlyData, 86400); // 24 hour TTL
+        Cache::put("{$prefix}:hour:{$hourKey}", $hourlyData, 691200); // 8 day TTL
     }
 }
\ No newline at end of file
@@ -2,8 +2,11 @@
 
 namespace App\Console;
 
+use App\Models\DebugEvent;
+use App\Models\WebhookMonitorEvent;
 use Illuminate\Console\Scheduling\Schedule;
 use Illuminate\Foundation\Console\Kernel as ConsoleKernel;
+use Spatie\WebhookClient\Models\WebhookCall;
 
 class Kernel extends ConsoleKernel
 {
@@ -22,6 +25,15 @@ protected function schedule(Schedule $schedule)
             ->hourlyAt(5)
             ->withoutOverlapping()
             ->runInBackground();
+        
+        // Drop stored debug events, monitored deliveries and received webhook calls past their retention period
+        $schedule->command('model:prune', ['--model' => [DebugEvent::class, WebhookMonitorEvent::class, WebhookCall::class]])
+            ->daily();
+        
+        // Swap in staged app credentials once their cutover time arrives
+        $schedule->command('soketi:cutover-credentials')
+            ->everyMinute()
+            ->withoutOverlapping();
     }
 
     /**
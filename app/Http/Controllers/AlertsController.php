@@ -0,0 +1,132 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\AlertEvent;
+use App\Models\AlertRule;
+use App\Models\App;
+use App\Services\AlertEvaluator;
+use Illuminate\Http\Request;
+use Illuminate\Support\Collection;
+use Illuminate\Validation\Rule;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class AlertsController extends Controller
+{
+    /**
+     * Show the alert rules page
+     */
+    public function index(Request $request): Response
+    {
+        $apps = $this->visibleApps($request);
+
+        $rules = $this->visibleRules($request, $apps)->orderBy('name')->get();
+
+        // Recipients and endpoints are only for the admins who manage the rules
+        if (! $request->user()->isAdmin()) {
+            $rules->makeHidden(['mail_to', 'webhook_url']);
+        }
+
+        return Inertia::render('Alerts', [
+            'rules' => $rules,
+            'apps' => $apps->map(fn (App $app) => $app->only(['id', 'name']))->values(),
+            'metrics' => AlertEvaluator::METRICS,
+            'operators' => AlertEvaluator::OPERATORS,
+        ]);
+    }
+
+    /**
+     * Show fired and resolved alerts, newest first
+     */
+    public function history(Request $request): Response
+    {
+        $apps = $this->visibleApps($request);
+
+        $events = AlertEvent::query()
+            ->with('rule:id,name,metric,operator')
+            ->whereIn('alert_rule_id', $this->visibleRules($request, $apps)->select('id'))
+            ->when($request->input('status'), fn ($query, $status) => $query->where('status', $status))
+            ->when($request->input('rule'), fn ($query, $rule) => $query->where('alert_rule_id', $rule))
+            ->latest('id')
+            ->paginate(50)
+            ->withQueryString();
+
+        return Inertia::render('AlertHistory', [
+            'events' => $events,
+            'rules' => $this->visibleRules($request, $apps)->orderBy('name')->get(['id', 'name']),
+            'metrics' => AlertEvaluator::METRICS,
+            'filters' => $request->only(['status', 'rule']),
+        ]);
+    }
+
+    public function save(Request $request, AlertEvaluator $evaluator)
+    {
+        // Rules belong to the cluster picked in the server switcher, like its apps
+        $connection = (new App)->connectionKey();
+
+        $validated = $request->validate([
+            'id' => ['nullable', Rule::exists('alert_rules', 'id')->where('connection', $connection)],
+            'name' => 'required|string|max:255',
+            'app_id' => ['nullable', Rule::exists("{$connection}.apps", 'id')],
+            'metric' => ['required', Rule::in(array_keys(AlertEvaluator::METRICS))],
+            'operator' => ['required', Rule::in(AlertEvaluator::OPERATORS)],
+            'threshold' => 'required|numeric',
+            'duration' => 'required|integer|min:0|max:86400',
+            'mail_to' => ['nullable', 'string', 'max:1000', function ($attribute, $value, $fail) {
+                foreach (explode(',', $value) as $address) {
+                    if (trim($address) !== '' && !filter_var(trim($address), FILTER_VALIDATE_EMAIL)) {
+                        $fail("\"" . trim($address) . "\" is not a valid email address.");
+                    }
+                }
+            }],
+            'webhook_url' => 'nullable|url|max:2048',
+            'enabled' => 'boolean',
+        ]);
+
+        $rule = isset($validated['id']) ? AlertRule::findOrFail($validated['id']) : new AlertRule();
+
+        $rule->fill(collect($validated)->except('id')->all());
+        $rule->connection = $connection;
+
+        if (AlertEvaluator::METRICS[$rule->metric]['scope'] === 'server') {
+            $rule->app_id = null;
+        }
+
+        // A pending or firing state was reached under the old condition and means nothing under the new one
+        $restart = $rule->exists && $rule->isDirty(['app_id', 'metric', 'operator', 'threshold', 'duration', 'enabled']);
+
+        $rule->save();
+
+        if ($restart) {
+            $evaluator->reset($rule);
+        }
+    }
+
+    public function delete(Request $request)
+    {
+        AlertRule::query()->whereKey($request->id)->where('connection', (new App)->connectionKey())->delete();
+    }
+
+    /**
+     * Apps of the current cluster the user may see
+     */
+    protected function visibleApps(Request $request): Collection
+    {
+        return App::query()
+            ->orderBy('name')
+            ->get()
+            ->filter(fn (App $app) => $request->user()->can('view', $app));
+    }
+
+    /**
+     * Rules of the current cluster the user may see: all of them for admins, otherwise those on the given apps.
+     * Server-wide rules say nothing about a single app, so they are left to admins.
+     */
+    protected function visibleRules(Request $request, Collection $apps)
+    {
+        return AlertRule::query()
+            ->where('connection', (new App)->connectionKey())
+            ->when(! $request->user()->isAdmin(), fn ($query) => $query->whereIn('app_id', $apps->map(fn (App $app) => (string) $app->id)->values()));
+    }
+}
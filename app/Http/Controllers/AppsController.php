@@ -3,22 +3,31 @@
 namespace App\Http\Controllers;
 
 use App\Models\App;
+use App\Services\ConnectionSnippets;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Str;
 use Inertia\Inertia;
 
 class AppsController extends Controller
 {
-    public function index()
+    public function index(Request $request)
     {
         return Inertia::render('Apps', [
-            'apps' => App::all(),
+            'apps' => App::all()
+                ->filter(fn (App $app) => $request->user()->can('view', $app))
+                ->each(fn (App $app) => $app->hideWebhookHeadersFrom($request->user()))
+                ->values(),
+            'config' => [
+                'realtime_refresh_interval' => config('soketi.realtime_refresh_interval', 5000),
+            ]
         ]);
     }
 
     public function create(Request $request)
     {
-        App::create([
+        $app = App::create([
             'id' => rand(100000, 999999),
             'key' => strtolower(Str::random(20)),
             'secret' => strtolower(Str::random(20)),
@@ -31,13 +40,54 @@ public function create(Request $request)
             'max_client_events_per_sec' => -1,
             'max_read_req_per_sec' => -1,
         ]);
+
+        // Admins see every app already, anyone else needs a grant for the app they made
+        if (! $request->user()->isAdmin()) {
+            $request->user()->grants()->create([
+                'app_id' => (string) $app->id,
+                'connection' => $app->connectionKey(),
+                'role' => 'developer',
+            ]);
+        }
+    }
+
+    /**
+     * Get ready-to-paste client and server config for an app, with the secret left as a placeholder
+     */
+    public function snippets(App $app, ConnectionSnippets $snippets): JsonResponse
+    {
+        return response()->json([
+            'success' => true,
+            'data' => [
+                'snippets' => $snippets->forApp($app),
+                'secret_placeholder' => ConnectionSnippets::SECRET_PLACEHOLDER,
+            ],
+        ]);
     }
 
-    public function refreshCredentials(App $app)
+    /**
+     * Get an app's secret, once the password has been confirmed
+     */
+    public function revealSecret(Request $request, App $app): JsonResponse
     {
-        $app->key = strtolower(Str::random(20));
-        $app->secret = strtolower(Str::random(20));
+        Log::info('App secret revealed', [
+            'app_id' => $app->id,
+            'user_id' => $request->user()->id,
+            'email' => $request->user()->email,
+            'ip' => $request->ip(),
+        ]);
 
-        $app->save();
+        return response()->json([
+            'success' => true,
+            'data' => ['secret' => $app->secret],
+        ]);
+    }
+
+    /**
+     * Landing point after confirming the password from the apps page, which then reveals the secret
+     */
+    public function confirmReveal(App $app)
+    {
+        return redirect()->route('apps.index', ['reveal' => $app->id]);
     }
 }
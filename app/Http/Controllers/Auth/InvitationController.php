@@ -0,0 +1,74 @@
+<?php
+
+namespace App\Http\Controllers\Auth;
+
+use App\Http\Controllers\Controller;
+use App\Models\Invitation;
+use App\Models\User;
+use App\Providers\RouteServiceProvider;
+use Illuminate\Auth\Events\Registered;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Hash;
+use Illuminate\Validation\Rules;
+use Illuminate\Validation\ValidationException;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class InvitationController extends Controller
+{
+    /**
+     * Display the form for accepting an invitation.
+     */
+    public function create(Request $request, Invitation $invitation): Response
+    {
+        abort_unless($invitation->isPending(), 410, 'This invitation has already been used or has expired');
+
+        return Inertia::render('Auth/AcceptInvitation', [
+            'email' => $invitation->email,
+            'role' => $invitation->role,
+            // The signature has to come along when the form is posted back
+            'action' => $request->fullUrl(),
+        ]);
+    }
+
+    /**
+     * Create the invited user and log them in.
+     *
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function store(Request $request, Invitation $invitation): RedirectResponse
+    {
+        abort_unless($invitation->isPending(), 410, 'This invitation has already been used or has expired');
+
+        $request->validate([
+            'name' => 'required|string|max:255',
+            'password' => ['required', 'confirmed', Rules\Password::defaults()],
+        ]);
+
+        if (User::query()->where('email', $invitation->email)->exists()) {
+            throw ValidationException::withMessages(['name' => 'An account for ' . $invitation->email . ' already exists.']);
+        }
+
+        $user = User::create([
+            'name' => $request->name,
+            'email' => $invitation->email,
+            'password' => Hash::make($request->password),
+        ]);
+
+        // Following the emailed link proves the address
+        $user->forceFill([
+            'role' => $invitation->role,
+            'email_verified_at' => now(),
+        ])->save();
+
+        $invitation->update(['accepted_at' => now()]);
+
+        event(new Registered($user));
+
+        Auth::login($user);
+
+        return redirect(RouteServiceProvider::HOME);
+    }
+}
@@ -49,6 +49,7 @@ function ($user) use ($request) {
                 $user->forceFill([
                     'password' => Hash::make($request->password),
                     'remember_token' => Str::random(60),
+                    'password_reset_required' => false,
                 ])->save();
 
                 event(new PasswordReset($user));
@@ -21,7 +21,11 @@ class RegisteredUserController extends Controller
      */
     public function create(): Response
     {
-        return Inertia::render('Auth/Register');
+        abort_unless(User::registrationOpen(), 404);
+
+        return Inertia::render('Auth/Register', [
+            'bootstrap' => ! User::query()->exists(),
+        ]);
     }
 
     /**
@@ -31,18 +35,28 @@ public function create(): Response
      */
     public function store(Request $request): RedirectResponse
     {
+        abort_unless(User::registrationOpen(), 404);
+
         $request->validate([
             'name' => 'required|string|max:255',
             'email' => 'required|string|email|max:255|unique:'.User::class,
             'password' => ['required', 'confirmed', Rules\Password::defaults()],
         ]);
 
+        // The first user to sign up runs the dashboard
+        $bootstrap = ! User::query()->exists();
+
         $user = User::create([
             'name' => $request->name,
             'email' => $request->email,
             'password' => Hash::make($request->password),
         ]);
 
+        if ($bootstrap) {
+            $user->role = 'admin';
+            $user->save();
+        }
+
         event(new Registered($user));
 
         Auth::login($user);
@@ -0,0 +1,107 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Services\SoketiHttpClient;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class ChannelsController extends Controller
+{
+    private SoketiHttpClient $soketi;
+
+    public function __construct(SoketiHttpClient $soketi)
+    {
+        $this->soketi = $soketi;
+    }
+
+    /**
+     * Show the channel explorer page
+     */
+    public function page(App $app): Response
+    {
+        return Inertia::render('Channels', [
+            'app' => $app->only(['id', 'name']),
+            'config' => [
+                'refresh_interval' => config('soketi.realtime_refresh_interval', 5000),
+            ]
+        ]);
+    }
+
+    /**
+     * List occupied channels, optionally filtered by name prefix
+     */
+    public function list(Request $request, App $app): JsonResponse
+    {
+        $params = ['info' => 'subscription_count'];
+
+        if ($prefix = $request->input('prefix')) {
+            $params['filter_by_prefix'] = $prefix;
+
+            // Pusher only allows user_count when listing presence channels
+            if (str_starts_with($prefix, 'presence-')) {
+                $params['info'] .= ',user_count';
+            }
+        }
+
+        return $this->callApi(function () use ($app, $params) {
+            $channels = $this->soketi->forApp($app)->get('/channels', $params, true)['channels'] ?? [];
+
+            return collect($channels)
+                ->map(fn ($info, $name) => array_merge(['name' => $name], $info))
+                ->sortBy('name')
+                ->values();
+        });
+    }
+
+    /**
+     * Get the details of a single channel
+     */
+    public function show(App $app, string $channel): JsonResponse
+    {
+        $params = ['info' => str_starts_with($channel, 'presence-') ? 'subscription_count,user_count' : 'subscription_count'];
+
+        return $this->callApi(fn () => array_merge(
+            ['name' => $channel],
+            $this->soketi->forApp($app)->get('/channels/' . $channel, $params, true)
+        ));
+    }
+
+    /**
+     * List the members of a presence channel
+     */
+    public function users(App $app, string $channel): JsonResponse
+    {
+        if (!str_starts_with($channel, 'presence-')) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Only presence channels have a member list'
+            ], 422);
+        }
+
+        return $this->callApi(
+            fn () => $this->soketi->forApp($app)->get('/channels/' . $channel . '/users', [], true)['users'] ?? []
+        );
+    }
+
+    /**
+     * Run a Soketi HTTP API call and wrap the result or failure in a JSON response
+     */
+    private function callApi(callable $call): JsonResponse
+    {
+        try {
+            return response()->json([
+                'success' => true,
+                'data' => $call(),
+            ]);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Soketi API request failed: ' . $e->getMessage()
+            ], 502);
+        }
+    }
+}
@@ -0,0 +1,132 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Models\CredentialRotation;
+use App\Services\CredentialRotator;
+use Carbon\Carbon;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class CredentialRotationsController extends Controller
+{
+    private CredentialRotator $rotator;
+
+    public function __construct(CredentialRotator $rotator)
+    {
+        $this->rotator = $rotator;
+    }
+
+    /**
+     * Get the rotation history for an app, newest first
+     */
+    public function index(App $app): JsonResponse
+    {
+        return response()->json([
+            'success' => true,
+            'data' => $this->rotator->history($app)->map(fn (CredentialRotation $rotation) => $this->present($rotation)),
+        ]);
+    }
+
+    /**
+     * Generate new credentials, returning the key and secret this one time only
+     */
+    public function stage(Request $request, App $app): JsonResponse
+    {
+        $validated = $request->validate([
+            'scheduled_at' => 'nullable|date|after:now',
+        ], [
+            'scheduled_at.after' => 'Pick a cutover time in the future.',
+        ]);
+
+        $rotation = $this->rotator->stage(
+            $app,
+            isset($validated['scheduled_at']) ? Carbon::parse($validated['scheduled_at']) : null,
+            $request->user()
+        );
+
+        return response()->json([
+            'success' => true,
+            'data' => array_merge($this->present($rotation), [
+                'new_key' => $rotation->new_key,
+                'new_secret' => $rotation->new_secret,
+            ]),
+        ]);
+    }
+
+    /**
+     * Swap staged credentials in now instead of waiting for the scheduled time
+     */
+    public function cutover(App $app, string $rotation): JsonResponse
+    {
+        $rotation = $this->rotator->find($app, $rotation);
+
+        // The scheduled cutover may take the rotation between the lookup and the swap
+        if (! $rotation->isPending() || ! $this->rotator->cutover($rotation)) {
+            return response()->json([
+                'success' => false,
+                'message' => 'These credentials are no longer staged',
+            ], 422);
+        }
+
+        return response()->json(['success' => true, 'data' => $this->present($rotation)]);
+    }
+
+    /**
+     * Restore the credentials from before a cutover
+     */
+    public function rollback(App $app, string $rotation): JsonResponse
+    {
+        $rotation = $this->rotator->find($app, $rotation);
+
+        // Checked by the rotator with the rotation and app locked, as a cutover may be running
+        if ($refused = $this->rotator->rollback($rotation)) {
+            return response()->json([
+                'success' => false,
+                'message' => $refused,
+            ], 422);
+        }
+
+        return response()->json(['success' => true, 'data' => $this->present($rotation)]);
+    }
+
+    /**
+     * Discard staged credentials without using them
+     */
+    public function cancel(App $app, string $rotation): JsonResponse
+    {
+        $rotation = $this->rotator->find($app, $rotation);
+
+        if (! $rotation->isPending()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'These credentials are no longer staged',
+            ], 422);
+        }
+
+        $rotation->update(['status' => 'cancelled']);
+
+        return response()->json(['success' => true, 'data' => $this->present($rotation)]);
+    }
+
+    /**
+     * Rotation as shown in the history, without either secret
+     */
+    protected function present(CredentialRotation $rotation): array
+    {
+        return [
+            'id' => $rotation->id,
+            'status' => $rotation->status,
+            'user' => $rotation->user?->name,
+            'new_fingerprint' => $rotation->new_fingerprint,
+            'previous_fingerprint' => $rotation->previous_fingerprint,
+            'created_at' => $rotation->created_at?->toIso8601String(),
+            'scheduled_at' => $rotation->scheduled_at?->toIso8601String(),
+            'completed_at' => $rotation->completed_at?->toIso8601String(),
+            'rollback_until' => $rotation->rollback_until?->toIso8601String(),
+            'rolled_back_at' => $rotation->rolled_back_at?->toIso8601String(),
+            'can_rollback' => $rotation->canRollback(),
+        ];
+    }
+}
@@ -3,15 +3,38 @@
 namespace App\Http\Controllers;
 
 use App\Models\App;
+use App\Models\DebugEvent;
+use App\Notifications\NewDebugEvents;
+use App\Services\ExportStreamer;
+use App\Services\SoketiServers;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Support\Str;
+use Carbon\Carbon;
 use Inertia\Inertia;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class DebugController extends Controller
 {
-    public function index(App $app)
+    /**
+     * Event types the debugging webhook subscribes to
+     */
+    protected $debugEventTypes = [
+        'client_event',
+        'channel_occupied',
+        'channel_vacated',
+        'member_added',
+        'member_removed',
+    ];
+
+    public function index(Request $request, App $app, SoketiServers $servers)
     {
         return Inertia::render('Debug', [
-            'app' => $app,
+            'app' => $app->hideWebhookHeadersFrom($request->user()),
+            // The inspector connects as the app, to a server of the cluster it lives in
+            'inspectorEndpoint' => $servers->apiServer()->clientEndpoint(),
+            // Live debug events are broadcast through this UI's own Pusher connection
             'pusherConfig' => [
                 'appKey' => env('PUSHER_APP_KEY'),
                 'cluster' => env('PUSHER_APP_CLUSTER'),
@@ -19,6 +42,108 @@ public function index(App $app)
                 'port' => env('PUSHER_PORT'),
                 'forceTLS' => env('PUSHER_SCHEME') === 'https',
             ],
+            'debugChannel' => 'private-' . NewDebugEvents::channelName($app->connectionKey(), $app->id),
         ]);
     }
+
+    /**
+     * Get a page of stored debug events, newest first
+     */
+    public function events(Request $request, App $app): JsonResponse
+    {
+        $request->validate($this->filterRules() + [
+            'per_page' => 'nullable|integer|min:1|max:500',
+        ]);
+
+        $events = $this->filteredEvents($request, $app)
+            ->orderByDesc('id')
+            ->cursorPaginate($request->input('per_page', 200));
+
+        return response()->json([
+            'success' => true,
+            'data' => $events->getCollection()->map->toDebugArray()->values(),
+            'next_cursor' => $events->nextCursor()?->encode(),
+        ]);
+    }
+
+    /**
+     * Download the filtered debug events, oldest first
+     */
+    public function export(Request $request, App $app, ExportStreamer $exporter): StreamedResponse
+    {
+        $request->validate($this->filterRules() + [
+            'format' => 'required|in:' . implode(',', ExportStreamer::FORMATS),
+        ]);
+
+        $rows = $this->filteredEvents($request, $app)
+            ->lazyById(1000)
+            ->map->toExportArray();
+
+        return $exporter->download($rows, "debug-events-{$app->id}-" . now()->format('Ymd-His'), $request->input('format'));
+    }
+
+    /**
+     * Validation rules for the Debug page filters
+     */
+    protected function filterRules(): array
+    {
+        return [
+            'types' => 'nullable|array',
+            'types.*' => 'string|in:' . implode(',', $this->debugEventTypes),
+            'channel' => 'nullable|string|max:200',
+            'user' => 'nullable|string|max:200',
+            'from' => 'nullable|date',
+            'to' => 'nullable|date',
+            'search' => 'nullable|string|max:200',
+        ];
+    }
+
+    /**
+     * Build the stored debug event query for the Debug page filters
+     */
+    protected function filteredEvents(Request $request, App $app): Builder
+    {
+        return DebugEvent::query()
+            ->where('app_id', (string) $app->id)
+            ->where('connection', $app->connectionKey())
+            ->when($request->input('types'), fn ($query, $types) => $query->whereIn('name', $types))
+            // "*" acts as a wildcard, e.g. "private-user.*"
+            ->when($request->input('channel'), fn ($query, $channel) => $query->where(
+                'channel',
+                'like',
+                str_replace('*', '%', addcslashes($channel, '%_\\'))
+            ))
+            ->when($request->input('user'), fn ($query, $user) => $query->where(
+                fn ($query) => $query->where('user_id', $user)->orWhere('socket_id', $user)
+            ))
+            ->when($request->input('from'), fn ($query, $from) => $query->where('occurred_at', '>=', Carbon::parse($from)))
+            ->when($request->input('to'), fn ($query, $to) => $query->where('occurred_at', '<=', Carbon::parse($to)))
+            // Case-insensitive, like the live filter on the Debug page
+            ->when($request->input('search'), fn ($query, $search) => $query->whereRaw(
+                'LOWER(payload) LIKE ?',
+                ['%' . addcslashes(mb_strtolower($search), '%_\\') . '%']
+            ));
+    }
+
+    public function toggle(Request $request, App $app)
+    {
+        $webhooks = collect($app->webhooks);
+
+        if ($webhooks->contains(fn ($webhook) => $webhook['debug'] ?? false)) {
+            $app->webhooks = $webhooks->reject(fn ($webhook) => $webhook['debug'] ?? false)->values();
+        } else {
+            $app->webhooks = $webhooks->push([
+                'id' => Str::uuid(),
+                'url' => config('soketi.debug_webhook_url') ?: url('/webhooks'),
+                'event_types' => $this->debugEventTypes,
+                // SoketiSignatureValidator looks up the signing secret by these headers
+                'headers' => $app->webhookHeaders(),
+                'debug' => true,
+            ]);
+        }
+
+        $app->save();
+
+        return back();
+    }
 }
@@ -0,0 +1,83 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Services\SoketiHttpClient;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class EventsController extends Controller
+{
+    /**
+     * Defaults Soketi applies when an app leaves a limit unset (-1)
+     */
+    private const DEFAULT_LIMITS = [
+        'max_event_channels_at_once' => 100,
+        'max_event_name_length' => 200,
+        'max_event_payload_in_kb' => 100,
+        'max_event_batch_size' => 10,
+    ];
+
+    private SoketiHttpClient $soketi;
+
+    public function __construct(SoketiHttpClient $soketi)
+    {
+        $this->soketi = $soketi;
+    }
+
+    /**
+     * Publish a test event through the Soketi HTTP API
+     */
+    public function trigger(Request $request, App $app): JsonResponse
+    {
+        $batch = $request->boolean('batch');
+        $maxChannels = $batch ? $this->limit($app, 'max_event_batch_size') : $this->limit($app, 'max_event_channels_at_once');
+
+        $validated = $request->validate([
+            'channels' => "required|array|min:1|max:{$maxChannels}",
+            'channels.*' => 'required|string|distinct|regex:/^[A-Za-z0-9_\-=@,.;]+$/',
+            'name' => 'required|string|max:' . $this->limit($app, 'max_event_name_length'),
+            'data' => 'required|json|max:' . ($this->limit($app, 'max_event_payload_in_kb') * 1024),
+            'socket_id' => ['nullable', 'string', 'regex:/^\d+\.\d+$/'],
+        ]);
+
+        $params = array_filter(['socket_id' => $validated['socket_id'] ?? null]);
+
+        try {
+            $pusher = $this->soketi->forApp($app);
+
+            if ($batch) {
+                $pusher->triggerBatch(collect($validated['channels'])->map(fn ($channel) => array_merge([
+                    'channel' => $channel,
+                    'name' => $validated['name'],
+                    'data' => $validated['data'],
+                ], $params))->all(), true);
+            } else {
+                $pusher->trigger($validated['channels'], $validated['name'], $validated['data'], $params, true);
+            }
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Soketi API request failed: ' . $e->getMessage()
+            ], 502);
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => $batch
+                ? 'Published ' . count($validated['channels']) . ' events via /batch_events'
+                : 'Published to ' . count($validated['channels']) . ' channel(s) via /events',
+        ]);
+    }
+
+    /**
+     * Get an app limit, falling back to Soketi's default when it's unlimited
+     */
+    private function limit(App $app, string $key): int
+    {
+        $value = (int) ($app->{$key} ?? -1);
+
+        return $value > 0 ? $value : self::DEFAULT_LIMITS[$key];
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Services\SoketiHttpClient;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class InspectorController extends Controller
+{
+    private SoketiHttpClient $soketi;
+
+    public function __construct(SoketiHttpClient $soketi)
+    {
+        $this->soketi = $soketi;
+    }
+
+    /**
+     * Sign a private or presence subscription for the protocol inspector with the app secret
+     */
+    public function auth(Request $request, App $app): JsonResponse
+    {
+        $validated = $request->validate([
+            'socket_id' => ['required', 'string', 'regex:/^\d+\.\d+$/'],
+            'channel_name' => ['required', 'string', 'max:200', 'regex:/^(private|presence)-[A-Za-z0-9_\-=@,.;]+$/'],
+            'user_id' => 'nullable|string|max:200',
+            'user_info' => 'nullable|json',
+        ]);
+
+        $channel = $validated['channel_name'];
+
+        try {
+            $pusher = $this->soketi->forApp($app);
+
+            $auth = str_starts_with($channel, 'presence-')
+                ? $pusher->authorizePresenceChannel(
+                    $channel,
+                    $validated['socket_id'],
+                    $validated['user_id'] ?? (string) $request->user()->id,
+                    isset($validated['user_info']) ? json_decode($validated['user_info'], true) : null
+                )
+                : $pusher->authorizeChannel($channel, $validated['socket_id']);
+        } catch (\Exception $e) {
+            // e.g. private-encrypted channels, which need a master key the UI doesn't have
+            return response()->json([
+                'success' => false,
+                'message' => 'Could not sign the subscription: ' . $e->getMessage()
+            ], 422);
+        }
+
+        return response()->json(json_decode($auth, true));
+    }
+}
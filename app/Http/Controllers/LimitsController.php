@@ -24,7 +24,12 @@ class LimitsController extends Controller
 
     public function save(Request $request, App $app)
     {
-        $app->fill($request->only($this->limits));
+        // -1 turns a limit off, so it's the only value allowed below zero
+        $validated = $request->validate(
+            array_fill_keys($this->limits, ['nullable', 'integer', 'min:-1'])
+        );
+
+        $app->fill($validated);
         $app->save();
     }
 }
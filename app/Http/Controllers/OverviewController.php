@@ -0,0 +1,73 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Services\AppUsageMetrics;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Cache;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class OverviewController extends Controller
+{
+    private AppUsageMetrics $usageMetrics;
+
+    public function __construct(AppUsageMetrics $usageMetrics)
+    {
+        $this->usageMetrics = $usageMetrics;
+    }
+
+    /**
+     * Show the fleet overview page
+     */
+    public function page(Request $request): Response
+    {
+        return Inertia::render('Overview', [
+            'config' => [
+                'realtime_refresh_interval' => config('soketi.realtime_refresh_interval', 5000),
+            ]
+        ]);
+    }
+
+    /**
+     * Get live activity and limit utilisation for every app
+     */
+    public function data(Request $request): JsonResponse
+    {
+        $apps = App::query()
+            ->orderBy('name')
+            ->get()
+            ->filter(fn (App $app) => $request->user()->can('view', $app))
+            ->map(fn (App $app) => array_merge($this->usageMetrics->current($app), [
+                'id' => $app->id,
+                'name' => $app->name,
+                'enabled' => (bool) $app->enabled,
+                'sparkline' => $this->usageMetrics->connectionHistory($app),
+            ]))
+            ->values();
+
+        return response()->json([
+            'success' => true,
+            'data' => $apps,
+            'scraped_at' => Cache::get('soketi:processed_metrics', [])['scraped_at'] ?? null,
+        ]);
+    }
+
+    /**
+     * Get just the limit utilisation of every app, keyed by app id, for the apps page
+     */
+    public function limits(Request $request): JsonResponse
+    {
+        $limits = App::query()
+            ->get()
+            ->filter(fn (App $app) => $request->user()->can('view', $app))
+            ->mapWithKeys(fn (App $app) => [$app->id => $this->usageMetrics->current($app)['limits']]);
+
+        return response()->json([
+            'success' => true,
+            'data' => $limits,
+        ]);
+    }
+}
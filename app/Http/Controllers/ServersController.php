@@ -0,0 +1,107 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Models\SoketiServer;
+use App\Services\SoketiServers;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Validation\Rule;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class ServersController extends Controller
+{
+    /**
+     * Show registered Soketi servers grouped by cluster, with their last scrape status
+     */
+    public function index(): Response
+    {
+        $registered = SoketiServer::query()->orderBy('cluster')->orderBy('name')->get();
+        $nodes = $registered->isEmpty() ? collect([SoketiServer::fromConfig()]) : $registered;
+
+        return Inertia::render('Servers', [
+            'servers' => $nodes->map(fn (SoketiServer $server) => array_merge($server->toArray(), [
+                'metrics_base_url' => $server->metricsBaseUrl(),
+                'status' => Cache::get("soketi:processed_metrics:server:{$server->cacheKey()}"),
+            ])),
+            'registered' => $registered->isNotEmpty(),
+            // Grouped here rather than by SoketiServers so clusters with only disabled nodes still show
+            'clusters' => $nodes->groupBy('cluster')->map(function ($group, $name) {
+                $connection = $group->pluck('database_connection')->filter()->first();
+
+                return [
+                    'name' => $name,
+                    'database_connection' => $connection ?? config('database.default'),
+                    'apps' => $this->countApps($connection),
+                ];
+            })->values(),
+            'connections' => array_keys(config('database.connections')),
+        ]);
+    }
+
+    public function save(Request $request, SoketiServers $servers)
+    {
+        $validated = $request->validate([
+            'id' => 'nullable|exists:soketi_servers,id',
+            'name' => 'required|string|max:255',
+            'cluster' => 'required|string|max:255|regex:/^[A-Za-z0-9_.-]+$/',
+            'scheme' => 'required|in:http,https',
+            'host' => 'required|string|max:255|regex:/^[A-Za-z0-9.-]+$/',
+            'websocket_port' => 'required|integer|min:1|max:65535',
+            'metrics_port' => 'required|integer|min:1|max:65535',
+            'metrics_url' => 'nullable|url|max:2048',
+            'database_connection' => ['nullable', Rule::in(array_keys(config('database.connections')))],
+            'enabled' => 'boolean',
+        ], [
+            'cluster.regex' => 'Cluster names may only contain letters, digits, dots, dashes and underscores.',
+            'host.regex' => 'Enter a hostname or IP address without a scheme or port.',
+        ]);
+
+        $server = isset($validated['id']) ? SoketiServer::findOrFail($validated['id']) : new SoketiServer();
+
+        $server->fill(collect($validated)->except('id')->all());
+        $server->save();
+
+        // Every node of a cluster shares one app manager database
+        SoketiServer::query()
+            ->where('cluster', $server->cluster)
+            ->whereKeyNot($server->id)
+            ->update(['database_connection' => $server->database_connection]);
+
+        $servers->flush();
+    }
+
+    public function delete(Request $request, SoketiServers $servers)
+    {
+        SoketiServer::query()->whereKey($request->id)->delete();
+        $servers->flush();
+        Cache::forget("soketi:processed_metrics:server:{$request->id}");
+        Cache::forget("soketi:previous_raw_metrics:server:{$request->id}");
+    }
+
+    /**
+     * Switch the cluster whose apps and servers the UI works with
+     */
+    public function switch(Request $request, SoketiServers $servers)
+    {
+        $validated = $request->validate(['cluster' => 'required|string']);
+
+        $servers->switchTo($validated['cluster']);
+
+        return redirect()->route('apps.index');
+    }
+
+    /**
+     * Number of apps in a cluster's database, or null if it can't be reached
+     */
+    protected function countApps(?string $connection): ?int
+    {
+        try {
+            return App::on($connection ?? config('database.default'))->count();
+        } catch (\Exception $e) {
+            return null;
+        }
+    }
+}
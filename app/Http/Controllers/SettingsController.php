@@ -0,0 +1,25 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use Illuminate\Http\Request;
+
+class SettingsController extends Controller
+{
+    protected $settings = [
+        'enabled',
+        'enable_client_messages',
+        'enable_user_authentication',
+    ];
+
+    public function save(Request $request, App $app)
+    {
+        $validated = $request->validate(
+            array_fill_keys($this->settings, ['sometimes', 'required', 'boolean'])
+        );
+
+        $app->fill($validated);
+        $app->save();
+    }
+}
@@ -2,6 +2,9 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\App;
+use App\Services\ExportStreamer;
+use App\Services\SoketiServers;
 use App\Services\UploadMetricsTracker;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
@@ -9,9 +12,20 @@
 use Illuminate\Support\Facades\Http;
 use Inertia\Inertia;
 use Inertia\Response;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class SoketiMetricsController extends Controller
 {
+    /**
+     * Minute buckets expire after this many hours (see ScrapeMetrics)
+     */
+    private const MINUTE_SERIES_MAX_HOURS = 6;
+    
+    /**
+     * Metric sections the scraper keeps per app as well as server-wide
+     */
+    private const APP_SECTIONS = ['connections', 'data_transfer', 'websockets', 'http'];
+    
     private UploadMetricsTracker $uploadTracker;
     
     public function __construct(UploadMetricsTracker $uploadTracker)
@@ -22,15 +36,13 @@ public function __construct(UploadMetricsTracker $uploadTracker)
     /**
      * Show the Soketi metrics page
      */
-    public function page(Request $request): Response
+    public function page(Request $request, App $app): Response
     {
-        $app = $request->route('app');
-        
         return Inertia::render('SoketiMetrics', [
-            'app' => $app,
+            'app' => $app->hideWebhookHeadersFrom($request->user()),
             'config' => [
                 'realtime_refresh_interval' => config('soketi.realtime_refresh_interval', 5000),
-                'soketi_endpoint' => config('soketi.host', 'soketi:6001'),
+                'soketi_endpoint' => app(SoketiServers::class)->apiServer()->websocketUrl(),
             ]
         ]);
     }
@@ -38,7 +50,7 @@ public function page(Request $request): Response
     /**
      * Get cached metrics from scraper
      */
-    public function getCachedMetrics(Request $request): JsonResponse
+    public function getCachedMetrics(Request $request, App $app): JsonResponse
     {
         // Get the enhanced metrics that include both Soketi and upload data
         $metrics = Cache::get('soketi:enhanced_metrics', []);
@@ -48,9 +60,22 @@ public function getCachedMetrics(Request $request): JsonResponse
             $metrics = Cache::get('soketi:processed_metrics', []);
         }
         
+        // Decide before the comparison sections below make the payload non-empty
+        $scraperWorking = !empty($metrics);
+        
+        // Swap the fleet-wide sections for this app's own series, keeping its cluster's totals for comparison
+        $appMetrics = Cache::get("soketi:processed_metrics:app:{$app->metricsKey()}", []);
+        $clusterMetrics = Cache::get("soketi:processed_metrics:cluster:{$app->connectionKey()}", []);
+        unset($metrics['apps']);
+        
+        foreach (self::APP_SECTIONS as $section) {
+            $metrics['server_total'][$section] = $clusterMetrics[$section] ?? [];
+            $metrics[$section] = $appMetrics[$section] ?? [];
+        }
+        
         // Add scraper status
         $metrics['scraper_status'] = [
-            'scraper_working' => !empty($metrics),
+            'scraper_working' => $scraperWorking,
             'is_stale' => $this->isDataStale($metrics),
             'last_scraped' => $metrics['scraped_at'] ?? null
         ];
@@ -61,54 +86,136 @@ public function getCachedMetrics(Request $request): JsonResponse
     /**
      * Get time series data for charts
      */
-    public function getTimeSeriesData(Request $request): JsonResponse
+    public function getTimeSeriesData(Request $request, App $app): JsonResponse
     {
-        $hours = $request->input('hours', 24);
-        $granularity = $request->input('granularity', 'hour'); // minute, hour
+        [$hours, $granularity, $scope] = $this->timeSeriesOptions($request);
         
-        $data = [];
+        return response()->json([
+            'success' => true,
+            'data' => iterator_to_array($this->timeSeriesPoints($app, $hours, $granularity, $scope), false),
+            'granularity' => $granularity,
+            'scope' => $scope,
+            'period_hours' => $hours
+        ]);
+    }
+    
+    /**
+     * Download a time series range as JSON, CSV or NDJSON
+     */
+    public function exportTimeSeries(Request $request, App $app, ExportStreamer $exporter): StreamedResponse
+    {
+        $request->validate([
+            'format' => 'required|in:' . implode(',', ExportStreamer::FORMATS),
+        ]);
+        
+        [$hours, $granularity, $scope] = $this->timeSeriesOptions($request);
+        
+        // Flatten upload events so every row has the same columns
+        $rows = (function () use ($app, $hours, $granularity, $scope) {
+            foreach ($this->timeSeriesPoints($app, $hours, $granularity, $scope) as $point) {
+                $uploads = $point['upload_events'] ?? null;
+                unset($point['upload_events']);
+                
+                $point = ['time' => \Carbon\Carbon::createFromTimestamp($point['timestamp'])->toIso8601String()] + $point;
+                
+                if ($uploads !== null) {
+                    $point['uploads_prepared'] = $uploads['prepared'] ?? 0;
+                    $point['uploads_completed'] = $uploads['completed'] ?? 0;
+                    $point['uploads_failed'] = $uploads['failed'] ?? 0;
+                }
+                
+                yield $point;
+            }
+        })();
+        
+        $filename = "metrics-{$scope}-" . ($scope === 'server' ? 'all' : $app->id) . "-{$hours}h-{$granularity}";
+        
+        return $exporter->download($rows, $filename, $request->input('format'));
+    }
+    
+    /**
+     * Resolve the range, granularity and scope requested for a time series
+     */
+    private function timeSeriesOptions(Request $request): array
+    {
+        $hours = max(1, min(168, (int) $request->input('hours', 24)));
+        $granularity = $request->input('granularity', 'hour') === 'minute' ? 'minute' : 'hour';
+        $scope = $request->input('scope', 'app') === 'server' ? 'server' : 'app';
+        
+        // Minute buckets are only kept for the last few hours
+        if ($granularity === 'minute' && $hours > self::MINUTE_SERIES_MAX_HOURS) {
+            $granularity = 'hour';
+        }
+        
+        return [$hours, $granularity, $scope];
+    }
+    
+    /**
+     * Yield one point per bucket, reading the cache as it goes
+     */
+    private function timeSeriesPoints(App $app, int $hours, string $granularity, string $scope): \Generator
+    {
+        // The server scope covers the app's own cluster
+        $prefix = $scope === 'server'
+            ? "soketi:timeseries:cluster:{$app->connectionKey()}"
+            : "soketi:timeseries:app:{$app->metricsKey()}";
         
         if ($granularity === 'hour') {
             // Get hourly data
-            $startTime = \Carbon\Carbon::now()->subHours($hours)->startOfHour();
+            $startTime = \Carbon\Carbon::now()->subHours($hours - 1)->startOfHour();
+            $previous = Cache::get("{$prefix}:hour:" . $startTime->copy()->subHour()->format('Y-m-d-H'), []);
+            $uploads = $this->getHourlyUploadEvents($startTime, $startTime->copy()->addHours($hours - 1));
             
             for ($i = 0; $i < $hours; $i++) {
                 $hour = $startTime->copy()->addHours($i);
                 $hourKey = $hour->format('Y-m-d-H');
                 
-                $cached = Cache::get("soketi:timeseries:hour:{$hourKey}", []);
+                $cached = Cache::get("{$prefix}:hour:{$hourKey}", []);
                 
-                $data[] = [
+                yield [
                     'timestamp' => $hour->timestamp,
-                    'connections' => $cached['connections_sum'] ?? 0,
-                    'bytes_transferred' => $cached['bytes_sum'] ?? 0,
-                    'upload_events' => $this->getHourlyUploadEvents($hour)
+                    'connections' => round($cached['avg_connections'] ?? 0, 1),
+                    'peak_connections' => $cached['peak_connections'] ?? 0,
+                    'messages_sent' => $this->counterDelta($cached['total_messages'] ?? null, $previous['total_messages'] ?? null),
+                    'messages_received' => $this->counterDelta($cached['total_messages_received'] ?? null, $previous['total_messages_received'] ?? null),
+                    'http_calls' => $this->counterDelta($cached['total_http_calls'] ?? null, $previous['total_http_calls'] ?? null),
+                    'bytes_transferred' => $this->counterDelta($cached['total_bytes'] ?? null, $previous['total_bytes'] ?? null),
+                    'limit_hits' => array_keys($cached['limit_hits'] ?? []),
+                    'upload_events' => $uploads->get($hourKey, ['prepared' => 0, 'completed' => 0, 'failed' => 0])
                 ];
+                
+                if (!empty($cached)) {
+                    $previous = $cached;
+                }
             }
         } else {
-            // Get minute data (last hour only for performance)
-            $startTime = \Carbon\Carbon::now()->subHour()->startOfMinute();
+            // Get minute data
+            $minutes = $hours * 60;
+            $startTime = \Carbon\Carbon::now()->subMinutes($minutes - 1)->startOfMinute();
+            $previous = Cache::get("{$prefix}:minute:" . $startTime->copy()->subMinute()->format('Y-m-d-H-i'), []);
             
-            for ($i = 0; $i < 60; $i++) {
+            for ($i = 0; $i < $minutes; $i++) {
                 $minute = $startTime->copy()->addMinutes($i);
                 $minuteKey = $minute->format('Y-m-d-H-i');
                 
-                $cached = Cache::get("soketi:timeseries:minute:{$minuteKey}", []);
+                $cached = Cache::get("{$prefix}:minute:{$minuteKey}", []);
                 
-                $data[] = [
+                yield [
                     'timestamp' => $minute->timestamp,
                     'connections' => $cached['connections'] ?? 0,
-                    'bytes_transferred' => $cached['bytes_transferred'] ?? 0
+                    'peak_connections' => $cached['connections'] ?? 0,
+                    'messages_sent' => $this->counterDelta($cached['messages_sent'] ?? null, $previous['messages_sent'] ?? null),
+                    'messages_received' => $this->counterDelta($cached['messages_received'] ?? null, $previous['messages_received'] ?? null),
+                    'http_calls' => $this->counterDelta($cached['http_calls'] ?? null, $previous['http_calls'] ?? null),
+                    'bytes_transferred' => $this->counterDelta($cached['bytes_transferred'] ?? null, $previous['bytes_transferred'] ?? null),
+                    'limit_hits' => $cached['limit_hits'] ?? []
                 ];
+                
+                if (!empty($cached)) {
+                    $previous = $cached;
+                }
             }
         }
-        
-        return response()->json([
-            'success' => true,
-            'data' => $data,
-            'granularity' => $granularity,
-            'period_hours' => $hours
-        ]);
     }
     
     /**
@@ -116,8 +223,7 @@ public function getTimeSeriesData(Request $request): JsonResponse
      */
     public function getSoketiHealth(Request $request): JsonResponse
     {
-        $soketiHost = config('soketi.host', 'soketi');
-        $metricsPort = config('soketi.metrics_port', 9601);
+        $server = app(SoketiServers::class)->apiServer();
         
         $health = [
             'overall_healthy' => false,
@@ -127,8 +233,8 @@ public function getSoketiHealth(Request $request): JsonResponse
         ];
         
         try {
-            // Check WebSocket API (port 6001)
-            $wsResponse = Http::timeout(5)->get("http://{$soketiHost}:6001");
+            // Check WebSocket API
+            $wsResponse = Http::timeout(5)->get($server->websocketUrl());
             $health['websocket_api'] = [
                 'healthy' => $wsResponse->successful(),
                 'status_code' => $wsResponse->status(),
@@ -142,8 +248,8 @@ public function getSoketiHealth(Request $request): JsonResponse
         }
         
         try {
-            // Check Metrics API (port 9601)
-            $metricsResponse = Http::timeout(5)->get("http://{$soketiHost}:{$metricsPort}/metrics");
+            // Check Metrics API
+            $metricsResponse = Http::timeout(5)->get($server->metricsBaseUrl() . '/metrics');
             $health['metrics_api'] = [
                 'healthy' => $metricsResponse->successful(),
                 'status_code' => $metricsResponse->status(),
@@ -205,26 +311,36 @@ private function isDataStale(array $metrics): bool
     }
     
     /**
-     * Get hourly upload events for time series
+     * Difference between two samples of a cumulative counter
      */
-    private function getHourlyUploadEvents(\Carbon\Carbon $hour): array
+    private function counterDelta(?float $current, ?float $previous): float
     {
-        $hourData = \DB::table('upload_metrics_hourly')
-            ->where('hour', $hour->startOfHour())
-            ->first();
-        
-        if (!$hourData) {
-            return [
-                'prepared' => 0,
-                'completed' => 0,
-                'failed' => 0
-            ];
+        if ($current === null || $previous === null) {
+            return 0;
         }
         
-        return [
-            'prepared' => $hourData->total_uploads ?? 0,
-            'completed' => $hourData->completed_uploads ?? 0,
-            'failed' => $hourData->failed_uploads ?? 0
-        ];
+        // Counter was reset (Soketi restarted), so everything counted since is new
+        if ($current < $previous) {
+            return $current;
+        }
+        
+        return $current - $previous;
+    }
+    
+    /**
+     * Get hourly upload events for time series in one query, keyed like the hourly cache entries
+     */
+    private function getHourlyUploadEvents(\Carbon\Carbon $from, \Carbon\Carbon $to): \Illuminate\Support\Collection
+    {
+        return \DB::table('upload_metrics_hourly')
+            ->whereBetween('hour', [$from, $to])
+            ->get()
+            ->mapWithKeys(fn ($hourData) => [
+                \Carbon\Carbon::parse($hourData->hour)->format('Y-m-d-H') => [
+                    'prepared' => $hourData->total_uploads ?? 0,
+                    'completed' => $hourData->completed_uploads ?? 0,
+                    'failed' => $hourData->failed_uploads ?? 0
+                ]
+            ]);
     }
 }
\ No newline at end of file
@@ -6,6 +6,8 @@
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Support\Facades\Validator;
+use Inertia\Inertia;
+use Inertia\Response;
 
 class UploadMetricsController extends Controller
 {
@@ -164,6 +166,40 @@ public function getActiveSessions(Request $request): JsonResponse
         ]);
     }
     
+    /**
+     * Show the uploads dashboard
+     */
+    public function page(Request $request): Response
+    {
+        return Inertia::render('Uploads', [
+            'config' => [
+                'realtime_refresh_interval' => config('soketi.realtime_refresh_interval', 5000),
+            ]
+        ]);
+    }
+    
+    /**
+     * Get everything the uploads dashboard shows for a range
+     */
+    public function dashboard(Request $request): JsonResponse
+    {
+        $hours = max(1, min(168, (int) $request->input('hours', 24)));
+        $realtime = $this->tracker->getRealtimeMetrics();
+        
+        return response()->json([
+            'success' => true,
+            'data' => array_merge($this->tracker->getHourlySummary($hours), [
+                'active_sessions' => [
+                    'active_count' => $realtime['active_uploads'] ?? 0,
+                    'last_hour' => $realtime['last_hour'] ?? [],
+                    'updated_at' => $realtime['updated_at'] ?? null
+                ],
+                'failure_reasons' => $this->tracker->getTopFailureReasons($hours),
+                'period_hours' => $hours,
+            ])
+        ]);
+    }
+    
     /**
      * Clean up old metrics data
      */
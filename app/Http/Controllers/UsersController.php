@@ -0,0 +1,173 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Models\AppGrant;
+use App\Models\Invitation;
+use App\Models\User;
+use App\Notifications\UserInvited;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Notification;
+use Illuminate\Support\Facades\Password;
+use Illuminate\Validation\Rule;
+use Illuminate\Validation\ValidationException;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class UsersController extends Controller
+{
+    /**
+     * Show every user with their role and app grants in the current cluster, and invitations not yet accepted
+     */
+    public function index(): Response
+    {
+        $connection = (new App)->connectionKey();
+
+        return Inertia::render('Users', [
+            'users' => User::query()
+                ->with(['grants' => fn ($query) => $query->where('connection', $connection)])
+                ->orderBy('name')
+                ->get(),
+            'apps' => App::query()->orderBy('name')->get(['id', 'name']),
+            'invitations' => Invitation::query()
+                ->with('inviter:id,name')
+                ->whereNull('accepted_at')
+                ->latest()
+                ->get(),
+            'roles' => User::ROLES,
+            'grantRoles' => AppGrant::ROLES,
+        ]);
+    }
+
+    public function role(Request $request)
+    {
+        $validated = $request->validate([
+            'id' => 'required|exists:users,id',
+            'role' => ['required', Rule::in(User::ROLES)],
+        ]);
+
+        $user = User::findOrFail($validated['id']);
+
+        if ($validated['role'] !== 'admin') {
+            $this->ensureAnotherAdmin($user, 'role');
+        }
+
+        $user->role = $validated['role'];
+        $user->save();
+    }
+
+    public function grant(Request $request)
+    {
+        $validated = $request->validate([
+            'user_id' => 'required|exists:users,id',
+            'app_id' => 'required|string',
+            'role' => ['required', Rule::in(AppGrant::ROLES)],
+        ]);
+
+        $app = App::findOrFail($validated['app_id']);
+
+        AppGrant::updateOrCreate(
+            ['user_id' => $validated['user_id'], 'app_id' => (string) $app->id, 'connection' => $app->connectionKey()],
+            ['role' => $validated['role']]
+        );
+    }
+
+    public function revoke(Request $request)
+    {
+        AppGrant::query()->whereKey($request->id)->delete();
+    }
+
+    /**
+     * Email a signed link for signing up with the given role; inviting the same address again sends a fresh link
+     */
+    public function invite(Request $request)
+    {
+        $validated = $request->validate([
+            'email' => 'required|string|email|max:255|unique:users,email',
+            'role' => ['required', Rule::in(User::ROLES)],
+        ], [
+            'email.unique' => 'There is already an account for this email.',
+        ]);
+
+        $invitation = Invitation::updateOrCreate(
+            ['email' => $validated['email'], 'accepted_at' => null],
+            [
+                'role' => $validated['role'],
+                'invited_by' => $request->user()->id,
+                'expires_at' => now()->addMinutes(config('auth.invitations.expire')),
+            ]
+        );
+
+        Notification::route('mail', $invitation->email)->notify(new UserInvited($invitation));
+    }
+
+    public function cancelInvitation(Request $request)
+    {
+        Invitation::query()->whereKey($request->id)->whereNull('accepted_at')->delete();
+    }
+
+    public function deactivate(Request $request)
+    {
+        $user = $this->otherUser($request, 'deactivate your own account');
+
+        $this->ensureAnotherAdmin($user, 'user');
+
+        $user->deactivated_at = now();
+        $user->save();
+    }
+
+    public function reactivate(Request $request)
+    {
+        $user = User::findOrFail($request->id);
+
+        $user->deactivated_at = null;
+        $user->save();
+    }
+
+    /**
+     * Log the user out everywhere and email them a reset link; they can't log in again until they use it
+     */
+    public function resetPassword(Request $request)
+    {
+        $user = $this->otherUser($request, 'force a reset of your own password');
+
+        $status = Password::sendResetLink(['email' => $user->email]);
+
+        // Without a link the user would have no way back in
+        if ($status !== Password::RESET_LINK_SENT) {
+            throw ValidationException::withMessages(['user' => __($status)]);
+        }
+
+        $user->password_reset_required = true;
+        $user->save();
+    }
+
+    /**
+     * The user picked on the page, as long as it isn't the admin making the request
+     */
+    protected function otherUser(Request $request, string $action): User
+    {
+        $user = User::findOrFail($request->id);
+
+        if ($user->is($request->user())) {
+            throw ValidationException::withMessages(['user' => "You can't {$action}."]);
+        }
+
+        return $user;
+    }
+
+    /**
+     * Someone has to be left who can manage users
+     */
+    protected function ensureAnotherAdmin(User $user, string $field): void
+    {
+        if (! $user->isAdmin() || ! $user->isActive()) {
+            return;
+        }
+
+        if (User::query()->where('role', 'admin')->whereNull('deactivated_at')->count() === 1) {
+            throw ValidationException::withMessages([$field => 'There must be at least one admin.']);
+        }
+    }
+}
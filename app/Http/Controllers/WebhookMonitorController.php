@@ -0,0 +1,83 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\App;
+use App\Services\WebhookMonitor;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Arr;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class WebhookMonitorController extends Controller
+{
+    private WebhookMonitor $monitor;
+
+    public function __construct(WebhookMonitor $monitor)
+    {
+        $this->monitor = $monitor;
+    }
+
+    /**
+     * Show the delivery monitor for one webhook
+     */
+    public function page(Request $request, App $app, string $webhook): Response
+    {
+        $webhook = $this->findWebhook($app, $webhook);
+
+        return Inertia::render('WebhookMonitor', [
+            'app' => $app->only(['id', 'name']),
+            // Custom headers often carry credentials, so only those who can edit the webhook see them
+            'webhook' => $request->user()->can('update', $app) ? $webhook : Arr::except($webhook, 'headers'),
+            'config' => [
+                'realtime_refresh_interval' => config('soketi.realtime_refresh_interval', 5000),
+                'gap_minutes' => (int) config('soketi.webhook_monitor.gap_minutes', 5),
+            ],
+        ]);
+    }
+
+    /**
+     * Get delivery volume, gaps and signature failures for a webhook
+     */
+    public function data(Request $request, App $app, string $webhook): JsonResponse
+    {
+        $request->validate([
+            'hours' => 'nullable|integer|min:1|max:168',
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'data' => $this->monitor->summary($app, $this->findWebhook($app, $webhook), (int) $request->input('hours', 24)),
+        ]);
+    }
+
+    /**
+     * Start or stop monitoring a webhook
+     */
+    public function toggle(Request $request, App $app)
+    {
+        $request->validate([
+            'id' => 'required|string',
+        ]);
+
+        $this->monitor->toggle($app, $request->input('id'));
+        $app->save();
+
+        return back();
+    }
+
+    /**
+     * Look up a monitorable webhook on the app by its id
+     */
+    private function findWebhook(App $app, string $id): array
+    {
+        $webhook = collect($app->webhooks)->first(
+            fn ($webhook) => (string) ($webhook['id'] ?? '') === $id && ! $this->monitor->isShadow($webhook)
+        );
+
+        abort_if(! $webhook, 404, 'Webhook not found');
+
+        return $webhook;
+    }
+}
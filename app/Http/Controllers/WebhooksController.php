@@ -3,50 +3,238 @@
 namespace App\Http\Controllers;
 
 use App\Models\App;
+use App\Models\WebhookMonitorEvent;
+use App\Models\WebhookTestResult;
+use App\Services\WebhookMonitor;
+use App\Services\WebhookTester;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Str;
 use Inertia\Inertia;
 
 class WebhooksController extends Controller
 {
-    public function save(Request $request, App $app)
+    /**
+     * Webhook event types Soketi can send
+     */
+    public const EVENT_TYPES = [
+        'client_event',
+        'channel_occupied',
+        'channel_vacated',
+        'member_added',
+        'member_removed',
+    ];
+
+    /**
+     * Headers Soketi sets itself on every webhook request
+     */
+    protected $reservedHeaders = [
+        'content-type',
+        'content-length',
+        'host',
+        'x-pusher-key',
+        'x-pusher-signature',
+    ];
+
+    public function save(Request $request, App $app, WebhookMonitor $monitor)
     {
+        $validated = $request->validate([
+            'id' => 'nullable|string',
+            'target' => 'required|in:http,lambda',
+            'url' => 'exclude_unless:target,http|required|url|starts_with:http://,https://',
+            // A function name or ARN, optionally qualified with a version or alias
+            'lambda_function' => [
+                'exclude_unless:target,lambda',
+                'required',
+                'string',
+                'max:170',
+                'regex:/^(arn:aws[a-z-]*:lambda:[a-z0-9-]+:\d{12}:function:)?[A-Za-z0-9_-]{1,64}(:[A-Za-z0-9_$-]{1,128})?$/',
+            ],
+            'lambda' => 'exclude_unless:target,lambda|nullable|array',
+            'lambda.async' => 'exclude_unless:target,lambda|boolean',
+            'lambda.region' => 'exclude_unless:target,lambda|nullable|regex:/^[a-z]{2}(-[a-z]+)+-\d$/',
+            // Soketi spreads the options into the Lambda client's config, so they must be an object
+            'lambda.client_options' => [
+                'exclude_unless:target,lambda',
+                'bail',
+                'nullable',
+                'json',
+                function ($attribute, $value, $fail) {
+                    if (! is_object(json_decode($value))) {
+                        $fail('Client options must be a JSON object.');
+                    }
+                },
+            ],
+            'event_types' => 'required|array|min:1',
+            'event_types.*' => 'distinct|in:' . implode(',', self::EVENT_TYPES),
+            'headers' => 'nullable|array',
+            // Header names must be RFC 7230 tokens, values a single line
+            'headers.*.key' => [
+                'nullable',
+                'required_with:headers.*.value',
+                'string',
+                'max:255',
+                'regex:/^[!#$%&\'*+\-.^_`|~0-9A-Za-z]+$/',
+                'distinct:ignore_case',
+                function ($attribute, $value, $fail) {
+                    if (in_array(strtolower($value), $this->reservedHeaders)) {
+                        $fail("The {$value} header is set by Soketi and can't be overridden.");
+                    }
+                },
+            ],
+            'headers.*.value' => 'nullable|required_with:headers.*.key|string|max:1024|regex:/^[^\r\n]*$/',
+            'filter' => 'nullable|array',
+            'filter.channel_name_starts_with' => 'nullable|string|max:200',
+            'filter.channel_name_ends_with' => 'nullable|string|max:200',
+        ], [
+            'url.starts_with' => 'The webhook URL must use http or https.',
+            'lambda_function.regex' => 'Enter a Lambda function name or function ARN.',
+            'lambda.region.regex' => 'Enter an AWS region such as us-east-1.',
+            'lambda.client_options.json' => 'Client options must be a JSON object.',
+            'event_types.required' => 'Choose at least one event.',
+            'headers.*.key.regex' => 'Header names may only contain letters, digits and !#$%&\'*+-.^_`|~.',
+            'headers.*.key.required_with' => 'Give this header a name.',
+            'headers.*.value.required_with' => 'Give this header a value.',
+            'headers.*.value.regex' => 'Header values must fit on a single line.',
+        ]);
+
+        $headers = collect($validated['headers'] ?? [])
+            ->filter(fn ($header) => filled($header['key'] ?? null))
+            ->mapWithKeys(fn ($header) => [$header['key'] => $header['value']])
+            ->all();
+
+        // Soketi only sends webhooks for channels matching every filter given
+        $filter = collect($validated['filter'] ?? [])
+            ->only(['channel_name_starts_with', 'channel_name_ends_with'])
+            ->filter(fn ($value) => filled($value))
+            ->all();
+
         if (! $app->webhooks) {
             $app->webhooks = collect();
         }
 
         if ($request->id !== null) {
-            $app->webhooks = $app->webhooks->map(function ($webhook) use ($request) {
+            $app->webhooks = $app->webhooks->map(function ($webhook) use ($request, $validated, $headers, $filter) {
                 if (! isset($webhook['id']) || $request->id !== $webhook['id']) {
                     return $webhook;
                 }
 
-                $headers = collect($request->get('headers'))->filter(fn ($value, $key) => $key && $value)->all();
-
-                $webhook['url'] = $request->url;
-                $webhook['event_types'] = $request->event_types;
+                $webhook = $this->withTarget($webhook, $validated);
+                $webhook['event_types'] = $validated['event_types'];
                 $webhook['headers'] = $headers;
 
+                if ($filter) {
+                    $webhook['filter'] = $filter;
+                } else {
+                    unset($webhook['filter']);
+                }
+
                 return $webhook;
             });
         } else {
-            $headers = collect($request->get('headers'))->filter(fn ($value, $key) => $key && $value)->all();
-
-            $app->webhooks = $app->webhooks->push([
-                'id' => Str::uuid(),
-                'url' => $request->url,
-                'event_types' => $request->event_types,
-                'headers' => $headers,
-            ]);
+            $webhook = $this->withTarget(['id' => Str::uuid()], $validated);
+            $webhook['event_types'] = $validated['event_types'];
+            $webhook['headers'] = $headers;
+
+            if ($filter) {
+                $webhook['filter'] = $filter;
+            }
+
+            $app->webhooks = $app->webhooks->push($webhook);
         }
 
+        $monitor->sync($app);
         $app->save();
     }
 
-    public function delete(Request $request, App $app)
+    /**
+     * Point a webhook at an HTTP URL or a Lambda function, keeping any Lambda settings this UI doesn't edit
+     */
+    protected function withTarget(array $webhook, array $validated): array
+    {
+        if ($validated['target'] === 'http') {
+            unset($webhook['lambda_function'], $webhook['lambda']);
+            $webhook['url'] = $validated['url'];
+
+            return $webhook;
+        }
+
+        $options = $validated['lambda']['client_options'] ?? null;
+
+        unset($webhook['url']);
+        $webhook['lambda_function'] = $validated['lambda_function'];
+        $webhook['lambda'] = array_filter(array_merge($webhook['lambda'] ?? [], [
+            'async' => (bool) ($validated['lambda']['async'] ?? false),
+            'region' => $validated['lambda']['region'] ?? null,
+            'client_options' => filled($options) ? json_decode($options, true) : null,
+        ]), fn ($value) => $value !== null);
+
+        return $webhook;
+    }
+
+    /**
+     * Send a signed test event to a webhook and return what it answered
+     */
+    public function test(Request $request, App $app, WebhookTester $tester): JsonResponse
+    {
+        $validated = $request->validate([
+            'id' => 'required|string',
+            'event_type' => 'required|in:' . implode(',', self::EVENT_TYPES),
+        ]);
+
+        $webhook = $this->findWebhook($app, $validated['id']);
+
+        if (empty($webhook['url'])) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Test sends are only available for HTTP webhooks',
+            ], 422);
+        }
+
+        return response()->json([
+            'success' => true,
+            'data' => $tester->send($app, $webhook, $validated['event_type']),
+        ]);
+    }
+
+    /**
+     * Get the most recent test results for a webhook
+     */
+    public function tests(App $app, string $webhook, WebhookTester $tester): JsonResponse
+    {
+        $webhook = $this->findWebhook($app, $webhook);
+
+        return response()->json([
+            'success' => true,
+            'data' => $tester->results($app, (string) $webhook['id']),
+        ]);
+    }
+
+    /**
+     * Look up a webhook on the app by its id
+     */
+    protected function findWebhook(App $app, string $id): array
+    {
+        $webhook = collect($app->webhooks)->first(fn ($webhook) => (string) ($webhook['id'] ?? '') === $id);
+
+        abort_if(! $webhook, 404, 'Webhook not found');
+
+        return $webhook;
+    }
+
+    public function delete(Request $request, App $app, WebhookMonitor $monitor)
     {
         $app->webhooks = $app->webhooks->filter(fn ($webhook) => $webhook['id'] !== $request->id)->values();
 
+        $monitor->sync($app);
         $app->save();
+
+        foreach ([WebhookTestResult::class, WebhookMonitorEvent::class] as $model) {
+            $model::query()
+                ->where('app_id', (string) $app->id)
+                ->where('connection', $app->connectionKey())
+                ->where('webhook_id', (string) $request->id)
+                ->delete();
+        }
     }
 }
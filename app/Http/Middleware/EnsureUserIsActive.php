@@ -0,0 +1,29 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use Closure;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+
+class EnsureUserIsActive
+{
+    /**
+     * Log out users who were deactivated or made to reset their password while signed in
+     */
+    public function handle(Request $request, Closure $next)
+    {
+        $reason = $request->user()?->blockedReason();
+
+        if (! $reason) {
+            return $next($request);
+        }
+
+        Auth::guard('web')->logout();
+
+        $request->session()->invalidate();
+        $request->session()->regenerateToken();
+
+        return redirect()->route('login')->withErrors(['email' => $reason]);
+    }
+}
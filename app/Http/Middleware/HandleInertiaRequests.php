@@ -2,6 +2,9 @@
 
 namespace App\Http\Middleware;
 
+use App\Models\App;
+use App\Models\User;
+use App\Services\SoketiServers;
 use Illuminate\Http\Request;
 use Inertia\Middleware;
 use Tightenco\Ziggy\Ziggy;
@@ -33,7 +36,16 @@ public function share(Request $request): array
         return array_merge(parent::share($request), [
             'auth' => [
                 'user' => $request->user(),
+                'permissions' => fn () => $request->user() ? $this->permissions($request->user()) : null,
             ],
+            'soketi' => function () {
+                $servers = app(SoketiServers::class);
+
+                return [
+                    'clusters' => $servers->clusters()->pluck('name'),
+                    'currentCluster' => $servers->current()['name'],
+                ];
+            },
             'ziggy' => function () use ($request) {
                 return array_merge((new Ziggy)->toArray(), [
                     'location' => $request->url(),
@@ -41,4 +53,22 @@ public function share(Request $request): array
             },
         ]);
     }
+
+    /**
+     * What the user may do, for hiding actions in the UI; the routes enforce the same rules
+     */
+    protected function permissions(User $user): array
+    {
+        $connection = (new App)->connectionKey();
+
+        return [
+            'role' => $user->role,
+            'admin' => $user->isAdmin(),
+            'createApps' => $user->can('create', App::class),
+            // Role on each app in the current cluster, or "*" for every app
+            'apps' => $user->isAdmin() ? '*' : $user->grants()
+                ->where('connection', $connection)
+                ->pluck('role', 'app_id'),
+        ];
+    }
 }
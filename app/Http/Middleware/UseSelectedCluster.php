@@ -0,0 +1,25 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use App\Models\App;
+use App\Services\SoketiServers;
+use Closure;
+use Illuminate\Http\Request;
+
+class UseSelectedCluster
+{
+    public function __construct(private SoketiServers $servers)
+    {
+    }
+
+    /**
+     * Point the App model at the app-manager database of the cluster picked in the server switcher
+     */
+    public function handle(Request $request, Closure $next)
+    {
+        App::useClusterConnection($this->servers->current()['database_connection']);
+
+        return $next($request);
+    }
+}
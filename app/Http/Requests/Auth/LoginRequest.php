@@ -49,6 +49,15 @@ public function authenticate(): void
             ]);
         }
 
+        // The right password isn't enough for deactivated users or those who must reset it first
+        if ($reason = Auth::user()->blockedReason()) {
+            Auth::guard('web')->logout();
+
+            throw ValidationException::withMessages([
+                'email' => $reason,
+            ]);
+        }
+
         RateLimiter::clear($this->throttleKey());
     }
 
@@ -0,0 +1,46 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\App;
+use App\Models\DebugEvent;
+use App\Notifications\NewDebugEvents;
+use Carbon\Carbon;
+use Spatie\WebhookClient\Jobs\ProcessWebhookJob;
+
+class ProcessDebugWebhook extends ProcessWebhookJob
+{
+    /**
+     * Store the events in a Soketi webhook call and broadcast them to the app's debug channel
+     */
+    public function handle(): void
+    {
+        $appId = $this->webhookCall->headerBag()->get('x-app-id');
+        // Debug webhooks registered before the header was added belong to the default cluster
+        $connection = $this->webhookCall->headerBag()->get(strtolower(App::CONNECTION_HEADER)) ?? config('database.default');
+        $payload = $this->webhookCall->payload;
+
+        $occurredAt = isset($payload['time_ms'])
+            ? Carbon::createFromTimestampMs($payload['time_ms'])
+            : Carbon::now();
+
+        $events = collect($payload['events'] ?? [])->map(fn ($event) => DebugEvent::create([
+            'webhook_call_id' => $this->webhookCall->id,
+            'app_id' => (string) $appId,
+            'connection' => $connection,
+            'name' => $event['name'] ?? 'unknown',
+            'channel' => $event['channel'] ?? null,
+            'event' => $event['event'] ?? null,
+            'user_id' => isset($event['user_id']) ? (string) $event['user_id'] : null,
+            'socket_id' => $event['socket_id'] ?? null,
+            'payload' => json_encode($event, DebugEvent::PAYLOAD_FLAGS),
+            'occurred_at' => $occurredAt,
+        ]));
+
+        if ($events->isEmpty()) {
+            return;
+        }
+
+        broadcast(new NewDebugEvents($events->map->toDebugArray(), $appId, $connection));
+    }
+}
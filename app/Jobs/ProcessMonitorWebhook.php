@@ -0,0 +1,26 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\App;
+use App\Services\WebhookMonitor;
+use Spatie\WebhookClient\Jobs\ProcessWebhookJob;
+
+class ProcessMonitorWebhook extends ProcessWebhookJob
+{
+    /**
+     * Record the events Soketi sent to a monitored webhook's shadow
+     */
+    public function handle(WebhookMonitor $monitor): void
+    {
+        $headers = $this->webhookCall->headerBag();
+
+        $monitor->record(
+            (string) $headers->get('x-app-id'),
+            $headers->get(strtolower(App::CONNECTION_HEADER)) ?? config('database.default'),
+            (string) $headers->get(strtolower(WebhookMonitor::HEADER)),
+            $this->webhookCall->payload ?? [],
+            $this->webhookCall->id
+        );
+    }
+}
@@ -0,0 +1,63 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\AlertEvent;
+use App\Notifications\AlertStateChanged;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Notification;
+
+class SendAlertNotifications implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    private AlertEvent $event;
+
+    public function __construct(AlertEvent $event)
+    {
+        $this->event = $event;
+    }
+
+    /**
+     * Mail the rule's recipients and call its outbound webhook
+     */
+    public function handle(): void
+    {
+        $rule = $this->event->rule;
+
+        if ($recipients = $rule->mailRecipients()) {
+            try {
+                Notification::route('mail', $recipients)->notify(new AlertStateChanged($this->event));
+            } catch (\Exception $e) {
+                Log::error('Failed to mail alert', [
+                    'alert_rule_id' => $rule->id,
+                    'error' => $e->getMessage()
+                ]);
+            }
+        }
+
+        if ($rule->webhook_url) {
+            try {
+                Http::timeout(10)->post($rule->webhook_url, [
+                    'rule' => $rule->only(['id', 'name', 'app_id', 'metric', 'operator', 'threshold', 'duration']),
+                    'status' => $this->event->status,
+                    'value' => $this->event->value,
+                    'message' => $this->event->message,
+                    'occurred_at' => $this->event->created_at->toISOString(),
+                ])->throw();
+            } catch (\Exception $e) {
+                Log::error('Failed to call alert webhook', [
+                    'alert_rule_id' => $rule->id,
+                    'url' => $rule->webhook_url,
+                    'error' => $e->getMessage()
+                ]);
+            }
+        }
+    }
+}
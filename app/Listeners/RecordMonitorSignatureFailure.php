@@ -0,0 +1,38 @@
+<?php
+
+namespace App\Listeners;
+
+use App\Models\App;
+use App\Services\SoketiServers;
+use App\Services\WebhookMonitor;
+use Spatie\WebhookClient\Events\InvalidWebhookSignatureEvent;
+
+class RecordMonitorSignatureFailure
+{
+    public function __construct(private WebhookMonitor $monitor, private SoketiServers $servers)
+    {
+    }
+
+    /**
+     * Rejected deliveries never reach webhook_calls, so record failed shadow deliveries here.
+     * The request is unauthenticated: only webhooks being monitored count, and its payload is never trusted.
+     */
+    public function handle(InvalidWebhookSignatureEvent $event): void
+    {
+        $request = $event->request;
+        $appId = (string) $request->header('x-app-id');
+        $webhookId = (string) $request->header(WebhookMonitor::HEADER);
+
+        if ($appId === '' || $webhookId === '') {
+            return;
+        }
+
+        $app = $this->servers->findApps($appId, $request->header(App::CONNECTION_HEADER))
+            ->first(fn ($app) => collect($app->webhooks)
+                ->contains(fn ($webhook) => ($webhook['monitor_for'] ?? null) === $webhookId));
+
+        if ($app) {
+            $this->monitor->recordSignatureFailure($app, $webhookId);
+        }
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+class AlertRule extends Model
+{
+    protected $guarded = [];
+
+    public $casts = [
+        'threshold' => 'float',
+        'duration' => 'integer',
+        'enabled' => 'boolean',
+        'last_value' => 'float',
+        'pending_since' => 'datetime',
+        'last_evaluated_at' => 'datetime',
+    ];
+
+    public function app(): BelongsTo
+    {
+        return $this->belongsTo(App::class);
+    }
+
+    public function events(): HasMany
+    {
+        return $this->hasMany(AlertEvent::class);
+    }
+
+    /**
+     * Addresses to mail when the rule fires or resolves
+     */
+    public function mailRecipients(): array
+    {
+        return collect(explode(',', (string) $this->mail_to))
+            ->map(fn ($address) => trim($address))
+            ->filter()
+            ->values()
+            ->all();
+    }
+}
@@ -4,16 +4,84 @@
 
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Arr;
 
 class App extends Model
 {
     use HasFactory;
 
+    /**
+     * Header on the webhooks this UI registers naming the app's cluster, as app IDs can repeat across clusters
+     */
+    public const CONNECTION_HEADER = 'X-App-Connection';
+
     protected $guarded = [];
 
+    /**
+     * Secrets only reach the browser through AppsController::revealSecret
+     */
+    protected $hidden = ['secret'];
+
     public $timestamps = false;
 
     public $casts = [
         'webhooks' => 'collection',
+        'enabled' => 'boolean',
+        'enable_client_messages' => 'boolean',
+        'enable_user_authentication' => 'boolean',
     ];
+
+    /**
+     * Connection of the cluster picked in the server switcher, set by UseSelectedCluster
+     */
+    protected static ?string $clusterConnection = null;
+
+    /**
+     * Read and write apps in the given cluster's app-manager database
+     */
+    public static function useClusterConnection(?string $connection): void
+    {
+        static::$clusterConnection = $connection;
+    }
+
+    public function getConnectionName()
+    {
+        return $this->connection ?? static::$clusterConnection;
+    }
+
+    /**
+     * Connection name the app was read from, so apps with the same ID in different clusters stay apart
+     */
+    public function connectionKey(): string
+    {
+        return $this->getConnectionName() ?? config('database.default');
+    }
+
+    /**
+     * Headers for a webhook this UI registers on the app, so Soketi's calls can be tied back to it
+     */
+    public function webhookHeaders(): array
+    {
+        return ['X-App-Id' => (string) $this->id, self::CONNECTION_HEADER => $this->connectionKey()];
+    }
+
+    /**
+     * Drop the custom headers from the app's webhooks unless the user may change them, as they often carry credentials
+     */
+    public function hideWebhookHeadersFrom(User $user): static
+    {
+        if ($this->webhooks && ! $user->can('update', $this)) {
+            $this->webhooks = $this->webhooks->map(fn ($webhook) => Arr::except($webhook, 'headers'))->values();
+        }
+
+        return $this;
+    }
+
+    /**
+     * Part of the scraper's cache keys naming this app, with its cluster as IDs can repeat across clusters
+     */
+    public function metricsKey(): string
+    {
+        return "{$this->connectionKey()}:{$this->id}";
+    }
 }
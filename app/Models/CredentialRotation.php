@@ -0,0 +1,48 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class CredentialRotation extends Model
+{
+    protected $guarded = [];
+
+    protected $hidden = ['new_secret', 'previous_secret'];
+
+    public $casts = [
+        'new_secret' => 'encrypted',
+        'previous_secret' => 'encrypted',
+        'scheduled_at' => 'datetime',
+        'completed_at' => 'datetime',
+        'rollback_until' => 'datetime',
+        'rolled_back_at' => 'datetime',
+    ];
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Short hash identifying a key and secret pair without revealing the secret
+     */
+    public static function fingerprint(string $key, string $secret): string
+    {
+        return implode(':', str_split(substr(hash('sha256', "{$key}:{$secret}"), 0, 16), 4));
+    }
+
+    public function isPending(): bool
+    {
+        return $this->status === 'pending';
+    }
+
+    /**
+     * Whether the previous credentials can still be restored
+     */
+    public function canRollback(): bool
+    {
+        return $this->status === 'completed' && $this->rollback_until?->isFuture();
+    }
+}
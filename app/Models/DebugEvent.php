@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\MassPrunable;
+use Illuminate\Database\Eloquent\Model;
+
+class DebugEvent extends Model
+{
+    use MassPrunable;
+
+    /**
+     * Encoded like JSON.stringify, so searching the stored text matches searching on the Debug page
+     */
+    public const PAYLOAD_FLAGS = JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE;
+
+    protected $guarded = [];
+
+    public $casts = [
+        'occurred_at' => 'datetime',
+    ];
+
+    /**
+     * Events past the retention period, removed by the scheduled model:prune
+     */
+    public function prunable(): Builder
+    {
+        return static::query()->where('occurred_at', '<', now()->subDays((int) config('soketi.debug_events.keep_days', 7)));
+    }
+
+    /**
+     * Shape the event the way the Debug page and NewDebugEvents broadcasts expect it
+     */
+    public function toDebugArray(): array
+    {
+        return array_merge(json_decode($this->payload, true) ?? [], [
+            'debug_uuid' => (string) $this->id,
+            'pusher_created_at' => $this->occurred_at->toDateTimeString(),
+        ]);
+    }
+
+    /**
+     * Flat row for JSON, CSV and NDJSON exports
+     */
+    public function toExportArray(): array
+    {
+        return [
+            'id' => $this->id,
+            'occurred_at' => $this->occurred_at->toIso8601String(),
+            'name' => $this->name,
+            'channel' => $this->channel,
+            'event' => $this->event,
+            'user_id' => $this->user_id,
+            'socket_id' => $this->socket_id,
+            'payload' => json_decode($this->payload, true),
+        ];
+    }
+}
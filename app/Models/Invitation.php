@@ -0,0 +1,35 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\URL;
+
+class Invitation extends Model
+{
+    protected $guarded = [];
+
+    protected $casts = [
+        'expires_at' => 'datetime',
+        'accepted_at' => 'datetime',
+    ];
+
+    public function inviter(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'invited_by');
+    }
+
+    public function isPending(): bool
+    {
+        return $this->accepted_at === null && $this->expires_at->isFuture();
+    }
+
+    /**
+     * Signed link to the accept page, valid until the invitation expires
+     */
+    public function url(): string
+    {
+        return URL::temporarySignedRoute('invitations.accept', $this->expires_at, ['invitation' => $this->id]);
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class SoketiServer extends Model
+{
+    protected $guarded = [];
+
+    public $casts = [
+        'websocket_port' => 'integer',
+        'metrics_port' => 'integer',
+        'enabled' => 'boolean',
+    ];
+
+    /**
+     * The single server described by config/soketi.php, used until servers are registered
+     */
+    public static function fromConfig(): self
+    {
+        $host = config('soketi.host', 'soketi');
+
+        return new self([
+            'name' => 'default',
+            'cluster' => 'default',
+            'scheme' => config('soketi.scheme', 'http'),
+            'host' => preg_replace('#^https?://#', '', rtrim($host, '/')),
+            'websocket_port' => (int) config('soketi.websocket_port', 6001),
+            'metrics_port' => (int) config('soketi.metrics_port', 9601),
+            'database_connection' => null,
+            'enabled' => true,
+        ]);
+    }
+
+    /**
+     * Key the scraper stores this node's metrics under
+     */
+    public function cacheKey(): string
+    {
+        return $this->exists ? (string) $this->id : 'default';
+    }
+
+    /**
+     * Base URL of the metrics server, without a path
+     */
+    public function metricsBaseUrl(): string
+    {
+        $url = $this->metrics_url ?: "{$this->scheme}://{$this->host}:{$this->metrics_port}";
+
+        // Accept the full /metrics URL as well as the server root
+        return preg_replace('#/metrics/?$#', '', rtrim($url, '/'));
+    }
+
+    /**
+     * Scheme, host and port browsers and apps connect to. The server from config/soketi.php is often
+     * only reachable internally, so it uses the client settings there instead.
+     */
+    public function clientEndpoint(): array
+    {
+        if ($this->exists) {
+            return ['scheme' => $this->scheme, 'host' => $this->host, 'port' => $this->websocket_port];
+        }
+
+        return [
+            'scheme' => config('soketi.client.scheme', 'http'),
+            'host' => preg_replace('#^https?://#', '', rtrim(config('soketi.client.host', 'soketi'), '/')),
+            'port' => (int) config('soketi.client.port', 6001),
+        ];
+    }
+
+    /**
+     * URL of the Pusher-compatible HTTP and WebSocket server
+     */
+    public function websocketUrl(): string
+    {
+        return "{$this->scheme}://{$this->host}:{$this->websocket_port}";
+    }
+}
@@ -4,6 +4,7 @@
 
 // use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
 use Laravel\Sanctum\HasApiTokens;
@@ -12,6 +13,16 @@ class User extends Authenticatable
 {
     use HasApiTokens, HasFactory, Notifiable;
 
+    /**
+     * Roles, from most to least access. Admins see every app; everyone else only the apps granted to them
+     */
+    public const ROLES = ['admin', 'developer', 'viewer'];
+
+    /**
+     * Grant roles keyed by "connection|app_id", loaded once per request
+     */
+    protected ?array $grantRoles = null;
+
     /**
      * The attributes that are mass assignable.
      *
@@ -40,5 +51,65 @@ class User extends Authenticatable
      */
     protected $casts = [
         'email_verified_at' => 'datetime',
+        'deactivated_at' => 'datetime',
+        'password_reset_required' => 'boolean',
     ];
+
+    /**
+     * Anyone may register while registration is enabled, or while there are no users so the first admin can sign up
+     */
+    public static function registrationOpen(): bool
+    {
+        return config('auth.registration') || ! static::query()->exists();
+    }
+
+    public function grants(): HasMany
+    {
+        return $this->hasMany(AppGrant::class);
+    }
+
+    public function isAdmin(): bool
+    {
+        return $this->role === 'admin';
+    }
+
+    public function isActive(): bool
+    {
+        return $this->deactivated_at === null;
+    }
+
+    /**
+     * Why the user can't use the dashboard right now, or null when they can
+     */
+    public function blockedReason(): ?string
+    {
+        if (! $this->isActive()) {
+            return trans('auth.deactivated');
+        }
+
+        return $this->password_reset_required ? trans('auth.reset_required') : null;
+    }
+
+    /**
+     * The user's role on an app, or null when they have no access to it. A grant never gives more
+     * than the user's own role, so demoting a developer to viewer takes effect on every app.
+     */
+    public function roleFor(App $app): ?string
+    {
+        if ($this->isAdmin()) {
+            return 'admin';
+        }
+
+        $this->grantRoles ??= $this->grants()->get()
+            ->mapWithKeys(fn (AppGrant $grant) => ["{$grant->connection}|{$grant->app_id}" => $grant->role])
+            ->all();
+
+        $granted = $this->grantRoles["{$app->connectionKey()}|{$app->id}"] ?? null;
+
+        if ($granted === null) {
+            return null;
+        }
+
+        return self::ROLES[max(array_search($granted, self::ROLES), array_search($this->role, self::ROLES))];
+    }
 }
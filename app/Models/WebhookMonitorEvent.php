@@ -0,0 +1,28 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\MassPrunable;
+use Illuminate\Database\Eloquent\Model;
+
+class WebhookMonitorEvent extends Model
+{
+    use MassPrunable;
+
+    protected $guarded = [];
+
+    public $casts = [
+        'signature_valid' => 'boolean',
+        'sent_at' => 'datetime',
+        'received_at' => 'datetime',
+    ];
+
+    /**
+     * Deliveries past the retention period, removed by the scheduled model:prune
+     */
+    public function prunable(): Builder
+    {
+        return static::query()->where('received_at', '<', now()->subDays((int) config('soketi.webhook_monitor.keep_days', 7)));
+    }
+}
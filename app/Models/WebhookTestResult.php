@@ -0,0 +1,17 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class WebhookTestResult extends Model
+{
+    protected $guarded = [];
+
+    public $casts = [
+        'request_headers' => 'array',
+        'response_headers' => 'array',
+        'status' => 'integer',
+        'duration_ms' => 'integer',
+    ];
+}
@@ -0,0 +1,50 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\AlertEvent;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+
+class AlertStateChanged extends Notification
+{
+    use Queueable;
+
+    private AlertEvent $event;
+
+    public function __construct(AlertEvent $event)
+    {
+        $this->event = $event;
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @param  mixed  $notifiable
+     * @return array
+     */
+    public function via($notifiable)
+    {
+        return ['mail'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     *
+     * @param  mixed  $notifiable
+     * @return \Illuminate\Notifications\Messages\MailMessage
+     */
+    public function toMail($notifiable)
+    {
+        $rule = $this->event->rule;
+        $firing = $this->event->status === 'firing';
+
+        $message = (new MailMessage)
+            ->subject(($firing ? '[FIRING] ' : '[RESOLVED] ') . $rule->name)
+            ->line($this->event->message)
+            ->action('View alert history', route('apps.alerts.history'));
+
+        return $firing ? $message->error() : $message->success();
+    }
+}
@@ -17,6 +17,7 @@ class NewDebugEvents implements ShouldBroadcast
 
     protected $events;
     protected $appId;
+    protected $connection;
     protected $timestamp;
 
     /**
@@ -24,10 +25,20 @@ class NewDebugEvents implements ShouldBroadcast
      *
      * @return void
      */
-    public function __construct(Collection $events, $appId)
+    public function __construct(Collection $events, $appId, string $connection)
     {
         $this->events = $events;
         $this->appId = $appId;
+        $this->connection = $connection;
+    }
+
+    /**
+     * Private channel for an app's debug events, authorised in routes/channels.php.
+     * App IDs can repeat across clusters, so the name carries the app's connection too.
+     */
+    public static function channelName(string $connection, $appId): string
+    {
+        return "debug-events.{$connection}.{$appId}";
     }
 
     /**
@@ -37,7 +48,7 @@ public function __construct(Collection $events, $appId)
      */
     public function broadcastOn()
     {
-        return new Channel('events_' . $this->appId);
+        return new PrivateChannel(static::channelName($this->connection, $this->appId));
     }
 
     /**
@@ -47,6 +58,8 @@ public function broadcastOn()
      */
     public function broadcastWith()
     {
-        return $this->events->toArray();
+        return [
+            'events' => $this->events->values()->toArray(),
+        ];
     }
 }
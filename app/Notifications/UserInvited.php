@@ -0,0 +1,48 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Invitation;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+
+class UserInvited extends Notification
+{
+    use Queueable;
+
+    private Invitation $invitation;
+
+    public function __construct(Invitation $invitation)
+    {
+        $this->invitation = $invitation;
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @param  mixed  $notifiable
+     * @return array
+     */
+    public function via($notifiable)
+    {
+        return ['mail'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     *
+     * @param  mixed  $notifiable
+     * @return \Illuminate\Notifications\Messages\MailMessage
+     */
+    public function toMail($notifiable)
+    {
+        $inviter = $this->invitation->inviter?->name ?? 'An admin';
+
+        return (new MailMessage)
+            ->subject('You have been invited to ' . config('app.name'))
+            ->line("{$inviter} invited you to the Soketi dashboard as {$this->invitation->role}.")
+            ->action('Accept invitation', $this->invitation->url())
+            ->line('This invitation expires ' . $this->invitation->expires_at->diffForHumans() . '.');
+    }
+}
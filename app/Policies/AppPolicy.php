@@ -0,0 +1,38 @@
+<?php
+
+namespace App\Policies;
+
+use App\Models\App;
+use App\Models\User;
+
+class AppPolicy
+{
+    /**
+     * See the app, its metrics, channels and webhooks
+     */
+    public function view(User $user, App $app): bool
+    {
+        return $user->roleFor($app) !== null;
+    }
+
+    /**
+     * Reveal the app secret, or use it through the inspector
+     */
+    public function viewSecret(User $user, App $app): bool
+    {
+        return in_array($user->roleFor($app), ['admin', 'developer']);
+    }
+
+    /**
+     * Change settings, limits, webhooks and credentials, and send events
+     */
+    public function update(User $user, App $app): bool
+    {
+        return in_array($user->roleFor($app), ['admin', 'developer']);
+    }
+
+    public function create(User $user): bool
+    {
+        return in_array($user->role, ['admin', 'developer']);
+    }
+}
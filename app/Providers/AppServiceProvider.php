@@ -2,7 +2,9 @@
 
 namespace App\Providers;
 
+use Illuminate\Support\Facades\Event;
 use Illuminate\Support\ServiceProvider;
+use Spatie\WebhookClient\Events\InvalidWebhookSignatureEvent;
 
 class AppServiceProvider extends ServiceProvider
 {
@@ -14,6 +16,14 @@ class AppServiceProvider extends ServiceProvider
     public function register()
     {
         $this->app->singleton(\App\Services\UploadMetricsTracker::class);
+        $this->app->singleton(\App\Services\AppUsageMetrics::class);
+        $this->app->singleton(\App\Services\SoketiHttpClient::class);
+        $this->app->singleton(\App\Services\ExportStreamer::class);
+        $this->app->singleton(\App\Services\AlertEvaluator::class);
+        $this->app->singleton(\App\Services\WebhookTester::class);
+        $this->app->singleton(\App\Services\WebhookMonitor::class);
+        $this->app->singleton(\App\Services\SoketiServers::class);
+        $this->app->singleton(\App\Services\CredentialRotator::class);
     }
 
     /**
@@ -23,6 +33,6 @@ public function register()
      */
     public function boot()
     {
-        //
+        Event::listen(InvalidWebhookSignatureEvent::class, \App\Listeners\RecordMonitorSignatureFailure::class);
     }
 }
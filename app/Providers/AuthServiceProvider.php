@@ -2,7 +2,8 @@
 
 namespace App\Providers;
 
-// use Illuminate\Support\Facades\Gate;
+use App\Models\User;
+use Illuminate\Support\Facades\Gate;
 use Illuminate\Foundation\Support\Providers\AuthServiceProvider as ServiceProvider;
 
 class AuthServiceProvider extends ServiceProvider
@@ -13,7 +14,7 @@ class AuthServiceProvider extends ServiceProvider
      * @var array<class-string, class-string>
      */
     protected $policies = [
-        // 'App\Models\Model' => 'App\Policies\ModelPolicy',
+        \App\Models\App::class => \App\Policies\AppPolicy::class,
     ];
 
     /**
@@ -25,6 +26,7 @@ public function boot()
     {
         $this->registerPolicies();
 
-        //
+        // Users, servers and alert rules span every app
+        Gate::define('admin', fn (User $user) => $user->isAdmin());
     }
 }
@@ -17,7 +17,7 @@ class RouteServiceProvider extends ServiceProvider
      *
      * @var string
      */
-    public const HOME = '/apps';
+    public const HOME = '/apps/overview';
 
     /**
      * Define your route model bindings, pattern filters, and other route configuration.
@@ -48,5 +48,10 @@ protected function configureRateLimiting()
         RateLimiter::for('api', function (Request $request) {
             return Limit::perMinute(60)->by($request->user()?->id ?: $request->ip());
         });
+
+        // The monitor endpoint is public, so cap what a single sender can push at it
+        RateLimiter::for('webhook-monitor', function (Request $request) {
+            return Limit::perMinute((int) config('soketi.webhook_monitor.rate_limit', 1200))->by($request->ip());
+        });
     }
 }
@@ -0,0 +1,183 @@
+<?php
+
+namespace App\Services;
+
+use App\Jobs\SendAlertNotifications;
+use App\Models\AlertEvent;
+use App\Models\AlertRule;
+use Carbon\Carbon;
+use Illuminate\Support\Facades\Cache;
+
+class AlertEvaluator
+{
+    /**
+     * Metrics a rule can watch. Server-scoped metrics ignore the rule's app.
+     */
+    public const METRICS = [
+        'connections' => ['label' => 'Connections', 'type' => 'number', 'scope' => 'app'],
+        'memory' => ['label' => 'Memory (heap used)', 'type' => 'bytes', 'scope' => 'server'],
+        'disconnection_rate' => ['label' => 'Disconnections per second', 'type' => 'number', 'scope' => 'app'],
+        'upload_failure_rate' => ['label' => 'Upload failure rate, last hour', 'type' => 'percentage', 'scope' => 'server'],
+    ];
+
+    public const OPERATORS = ['>', '>=', '<', '<='];
+
+    private UploadMetricsTracker $uploadTracker;
+
+    public function __construct(UploadMetricsTracker $uploadTracker)
+    {
+        $this->uploadTracker = $uploadTracker;
+    }
+
+    /**
+     * Evaluate every enabled rule against the latest scrape of its cluster
+     */
+    public function evaluate(): void
+    {
+        $now = Carbon::now();
+
+        AlertRule::query()
+            ->where('enabled', true)
+            ->get()
+            ->each(function (AlertRule $rule) use ($now) {
+                $server = Cache::get("soketi:processed_metrics:cluster:{$rule->connection}", []);
+
+                // Nothing has been scraped from the rule's cluster yet
+                if (! empty($server)) {
+                    $this->evaluateRule($rule, $server, $now);
+                }
+            });
+    }
+
+    /**
+     * Move a rule between ok, pending and firing, recording and notifying on firing/resolved
+     */
+    private function evaluateRule(AlertRule $rule, array $server, Carbon $now): void
+    {
+        $value = $this->currentValue($rule, $server);
+
+        if ($value === null) {
+            return;
+        }
+
+        $rule->last_value = $value;
+        $rule->last_evaluated_at = $now;
+
+        if ($this->breached($value, $rule->operator, $rule->threshold)) {
+            if ($rule->state === 'ok') {
+                $rule->state = 'pending';
+                $rule->pending_since = $now;
+            }
+
+            if ($rule->state === 'pending' && $rule->pending_since->diffInSeconds($now) >= $rule->duration) {
+                $rule->state = 'firing';
+                $rule->save();
+
+                $this->record($rule, 'firing', $value);
+
+                return;
+            }
+
+            $rule->save();
+
+            return;
+        }
+
+        $wasFiring = $rule->state === 'firing';
+
+        $rule->state = 'ok';
+        $rule->pending_since = null;
+        $rule->save();
+
+        if ($wasFiring) {
+            $this->record($rule, 'resolved', $value);
+        }
+    }
+
+    /**
+     * Resolve a rule whose condition was edited or disabled, so it starts over from ok
+     */
+    public function reset(AlertRule $rule): void
+    {
+        $wasFiring = $rule->state === 'firing';
+
+        $rule->state = 'ok';
+        $rule->pending_since = null;
+        $rule->save();
+
+        if ($wasFiring) {
+            $this->record($rule, 'resolved', $rule->last_value ?? 0.0, "{$rule->name} was edited or disabled while firing");
+        }
+    }
+
+    /**
+     * Current value of the rule's metric, or null when there's nothing to compare yet
+     */
+    private function currentValue(AlertRule $rule, array $server): ?float
+    {
+        $metrics = $rule->app_id && self::METRICS[$rule->metric]['scope'] === 'app'
+            ? Cache::get("soketi:processed_metrics:app:{$rule->connection}:{$rule->app_id}")
+            : $server;
+
+        // The cluster was scraped but the app wasn't in it: it's idle or gone, so it has no connections
+        if ($metrics === null) {
+            return in_array($rule->metric, ['connections', 'disconnection_rate']) ? 0.0 : null;
+        }
+
+        switch ($rule->metric) {
+            case 'connections':
+                return isset($metrics['connections']['current']) ? (float) $metrics['connections']['current'] : null;
+
+            case 'memory':
+                return isset($server['system']['memory_usage']) ? (float) $server['system']['memory_usage'] : null;
+
+            case 'disconnection_rate':
+                $interval = $metrics['scrape_interval'] ?? null;
+
+                return $interval
+                    ? round(($metrics['connections']['disconnections_since_last_scrape'] ?? 0) / $interval, 2)
+                    : null;
+
+            case 'upload_failure_rate':
+                $lastHour = $this->uploadTracker->getRealtimeMetrics()['last_hour'] ?? [];
+                $finished = ($lastHour['completed'] ?? 0) + ($lastHour['failed'] ?? 0);
+
+                return $finished > 0 ? round((($lastHour['failed'] ?? 0) / $finished) * 100, 2) : 0.0;
+        }
+
+        return null;
+    }
+
+    private function breached(float $value, string $operator, float $threshold): bool
+    {
+        return match ($operator) {
+            '>' => $value > $threshold,
+            '>=' => $value >= $threshold,
+            '<' => $value < $threshold,
+            '<=' => $value <= $threshold,
+            default => false,
+        };
+    }
+
+    /**
+     * Add the transition to the alert history and send its notifications
+     */
+    private function record(AlertRule $rule, string $status, float $value, ?string $message = null): void
+    {
+        $metric = self::METRICS[$rule->metric]['label'];
+        $scope = $rule->app_id ? "app {$rule->app_id}" : 'the server';
+
+        $event = AlertEvent::create([
+            'alert_rule_id' => $rule->id,
+            'app_id' => $rule->app_id,
+            'status' => $status,
+            'value' => $value,
+            'threshold' => $rule->threshold,
+            'message' => $message ?? ($status === 'firing'
+                ? "{$metric} on {$scope} is {$value}, {$rule->operator} {$rule->threshold}"
+                : "{$metric} on {$scope} is back to {$value}"),
+        ]);
+
+        SendAlertNotifications::dispatch($event);
+    }
+}
@@ -0,0 +1,105 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\App;
+use Illuminate\Support\Facades\Cache;
+use Carbon\Carbon;
+
+class AppUsageMetrics
+{
+    /**
+     * App limits that can be compared against live usage, mapped to the usage figure
+     * they are measured against. Soketi doesn't expose per-type event counters, so
+     * client events are approximated by WebSocket messages received and backend
+     * events by HTTP API calls received.
+     */
+    public const LIMIT_USAGE = [
+        'max_connections' => 'connections',
+        'max_client_events_per_sec' => 'client_events_per_sec',
+        'max_backend_events_per_sec' => 'backend_events_per_sec',
+    ];
+
+    /**
+     * Minutes of connection counts the scraper keeps per app for the overview sparklines
+     */
+    public const HISTORY_MINUTES = 60;
+
+    /**
+     * Get the latest scraped usage for an app along with its limit utilisation
+     */
+    public function current(App $app): array
+    {
+        $metrics = Cache::get("soketi:processed_metrics:app:{$app->metricsKey()}", []);
+        $interval = $metrics['scrape_interval'] ?? null;
+
+        $usage = [
+            'connections' => $metrics['connections']['current'] ?? 0,
+            'messages_per_sec' => $this->rate($metrics['websockets']['messages_sent_since_last_scrape'] ?? 0, $interval),
+            'client_events_per_sec' => $this->rate($metrics['websockets']['messages_received_since_last_scrape'] ?? 0, $interval),
+            'backend_events_per_sec' => $this->rate($metrics['http']['calls_received_since_last_scrape'] ?? 0, $interval),
+            'bytes_per_sec' => $this->rate(
+                ($metrics['data_transfer']['bytes_received_since_last_scrape'] ?? 0) + ($metrics['data_transfer']['bytes_sent_since_last_scrape'] ?? 0),
+                $interval
+            ),
+        ];
+
+        return [
+            'usage' => $usage,
+            'limits' => $this->limitUtilisation($app, $usage),
+            'scraped_at' => $metrics['scraped_at'] ?? null,
+        ];
+    }
+
+    /**
+     * Compare usage figures against the app's configured limits
+     */
+    public function limitUtilisation(App $app, array $usage): array
+    {
+        $utilisation = [];
+
+        foreach (self::LIMIT_USAGE as $limit => $usageKey) {
+            // -1 (or an unset limit) means unlimited
+            $max = (int) ($app->{$limit} ?? -1);
+            $value = $usage[$usageKey] ?? 0;
+
+            $utilisation[$limit] = [
+                'usage' => $value,
+                'limit' => $max > 0 ? $max : null,
+                'percentage' => $max > 0 ? round(($value / $max) * 100, 1) : null,
+            ];
+        }
+
+        return $utilisation;
+    }
+
+    /**
+     * Get per-minute connection counts for an app over the last hour, oldest first, from the
+     * rolling summary the scraper keeps (see ScrapeMetrics::storeConnectionHistory)
+     */
+    public function connectionHistory(App $app): array
+    {
+        $recorded = Cache::get("soketi:connection_history:app:{$app->metricsKey()}", []);
+        $startTime = Carbon::now()->subMinutes(self::HISTORY_MINUTES - 1)->startOfMinute();
+        $history = [];
+
+        for ($i = 0; $i < self::HISTORY_MINUTES; $i++) {
+            $timestamp = $startTime->copy()->addMinutes($i)->timestamp;
+
+            $history[] = [
+                'timestamp' => $timestamp,
+                'connections' => $recorded[$timestamp] ?? 0,
+            ];
+        }
+
+        return $history;
+    }
+
+    /**
+     * Convert a since-last-scrape delta into a per-second rate
+     */
+    private function rate(int $delta, ?int $interval): float
+    {
+        return $interval ? round($delta / $interval, 2) : 0;
+    }
+}
@@ -0,0 +1,90 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\App;
+use App\Models\SoketiServer;
+
+class ConnectionSnippets
+{
+    /**
+     * Snippets rendered from resources/snippets/{name}.stub, in the order they're shown
+     */
+    public const SNIPPETS = [
+        'pusher-js' => 'pusher-js',
+        'echo' => 'Laravel Echo',
+        'laravel-env' => 'Laravel .env',
+        'node' => 'Node pusher',
+        'curl' => 'curl (HTTP API)',
+    ];
+
+    /**
+     * Stands in for the secret, which never leaves the server in snippets; the UI fills it in once revealed
+     */
+    public const SECRET_PLACEHOLDER = '<APP_SECRET>';
+
+    private SoketiServers $servers;
+
+    public function __construct(SoketiServers $servers)
+    {
+        $this->servers = $servers;
+    }
+
+    /**
+     * Every snippet for an app, as [name, label, code]
+     */
+    public function forApp(App $app): array
+    {
+        $values = $this->values($app);
+
+        return collect(self::SNIPPETS)
+            ->map(fn ($label, $name) => [
+                'name' => $name,
+                'label' => $label,
+                'code' => $this->render($name, $values),
+            ])
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Fill a snippet template's {{ placeholders }}
+     */
+    public function render(string $name, array $values): string
+    {
+        $template = file_get_contents(resource_path("snippets/{$name}.stub"));
+
+        $replacements = collect($values)->mapWithKeys(fn ($value, $key) => ["{{ {$key} }}" => (string) $value])->all();
+
+        return trim(strtr($template, $replacements));
+    }
+
+    /**
+     * Placeholder values for an app, with the client-facing host and port of the cluster it lives in
+     */
+    private function values(App $app): array
+    {
+        ['scheme' => $scheme, 'host' => $host, 'port' => $port] = $this->endpoint($app);
+
+        return [
+            'app_id' => $app->id,
+            'key' => $app->key,
+            'secret' => self::SECRET_PLACEHOLDER,
+            'host' => $host,
+            'port' => $port,
+            'scheme' => $scheme,
+            'use_tls' => $scheme === 'https' ? 'true' : 'false',
+            'base_url' => "{$scheme}://{$host}:{$port}",
+        ];
+    }
+
+    /**
+     * Where clients of the app connect: a server of its cluster, or the client settings in config/soketi.php
+     */
+    private function endpoint(App $app): array
+    {
+        $server = $this->servers->clusters()->firstWhere('connection_key', $app->connectionKey())['servers'][0] ?? null;
+
+        return ($server ?? SoketiServer::fromConfig())->clientEndpoint();
+    }
+}
@@ -0,0 +1,183 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\App;
+use App\Models\CredentialRotation;
+use App\Models\User;
+use Carbon\Carbon;
+use Closure;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Str;
+use Throwable;
+
+class CredentialRotator
+{
+    /**
+     * Generate new credentials for an app, to be swapped in at the given time or by hand
+     */
+    public function stage(App $app, ?Carbon $cutoverAt, ?User $user): CredentialRotation
+    {
+        // Only one set of staged credentials per app
+        $this->rotations($app)->where('status', 'pending')->update(['status' => 'cancelled']);
+
+        $key = strtolower(Str::random(20));
+        $secret = strtolower(Str::random(20));
+
+        return CredentialRotation::create([
+            'app_id' => (string) $app->id,
+            'connection' => $app->connectionKey(),
+            'user_id' => $user?->id,
+            'new_key' => $key,
+            'new_secret' => $secret,
+            'new_fingerprint' => CredentialRotation::fingerprint($key, $secret),
+            'scheduled_at' => $cutoverAt,
+        ]);
+    }
+
+    /**
+     * Swap the staged credentials in, keeping the current ones for rollback. Returns false when the
+     * rotation stopped being pending in the meantime, e.g. the scheduled command got to it first.
+     */
+    public function cutover(CredentialRotation $rotation): bool
+    {
+        return $this->locked($rotation, function (CredentialRotation $locked, App $app) {
+            if (! $locked->isPending()) {
+                return false;
+            }
+
+            [$previousKey, $previousSecret] = [$app->key, $app->secret];
+
+            $app->key = $locked->new_key;
+            $app->secret = $locked->new_secret;
+            $app->save();
+
+            $locked->update([
+                'status' => 'completed',
+                'previous_key' => $previousKey,
+                'previous_secret' => $previousSecret,
+                'previous_fingerprint' => CredentialRotation::fingerprint($previousKey, $previousSecret),
+                'completed_at' => now(),
+                'rollback_until' => now()->addMinutes((int) config('soketi.credential_rotation.rollback_minutes', 60)),
+            ]);
+
+            return true;
+        });
+    }
+
+    /**
+     * Put the credentials from before the cutover back. Returns why that was refused, or null once done.
+     */
+    public function rollback(CredentialRotation $rotation): ?string
+    {
+        return $this->locked($rotation, function (CredentialRotation $locked, App $app) {
+            if (! $locked->canRollback()) {
+                return 'The rollback window for this rotation has closed';
+            }
+
+            // A later rotation would be undone as well
+            if ($app->key !== $locked->new_key) {
+                return 'The credentials have changed since this rotation';
+            }
+
+            $app->key = $locked->previous_key;
+            $app->secret = $locked->previous_secret;
+            $app->save();
+
+            $locked->update(['status' => 'rolled_back', 'rolled_back_at' => now()]);
+
+            return null;
+        });
+    }
+
+    /**
+     * Cut over every rotation whose scheduled time has come, returning how many went through.
+     * A rotation that can't be cut over, e.g. because its app is gone, is marked failed so the rest still run.
+     */
+    public function cutoverDue(): int
+    {
+        $due = CredentialRotation::query()
+            ->where('status', 'pending')
+            ->whereNotNull('scheduled_at')
+            ->where('scheduled_at', '<=', now())
+            ->get();
+
+        return $due->filter(function (CredentialRotation $rotation) {
+            try {
+                return $this->cutover($rotation);
+            } catch (Throwable $e) {
+                Log::error('Scheduled credential cutover failed', [
+                    'rotation_id' => $rotation->id,
+                    'app_id' => $rotation->app_id,
+                    'connection' => $rotation->connection,
+                    'error' => $e->getMessage(),
+                ]);
+
+                $rotation->update(['status' => 'failed']);
+
+                return false;
+            }
+        })->count();
+    }
+
+    /**
+     * Rotation history for an app, newest first
+     */
+    public function history(App $app): Collection
+    {
+        return $this->rotations($app)->with('user:id,name')->latest('id')->get();
+    }
+
+    /**
+     * Look up one of an app's rotations, failing with a 404 if it belongs elsewhere
+     */
+    public function find(App $app, string $id): CredentialRotation
+    {
+        return $this->rotations($app)->findOrFail($id);
+    }
+
+    /**
+     * Secrets Soketi may be signing webhooks with: the current one, and any replaced within the rollback window
+     */
+    public function acceptedSecrets(App $app): array
+    {
+        $since = now()->subMinutes((int) config('soketi.credential_rotation.rollback_minutes', 60));
+
+        $replaced = $this->rotations($app)
+            ->where(fn ($query) => $query
+                ->where(fn ($query) => $query->where('status', 'completed')->where('completed_at', '>=', $since))
+                ->orWhere(fn ($query) => $query->where('status', 'rolled_back')->where('rolled_back_at', '>=', $since)))
+            ->get()
+            ->map(fn (CredentialRotation $rotation) => $rotation->status === 'completed' ? $rotation->previous_secret : $rotation->new_secret);
+
+        return $replaced->prepend($app->secret)->filter()->unique()->values()->all();
+    }
+
+    private function rotations(App $app)
+    {
+        return CredentialRotation::query()
+            ->where('app_id', (string) $app->id)
+            ->where('connection', $app->connectionKey());
+    }
+
+    /**
+     * Run a change to a rotation and its app with both rows locked, so a cutover and a rollback, or the
+     * scheduled command and a user, can't act on the same rotation at once. The app lives in its cluster's
+     * database, which may not be the one holding the rotation, so each connection gets its own transaction.
+     */
+    private function locked(CredentialRotation $rotation, Closure $callback)
+    {
+        $result = DB::connection($rotation->connection)->transaction(fn () => DB::transaction(function () use ($rotation, $callback) {
+            $locked = CredentialRotation::query()->whereKey($rotation->id)->lockForUpdate()->firstOrFail();
+            $app = App::on($rotation->connection)->lockForUpdate()->findOrFail($rotation->app_id);
+
+            return $callback($locked, $app);
+        }));
+
+        $rotation->refresh();
+
+        return $result;
+    }
+}
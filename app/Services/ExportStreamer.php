@@ -0,0 +1,123 @@
+<?php
+
+namespace App\Services;
+
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+class ExportStreamer
+{
+    public const FORMATS = ['json', 'csv', 'ndjson'];
+
+    private const CONTENT_TYPES = [
+        'json' => 'application/json',
+        'csv' => 'text/csv',
+        'ndjson' => 'application/x-ndjson',
+    ];
+
+    /**
+     * Rows written between flushes, so large exports reach the browser as they're produced
+     */
+    private const FLUSH_EVERY = 500;
+
+    /**
+     * Leading characters that make spreadsheet apps read a CSV cell as a formula
+     */
+    private const FORMULA_PREFIXES = ['=', '+', '-', '@', "\t", "\r"];
+
+    /**
+     * Stream rows to the browser as a file download without building the file in memory
+     */
+    public function download(iterable $rows, string $filename, string $format): StreamedResponse
+    {
+        return response()->streamDownload(function () use ($rows, $format) {
+            $output = fopen('php://output', 'w');
+
+            match ($format) {
+                'csv' => $this->writeCsv($output, $rows),
+                'ndjson' => $this->writeNdjson($output, $rows),
+                default => $this->writeJson($output, $rows),
+            };
+
+            fclose($output);
+        }, "{$filename}.{$format}", [
+            'Content-Type' => self::CONTENT_TYPES[$format] ?? self::CONTENT_TYPES['json'],
+            // Stop nginx from buffering the whole download
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
+    /**
+     * Write a JSON array one element at a time
+     *
+     * @param resource $output
+     */
+    private function writeJson($output, iterable $rows): void
+    {
+        fwrite($output, '[');
+        $count = 0;
+
+        foreach ($rows as $row) {
+            fwrite($output, ($count === 0 ? "\n" : ",\n") . json_encode($row));
+            $this->flushPeriodically(++$count);
+        }
+
+        fwrite($output, "\n]\n");
+    }
+
+    /**
+     * Write one JSON document per line
+     *
+     * @param resource $output
+     */
+    private function writeNdjson($output, iterable $rows): void
+    {
+        $count = 0;
+
+        foreach ($rows as $row) {
+            fwrite($output, json_encode($row) . "\n");
+            $this->flushPeriodically(++$count);
+        }
+    }
+
+    /**
+     * Write CSV with a header taken from the first row, JSON-encoding any nested values.
+     * Payloads come from clients, so cells that would run as a formula are escaped.
+     *
+     * @param resource $output
+     */
+    private function writeCsv($output, iterable $rows): void
+    {
+        $count = 0;
+
+        foreach ($rows as $row) {
+            if ($count === 0) {
+                fputcsv($output, array_keys($row));
+            }
+
+            fputcsv($output, array_map(
+                fn ($value) => $this->csvCell(is_array($value) ? json_encode($value) : $value),
+                array_values($row)
+            ));
+            $this->flushPeriodically(++$count);
+        }
+    }
+
+    /**
+     * Prefix text that starts like a formula with a quote, so it's shown as text. Numbers such as -1 are left alone.
+     */
+    private function csvCell($value)
+    {
+        if (is_string($value) && $value !== '' && ! is_numeric($value) && in_array($value[0], self::FORMULA_PREFIXES, true)) {
+            return "'" . $value;
+        }
+
+        return $value;
+    }
+
+    private function flushPeriodically(int $written): void
+    {
+        if ($written % self::FLUSH_EVERY === 0) {
+            flush();
+        }
+    }
+}
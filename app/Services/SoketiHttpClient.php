@@ -0,0 +1,32 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\App;
+use Pusher\Pusher;
+
+class SoketiHttpClient
+{
+    private SoketiServers $servers;
+
+    public function __construct(SoketiServers $servers)
+    {
+        $this->servers = $servers;
+    }
+
+    /**
+     * Build a Pusher-compatible HTTP API client for an app, signed with its key and secret
+     */
+    public function forApp(App $app): Pusher
+    {
+        $server = $this->servers->apiServer();
+
+        return new Pusher($app->key, $app->secret, (string) $app->id, [
+            'scheme' => $server->scheme,
+            'useTLS' => $server->scheme === 'https',
+            'host' => $server->host,
+            'port' => $server->websocket_port,
+            'timeout' => (int) config('soketi.http_timeout', 10),
+        ]);
+    }
+}
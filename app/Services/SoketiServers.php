@@ -0,0 +1,111 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\App;
+use App\Models\SoketiServer;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\Log;
+
+class SoketiServers
+{
+    /**
+     * Session key holding the cluster picked in the server switcher
+     */
+    public const SESSION_KEY = 'soketi.cluster';
+
+    /**
+     * Servers loaded by all(), kept for the rest of the request as most pages ask for them several times
+     */
+    private ?Collection $servers = null;
+
+    /**
+     * Enabled servers, falling back to the one in config/soketi.php when none are registered
+     */
+    public function all(): Collection
+    {
+        if ($this->servers !== null) {
+            return $this->servers;
+        }
+
+        try {
+            $servers = SoketiServer::query()->where('enabled', true)->orderBy('cluster')->orderBy('name')->get();
+        } catch (\Exception $e) {
+            Log::warning('Could not load Soketi servers, using config/soketi.php', ['error' => $e->getMessage()]);
+            $servers = collect();
+        }
+
+        return $this->servers = $servers->isEmpty() ? collect([SoketiServer::fromConfig()]) : $servers;
+    }
+
+    /**
+     * Forget the loaded servers, after one was added, changed or removed
+     */
+    public function flush(): void
+    {
+        $this->servers = null;
+    }
+
+    /**
+     * Servers grouped by cluster, with the database connection their apps live in
+     */
+    public function clusters(): Collection
+    {
+        return $this->all()
+            ->groupBy('cluster')
+            ->map(function (Collection $servers, string $cluster) {
+                $connection = $servers->pluck('database_connection')->filter()->first();
+
+                return [
+                    'name' => $cluster,
+                    'database_connection' => $connection,
+                    // Same as App::connectionKey() for the cluster's apps, used to keep their metrics apart
+                    'connection_key' => $connection ?? config('database.default'),
+                    'servers' => $servers->values(),
+                ];
+            })
+            ->values();
+    }
+
+    /**
+     * Cluster picked in the server switcher, or the first one
+     */
+    public function current(): array
+    {
+        $clusters = $this->clusters();
+        $selected = request()->hasSession() ? request()->session()->get(self::SESSION_KEY) : null;
+
+        return $clusters->firstWhere('name', $selected) ?? $clusters->first();
+    }
+
+    /**
+     * Remember the cluster to work with for the rest of the session
+     */
+    public function switchTo(string $cluster): void
+    {
+        abort_unless($this->clusters()->contains('name', $cluster), 404, 'Cluster not found');
+
+        request()->session()->put(self::SESSION_KEY, $cluster);
+    }
+
+    /**
+     * Server used for HTTP API calls in the current cluster
+     */
+    public function apiServer(): SoketiServer
+    {
+        return $this->current()['servers']->first();
+    }
+
+    /**
+     * Every app with this ID in any cluster, for requests such as Soketi's webhooks that carry no session.
+     * App IDs can repeat across clusters, so callers have to tell them apart, e.g. by signing secret or connection.
+     */
+    public function findApps(string $appId, ?string $connection = null): Collection
+    {
+        return $this->clusters()
+            ->when($connection, fn ($clusters) => $clusters->where('connection_key', $connection))
+            ->map(fn (array $cluster) => App::on($cluster['connection_key'])->find($appId))
+            ->filter()
+            ->values();
+    }
+}
@@ -9,7 +9,7 @@
 
 class UploadMetricsTracker
 {
-    private const CACHE_TTL = 300; // 5 minutes
+    private const REALTIME_CACHE_TTL = 10; // at most a couple of dashboard polls behind
     private const REALTIME_CACHE_KEY = 'soketi:upload_metrics:realtime';
     private const HOURLY_CACHE_KEY = 'soketi:upload_metrics:hourly:';
     
@@ -34,7 +34,6 @@ public function trackUploadPrepared(string $uploadId, int $userId, array $metada
                 'updated_at' => Carbon::now(),
             ]);
             
-            $this->updateRealtimeMetrics('prepared');
             $this->incrementHourlyMetric('total_uploads');
             
         } catch (\Exception $e) {
@@ -106,7 +105,6 @@ public function trackUploadCompleted(string $uploadId, int $userId, int $videoId
                 ]);
             }
             
-            $this->updateRealtimeMetrics('completed');
             $this->incrementHourlyMetric('completed_uploads');
             $this->updateCompletionRate();
             
@@ -180,7 +178,6 @@ public function trackUploadFailed(string $uploadId, int $userId, array $failureD
                 ]);
             }
             
-            $this->updateRealtimeMetrics('failed');
             $this->incrementHourlyMetric('failed_uploads');
             $this->updateCompletionRate();
             
@@ -203,7 +200,7 @@ public function getRealtimeMetrics(): array
         }
         
         $metrics = $this->calculateRealtimeMetrics();
-        Cache::put(self::REALTIME_CACHE_KEY, $metrics, self::CACHE_TTL);
+        Cache::put(self::REALTIME_CACHE_KEY, $metrics, self::REALTIME_CACHE_TTL);
         
         return $metrics;
     }
@@ -325,26 +322,67 @@ public function getHourlyMetrics(int $hours = 24): array
     }
     
     /**
-     * Update real-time metrics cache
+     * Get the hourly aggregates for a range with their histograms summed up
      */
-    private function updateRealtimeMetrics(string $eventType): void
+    public function getHourlySummary(int $hours = 24): array
     {
-        $metrics = Cache::get(self::REALTIME_CACHE_KEY, []);
+        $hourly = $this->getHourlyMetrics($hours);
         
-        if (!isset($metrics['events'])) {
-            $metrics['events'] = [];
-        }
-        
-        // Add event to recent events list
-        $metrics['events'][] = [
-            'type' => $eventType,
-            'timestamp' => Carbon::now()->toISOString(),
+        $totals = [
+            'prepared' => 0,
+            'completed' => 0,
+            'failed' => 0,
+            'total_bytes' => 0,
         ];
+        $durationDistribution = [];
+        $sizeDistribution = [];
+        $weightedDuration = 0;
         
-        // Keep only last 100 events
-        $metrics['events'] = array_slice($metrics['events'], -100);
+        foreach ($hourly as $row) {
+            $totals['prepared'] += $row->total_uploads;
+            $totals['completed'] += $row->completed_uploads;
+            $totals['failed'] += $row->failed_uploads;
+            $totals['total_bytes'] += $row->total_bytes;
+            $weightedDuration += ($row->avg_duration ?? 0) * $row->completed_uploads;
+            
+            foreach ($row->duration_distribution ?? [] as $bucket => $count) {
+                $durationDistribution[$bucket] = ($durationDistribution[$bucket] ?? 0) + $count;
+            }
+            
+            foreach ($row->size_distribution ?? [] as $bucket => $count) {
+                $sizeDistribution[$bucket] = ($sizeDistribution[$bucket] ?? 0) + $count;
+            }
+        }
         
-        Cache::put(self::REALTIME_CACHE_KEY, $metrics, self::CACHE_TTL);
+        $finished = $totals['completed'] + $totals['failed'];
+        
+        return [
+            'hourly' => $hourly,
+            'totals' => array_merge($totals, [
+                'success_rate' => $finished > 0 ? round(($totals['completed'] / $finished) * 100, 2) : null,
+                'avg_duration' => $totals['completed'] > 0 ? round($weightedDuration / $totals['completed'], 2) : null,
+                'bytes_per_second' => round($totals['total_bytes'] / ($hours * 3600), 2),
+                'uploads_per_hour' => round($totals['completed'] / $hours, 2),
+            ]),
+            'duration_distribution' => $durationDistribution,
+            'size_distribution' => $sizeDistribution,
+        ];
+    }
+    
+    /**
+     * Get the most common failure reasons in a range
+     */
+    public function getTopFailureReasons(int $hours = 24, int $limit = 10): array
+    {
+        return DB::table('upload_metrics')
+            ->where('event_type', 'failed')
+            ->where('created_at', '>=', Carbon::now()->subHours($hours))
+            ->groupBy('error_code', 'error_stage', 'error_message')
+            ->selectRaw('error_code, error_stage, error_message, COUNT(*) as count, SUM(CASE WHEN retryable THEN 1 ELSE 0 END) as retryable_count, MAX(failed_at) as last_failed_at')
+            ->orderByDesc('count')
+            ->limit($limit)
+            ->get()
+            ->toArray();
     }
     
     /**
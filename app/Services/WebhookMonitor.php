@@ -0,0 +1,268 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\App;
+use App\Models\WebhookMonitorEvent;
+use Carbon\Carbon;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Str;
+
+class WebhookMonitor
+{
+    /**
+     * Header the shadow webhook carries so deliveries can be tied back to the monitored webhook
+     */
+    public const HEADER = 'X-Monitor-Webhook-Id';
+
+    /**
+     * DATE_FORMAT patterns matching the bucket keys volume() builds in PHP
+     */
+    private const SQL_BUCKETS = ['hour' => '%Y-%m-%d %H:00', 'minute' => '%Y-%m-%d %H:%i'];
+
+    /**
+     * Whether a webhook entry is a shadow registered by the monitor
+     */
+    public function isShadow(array $webhook): bool
+    {
+        return isset($webhook['monitor_for']);
+    }
+
+    /**
+     * Turn monitoring on or off for a webhook by adding or removing its shadow
+     */
+    public function toggle(App $app, string $webhookId): void
+    {
+        $webhooks = collect($app->webhooks);
+
+        if ($webhooks->contains(fn ($webhook) => ($webhook['monitor_for'] ?? null) === $webhookId)) {
+            $app->webhooks = $webhooks->reject(fn ($webhook) => ($webhook['monitor_for'] ?? null) === $webhookId)->values();
+
+            return;
+        }
+
+        $source = $webhooks->first(fn ($webhook) => (string) ($webhook['id'] ?? '') === $webhookId);
+
+        abort_if(! $source || $this->isShadow($source), 404, 'Webhook not found');
+
+        $app->webhooks = $webhooks->push($this->shadowFor($app, $source, [
+            'id' => (string) Str::uuid(),
+            'monitor_since' => now()->toIso8601String(),
+        ]))->values();
+    }
+
+    /**
+     * Keep shadows in step with the webhooks they monitor, dropping any whose webhook is gone
+     */
+    public function sync(App $app): void
+    {
+        $webhooks = collect($app->webhooks);
+        $sources = $webhooks->reject(fn ($webhook) => $this->isShadow($webhook))->keyBy(fn ($webhook) => (string) ($webhook['id'] ?? ''));
+
+        $app->webhooks = $webhooks
+            ->filter(fn ($webhook) => ! $this->isShadow($webhook) || $sources->has($webhook['monitor_for']))
+            ->map(fn ($webhook) => $this->isShadow($webhook)
+                ? $this->shadowFor($app, $sources->get($webhook['monitor_for']), $webhook)
+                : $webhook)
+            ->values();
+    }
+
+    /**
+     * Store a single row for a delivery whose signature didn't check out, since its events can't be trusted
+     */
+    public function recordSignatureFailure(App $app, string $webhookId): void
+    {
+        WebhookMonitorEvent::create([
+            'app_id' => (string) $app->id,
+            'connection' => $app->connectionKey(),
+            'webhook_id' => $webhookId,
+            'signature_valid' => false,
+            'received_at' => now(),
+        ]);
+    }
+
+    /**
+     * Store every event in a signed delivery Soketi made to a shadow webhook
+     */
+    public function record(string $appId, string $connection, string $webhookId, array $payload, ?int $webhookCallId = null): void
+    {
+        $sentAt = isset($payload['time_ms']) ? Carbon::createFromTimestampMs($payload['time_ms']) : null;
+        $events = $payload['events'] ?? [];
+
+        // Keep a row for deliveries that carried no readable events, so they still count as a delivery
+        foreach ($events ?: [[]] as $event) {
+            WebhookMonitorEvent::create([
+                'webhook_call_id' => $webhookCallId,
+                'app_id' => $appId,
+                'connection' => $connection,
+                'webhook_id' => $webhookId,
+                'name' => $event['name'] ?? null,
+                'channel' => $event['channel'] ?? null,
+                'signature_valid' => true,
+                'sent_at' => $sentAt,
+                'received_at' => now(),
+            ]);
+        }
+    }
+
+    /**
+     * Volume by event type, gaps and signature failures for a monitored webhook over the last hours
+     */
+    public function summary(App $app, array $webhook, int $hours): array
+    {
+        $shadow = collect($app->webhooks)->first(fn ($item) => ($item['monitor_for'] ?? null) === (string) $webhook['id']);
+        $from = now()->subHours($hours);
+        $granularity = $hours > 6 ? 'hour' : 'minute';
+
+        $events = fn () => WebhookMonitorEvent::query()
+            ->where('app_id', (string) $app->id)
+            ->where('connection', $app->connectionKey())
+            ->where('webhook_id', (string) $webhook['id'])
+            ->where('received_at', '>=', $from);
+        $valid = fn () => $events()->where('signature_valid', true);
+
+        $totals = $events()
+            ->selectRaw('
+                COUNT(CASE WHEN signature_valid THEN 1 END) as events,
+                COUNT(CASE WHEN NOT signature_valid THEN 1 END) as signature_failures,
+                MAX(CASE WHEN signature_valid THEN received_at END) as last_received_at,
+                AVG(CASE WHEN signature_valid THEN TIMESTAMPDIFF(SECOND, sent_at, received_at) END) as avg_delay
+            ')
+            ->toBase()
+            ->first();
+
+        return [
+            'monitoring' => (bool) $shadow,
+            'monitor_since' => $shadow['monitor_since'] ?? null,
+            'granularity' => $granularity,
+            'totals' => [
+                'events' => (int) $totals->events,
+                'signature_failures' => (int) $totals->signature_failures,
+                'by_type' => $valid()
+                    ->selectRaw("COALESCE(name, 'unknown') as type, COUNT(*) as count")
+                    ->groupBy('type')
+                    ->toBase()
+                    ->pluck('count', 'type')
+                    ->map(fn ($count) => (int) $count),
+                'last_received_at' => $totals->last_received_at ? Carbon::parse($totals->last_received_at)->toIso8601String() : null,
+                // Both timestamps only keep whole seconds
+                'avg_delay_ms' => $totals->avg_delay === null ? null : (int) round($totals->avg_delay * 1000),
+            ],
+            'volume' => $this->volume($valid(), $from, $granularity),
+            'gaps' => $this->gaps($valid(), $this->gapWindowStart($from, $shadow), (bool) $shadow),
+            'signature_failures' => $events()
+                ->where('signature_valid', false)
+                ->latest('received_at')
+                ->limit(50)
+                ->get(['received_at', 'name', 'channel'])
+                ->map(fn ($event) => [
+                    'received_at' => $event->received_at->toIso8601String(),
+                    'name' => $event->name,
+                    'channel' => $event->channel,
+                ]),
+        ];
+    }
+
+    /**
+     * Copy of a webhook pointed at the monitor endpoint, with the same events and filters
+     */
+    private function shadowFor(App $app, array $source, array $shadow): array
+    {
+        $shadow = array_merge($shadow, [
+            'url' => config('soketi.webhook_monitor.url') ?: url('/webhooks/monitor'),
+            'event_types' => $source['event_types'] ?? [],
+            // SoketiSignatureValidator looks up the signing secret by the app headers
+            'headers' => array_merge($app->webhookHeaders(), [self::HEADER => (string) $source['id']]),
+            'monitor_for' => (string) $source['id'],
+        ]);
+
+        if (! empty($source['filter'])) {
+            $shadow['filter'] = $source['filter'];
+        } else {
+            unset($shadow['filter']);
+        }
+
+        return $shadow;
+    }
+
+    /**
+     * Events per bucket and type, including empty buckets
+     */
+    private function volume(Builder $events, Carbon $from, string $granularity): array
+    {
+        $format = $granularity === 'hour' ? 'Y-m-d H:00' : 'Y-m-d H:i';
+        $step = $granularity === 'hour' ? 'addHour' : 'addMinute';
+        $counts = $events
+            ->selectRaw("DATE_FORMAT(received_at, ?) as bucket, COALESCE(name, 'unknown') as type, COUNT(*) as count", [self::SQL_BUCKETS[$granularity]])
+            ->groupBy('bucket', 'type')
+            ->toBase()
+            ->get()
+            ->groupBy('bucket')
+            ->map(fn ($bucket) => $bucket->mapWithKeys(fn ($row) => [$row->type => (int) $row->count]));
+
+        $points = [];
+
+        $bucket = $granularity === 'hour' ? $from->copy()->startOfHour() : $from->copy()->startOfMinute();
+
+        for (; $bucket <= now(); $bucket->{$step}()) {
+            $key = $bucket->format($format);
+            $points[] = array_merge(['timestamp' => $bucket->timestamp], $counts->get($key, collect())->all());
+        }
+
+        return $points;
+    }
+
+    /**
+     * Stretches without any delivery longer than the configured gap, longest first. Gaps are at least a
+     * minute, so the first and last delivery of each minute are all that's needed to find them.
+     */
+    private function gaps(Builder $events, Carbon $from, bool $ongoing): array
+    {
+        $threshold = (int) config('soketi.webhook_monitor.gap_minutes', 5) * 60;
+        $minutes = $events
+            ->where('received_at', '>=', $from)
+            ->selectRaw('MIN(received_at) as first_received_at, MAX(received_at) as last_received_at')
+            ->groupByRaw('DATE_FORMAT(received_at, ?)', [self::SQL_BUCKETS['minute']])
+            ->orderBy('first_received_at')
+            ->toBase()
+            ->get()
+            ->map(fn ($minute) => [Carbon::parse($minute->first_received_at), Carbon::parse($minute->last_received_at)]);
+
+        // While monitoring, the time since the last delivery counts as a gap too
+        if ($ongoing) {
+            $minutes->push([now(), now()]);
+        }
+
+        $gaps = [];
+        $previous = $from;
+
+        foreach ($minutes as $index => [$first, $last]) {
+            $seconds = $previous->diffInSeconds($first);
+
+            if ($seconds >= $threshold) {
+                $gaps[] = [
+                    'from' => $previous->toIso8601String(),
+                    'to' => $first->toIso8601String(),
+                    'seconds' => $seconds,
+                    'ongoing' => $ongoing && $index === $minutes->count() - 1,
+                ];
+            }
+
+            $previous = $last;
+        }
+
+        return collect($gaps)->sortByDesc('seconds')->values()->all();
+    }
+
+    /**
+     * Gaps are only meaningful since monitoring started
+     */
+    private function gapWindowStart(Carbon $from, ?array $shadow): Carbon
+    {
+        if (! isset($shadow['monitor_since'])) {
+            return $from;
+        }
+
+        return Carbon::parse($shadow['monitor_since'])->max($from);
+    }
+}
@@ -0,0 +1,130 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\App;
+use App\Models\WebhookTestResult;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Str;
+
+class WebhookTester
+{
+    /**
+     * Sample event Soketi would send for each webhook event type
+     */
+    private const SAMPLE_EVENTS = [
+        'client_event' => [
+            'channel' => 'private-soketi-ui-test',
+            'event' => 'client-test',
+            'data' => '{"message":"Test webhook from Soketi UI"}',
+            'socket_id' => '123456.654321',
+        ],
+        'channel_occupied' => ['channel' => 'soketi-ui-test'],
+        'channel_vacated' => ['channel' => 'soketi-ui-test'],
+        'member_added' => ['channel' => 'presence-soketi-ui-test', 'user_id' => 'soketi-ui-test-user'],
+        'member_removed' => ['channel' => 'presence-soketi-ui-test', 'user_id' => 'soketi-ui-test-user'],
+    ];
+
+    /**
+     * Number of results kept per webhook
+     */
+    private int $keep;
+
+    public function __construct()
+    {
+        $this->keep = (int) config('soketi.webhook_tests.keep', 10);
+    }
+
+    /**
+     * Build the Pusher-format body for a test event
+     */
+    private function body(string $eventType): string
+    {
+        return json_encode([
+            'time_ms' => (int) round(microtime(true) * 1000),
+            'events' => [array_merge(['name' => $eventType], self::SAMPLE_EVENTS[$eventType])],
+        ]);
+    }
+
+    /**
+     * POST a signed test event to an HTTP webhook and record what came back
+     */
+    public function send(App $app, array $webhook, string $eventType): WebhookTestResult
+    {
+        $body = $this->body($eventType);
+
+        // Signed the same way Soketi signs webhooks: HMAC-SHA256 of the raw body with the app secret
+        $headers = array_merge($webhook['headers'] ?? [], [
+            'Content-Type' => 'application/json',
+            'X-Pusher-Key' => $app->key,
+            'X-Pusher-Signature' => hash_hmac('sha256', $body, $app->secret),
+        ]);
+
+        $result = new WebhookTestResult([
+            'app_id' => (string) $app->id,
+            'connection' => $app->connectionKey(),
+            'webhook_id' => (string) $webhook['id'],
+            'event_type' => $eventType,
+            'url' => $webhook['url'],
+            'request_headers' => $headers,
+            'request_body' => $body,
+        ]);
+
+        $started = microtime(true);
+
+        try {
+            $response = Http::withHeaders($headers)
+                ->withBody($body, 'application/json')
+                ->timeout((int) config('soketi.webhook_tests.timeout', 10))
+                ->post($webhook['url']);
+
+            $result->status = $response->status();
+            $result->response_headers = collect($response->headers())->map(fn ($values) => implode(', ', $values))->all();
+            $result->response_body = Str::limit($response->body(), 65535, '');
+        } catch (\Exception $e) {
+            $result->error = $e->getMessage();
+        }
+
+        $result->duration_ms = (int) round((microtime(true) - $started) * 1000);
+        $result->save();
+
+        $this->prune($result);
+
+        return $result;
+    }
+
+    /**
+     * Most recent results for a webhook, newest first
+     */
+    public function results(App $app, string $webhookId)
+    {
+        return WebhookTestResult::query()
+            ->where('app_id', (string) $app->id)
+            ->where('connection', $app->connectionKey())
+            ->where('webhook_id', $webhookId)
+            ->latest('id')
+            ->limit($this->keep)
+            ->get();
+    }
+
+    /**
+     * Drop results beyond the ones kept for the webhook
+     */
+    private function prune(WebhookTestResult $result): void
+    {
+        $keepIds = WebhookTestResult::query()
+            ->where('app_id', $result->app_id)
+            ->where('connection', $result->connection)
+            ->where('webhook_id', $result->webhook_id)
+            ->latest('id')
+            ->limit($this->keep)
+            ->pluck('id');
+
+        WebhookTestResult::query()
+            ->where('app_id', $result->app_id)
+            ->where('connection', $result->connection)
+            ->where('webhook_id', $result->webhook_id)
+            ->whereNotIn('id', $keepIds)
+            ->delete();
+    }
+}
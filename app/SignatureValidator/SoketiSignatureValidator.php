@@ -2,6 +2,9 @@
 
 namespace App\SignatureValidator;
 
+use App\Models\App;
+use App\Services\CredentialRotator;
+use App\Services\SoketiServers;
 use Spatie\WebhookClient\SignatureValidator\SignatureValidator;
 use Illuminate\Http\Request;
 use Spatie\WebhookClient\Exceptions\InvalidConfig;
@@ -27,14 +30,26 @@ public function isValid(Request $request, WebhookConfig $config): bool
             return false;
         }
 
-        $signingSecret = App::firstWhere('id', $appId)?->secret;
+        // Soketi calls carry no session, so try the app in its cluster, or every cluster for webhooks registered without one
+        $apps = app(SoketiServers::class)
+            ->findApps((string) $appId, $request->header(App::CONNECTION_HEADER))
+            ->filter(fn ($app) => ! empty($app->secret));
 
-        if (empty($signingSecret)) {
+        if ($apps->isEmpty()) {
             throw InvalidConfig::signingSecretNotSet();
         }
 
-        $computedSignature = hash_hmac('sha256', $request->getContent(), $signingSecret);
+        foreach ($apps as $app) {
+            // Soketi may keep signing with a just-replaced secret until its app cache expires
+            foreach (app(CredentialRotator::class)->acceptedSecrets($app) as $signingSecret) {
+                $computedSignature = hash_hmac('sha256', $request->getContent(), $signingSecret);
 
-        return hash_equals($signature, $computedSignature);
+                if (hash_equals($signature, $computedSignature)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
     }
 }
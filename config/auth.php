@@ -108,4 +108,22 @@
 
     'password_timeout' => 10800,
 
+    /*
+    |--------------------------------------------------------------------------
+    | Registration & Invitations
+    |--------------------------------------------------------------------------
+    |
+    | Public registration is off by default, as the dashboard holds every app's
+    | secret. The first admin can always register while there are no users;
+    | everyone else is invited by an admin. Invitation links expire after
+    | the given number of minutes.
+    |
+    */
+
+    'registration' => env('REGISTRATION_ENABLED', false),
+
+    'invitations' => [
+        'expire' => env('INVITATION_EXPIRE_MINUTES', 4320),
+    ],
+
 ];
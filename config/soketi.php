@@ -13,6 +13,100 @@
     'host' => env('SOKETI_HOST', 'soketi'),
     'metrics_port' => env('SOKETI_METRICS_PORT', 9601),
     'websocket_port' => env('SOKETI_WEBSOCKET_PORT', 6001),
+    'scheme' => env('SOKETI_SCHEME', 'http'),
+    'http_timeout' => env('SOKETI_HTTP_TIMEOUT', 10),
+    
+    /*
+    |--------------------------------------------------------------------------
+    | Client Connection
+    |--------------------------------------------------------------------------
+    |
+    | Host and port your applications use to reach Soketi, which may differ
+    | from the internal host above. Used in the connection snippets and the
+    | protocol inspector when no servers are registered on the Servers page.
+    |
+    */
+    
+    'client' => [
+        'host' => env('SOKETI_CLIENT_HOST', env('SOKETI_HOST', 'soketi')),
+        'port' => env('SOKETI_CLIENT_PORT', env('SOKETI_WEBSOCKET_PORT', 6001)),
+        'scheme' => env('SOKETI_CLIENT_SCHEME', env('SOKETI_SCHEME', 'http')),
+    ],
+    
+    /*
+    |--------------------------------------------------------------------------
+    | Debug Webhook
+    |--------------------------------------------------------------------------
+    |
+    | URL Soketi should call to deliver debug webhooks to this UI. Defaults to
+    | the webhook-client endpoint on APP_URL when not set.
+    |
+    */
+    
+    'debug_webhook_url' => env('SOKETI_DEBUG_WEBHOOK_URL'),
+    
+    /*
+    |--------------------------------------------------------------------------
+    | Debug Events
+    |--------------------------------------------------------------------------
+    |
+    | Days stored debug events are kept before the scheduled model:prune
+    | removes them.
+    |
+    */
+    
+    'debug_events' => [
+        'keep_days' => env('SOKETI_DEBUG_EVENTS_KEEP_DAYS', 7),
+    ],
+    
+    /*
+    |--------------------------------------------------------------------------
+    | Webhook Tests
+    |--------------------------------------------------------------------------
+    |
+    | How long a test webhook may take to answer, and how many test results
+    | are kept for each webhook.
+    |
+    */
+    
+    'webhook_tests' => [
+        'timeout' => env('SOKETI_WEBHOOK_TEST_TIMEOUT', 10),
+        'keep' => env('SOKETI_WEBHOOK_TEST_KEEP', 10),
+    ],
+    
+    /*
+    |--------------------------------------------------------------------------
+    | Webhook Delivery Monitor
+    |--------------------------------------------------------------------------
+    |
+    | URL Soketi should call with the shadow copy of a monitored webhook, how
+    | many minutes without any delivery count as a gap, and how many days of
+    | recorded deliveries the scheduled model:prune keeps (the page shows up
+    | to a week).
+    |
+    */
+    
+    'webhook_monitor' => [
+        'url' => env('SOKETI_MONITOR_WEBHOOK_URL'),
+        'gap_minutes' => env('SOKETI_MONITOR_GAP_MINUTES', 5),
+        'rate_limit' => env('SOKETI_MONITOR_RATE_LIMIT', 1200), // deliveries per minute per sender
+        'keep_days' => env('SOKETI_MONITOR_KEEP_DAYS', 7),
+    ],
+    
+    /*
+    |--------------------------------------------------------------------------
+    | Credential Rotation
+    |--------------------------------------------------------------------------
+    |
+    | Minutes after a cutover during which the previous key and secret can be
+    | restored. Webhook signatures made with the replaced secret are accepted
+    | for as long too, while Soketi's app cache still holds it.
+    |
+    */
+    
+    'credential_rotation' => [
+        'rollback_minutes' => env('SOKETI_ROTATION_ROLLBACK_MINUTES', 60),
+    ],
     
     /*
     |--------------------------------------------------------------------------
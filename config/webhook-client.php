@@ -18,7 +18,7 @@
             /*
              * The name of the header containing the signature.
              */
-            'signature_header_name' => 'Signature',
+            'signature_header_name' => 'X-Pusher-Signature',
 
             /*
              *  This class will verify that the content of the signature header is valid.
@@ -51,6 +51,7 @@
              */
             'store_headers' => [
                 'X-App-Id',
+                'X-App-Connection',
             ],
 
             /*
@@ -60,6 +61,26 @@
              */
             'process_webhook_job' => \App\Jobs\ProcessDebugWebhook::class,
         ],
+
+        /*
+         * Shadow webhooks registered by the delivery monitor. Every event Soketi
+         * sends to a monitored webhook is also sent here and recorded.
+         */
+        [
+            'name' => 'monitor',
+            'signing_secret' => env('WEBHOOK_CLIENT_SECRET'),
+            'signature_header_name' => 'X-Pusher-Signature',
+            'signature_validator' => \App\SignatureValidator\SoketiSignatureValidator::class,
+            'webhook_profile' => \Spatie\WebhookClient\WebhookProfile\ProcessEverythingWebhookProfile::class,
+            'webhook_response' => \Spatie\WebhookClient\WebhookResponse\DefaultRespondsTo::class,
+            'webhook_model' => \Spatie\WebhookClient\Models\WebhookCall::class,
+            'store_headers' => [
+                'X-App-Id',
+                'X-App-Connection',
+                'X-Monitor-Webhook-Id',
+            ],
+            'process_webhook_job' => \App\Jobs\ProcessMonitorWebhook::class,
+        ],
     ],
 
     /*
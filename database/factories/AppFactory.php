@@ -0,0 +1,34 @@
+<?php
+
+namespace Database\Factories;
+
+use Illuminate\Database\Eloquent\Factories\Factory;
+use Illuminate\Support\Str;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\App>
+ */
+class AppFactory extends Factory
+{
+    /**
+     * Define the model's default state, matching a freshly created app.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition()
+    {
+        return [
+            'id' => fake()->unique()->numberBetween(100000, 999999),
+            'key' => strtolower(Str::random(20)),
+            'secret' => strtolower(Str::random(20)),
+            'name' => fake()->words(2, true),
+            'enabled' => true,
+            'enable_client_messages' => false,
+            'enable_user_authentication' => false,
+            'max_connections' => -1,
+            'max_backend_events_per_sec' => -1,
+            'max_client_events_per_sec' => -1,
+            'max_read_req_per_sec' => -1,
+        ];
+    }
+}
@@ -0,0 +1,40 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('debug_events', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('webhook_call_id')->nullable()->constrained('webhook_calls')->cascadeOnDelete();
+            $table->string('app_id');
+            $table->string('connection'); // database of the cluster the app lives in
+            $table->string('name'); // client_event, channel_occupied, ...
+            $table->string('channel')->nullable();
+            $table->string('event')->nullable(); // client event name
+            $table->string('user_id')->nullable();
+            $table->string('socket_id')->nullable();
+            $table->longText('payload'); // raw event JSON, kept as text so it can be searched
+            $table->timestamp('occurred_at')->index();
+            $table->timestamps();
+
+            $table->index(['app_id', 'connection', 'name']);
+            $table->index(['app_id', 'connection', 'occurred_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('debug_events');
+    }
+};
@@ -0,0 +1,58 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('alert_rules', function (Blueprint $table) {
+            $table->id();
+            $table->string('name');
+            $table->string('app_id')->nullable()->index(); // null applies the rule server-wide
+            $table->string('connection'); // database of the cluster the rule watches
+            $table->string('metric'); // connections, memory, disconnection_rate, upload_failure_rate
+            $table->string('operator', 2); // >, >=, <, <=
+            $table->double('threshold');
+            $table->unsignedInteger('duration')->default(0); // seconds the condition must hold before firing
+            $table->text('mail_to')->nullable(); // comma separated addresses
+            $table->string('webhook_url')->nullable();
+            $table->boolean('enabled')->default(true);
+
+            // Evaluation state
+            $table->string('state')->default('ok'); // ok, pending, firing
+            $table->timestamp('pending_since')->nullable();
+            $table->double('last_value')->nullable();
+            $table->timestamp('last_evaluated_at')->nullable();
+
+            $table->timestamps();
+        });
+
+        Schema::create('alert_events', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('alert_rule_id')->constrained()->cascadeOnDelete();
+            $table->string('app_id')->nullable();
+            $table->string('status'); // firing, resolved
+            $table->double('value');
+            $table->double('threshold');
+            $table->string('message');
+            $table->timestamps();
+
+            $table->index(['alert_rule_id', 'created_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('alert_events');
+        Schema::dropIfExists('alert_rules');
+    }
+};
@@ -0,0 +1,41 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('webhook_test_results', function (Blueprint $table) {
+            $table->id();
+            $table->string('app_id');
+            $table->string('connection'); // database of the cluster the app lives in
+            $table->string('webhook_id'); // uuid of the webhook inside apps.webhooks
+            $table->string('event_type');
+            $table->text('url');
+            $table->json('request_headers');
+            $table->longText('request_body');
+            $table->unsignedSmallInteger('status')->nullable(); // null when no response came back
+            $table->unsignedInteger('duration_ms');
+            $table->json('response_headers')->nullable();
+            $table->longText('response_body')->nullable();
+            $table->text('error')->nullable();
+            $table->timestamps();
+
+            $table->index(['app_id', 'connection', 'webhook_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('webhook_test_results');
+    }
+};
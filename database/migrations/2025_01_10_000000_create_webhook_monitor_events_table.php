@@ -0,0 +1,38 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('webhook_monitor_events', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('webhook_call_id')->nullable()->constrained('webhook_calls')->nullOnDelete();
+            $table->string('app_id');
+            $table->string('connection'); // database of the cluster the app lives in
+            $table->string('webhook_id'); // the monitored webhook, not the shadow
+            $table->string('name')->nullable(); // client_event, channel_occupied, ...
+            $table->string('channel')->nullable();
+            $table->boolean('signature_valid');
+            $table->timestamp('sent_at')->nullable(); // time_ms Soketi put in the payload
+            $table->timestamp('received_at');
+            $table->timestamps();
+
+            $table->index(['app_id', 'connection', 'webhook_id', 'received_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('webhook_monitor_events');
+    }
+};
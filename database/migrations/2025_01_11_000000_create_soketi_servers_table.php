@@ -0,0 +1,36 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('soketi_servers', function (Blueprint $table) {
+            $table->id();
+            $table->string('name');
+            $table->string('cluster')->index(); // nodes sharing one app-manager database
+            $table->string('scheme', 5)->default('http');
+            $table->string('host');
+            $table->unsignedInteger('websocket_port')->default(6001);
+            $table->unsignedInteger('metrics_port')->default(9601);
+            $table->string('metrics_url')->nullable(); // overrides scheme://host:metrics_port
+            $table->string('database_connection')->nullable(); // config/database.php connection holding the cluster's apps table
+            $table->boolean('enabled')->default(true);
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('soketi_servers');
+    }
+};
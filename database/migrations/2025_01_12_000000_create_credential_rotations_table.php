@@ -0,0 +1,44 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('credential_rotations', function (Blueprint $table) {
+            $table->id();
+            $table->string('app_id');
+            $table->string('connection'); // database of the cluster the app lives in
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+            $table->string('status')->default('pending'); // pending, completed, rolled_back or cancelled
+            $table->string('new_key');
+            $table->text('new_secret'); // encrypted
+            $table->string('new_fingerprint');
+            $table->string('previous_key')->nullable();
+            $table->text('previous_secret')->nullable(); // encrypted
+            $table->string('previous_fingerprint')->nullable();
+            $table->timestamp('scheduled_at')->nullable(); // null when the cutover is triggered by hand
+            $table->timestamp('completed_at')->nullable();
+            $table->timestamp('rollback_until')->nullable();
+            $table->timestamp('rolled_back_at')->nullable();
+            $table->timestamps();
+
+            $table->index(['app_id', 'connection']);
+            $table->index(['status', 'scheduled_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('credential_rotations');
+    }
+};
@@ -0,0 +1,45 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->string('role')->default('viewer')->after('email'); // admin, developer or viewer
+        });
+
+        // Everyone could do everything before roles existed, so existing users keep full access
+        DB::table('users')->update(['role' => 'admin']);
+
+        Schema::create('app_grants', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('user_id')->constrained()->cascadeOnDelete();
+            $table->string('app_id');
+            $table->string('connection'); // database of the cluster the app lives in
+            $table->string('role'); // developer or viewer
+            $table->timestamps();
+
+            $table->unique(['user_id', 'app_id', 'connection']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('app_grants');
+
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn('role');
+        });
+    }
+};
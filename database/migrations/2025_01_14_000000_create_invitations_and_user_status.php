@@ -0,0 +1,41 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->timestamp('deactivated_at')->nullable()->after('role');
+            $table->boolean('password_reset_required')->default(false)->after('deactivated_at');
+        });
+
+        Schema::create('invitations', function (Blueprint $table) {
+            $table->id();
+            $table->string('email')->index();
+            $table->string('role'); // admin, developer or viewer
+            $table->foreignId('invited_by')->nullable()->constrained('users')->nullOnDelete();
+            $table->timestamp('expires_at');
+            $table->timestamp('accepted_at')->nullable();
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('invitations');
+
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn(['deactivated_at', 'password_reset_required']);
+        });
+    }
+};
@@ -15,6 +15,8 @@
 
     'failed' => 'These credentials do not match our records.',
     'password' => 'The provided password is incorrect.',
+    'deactivated' => 'This account has been deactivated.',
+    'reset_required' => 'You need to reset your password. Check your email for a reset link.',
     'throttle' => 'Too many login attempts. Please try again in :seconds seconds.',
 
 ];
@@ -0,0 +1,156 @@
+import { useEffect } from 'react';
+import { useForm } from '@inertiajs/react';
+import InputError from './InputError';
+import InputLabel from './InputLabel';
+import Modal from './Modal';
+import PrimaryButton from './PrimaryButton';
+import SecondaryButton from './SecondaryButton';
+import TextInput from './TextInput';
+
+const emptyRule = {
+    id: null,
+    name: '',
+    app_id: '',
+    metric: 'connections',
+    operator: '>',
+    threshold: '',
+    duration: 60,
+    mail_to: '',
+    webhook_url: '',
+    enabled: true,
+};
+
+const selectClassName = 'mt-1 block w-full border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm';
+
+const AlertRuleModal = ({ rule, apps, metrics, operators, show, setShow }) => {
+    const { data, setData, post, processing, errors, reset, clearErrors } = useForm(emptyRule);
+
+    useEffect(() => {
+        clearErrors();
+
+        if (!rule) {
+            reset();
+            return;
+        }
+
+        setData({
+            ...emptyRule,
+            ...rule,
+            app_id: rule.app_id ?? '',
+            mail_to: rule.mail_to ?? '',
+            webhook_url: rule.webhook_url ?? '',
+        });
+    }, [rule, show]);
+
+    const onHandleChange = (event) => {
+        setData(event.target.name, event.target.value);
+    };
+
+    // Server-wide metrics can't be scoped to an app
+    const handleMetricChange = (event) => {
+        const metric = event.target.value;
+        setData({ ...data, metric, app_id: metrics[metric]?.scope === 'server' ? '' : data.app_id });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        post('/apps/alerts/save', {
+            onSuccess: () => setShow(false),
+        });
+    };
+
+    const serverOnly = metrics[data.metric]?.scope === 'server';
+
+    return (
+        <Modal show={show} onClose={() => setShow(false)}>
+            <form onSubmit={handleSubmit} className="p-6">
+                <h2 className="text-lg font-medium text-gray-900">
+                    {rule ? 'Edit Alert Rule' : 'Create Alert Rule'}
+                </h2>
+
+                <div className="mt-6 grid grid-cols-2 gap-4">
+                    <div className="col-span-2">
+                        <InputLabel forInput="name" value="Name" />
+                        <TextInput id="name" name="name" value={data.name} className="mt-1 block w-full" handleChange={onHandleChange} />
+                        <InputError message={errors.name} className="mt-1" />
+                    </div>
+
+                    <div>
+                        <InputLabel forInput="metric" value="Metric" />
+                        <select id="metric" name="metric" value={data.metric} onChange={handleMetricChange} className={selectClassName}>
+                            {Object.entries(metrics).map(([key, metric]) => (
+                                <option key={key} value={key}>{metric.label}</option>
+                            ))}
+                        </select>
+                        <InputError message={errors.metric} className="mt-1" />
+                    </div>
+
+                    <div>
+                        <InputLabel forInput="app_id" value="App" />
+                        <select id="app_id" name="app_id" value={data.app_id} onChange={onHandleChange} disabled={serverOnly} className={selectClassName}>
+                            <option value="">All apps (server-wide)</option>
+                            {apps.map((app) => (
+                                <option key={app.id} value={app.id}>{app.name}</option>
+                            ))}
+                        </select>
+                        {serverOnly && <p className="mt-1 text-xs text-gray-500">This metric is only available server-wide</p>}
+                        <InputError message={errors.app_id} className="mt-1" />
+                    </div>
+
+                    <div className="col-span-2 grid grid-cols-3 gap-4">
+                        <div>
+                            <InputLabel forInput="operator" value="Condition" />
+                            <select id="operator" name="operator" value={data.operator} onChange={onHandleChange} className={selectClassName}>
+                                {operators.map((operator) => <option key={operator} value={operator}>{operator}</option>)}
+                            </select>
+                            <InputError message={errors.operator} className="mt-1" />
+                        </div>
+                        <div>
+                            <InputLabel forInput="threshold" value="Threshold" />
+                            <TextInput id="threshold" name="threshold" type="number" value={data.threshold} className="mt-1 block w-full" handleChange={onHandleChange} />
+                            <InputError message={errors.threshold} className="mt-1" />
+                        </div>
+                        <div>
+                            <InputLabel forInput="duration" value="For (seconds)" />
+                            <TextInput id="duration" name="duration" type="number" value={data.duration} className="mt-1 block w-full" handleChange={onHandleChange} />
+                            <InputError message={errors.duration} className="mt-1" />
+                        </div>
+                    </div>
+
+                    <div className="col-span-2">
+                        <InputLabel forInput="mail_to" value="Mail to (comma separated)" />
+                        <TextInput id="mail_to" name="mail_to" value={data.mail_to} className="mt-1 block w-full" handleChange={onHandleChange} />
+                        <InputError message={errors.mail_to} className="mt-1" />
+                    </div>
+
+                    <div className="col-span-2">
+                        <InputLabel forInput="webhook_url" value="Webhook URL" />
+                        <TextInput id="webhook_url" name="webhook_url" value={data.webhook_url} className="mt-1 block w-full" handleChange={onHandleChange} />
+                        <InputError message={errors.webhook_url} className="mt-1" />
+                    </div>
+
+                    <label className="col-span-2 flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={data.enabled}
+                            onChange={(event) => setData('enabled', event.target.checked)}
+                            className="rounded border-gray-300 text-indigo-600 shadow-sm focus:ring-indigo-500"
+                        />
+                        <span>Enabled</span>
+                    </label>
+                </div>
+
+                <div className="mt-6 flex justify-end">
+                    <SecondaryButton onClick={() => setShow(false)}>Cancel</SecondaryButton>
+
+                    <PrimaryButton className="ml-3" processing={processing}>
+                        Save
+                    </PrimaryButton>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default AlertRuleModal;
@@ -1,69 +1,117 @@
 import { useState } from 'react'
+import { usePermissions } from '@/utils/permissions';
 import AddButton from './AddButton';
+import AppKeys, { useRevealedSecret } from './AppKeys';
+import AppSettings from './AppSettings';
+import ConnectSnippets from './ConnectSnippets';
+import CredentialRotationModal from './CredentialRotationModal';
 import EditButton from './EditButton';
 import LabelledCard from './LabelledCard';
 import LimitsModal from './LimitsModal';
 import WebhookCard from './WebhookCard';
 import WebhookModal from './WebhookModal';
 import RefreshButton from './RefreshButton';
-import Modal from './Modal';
-import DangerButton from './DangerButton';
-import SecondaryButton from './SecondaryButton';
-import { router } from '@inertiajs/react';
+import ToggleGroup from './ToggleGroup';
+import UtilisationBar from './UtilisationBar';
 
 const limitItems = [
     {
         key: 'max_connections',
         label: 'Max Connections',
+        presets: [100, 1000, 10000],
     },
     {
         key: 'max_backend_events_per_sec',
         label: 'Max Backend Events Per Second',
+        presets: [10, 100, 1000],
     },
     {
         key: 'max_client_events_per_sec',
         label: 'Max Client Events Per Second',
+        presets: [10, 100, 1000],
     },
     {
         key: 'max_presence_members_per_channel',
         label: 'Max Presence Members Per Channel',
+        presets: [100, 500, 1000],
     },
     {
         key: 'max_presence_member_size_in_kb',
         label: 'Max Presence Member Size (KB)',
+        presets: [2, 5, 10],
     },
     {
         key: 'max_channel_name_length',
         label: 'Max Channel Name Length',
+        presets: [100, 200],
     },
     {
         key: 'max_event_channels_at_once',
         label: 'Max Event Channels At Once',
+        presets: [10, 100],
     },
     {
         key: 'max_read_req_per_sec',
         label: 'Max Read Requests Per Second',
+        presets: [10, 100, 1000],
     },
     {
         key: 'max_event_name_length',
         label: 'Max Event Name Length',
+        presets: [100, 200],
     },
     {
         key: 'max_event_payload_in_kb',
         label: 'Max Event Payload (KB)',
+        presets: [10, 100, 1000],
     },
     {
         key: 'max_event_batch_size',
         label: 'Max Event Batch Size',
+        presets: [10, 100],
     },
 ];
 
-export default function AppCard({ app }) {
-    const [refreshCredentialsModalOpen, setRefreshCredentialsModalOpen] = useState(false);
+// Card border for a limit utilisation percentage, matching utilisationColor
+function gaugeBorder(percentage) {
+    if (percentage >= 90) return 'border-red-400 bg-red-50';
+    if (percentage >= 75) return 'border-amber-400 bg-amber-50';
+    return 'border-gray-200';
+}
+
+// Limit card with live usage, for the limits Soketi reports usage against
+function LimitGaugeCard({ label, value, utilisation }) {
+    const percentage = utilisation?.limit ? (utilisation.percentage ?? 0) : 0;
+
+    return (
+        <div className={'p-2 border shadow-sm rounded-xl ' + gaugeBorder(percentage)}>
+            <p className="text-gray-500">{label}</p>
+            <p className="font-semibold">{value}</p>
+            {utilisation?.limit && <UtilisationBar utilisation={utilisation} className="mt-1 w-full" />}
+        </div>
+    );
+}
+
+const tabs = [
+    { label: 'Settings', value: 'settings' },
+    { label: 'Connect', value: 'connect' },
+];
+
+export default function AppCard({ app, utilisation, autoReveal }) {
+    const [tab, setTab] = useState('settings');
+    const permissions = usePermissions();
+    const canUpdate = permissions.canUpdate(app.id);
+    const canViewSecret = permissions.canViewSecret(app.id);
+    const revealed = useRevealedSecret(app, autoReveal && canViewSecret);
+    const [rotationModalOpen, setRotationModalOpen] = useState(false);
     const [limitsModalOpen, setLimitsModalOpen] = useState(false);
     const [webhookModalOpen, setWebhookModalOpen] = useState(false);
     const [currentWebhookId, setCurrentWebhookId] = useState(null);
 
+    // Shadow webhooks belong to the delivery monitor and are shown on the webhook they monitor
+    const webhooks = (app.webhooks ?? []).filter((webhook) => !webhook.monitor_for);
+    const monitoredIds = new Set((app.webhooks ?? []).filter((webhook) => webhook.monitor_for).map((webhook) => webhook.monitor_for));
+
     const createWebhook = () => {
         setCurrentWebhookId(null);
         setWebhookModalOpen(true);
@@ -74,14 +122,6 @@ export default function AppCard({ app }) {
         setWebhookModalOpen(true);
     };
 
-    const refreshCredentials = () => {
-        router.post('/apps/' + app.id + '/refresh-credentials', {}, {
-            onSuccess: () => {
-                setRefreshCredentialsModalOpen(false)
-            },
-        });
-    };
-
     return (
         <div className='bg-white overflow-hidden shadow-sm sm:rounded-lg'>
             <div className='p-6 text-gray-900 space-y-6'>
@@ -94,74 +134,79 @@ export default function AppCard({ app }) {
                         >
                             Metrics
                         </a>
+                        <a
+                            className='transition-colors duration-150 bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg border border-gray-300'
+                            href={'/apps/' + app.id + '/channels'}
+                        >
+                            Channels
+                        </a>
                         <a
                             className='transition-colors duration-150 bg-indigo-500 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg'
                             href={'/apps/' + app.id + '/debug'}
                         >
                             Debug
                         </a>
-                        <div className={'w-8 h-8 rounded-full ' + (app.enabled ? 'bg-green-500 shadow-lg' : 'bg-gray-500')} />
+                        <div title={app.enabled ? 'Enabled' : 'Disabled'} className={'w-8 h-8 rounded-full ' + (app.enabled ? 'bg-green-500 shadow-lg' : 'bg-gray-500')} />
                     </div>
                 </div>
-                <div>
-                    <div>
-                        <div className='flex items-center'>
-                            <RefreshButton onClick={() => setRefreshCredentialsModalOpen(true)} />
-                            <h3 className='pl-1 text-lg font-bold'>App Keys</h3>
-                        </div>
-                        <div className='mt-2 p-4 bg-gray-100 inline-block rounded-lg'>
-                            <p>App ID: <span className='font-bold'>{app.id}</span></p>
-                            <p>App Key: <span className='font-bold'>{app.key}</span></p>
-                            <p>App Secret: <span className='font-bold'>{app.secret}</span></p>
-                        </div>
-                    </div>
-
-                    <Modal show={refreshCredentialsModalOpen} onClose={() => setRefreshCredentialsModalOpen(false)}>
-                        <div className='p-6'>
-                            <h2 className="text-lg font-medium text-gray-900">
-                                Are you sure you want to refresh this apps credentials?
-                            </h2>
-
-                            <p className="mt-1 text-sm text-gray-600">
-                                Once your credentials have been reset, no applications you've already setup<br />
-                                will be able to authenticate against Soketi until you update the keys.
-                            </p>
+                <ToggleGroup options={tabs} value={tab} onChange={setTab} />
+                {tab === 'connect' && <ConnectSnippets app={app} revealed={revealed} canReveal={canViewSecret} />}
+                {tab === 'settings' && (
+                    <>
+                        <div>
+                            <div>
+                                <div className='flex items-center'>
+                                    {canUpdate && <RefreshButton onClick={() => setRotationModalOpen(true)} />}
+                                    <h3 className='pl-1 text-lg font-bold'>App Keys</h3>
+                                </div>
+                                <AppKeys app={app} revealed={revealed} canReveal={canViewSecret} />
+                            </div>
 
-                            <div className="mt-6 flex justify-end">
-                                <SecondaryButton onClick={() => setRefreshCredentialsModalOpen(false)}>Cancel</SecondaryButton>
+                            <CredentialRotationModal app={app} show={rotationModalOpen} setShow={setRotationModalOpen} />
+                        </div>
+                        <AppSettings app={app} readOnly={!canUpdate} />
+                        <div>
+                            <div className='flex items-center'>
+                                {canUpdate && <EditButton onClick={() => setLimitsModalOpen(true)} />}
+                                <h3 className='pl-1 text-lg font-bold'>Limits</h3>
+                            </div>
+                            <div className='pt-2 grid grid-cols-2 md:grid-cols-3 gap-4'>
+                                {limitItems.map(limitItem => {
+                                    const value = (!app[limitItem.key] || app[limitItem.key] === -1) ? '∞' : app[limitItem.key];
 
-                                <DangerButton className="ml-3" onClick={refreshCredentials}>
-                                    Refresh Credentials
-                                </DangerButton>
+                                    return utilisation && limitItem.key in utilisation
+                                        ? <LimitGaugeCard key={limitItem.key} label={limitItem.label} value={value} utilisation={utilisation[limitItem.key]} />
+                                        : <LabelledCard key={limitItem.key} label={limitItem.label} value={value} />;
+                                })}
                             </div>
+                            <LimitsModal app={app} limitItems={limitItems} show={limitsModalOpen} setShow={setLimitsModalOpen} />
                         </div>
-                    </Modal>
-                </div>
-                <div>
-                    <div className='flex items-center'>
-                        <EditButton onClick={() => setLimitsModalOpen(true)} />
-                        <h3 className='pl-1 text-lg font-bold'>Limits</h3>
-                    </div>
-                    <div className='pt-2 grid grid-cols-2 md:grid-cols-3 gap-4'>
-                        {limitItems.map(limitItem => <LabelledCard key={limitItem.key} label={limitItem.label} value={(!app[limitItem.key] || app[limitItem.key] === -1) ? '∞' : app[limitItem.key]} />)}
-                    </div>
-                    <LimitsModal app={app} limitItems={limitItems} show={limitsModalOpen} setShow={setLimitsModalOpen} />
-                </div>
-                <div>
-                    <div className='flex items-center'>
-                        <AddButton onClick={createWebhook} />
-                        <h3 className='pl-1 text-lg font-bold'>Webhooks</h3>
-                    </div>
-                    <div className='pt-2 grid lg:grid-cols-2 gap-2'>
-                        {app.webhooks && app.webhooks.map((webhook, index) => <WebhookCard key={index} appId={app.id} webhook={webhook} onEdit={() => editWebhook(webhook.id)} />)}
-                    </div>
-                    {!app.webhooks?.length && (
-                        <div className='p-4 border border-dashed text-gray-500 border-gray-200 shadow-sm rounded-xl'>
-                            No webhooks configured
+                        <div>
+                            <div className='flex items-center'>
+                                {canUpdate && <AddButton onClick={createWebhook} />}
+                                <h3 className='pl-1 text-lg font-bold'>Webhooks</h3>
+                            </div>
+                            <div className='pt-2 grid lg:grid-cols-2 gap-2'>
+                                {webhooks.map((webhook, index) => (
+                                    <WebhookCard
+                                        key={index}
+                                        appId={app.id}
+                                        webhook={webhook}
+                                        monitored={monitoredIds.has(webhook.id)}
+                                        readOnly={!canUpdate}
+                                        onEdit={() => editWebhook(webhook.id)}
+                                    />
+                                ))}
+                            </div>
+                            {!webhooks.length && (
+                                <div className='p-4 border border-dashed text-gray-500 border-gray-200 shadow-sm rounded-xl'>
+                                    No webhooks configured
+                                </div>
+                            )}
+                            <WebhookModal app={app} currentWebhookId={currentWebhookId} show={webhookModalOpen} setShow={setWebhookModalOpen} />
                         </div>
-                    )}
-                    <WebhookModal app={app} currentWebhookId={currentWebhookId} show={webhookModalOpen} setShow={setWebhookModalOpen} />
-                </div>
+                    </>
+                )}
             </div>
         </div>
     );
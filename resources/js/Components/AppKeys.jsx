@@ -0,0 +1,80 @@
+import { useEffect, useState } from "react";
+import CopyButton from "./CopyButton";
+
+const MASK = '••••••••••••••••••••';
+
+// Send the user to confirm their password when a request answered 423, landing back on the apps page
+export const confirmPasswordOnLock = (e, app) => {
+    if (e.response?.status !== 423) {
+        return false;
+    }
+
+    window.location.href = route('apps.credentials.reveal', app.id);
+    return true;
+};
+
+// Secret revealed for an app, fetched after confirming the password
+export const useRevealedSecret = (app, autoReveal) => {
+    const [secret, setSecret] = useState(null);
+    const [revealing, setRevealing] = useState(false);
+    const [error, setError] = useState(null);
+
+    const reveal = () => {
+        setRevealing(true);
+        setError(null);
+
+        window.axios.get(route('apps.credentials.secret', app.id))
+            .then(({ data }) => setSecret(data.data.secret))
+            .catch((e) => {
+                // Password not confirmed recently, confirm it and come back to reveal
+                if (confirmPasswordOnLock(e, app)) {
+                    return;
+                }
+
+                setError(e.response?.data?.message || e.message);
+            })
+            .finally(() => setRevealing(false));
+    };
+
+    useEffect(() => {
+        if (autoReveal) reveal();
+    }, [autoReveal]);
+
+    // A rotation changes the secret, so hide the one revealed before it
+    useEffect(() => setSecret(null), [app.key]);
+
+    return { secret, revealing, error, reveal, hide: () => setSecret(null) };
+};
+
+const Credential = ({ label, value, children }) => (
+    <div className="flex items-center space-x-2">
+        <p>{label}: <span className="font-mono font-bold">{value}</span></p>
+        {children}
+    </div>
+);
+
+const AppKeys = ({ app, revealed, canReveal }) => (
+    <div className="mt-2 p-4 bg-gray-100 inline-block rounded-lg">
+        <Credential label="App ID" value={app.id}>
+            <CopyButton value={String(app.id)} />
+        </Credential>
+        <Credential label="App Key" value={app.key}>
+            <CopyButton value={app.key} />
+        </Credential>
+        <Credential label="App Secret" value={revealed.secret ?? MASK}>
+            {revealed.secret ? (
+                <>
+                    <CopyButton value={revealed.secret} />
+                    <button type="button" onClick={revealed.hide} className="text-sm text-indigo-600 hover:text-indigo-800">Hide</button>
+                </>
+            ) : canReveal && (
+                <button type="button" onClick={revealed.reveal} disabled={revealed.revealing} className="text-sm text-indigo-600 hover:text-indigo-800">
+                    {revealed.revealing ? 'Revealing...' : 'Reveal'}
+                </button>
+            )}
+        </Credential>
+        {revealed.error && <p className="text-sm text-red-600">{revealed.error}</p>}
+    </div>
+);
+
+export default AppKeys;
@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { router } from '@inertiajs/react';
+import ActivePill from './ActivePill';
+import DangerButton from './DangerButton';
+import InputError from './InputError';
+import Modal from './Modal';
+import PrimaryButton from './PrimaryButton';
+import SecondaryButton from './SecondaryButton';
+
+// What switching each setting on or off does to clients of the app
+const settingItems = [
+    {
+        key: 'enabled',
+        label: 'Enabled',
+        on: 'Soketi will accept connections and HTTP API calls for this app again.',
+        off: 'Soketi will refuse new connections with error 4003 (app disabled) and reject HTTP API calls for this app. Connected clients are rejected as soon as they reconnect.',
+    },
+    {
+        key: 'enable_client_messages',
+        label: 'Client Messages',
+        on: 'Clients subscribed to private and presence channels will be able to send client-* events directly to each other.',
+        off: 'Client-* events sent by connected clients will be rejected. Events triggered from your backend are unaffected.',
+    },
+    {
+        key: 'enable_user_authentication',
+        label: 'User Authentication',
+        on: 'Clients must sign in with pusher:signin shortly after connecting. Connected clients that have not signed in will be disconnected with error 4009.',
+        off: 'Clients will no longer need to sign in after connecting. Clients that are already signed in stay connected.',
+    },
+];
+
+export default function AppSettings({ app, readOnly = false }) {
+    const [pending, setPending] = useState(null);
+    const [processing, setProcessing] = useState(false);
+    const [errors, setErrors] = useState({});
+
+    const close = () => {
+        setPending(null);
+        setErrors({});
+    };
+
+    const confirm = () => {
+        router.post('/apps/' + app.id + '/settings', { [pending.key]: !app[pending.key] }, {
+            preserveScroll: true,
+            onStart: () => setProcessing(true),
+            onFinish: () => setProcessing(false),
+            onSuccess: close,
+            onError: setErrors,
+        });
+    };
+
+    const turningOff = pending && app[pending.key];
+    const ConfirmButton = turningOff ? DangerButton : PrimaryButton;
+
+    return (
+        <div>
+            <h3 className='text-lg font-bold'>Settings</h3>
+            <div className='pt-2 grid grid-cols-2 md:grid-cols-3 gap-4'>
+                {settingItems.map((setting) => (
+                    <ActivePill
+                        key={setting.key}
+                        active={app[setting.key]}
+                        label={setting.label + (app[setting.key] ? ': On' : ': Off')}
+                        onClick={readOnly ? undefined : () => setPending(setting)}
+                    />
+                ))}
+            </div>
+
+            <Modal show={pending !== null} onClose={close}>
+                {pending && (
+                    <div className='p-6'>
+                        <h2 className="text-lg font-medium text-gray-900">
+                            {pending.key === 'enabled'
+                                ? (turningOff ? 'Disable ' : 'Enable ') + app.name + '?'
+                                : 'Turn ' + (turningOff ? 'off ' : 'on ') + pending.label.toLowerCase() + '?'}
+                        </h2>
+
+                        <p className="mt-1 text-sm text-gray-600">
+                            {turningOff ? pending.off : pending.on}
+                        </p>
+
+                        <InputError message={errors[pending.key]} className="mt-2" />
+
+                        <div className="mt-6 flex justify-end">
+                            <SecondaryButton onClick={close}>Cancel</SecondaryButton>
+
+                            <ConfirmButton type="button" className="ml-3" processing={processing} onClick={confirm}>
+                                {turningOff ? 'Turn Off' : 'Turn On'}
+                            </ConfirmButton>
+                        </div>
+                    </div>
+                )}
+            </Modal>
+        </div>
+    );
+}
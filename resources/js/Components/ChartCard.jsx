@@ -0,0 +1,11 @@
+// Chart container component
+export default function ChartCard({ title, children, height = 300, className = '' }) {
+    return (
+        <div className={`bg-white rounded-xl p-6 shadow-sm border border-gray-100 ${className}`}>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+            <div style={{ height }}>
+                {children}
+            </div>
+        </div>
+    );
+}
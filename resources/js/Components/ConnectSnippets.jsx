@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react";
+import CopyButton from "./CopyButton";
+import ToggleGroup from "./ToggleGroup";
+
+const ConnectSnippets = ({ app, revealed, canReveal }) => {
+    const [snippets, setSnippets] = useState(null);
+    const [placeholder, setPlaceholder] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setError(null);
+        window.axios.get(route('apps.snippets', app.id))
+            .then(({ data }) => {
+                setSnippets(data.data.snippets);
+                setPlaceholder(data.data.secret_placeholder);
+                setSelected((current) => current ?? data.data.snippets[0]?.name);
+            })
+            .catch((e) => setError(e.response?.data?.message || e.message));
+    }, [app.id, app.key]);
+
+    if (error) return <p className="text-sm text-red-600">Could not load snippets: {error}</p>;
+    if (!snippets) return <p className="text-sm text-gray-500">Loading snippets...</p>;
+
+    const snippet = snippets.find(({ name }) => name === selected) ?? snippets[0];
+    // The server never puts the secret in snippets, fill it in once revealed here
+    const code = revealed.secret ? snippet.code.split(placeholder).join(revealed.secret) : snippet.code;
+    const needsSecret = snippet.code.includes(placeholder);
+
+    return (
+        <div className="space-y-2">
+            <ToggleGroup
+                options={snippets.map(({ name, label }) => ({ label, value: name }))}
+                value={snippet.name}
+                onChange={setSelected}
+            />
+
+            {needsSecret && !revealed.secret && canReveal && (
+                <p className="text-sm text-gray-500">
+                    This snippet needs the app secret.{' '}
+                    <button type="button" onClick={revealed.reveal} disabled={revealed.revealing} className="text-indigo-600 hover:text-indigo-800">
+                        {revealed.revealing ? 'Revealing...' : 'Reveal it'}
+                    </button>
+                    {' '}to fill it in.
+                </p>
+            )}
+
+            <div className="relative">
+                <pre className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm overflow-auto">{code}</pre>
+                <CopyButton value={code} className="absolute top-2 right-2" />
+            </div>
+        </div>
+    );
+};
+
+export default ConnectSnippets;
@@ -0,0 +1,21 @@
+import { useState } from "react";
+import { Check, Copy } from "phosphor-react";
+
+const CopyButton = ({ value, className = '' }) => {
+    const [copied, setCopied] = useState(false);
+
+    const copy = () => {
+        navigator.clipboard.writeText(value).then(() => {
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        });
+    };
+
+    return (
+        <button type="button" title="Copy" onClick={copy} className={"p-1 rounded text-gray-500 hover:text-gray-800 hover:bg-gray-200 " + className}>
+            {copied ? <Check /> : <Copy />}
+        </button>
+    );
+};
+
+export default CopyButton;
@@ -0,0 +1,211 @@
+import { useEffect, useState } from "react";
+import { router } from "@inertiajs/react";
+import { format } from "date-fns";
+import { confirmPasswordOnLock } from "./AppKeys";
+import CopyButton from "./CopyButton";
+import DangerButton from "./DangerButton";
+import InputError from "./InputError";
+import Modal from "./Modal";
+import PrimaryButton from "./PrimaryButton";
+import SecondaryButton from "./SecondaryButton";
+import ToggleGroup from "./ToggleGroup";
+
+const STATUS_CLASSES = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    completed: 'bg-green-100 text-green-800',
+    rolled_back: 'bg-red-100 text-red-800',
+    cancelled: 'bg-gray-100 text-gray-800',
+    failed: 'bg-red-100 text-red-800',
+};
+
+const formatTime = (time) => time ? format(new Date(time), 'MMM d, HH:mm') : '-';
+
+const Credential = ({ label, value }) => (
+    <div className="flex items-center justify-between">
+        <p>{label}: <span className="font-mono font-bold">{value}</span></p>
+        <CopyButton value={value} />
+    </div>
+);
+
+const CredentialRotationModal = ({ app, show, setShow }) => {
+    const [history, setHistory] = useState([]);
+    const [mode, setMode] = useState('manual');
+    const [scheduledAt, setScheduledAt] = useState('');
+    const [staged, setStaged] = useState(null);
+    const [processing, setProcessing] = useState(false);
+    const [error, setError] = useState(null);
+    const [fieldError, setFieldError] = useState(null);
+
+    const pending = history.find(({ status }) => status === 'pending');
+
+    const loadHistory = () => {
+        window.axios.get(route('apps.credentials.rotations', app.id))
+            .then(({ data }) => setHistory(data.data))
+            .catch((e) => setError(e.response?.data?.message || e.message));
+    };
+
+    useEffect(() => {
+        if (!show) {
+            // The new secret is only ever shown right after it's generated
+            setStaged(null);
+            return;
+        }
+
+        setError(null);
+        setFieldError(null);
+        loadHistory();
+    }, [show, app.id]);
+
+    // Run an action against a rotation, then refresh the history and the keys on the card
+    const request = (url, payload = {}) => {
+        setProcessing(true);
+        setError(null);
+        setFieldError(null);
+
+        return window.axios.post(url, payload)
+            .then((response) => {
+                loadHistory();
+                router.reload({ only: ['apps'] });
+                return response.data.data;
+            })
+            .catch((e) => {
+                // Generating credentials needs a recently confirmed password, like revealing the secret
+                if (confirmPasswordOnLock(e, app)) {
+                    return;
+                }
+
+                setFieldError(e.response?.data?.errors?.scheduled_at?.[0] ?? null);
+                setError(e.response?.data?.errors ? null : (e.response?.data?.message || e.message));
+            })
+            .finally(() => setProcessing(false));
+    };
+
+    const stage = () => {
+        request(route('apps.credentials.rotate', app.id), {
+            scheduled_at: mode === 'scheduled' && scheduledAt ? new Date(scheduledAt).toISOString() : null,
+        }).then((rotation) => rotation && setStaged(rotation));
+    };
+
+    const cutover = (rotation) => {
+        if (confirm('Swap in the new credentials now? Clients still using the current key will be disconnected.')) {
+            request(route('apps.credentials.cutover', [app.id, rotation.id]));
+        }
+    };
+
+    const rollback = (rotation) => {
+        if (confirm('Restore the credentials from before this rotation?')) {
+            request(route('apps.credentials.rollback', [app.id, rotation.id]));
+        }
+    };
+
+    const cancel = (rotation) => {
+        request(route('apps.credentials.cancel', [app.id, rotation.id])).then(() => setStaged(null));
+    };
+
+    return (
+        <Modal show={show} onClose={() => setShow(false)}>
+            <div className="p-6 space-y-4">
+                <div>
+                    <h2 className="text-lg font-medium text-gray-900">Rotate Credentials</h2>
+                    <p className="mt-1 text-sm text-gray-600">
+                        New credentials are generated first and only replace the current ones at cutover, so you can roll
+                        them out to your applications beforehand. Soketi accepts one key per app, so clients must switch at cutover.
+                    </p>
+                </div>
+
+                {staged && (
+                    <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-1">
+                        <p className="text-sm font-semibold text-yellow-800">Copy these now, the secret won't be shown again.</p>
+                        <Credential label="New App Key" value={staged.new_key} />
+                        <Credential label="New App Secret" value={staged.new_secret} />
+                    </div>
+                )}
+
+                {pending ? (
+                    <div className="p-4 bg-gray-50 rounded-lg flex items-center justify-between">
+                        <p className="text-sm text-gray-700">
+                            Credentials <span className="font-mono">{pending.new_fingerprint}</span> are staged
+                            {pending.scheduled_at ? ` for cutover at ${formatTime(pending.scheduled_at)}` : ' for a manual cutover'}.
+                        </p>
+                        <div className="flex items-center space-x-2">
+                            <SecondaryButton processing={processing} onClick={() => cancel(pending)}>Cancel</SecondaryButton>
+                            <DangerButton type="button" processing={processing} onClick={() => cutover(pending)}>Cut Over Now</DangerButton>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+                        <div className="flex items-center space-x-4">
+                            <ToggleGroup
+                                options={[{ label: 'Cut over manually', value: 'manual' }, { label: 'Schedule cutover', value: 'scheduled' }]}
+                                value={mode}
+                                onChange={setMode}
+                            />
+                            {mode === 'scheduled' && (
+                                <input
+                                    type="datetime-local"
+                                    value={scheduledAt}
+                                    onChange={(event) => setScheduledAt(event.target.value)}
+                                    className="border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm text-sm"
+                                />
+                            )}
+                        </div>
+                        <InputError message={fieldError} />
+                        <PrimaryButton type="button" processing={processing} onClick={stage}>Generate New Credentials</PrimaryButton>
+                    </div>
+                )}
+
+                {error && <p className="text-sm text-red-600">{error}</p>}
+
+                <div>
+                    <h3 className="font-semibold text-gray-900">History</h3>
+                    <div className="mt-2 max-h-64 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-300 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left font-semibold text-gray-900">Rotated</th>
+                                    <th className="px-3 py-2 text-left font-semibold text-gray-900">By</th>
+                                    <th className="px-3 py-2 text-left font-semibold text-gray-900">Fingerprint</th>
+                                    <th className="px-3 py-2 text-left font-semibold text-gray-900">Status</th>
+                                    <th className="px-3 py-2" />
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {history.map((rotation) => (
+                                    <tr key={rotation.id}>
+                                        <td className="px-3 py-2 whitespace-nowrap">
+                                            {formatTime(rotation.completed_at ?? rotation.created_at)}
+                                        </td>
+                                        <td className="px-3 py-2">{rotation.user ?? 'unknown'}</td>
+                                        <td className="px-3 py-2 font-mono text-xs">
+                                            {rotation.previous_fingerprint && <span className="text-gray-500">{rotation.previous_fingerprint} &rarr; </span>}
+                                            {rotation.new_fingerprint}
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <span className={'px-2 py-0.5 rounded text-xs font-medium ' + STATUS_CLASSES[rotation.status]}>
+                                                {rotation.status.replace('_', ' ')}
+                                            </span>
+                                        </td>
+                                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                                            {rotation.can_rollback && (
+                                                <SecondaryButton processing={processing} onClick={() => rollback(rotation)}>
+                                                    Roll back until {format(new Date(rotation.rollback_until), 'HH:mm')}
+                                                </SecondaryButton>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {history.length === 0 && <p className="p-3 text-sm text-gray-500">These credentials have never been rotated</p>}
+                    </div>
+                </div>
+
+                <div className="flex justify-end">
+                    <SecondaryButton onClick={() => setShow(false)}>Close</SecondaryButton>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default CredentialRotationModal;
@@ -0,0 +1,39 @@
+const FORMATS = [
+    { value: 'json', label: 'JSON' },
+    { value: 'csv', label: 'CSV' },
+    { value: 'ndjson', label: 'NDJSON' },
+];
+
+// Builds a Laravel-style query string, sending arrays as key[]=value
+const exportUrl = (url, params, format) => {
+    const query = new URLSearchParams();
+
+    Object.entries({ ...params, format }).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            value.forEach((item) => query.append(key + '[]', item));
+        } else if (value !== undefined && value !== null && value !== '') {
+            query.append(key, value);
+        }
+    });
+
+    return url + '?' + query.toString();
+};
+
+// Plain download links so the server streams the file straight to disk
+const ExportLinks = ({ url, params = {} }) => (
+    <div className="inline-flex items-center rounded-lg border border-gray-200 overflow-hidden text-sm">
+        <span className="px-3 py-1 bg-gray-50 text-gray-500">Export</span>
+        {FORMATS.map((format) => (
+            <a
+                key={format.value}
+                href={exportUrl(url, params, format.value)}
+                download
+                className="px-3 py-1 border-l border-gray-200 bg-white text-gray-700 font-medium hover:bg-gray-50"
+            >
+                {format.label}
+            </a>
+        ))}
+    </div>
+);
+
+export default ExportLinks;
@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useEffect } from "react";
 import PrimaryButton from "./PrimaryButton";
 import InputError from "./InputError";
 import InputLabel from "./InputLabel";
@@ -7,13 +7,72 @@ import SecondaryButton from "./SecondaryButton";
 import TextInput from "./TextInput";
 import { useForm } from '@inertiajs/react';
 
+const isUnlimited = (value) => value === null || value === undefined || Number(value) === -1;
+
+// Number input with preset values and an unlimited toggle that stands in for -1
+const LimitInput = ({ limit, value, error, onChange }) => {
+    const unlimited = isUnlimited(value);
+
+    return (
+        <div>
+            <InputLabel forInput={limit.key} value={limit.label} />
+
+            <div className="mt-1 flex items-center space-x-2">
+                <div className="grow">
+                    {unlimited ? (
+                        <div className="px-3 py-2 border border-dashed border-gray-300 rounded-md text-gray-400">Unlimited</div>
+                    ) : (
+                        <TextInput
+                            id={limit.key}
+                            name={limit.key}
+                            type="number"
+                            value={value}
+                            className="block w-full"
+                            handleChange={(event) => onChange(event.target.value)}
+                        />
+                    )}
+                </div>
+                <label className="flex items-center space-x-1 text-xs text-gray-600">
+                    <input
+                        type="checkbox"
+                        checked={unlimited}
+                        onChange={(event) => onChange(event.target.checked ? -1 : limit.presets[0])}
+                        className="rounded border-gray-300 text-indigo-600 shadow-sm focus:ring-indigo-500"
+                    />
+                    <span>Unlimited</span>
+                </label>
+            </div>
+
+            <div className="mt-1 flex space-x-1">
+                {limit.presets.map((preset) => (
+                    <button
+                        key={preset}
+                        type="button"
+                        onClick={() => onChange(preset)}
+                        className={'px-2 py-0.5 rounded border text-xs ' + (Number(value) === preset ? 'border-indigo-400 text-indigo-600' : 'border-gray-200 text-gray-500 hover:border-gray-300')}
+                    >
+                        {preset.toLocaleString()}
+                    </button>
+                ))}
+            </div>
+
+            <InputError message={error} className="mt-1" />
+        </div>
+    );
+};
+
 const LimitsModal = ({ app, show, setShow, limitItems }) => {
 
-    const { data, setData, post, processing, errors, reset } = useForm(app);
+    const { data, setData, post, processing, errors, clearErrors } = useForm(
+        Object.fromEntries(limitItems.map(({ key }) => [key, app[key]]))
+    );
 
-    const onHandleChange = (event) => {
-        setData(event.target.name, event.target.value);
-    };
+    useEffect(() => {
+        if (show) {
+            clearErrors();
+            setData(Object.fromEntries(limitItems.map(({ key }) => [key, app[key]])));
+        }
+    }, [show]);
 
     const handleSubmit = (e) => {
         e.preventDefault();
@@ -32,22 +91,18 @@ const LimitsModal = ({ app, show, setShow, limitItems }) => {
 
                 <p className="mt-1 text-sm text-gray-600">
                     This will change the limits in place for this app.<br />
-                    Settings values to -1 will disable the limits.
+                    Pick a preset or type your own value, or mark a limit as unlimited to turn it off.
                 </p>
 
-                <div className="mt-6 grid grid-cols-2 gap-2">
+                <div className="mt-6 grid grid-cols-2 gap-4">
                     {limitItems.map(limit => (
-                        <div key={limit.key}>
-                            <InputLabel for={limit.key} value={limit.label} />
-
-                            <TextInput
-                                id={limit.key}
-                                name={limit.key}
-                                value={data[limit.key]}
-                                className="mt-1 block w-full"
-                                handleChange={onHandleChange}
-                            />
-                        </div>
+                        <LimitInput
+                            key={limit.key}
+                            limit={limit}
+                            value={data[limit.key]}
+                            error={errors[limit.key]}
+                            onChange={(value) => setData(limit.key, value)}
+                        />
                     ))}
                 </div>
 
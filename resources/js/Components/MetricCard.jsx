@@ -0,0 +1,28 @@
+import { COLORS, formatValue } from '@/utils/metrics';
+
+// Professional metric card component
+export default function MetricCard({ title, value, type = 'number', change = null, icon = null, color = COLORS.primary, subtitle = null }) {
+    const changeColor = change > 0 ? COLORS.success : change < 0 ? COLORS.error : COLORS.secondary;
+    
+    return (
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 hover:shadow-md transition-shadow">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide">{title}</h3>
+                {icon && <span className="text-2xl" style={{ color }}>{icon}</span>}
+            </div>
+            <div className="flex items-baseline space-x-2">
+                <span className="text-3xl font-bold text-gray-900">
+                    {formatValue(value, type)}
+                </span>
+                {change !== null && (
+                    <span className="text-sm font-medium" style={{ color: changeColor }}>
+                        {change > 0 ? '+' : ''}{formatValue(change, type)}
+                    </span>
+                )}
+            </div>
+            {subtitle && (
+                <p className="text-xs text-gray-500 mt-1">{subtitle}</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,337 @@
+import { useEffect, useRef, useState } from 'react';
+import { format } from 'date-fns';
+import InputError from './InputError';
+import InputLabel from './InputLabel';
+import PrimaryButton from './PrimaryButton';
+import SecondaryButton from './SecondaryButton';
+import TextInput from './TextInput';
+import VirtualList from './VirtualList';
+
+const MAX_FRAMES = 2000;
+const FRAME_HEIGHT = 32;
+
+// Close and pusher:error codes from the Pusher WebSocket protocol
+const ERROR_CODES = {
+    4000: 'Application only accepts SSL connections',
+    4001: 'Application does not exist',
+    4003: 'Application disabled',
+    4004: 'Application is over connection quota',
+    4005: 'Path not found',
+    4006: 'Invalid version string format',
+    4007: 'Unsupported protocol version',
+    4008: 'No protocol version supplied',
+    4009: 'Connection is unauthorized',
+    4100: 'Over capacity',
+    4200: 'Generic reconnect immediately',
+    4201: 'Pong reply not received',
+    4202: 'Closed after inactivity',
+    4301: 'Client event rejected due to rate limit',
+};
+
+const DIRECTIONS = {
+    in: { symbol: '↓', className: 'text-green-600' },
+    out: { symbol: '↑', className: 'text-blue-600' },
+    system: { symbol: '•', className: 'text-gray-400' },
+};
+
+const socketUrl = (endpoint, key) => (endpoint.scheme === 'https' ? 'wss' : 'ws') + '://' + endpoint.host + ':' + endpoint.port
+    + '/app/' + key + '?protocol=7&client=soketi-ui-inspector&version=1.0&flash=false';
+
+// Server frames double-encode "data" as a JSON string
+const decodeData = (data) => {
+    if (typeof data !== 'string') {
+        return data;
+    }
+
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+};
+
+// Pretty-print a frame with its nested data decoded, falling back to the raw text
+const prettyFrame = (frame) => {
+    try {
+        const message = JSON.parse(frame.raw);
+        return JSON.stringify({ ...message, data: decodeData(message.data) }, null, '  ');
+    } catch {
+        return frame.raw;
+    }
+};
+
+const needsAuth = (channel) => channel.startsWith('private-') || channel.startsWith('presence-');
+
+let frameId = 0;
+
+const ProtocolInspector = ({ app, endpoint }) => {
+    const [status, setStatus] = useState('disconnected');
+    const [socketId, setSocketId] = useState(null);
+    const [frames, setFrames] = useState([]);
+    const [selectedFrame, setSelectedFrame] = useState(null);
+    const [channels, setChannels] = useState({});
+    const [channelInput, setChannelInput] = useState('');
+    const [userId, setUserId] = useState('');
+    const [userInfo, setUserInfo] = useState('');
+    const [rawFrame, setRawFrame] = useState('{\n  "event": "pusher:ping",\n  "data": {}\n}');
+    const [autoPong, setAutoPong] = useState(true);
+    const [error, setError] = useState(null);
+
+    const socketRef = useRef(null);
+    const autoPongRef = useRef(autoPong);
+    autoPongRef.current = autoPong;
+
+    useEffect(() => () => socketRef.current?.close(), []);
+
+    const addFrame = (direction, raw, details = {}) => {
+        setFrames((previousFrames) => [
+            { id: ++frameId, direction, raw, time: new Date(), ...details },
+            ...previousFrames,
+        ].slice(0, MAX_FRAMES));
+    };
+
+    const setChannelState = (channel, state) => setChannels((previousChannels) => ({ ...previousChannels, [channel]: state }));
+
+    const send = (message) => {
+        const raw = JSON.stringify(message);
+        socketRef.current.send(raw);
+        addFrame('out', raw, { event: message.event, channel: message.data?.channel ?? message.channel });
+    };
+
+    const handleMessage = (raw) => {
+        let message;
+
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            addFrame('in', raw, { event: 'unparseable', error: true });
+            return;
+        }
+
+        const data = decodeData(message.data);
+        const channel = message.channel ?? data?.channel;
+        const code = message.event === 'pusher:error' ? data?.code : undefined;
+
+        addFrame('in', raw, { event: message.event, channel, code, error: message.event === 'pusher:error' || message.event === 'pusher:subscription_error' });
+
+        switch (message.event) {
+            case 'pusher:connection_established':
+                setSocketId(data.socket_id);
+                setStatus('connected');
+                break;
+            case 'pusher:ping':
+                if (autoPongRef.current) {
+                    send({ event: 'pusher:pong', data: {} });
+                }
+                break;
+            case 'pusher_internal:subscription_succeeded':
+                setChannelState(message.channel, 'subscribed');
+                break;
+            case 'pusher:subscription_error':
+                setChannelState(message.channel, 'failed');
+                break;
+        }
+    };
+
+    const connect = () => {
+        setStatus('connecting');
+        setError(null);
+        addFrame('system', 'Connecting to ' + socketUrl(endpoint, app.key));
+
+        const socket = new WebSocket(socketUrl(endpoint, app.key));
+        socketRef.current = socket;
+
+        socket.onopen = () => addFrame('system', 'WebSocket open');
+        socket.onmessage = (event) => handleMessage(event.data);
+        socket.onerror = () => addFrame('system', 'WebSocket error', { error: true });
+        socket.onclose = (event) => {
+            addFrame('system', `Closed with code ${event.code}${ERROR_CODES[event.code] ? ' (' + ERROR_CODES[event.code] + ')' : ''}${event.reason ? ': ' + event.reason : ''}`, {
+                code: event.code,
+                error: event.code >= 4000,
+            });
+            setStatus('disconnected');
+            setSocketId(null);
+            setChannels({});
+        };
+    };
+
+    const disconnect = () => socketRef.current?.close();
+
+    const subscribe = (e) => {
+        e.preventDefault();
+
+        const channel = channelInput.trim();
+
+        if (!channel || status !== 'connected') {
+            return;
+        }
+
+        setError(null);
+        setChannelState(channel, 'pending');
+
+        if (!needsAuth(channel)) {
+            send({ event: 'pusher:subscribe', data: { channel } });
+            return;
+        }
+
+        window.axios.post('/apps/' + app.id + '/inspector/auth', {
+            socket_id: socketId,
+            channel_name: channel,
+            user_id: userId || null,
+            user_info: userInfo || null,
+        })
+            .then(({ data }) => send({ event: 'pusher:subscribe', data: { channel, ...data } }))
+            .catch((error) => {
+                setChannelState(channel, 'failed');
+                setError(error.response?.data?.message ?? error.message);
+                addFrame('system', 'Auth failed for ' + channel, { error: true });
+            });
+    };
+
+    const unsubscribe = (channel) => {
+        send({ event: 'pusher:unsubscribe', data: { channel } });
+        setChannels(({ [channel]: removed, ...remaining }) => remaining);
+    };
+
+    const sendRawFrame = (e) => {
+        e.preventDefault();
+
+        try {
+            send(JSON.parse(rawFrame));
+            setError(null);
+        } catch (error) {
+            setError('Invalid JSON: ' + error.message);
+        }
+    };
+
+    return (
+        <div className="bg-white shadow-sm sm:rounded-lg p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="space-y-6">
+                <div className="flex items-center justify-between">
+                    <div>
+                        <h3 className="text-lg font-bold">Protocol inspector</h3>
+                        <p className="text-sm text-gray-500">
+                            {status === 'connected' ? 'Socket ' + socketId : status === 'connecting' ? 'Connecting...' : 'Not connected'}
+                        </p>
+                    </div>
+                    {status === 'disconnected' ? (
+                        <PrimaryButton type="button" onClick={connect}>Connect</PrimaryButton>
+                    ) : (
+                        <SecondaryButton onClick={disconnect}>Disconnect</SecondaryButton>
+                    )}
+                </div>
+
+                <form onSubmit={subscribe} className="space-y-2">
+                    <InputLabel forInput="inspector_channel" value="Subscribe to channel" />
+                    <div className="flex space-x-2">
+                        <input
+                            id="inspector_channel"
+                            value={channelInput}
+                            onChange={(event) => setChannelInput(event.target.value)}
+                            className="flex-1 border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm"
+                        />
+                        <PrimaryButton processing={status !== 'connected'}>Subscribe</PrimaryButton>
+                    </div>
+                    {channelInput.startsWith('presence-') && (
+                        <div className="grid grid-cols-2 gap-2">
+                            <div>
+                                <InputLabel forInput="inspector_user_id" value="user_id (defaults to you)" />
+                                <TextInput id="inspector_user_id" value={userId} className="mt-1 block w-full" handleChange={(event) => setUserId(event.target.value)} />
+                            </div>
+                            <div>
+                                <InputLabel forInput="inspector_user_info" value="user_info (JSON)" />
+                                <TextInput id="inspector_user_info" value={userInfo} className="mt-1 block w-full" handleChange={(event) => setUserInfo(event.target.value)} />
+                            </div>
+                        </div>
+                    )}
+                    <p className="text-xs text-gray-500">Private and presence subscriptions are signed server-side with the app secret</p>
+                </form>
+
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {Object.entries(channels).map(([channel, state]) => (
+                        <li key={channel} className="flex items-center justify-between px-3 py-2 text-sm">
+                            <span className="font-mono break-all">{channel}</span>
+                            <span className="flex items-center space-x-2">
+                                <span className={state === 'subscribed' ? 'text-green-600' : state === 'failed' ? 'text-red-600' : 'text-gray-500'}>{state}</span>
+                                <button type="button" onClick={() => unsubscribe(channel)} className="text-gray-500 hover:text-gray-800">×</button>
+                            </span>
+                        </li>
+                    ))}
+                    {Object.keys(channels).length === 0 && <li className="px-3 py-2 text-sm text-gray-500">No subscriptions</li>}
+                </ul>
+
+                <form onSubmit={sendRawFrame} className="space-y-2">
+                    <InputLabel forInput="raw_frame" value="Send raw frame" />
+                    <textarea
+                        id="raw_frame"
+                        rows={5}
+                        value={rawFrame}
+                        onChange={(event) => setRawFrame(event.target.value)}
+                        className="block w-full font-mono text-sm border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm"
+                    />
+                    <div className="flex items-center justify-between">
+                        <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={autoPong}
+                                onChange={(event) => setAutoPong(event.target.checked)}
+                                className="rounded border-gray-300 text-indigo-600 shadow-sm focus:ring-indigo-500"
+                            />
+                            <span>Answer pings automatically</span>
+                        </label>
+                        <SecondaryButton type="submit" processing={status !== 'connected'}>Send</SecondaryButton>
+                    </div>
+                </form>
+
+                <InputError message={error} />
+            </div>
+
+            <div className="lg:col-span-2 space-y-4">
+                <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-bold">Frames</h3>
+                    {frames.length > 0 && (
+                        <button type="button" onClick={() => { setFrames([]); setSelectedFrame(null); }} className="text-sm text-gray-500 hover:text-gray-800">Clear</button>
+                    )}
+                </div>
+
+                <div className="border border-gray-200 rounded-lg overflow-hidden">
+                    {frames.length ? (
+                        <VirtualList
+                            items={frames}
+                            rowHeight={FRAME_HEIGHT}
+                            height={Math.min(480, frames.length * FRAME_HEIGHT)}
+                            renderRow={(frame) => (
+                                <div
+                                    onClick={() => setSelectedFrame(frame)}
+                                    className={'flex items-center h-full px-3 space-x-3 text-xs font-mono cursor-pointer border-b border-gray-100 '
+                                        + (selectedFrame?.id === frame.id ? 'bg-indigo-50' : frame.error ? 'bg-red-50' : 'hover:bg-gray-50')}
+                                >
+                                    <span className="text-gray-400">{format(frame.time, 'HH:mm:ss.SSS')}</span>
+                                    <span className={DIRECTIONS[frame.direction].className}>{DIRECTIONS[frame.direction].symbol}</span>
+                                    <span className="font-semibold whitespace-nowrap">{frame.event ?? ''}</span>
+                                    {frame.code && <span className="text-red-600">{frame.code}</span>}
+                                    <span className="truncate text-gray-500">{frame.raw}</span>
+                                </div>
+                            )}
+                        />
+                    ) : (
+                        <p className="p-4 text-sm text-gray-500">Connect to see every frame sent and received</p>
+                    )}
+                </div>
+
+                {selectedFrame && (
+                    <div className="space-y-2">
+                        {selectedFrame.code && ERROR_CODES[selectedFrame.code] && (
+                            <p className="text-sm text-red-600">{selectedFrame.code}: {ERROR_CODES[selectedFrame.code]}</p>
+                        )}
+                        <pre className="p-4 bg-gray-800 text-white text-sm overflow-x-auto rounded-lg">
+                            {prettyFrame(selectedFrame)}
+                        </pre>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProtocolInspector;
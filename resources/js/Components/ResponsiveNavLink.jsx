@@ -1,11 +1,12 @@
 import { Link } from '@inertiajs/react';
 
-export default function ResponsiveNavLink({ method = 'get', as = 'a', href, active = false, children }) {
+export default function ResponsiveNavLink({ method = 'get', as = 'a', href, data, active = false, children }) {
     return (
         <Link
             method={method}
             as={as}
             href={href}
+            data={data}
             className={`w-full flex items-start pl-3 pr-4 py-2 border-l-4 ${
                 active
                     ? 'border-indigo-400 text-indigo-700 bg-indigo-50 focus:text-indigo-800 focus:bg-indigo-100 focus:border-indigo-700'
@@ -0,0 +1,149 @@
+import { useEffect } from 'react';
+import { useForm } from '@inertiajs/react';
+import InputError from './InputError';
+import InputLabel from './InputLabel';
+import Modal from './Modal';
+import PrimaryButton from './PrimaryButton';
+import SecondaryButton from './SecondaryButton';
+import TextInput from './TextInput';
+
+const emptyServer = {
+    id: null,
+    name: '',
+    cluster: 'default',
+    scheme: 'http',
+    host: '',
+    websocket_port: 6001,
+    metrics_port: 9601,
+    metrics_url: '',
+    database_connection: '',
+    enabled: true,
+};
+
+const selectClassName = 'mt-1 block w-full border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm';
+
+const ServerModal = ({ server, clusters, connections, show, setShow }) => {
+    const { data, setData, post, processing, errors, reset, clearErrors } = useForm(emptyServer);
+
+    useEffect(() => {
+        clearErrors();
+
+        if (!server) {
+            reset();
+            return;
+        }
+
+        setData({
+            ...emptyServer,
+            ...server,
+            metrics_url: server.metrics_url ?? '',
+            database_connection: server.database_connection ?? '',
+        });
+    }, [server, show]);
+
+    const onHandleChange = (event) => {
+        setData(event.target.name, event.target.value);
+    };
+
+    // Nodes of an existing cluster share its database, so default to it
+    const handleClusterChange = (event) => {
+        const cluster = clusters.find(({ name }) => name === event.target.value);
+        setData({ ...data, cluster: event.target.value, database_connection: cluster?.database_connection ?? data.database_connection });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        post(route('apps.servers.save'), {
+            onSuccess: () => setShow(false),
+        });
+    };
+
+    return (
+        <Modal show={show} onClose={() => setShow(false)}>
+            <form onSubmit={handleSubmit} className="p-6">
+                <h2 className="text-lg font-medium text-gray-900">
+                    {server ? 'Edit Server' : 'Add Server'}
+                </h2>
+
+                <div className="mt-6 grid grid-cols-2 gap-4">
+                    <div>
+                        <InputLabel forInput="name" value="Name" />
+                        <TextInput id="name" name="name" value={data.name} className="mt-1 block w-full" handleChange={onHandleChange} />
+                        <InputError message={errors.name} className="mt-1" />
+                    </div>
+
+                    <div>
+                        <InputLabel forInput="cluster" value="Cluster" />
+                        <TextInput id="cluster" name="cluster" value={data.cluster} className="mt-1 block w-full" handleChange={handleClusterChange} />
+                        <InputError message={errors.cluster} className="mt-1" />
+                    </div>
+
+                    <div className="col-span-2 grid grid-cols-4 gap-4">
+                        <div>
+                            <InputLabel forInput="scheme" value="Scheme" />
+                            <select id="scheme" name="scheme" value={data.scheme} onChange={onHandleChange} className={selectClassName}>
+                                <option value="http">http</option>
+                                <option value="https">https</option>
+                            </select>
+                            <InputError message={errors.scheme} className="mt-1" />
+                        </div>
+                        <div className="col-span-3">
+                            <InputLabel forInput="host" value="Host" />
+                            <TextInput id="host" name="host" value={data.host} className="mt-1 block w-full" handleChange={onHandleChange} />
+                            <InputError message={errors.host} className="mt-1" />
+                        </div>
+                    </div>
+
+                    <div>
+                        <InputLabel forInput="websocket_port" value="WebSocket / HTTP API Port" />
+                        <TextInput id="websocket_port" name="websocket_port" type="number" value={data.websocket_port} className="mt-1 block w-full" handleChange={onHandleChange} />
+                        <InputError message={errors.websocket_port} className="mt-1" />
+                    </div>
+
+                    <div>
+                        <InputLabel forInput="metrics_port" value="Metrics Port" />
+                        <TextInput id="metrics_port" name="metrics_port" type="number" value={data.metrics_port} className="mt-1 block w-full" handleChange={onHandleChange} />
+                        <InputError message={errors.metrics_port} className="mt-1" />
+                    </div>
+
+                    <div className="col-span-2">
+                        <InputLabel forInput="metrics_url" value="Metrics URL (optional, overrides scheme, host and metrics port)" />
+                        <TextInput id="metrics_url" name="metrics_url" value={data.metrics_url} className="mt-1 block w-full" handleChange={onHandleChange} />
+                        <InputError message={errors.metrics_url} className="mt-1" />
+                    </div>
+
+                    <div className="col-span-2">
+                        <InputLabel forInput="database_connection" value="App Manager Database" />
+                        <select id="database_connection" name="database_connection" value={data.database_connection} onChange={onHandleChange} className={selectClassName}>
+                            <option value="">Default connection</option>
+                            {connections.map((connection) => <option key={connection} value={connection}>{connection}</option>)}
+                        </select>
+                        <p className="mt-1 text-xs text-gray-500">Connection in config/database.php holding this cluster's apps table. Applies to every server in the cluster.</p>
+                        <InputError message={errors.database_connection} className="mt-1" />
+                    </div>
+
+                    <label className="col-span-2 flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={data.enabled}
+                            onChange={(event) => setData('enabled', event.target.checked)}
+                            className="rounded border-gray-300 text-indigo-600 shadow-sm focus:ring-indigo-500"
+                        />
+                        <span>Enabled</span>
+                    </label>
+                </div>
+
+                <div className="mt-6 flex justify-end">
+                    <SecondaryButton onClick={() => setShow(false)}>Cancel</SecondaryButton>
+
+                    <PrimaryButton className="ml-3" processing={processing}>
+                        Save
+                    </PrimaryButton>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default ServerModal;
@@ -0,0 +1,42 @@
+import { format } from 'date-fns';
+
+// Real-time status indicator
+export default function StatusIndicator({ loading, error, lastUpdate, isLive, onToggle }) {
+    if (error) {
+        return <div className="flex items-center space-x-2 text-red-500 text-sm">
+            <div className="w-2 h-2 bg-red-500 rounded-full"></div>
+            <span>Error</span>
+        </div>;
+    }
+
+    if (loading) {
+        return <div className="flex items-center space-x-2 text-yellow-500 text-sm">
+            <div className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse"></div>
+            <span>Loading...</span>
+        </div>;
+    }
+
+    return (
+        <div className="flex items-center space-x-3">
+            <div className={`flex items-center space-x-2 text-sm ${isLive ? 'text-green-500' : 'text-gray-500'}`}>
+                <div className={`w-2 h-2 rounded-full ${isLive ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`}></div>
+                <span>{isLive ? 'Live' : 'Paused'}</span>
+            </div>
+            {lastUpdate && (
+                <span className="text-xs text-gray-500">
+                    {format(lastUpdate, 'HH:mm:ss')}
+                </span>
+            )}
+            <button
+                onClick={onToggle}
+                className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                    isLive 
+                        ? 'bg-red-100 text-red-700 hover:bg-red-200' 
+                        : 'bg-green-100 text-green-700 hover:bg-green-200'
+                }`}
+            >
+                {isLive ? 'Pause' : 'Resume'}
+            </button>
+        </div>
+    );
+}
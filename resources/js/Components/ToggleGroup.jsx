@@ -0,0 +1,22 @@
+// Segmented button group used by the time-series controls
+export default function ToggleGroup({ options, value, onChange }) {
+    return (
+        <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden">
+            {options.map((option) => (
+                <button
+                    key={option.value}
+                    type="button"
+                    disabled={option.disabled}
+                    onClick={() => onChange(option.value)}
+                    className={`px-3 py-1 text-sm font-medium transition-colors ${
+                        value === option.value
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-white text-gray-700 hover:bg-gray-50'
+                    } ${option.disabled ? 'opacity-40 cursor-not-allowed' : ''}`}
+                >
+                    {option.label}
+                </button>
+            ))}
+        </div>
+    );
+}
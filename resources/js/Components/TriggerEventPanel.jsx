@@ -0,0 +1,217 @@
+import { useEffect, useMemo, useState } from 'react';
+import InputError from './InputError';
+import InputLabel from './InputLabel';
+import PrimaryButton from './PrimaryButton';
+import SecondaryButton from './SecondaryButton';
+import TextInput from './TextInput';
+
+const HISTORY_SIZE = 20;
+
+const historyKey = (appId) => 'soketi-ui:event-history:' + appId;
+
+const loadHistory = (appId) => {
+    try {
+        return JSON.parse(window.localStorage.getItem(historyKey(appId))) ?? [];
+    } catch {
+        return [];
+    }
+};
+
+// Soketi falls back to these when an app limit is -1
+const channelLimit = (app, batch) => {
+    const limit = batch ? app.max_event_batch_size : app.max_event_channels_at_once;
+    return limit > 0 ? limit : (batch ? 10 : 100);
+};
+
+const TriggerEventPanel = ({ app }) => {
+    const [channels, setChannels] = useState([]);
+    const [channelInput, setChannelInput] = useState('');
+    const [name, setName] = useState('');
+    const [data, setData] = useState('{\n  \n}');
+    const [socketId, setSocketId] = useState('');
+    const [batch, setBatch] = useState(false);
+    const [processing, setProcessing] = useState(false);
+    const [errors, setErrors] = useState({});
+    const [result, setResult] = useState(null);
+    const [history, setHistory] = useState(() => loadHistory(app.id));
+    const [occupiedChannels, setOccupiedChannels] = useState([]);
+
+    useEffect(() => {
+        window.axios.get('/apps/' + app.id + '/channels/list')
+            .then(({ data }) => setOccupiedChannels((data.data || []).map((channel) => channel.name)))
+            .catch(() => setOccupiedChannels([]));
+    }, [app.id]);
+
+    useEffect(() => {
+        window.localStorage.setItem(historyKey(app.id), JSON.stringify(history));
+    }, [history]);
+
+    const maxChannels = channelLimit(app, batch);
+
+    const jsonError = useMemo(() => {
+        try {
+            JSON.parse(data);
+            return null;
+        } catch (error) {
+            return 'Invalid JSON: ' + error.message;
+        }
+    }, [data]);
+
+    const addChannel = () => {
+        const channel = channelInput.trim();
+
+        if (channel && !channels.includes(channel) && channels.length < maxChannels) {
+            setChannels([...channels, channel]);
+        }
+
+        setChannelInput('');
+    };
+
+    const removeChannel = (channel) => setChannels(channels.filter((item) => item !== channel));
+
+    const applyHistoryEntry = (entry) => {
+        setChannels(entry.channels);
+        setName(entry.name);
+        setData(entry.data);
+        setBatch(entry.batch);
+        setSocketId('');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (jsonError) {
+            return;
+        }
+
+        const payload = { channels, name, data, batch, socket_id: socketId || null };
+
+        setProcessing(true);
+        setErrors({});
+        setResult(null);
+
+        window.axios.post('/apps/' + app.id + '/events', payload)
+            .then(({ data: response }) => {
+                setResult({ success: true, message: response.message });
+                setHistory((previousHistory) => [
+                    { channels, name, data, batch, sent_at: new Date().toISOString() },
+                    ...previousHistory.filter((entry) => entry.name !== name || entry.data !== data),
+                ].slice(0, HISTORY_SIZE));
+            })
+            .catch((error) => {
+                setErrors(error.response?.data?.errors ?? {});
+                setResult({ success: false, message: error.response?.data?.message ?? error.message });
+            })
+            .finally(() => setProcessing(false));
+    };
+
+    return (
+        <div className="bg-white shadow-sm sm:rounded-lg p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <form onSubmit={handleSubmit} className="lg:col-span-2 space-y-4">
+                <h3 className="text-lg font-bold">Trigger event</h3>
+
+                <div>
+                    <InputLabel forInput="channel" value={`Channels (${channels.length}/${maxChannels})`} />
+                    <div className="mt-1 flex space-x-2">
+                        <input
+                            id="channel"
+                            list="occupied-channels"
+                            value={channelInput}
+                            onChange={(event) => setChannelInput(event.target.value)}
+                            onKeyDown={(event) => {
+                                if (event.key === 'Enter') {
+                                    event.preventDefault();
+                                    addChannel();
+                                }
+                            }}
+                            className="flex-1 border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm"
+                        />
+                        <datalist id="occupied-channels">
+                            {occupiedChannels.map((channel) => <option key={channel} value={channel} />)}
+                        </datalist>
+                        <SecondaryButton onClick={addChannel} processing={channels.length >= maxChannels}>Add</SecondaryButton>
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                        {channels.map((channel) => (
+                            <span key={channel} className="inline-flex items-center px-2 py-1 rounded-lg bg-indigo-50 border border-indigo-200 text-sm font-mono">
+                                {channel}
+                                <button type="button" onClick={() => removeChannel(channel)} className="ml-2 text-gray-500 hover:text-gray-800">×</button>
+                            </span>
+                        ))}
+                    </div>
+                    <InputError message={errors.channels?.[0] ?? Object.keys(errors).filter((key) => key.startsWith('channels.')).map((key) => errors[key][0])[0]} className="mt-1" />
+                </div>
+
+                <div>
+                    <InputLabel forInput="name" value="Event name" />
+                    <TextInput id="name" name="name" value={name} className="mt-1 block w-full" handleChange={(event) => setName(event.target.value)} />
+                    <InputError message={errors.name?.[0]} className="mt-1" />
+                </div>
+
+                <div>
+                    <InputLabel forInput="data" value="Payload (JSON)" />
+                    <textarea
+                        id="data"
+                        rows={8}
+                        value={data}
+                        onChange={(event) => setData(event.target.value)}
+                        className="mt-1 block w-full font-mono text-sm border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm"
+                    />
+                    <InputError message={jsonError ?? errors.data?.[0]} className="mt-1" />
+                </div>
+
+                <div className="grid grid-cols-2 gap-4 items-end">
+                    <div>
+                        <InputLabel forInput="socket_id" value="Exclude socket ID (optional)" />
+                        <TextInput id="socket_id" name="socket_id" value={socketId} className="mt-1 block w-full" handleChange={(event) => setSocketId(event.target.value)} />
+                        <InputError message={errors.socket_id?.[0]} className="mt-1" />
+                    </div>
+                    <label className="flex items-center space-x-2 text-sm text-gray-700 pb-2">
+                        <input
+                            type="checkbox"
+                            checked={batch}
+                            onChange={(event) => setBatch(event.target.checked)}
+                            className="rounded border-gray-300 text-indigo-600 shadow-sm focus:ring-indigo-500"
+                        />
+                        <span>Batch mode (one event per channel via /batch_events)</span>
+                    </label>
+                </div>
+
+                <div className="flex items-center justify-between">
+                    {result ? (
+                        <p className={'text-sm ' + (result.success ? 'text-green-600' : 'text-red-600')}>{result.message}</p>
+                    ) : <span />}
+                    <PrimaryButton processing={processing || !!jsonError || channels.length === 0}>
+                        Send
+                    </PrimaryButton>
+                </div>
+            </form>
+
+            <div>
+                <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-bold">History</h3>
+                    {history.length > 0 && (
+                        <button type="button" onClick={() => setHistory([])} className="text-sm text-gray-500 hover:text-gray-800">Clear</button>
+                    )}
+                </div>
+                <div className="mt-2 space-y-2 max-h-[32rem] overflow-y-auto">
+                    {history.map((entry, index) => (
+                        <button
+                            type="button"
+                            key={index}
+                            onClick={() => applyHistoryEntry(entry)}
+                            className="w-full text-left p-2 border border-gray-200 rounded-lg hover:border-indigo-400"
+                        >
+                            <p className="font-semibold text-sm">{entry.name}</p>
+                            <p className="text-xs text-gray-500 truncate">{entry.channels.join(', ')}</p>
+                            <p className="text-xs text-gray-400 font-mono truncate">{entry.data.replace(/\s+/g, ' ')}</p>
+                        </button>
+                    ))}
+                    {history.length === 0 && <p className="text-sm text-gray-500">Sent payloads will appear here</p>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TriggerEventPanel;
@@ -0,0 +1,31 @@
+import { COLORS, formatValue } from '@/utils/metrics';
+
+// Colour for a limit utilisation percentage
+export function utilisationColor(percentage) {
+    if (percentage >= 90) return COLORS.error;
+    if (percentage >= 75) return COLORS.warning;
+    return COLORS.success;
+}
+
+// Usage against a configured limit, as a bar with the raw figures underneath
+export default function UtilisationBar({ utilisation, className = 'w-32' }) {
+    if (!utilisation || utilisation.limit === null) {
+        return <span className="text-sm text-gray-400">∞</span>;
+    }
+
+    const percentage = utilisation.percentage ?? 0;
+
+    return (
+        <div className={className}>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                    className="h-2 rounded-full"
+                    style={{ width: `${Math.min(100, percentage)}%`, backgroundColor: utilisationColor(percentage) }}
+                />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+                {formatValue(utilisation.usage, 'number', 0)} / {formatValue(utilisation.limit, 'number', 0)} ({percentage}%)
+            </p>
+        </div>
+    );
+}
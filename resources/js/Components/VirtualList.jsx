@@ -0,0 +1,32 @@
+import { useState } from 'react';
+
+// Renders only the fixed-height rows in view (plus a small overscan) so long lists stay fast
+const VirtualList = ({ items, rowHeight, height, renderRow, onEndReached, overscan = 10 }) => {
+    const [scrollTop, setScrollTop] = useState(0);
+
+    const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const last = Math.min(items.length, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+
+    const handleScroll = (event) => {
+        const { scrollTop, scrollHeight, clientHeight } = event.currentTarget;
+        setScrollTop(scrollTop);
+
+        if (onEndReached && scrollHeight - scrollTop - clientHeight < rowHeight * overscan) {
+            onEndReached();
+        }
+    };
+
+    return (
+        <div className='overflow-y-auto' style={{ height }} onScroll={handleScroll}>
+            <div className='relative' style={{ height: items.length * rowHeight }}>
+                {items.slice(first, last).map((item, index) => (
+                    <div key={first + index} className='absolute inset-x-0' style={{ top: (first + index) * rowHeight, height: rowHeight }}>
+                        {renderRow(item, first + index)}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default VirtualList;
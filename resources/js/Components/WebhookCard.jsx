@@ -5,11 +5,17 @@ import DeleteButton from "./DeleteButton";
 import Modal from "./Modal";
 import DangerButton from "./DangerButton";
 import SecondaryButton from "./SecondaryButton";
+import WebhookTestModal from "./WebhookTestModal";
 import { useState } from "react";
-import { router } from '@inertiajs/react'
+import { Link, router } from '@inertiajs/react'
 
-const WebhookCard = ({ appId, webhook, onEdit }) => {
+const WebhookCard = ({ appId, webhook, monitored = false, readOnly = false, onEdit }) => {
     const [deleteModalOpen, setDeleteModalOpen] = useState(false);
+    const [testModalOpen, setTestModalOpen] = useState(false);
+
+    const toggleMonitor = () => {
+        router.post(route('apps.webhooks.monitor.toggle', appId), { id: webhook.id }, { preserveScroll: true });
+    };
 
     const onDelete = () => {
         router.post('/apps/' + appId + '/webhooks/delete', {
@@ -19,8 +25,8 @@ const WebhookCard = ({ appId, webhook, onEdit }) => {
 
     return (
         <div className='relative grid gap-4 p-4 border border-gray-200 shadow-sm rounded-xl'>
-            {!webhook?.debug && <EditButton className="absolute right-12 top-4" onClick={onEdit} />}
-            <DeleteButton className="absolute right-4 top-4" onClick={() => setDeleteModalOpen(true)} />
+            {!readOnly && !webhook?.debug && <EditButton className="absolute right-12 top-4" onClick={onEdit} />}
+            {!readOnly && <DeleteButton className="absolute right-4 top-4" onClick={() => setDeleteModalOpen(true)} />}
             <div>
                 <p className="font-semibold text-gray-500">Type</p>
                 <p className="font-semibold">{webhook.url ? 'HTTP' : 'Lambda Function'}</p>
@@ -29,6 +35,15 @@ const WebhookCard = ({ appId, webhook, onEdit }) => {
                 <p className="font-semibold text-gray-500">{webhook.url ? 'URL' : 'Lambda Function ARN'}</p>
                 <p className="font-semibold">{webhook.url ?? webhook.lambda_function}</p>
             </div>
+            {!webhook.url && webhook.lambda && (
+                <div>
+                    <p className="font-semibold text-gray-500">Invocation</p>
+                    <p className="font-semibold">
+                        {webhook.lambda.async ? 'Async' : 'Sync'}
+                        {webhook.lambda.region && ' in ' + webhook.lambda.region}
+                    </p>
+                </div>
+            )}
             <div>
                 <p className="font-semibold text-gray-500">Event Types</p>
                 <div className="pt-2 grid grid-cols-2 md:grid-cols-3 gap-2">
@@ -46,6 +61,20 @@ const WebhookCard = ({ appId, webhook, onEdit }) => {
                     ))}
                 </div>
             )}
+            {(webhook.url || !webhook.debug) && (
+                <div className="flex items-center space-x-2">
+                    {!readOnly && webhook.url && <SecondaryButton onClick={() => setTestModalOpen(true)}>Send Test</SecondaryButton>}
+                    {!readOnly && !webhook.debug && (
+                        <SecondaryButton onClick={toggleMonitor}>{monitored ? 'Stop Monitoring' : 'Monitor Deliveries'}</SecondaryButton>
+                    )}
+                    {monitored && (
+                        <Link href={route('apps.webhooks.monitor', [appId, webhook.id])} className="text-sm text-indigo-600 hover:text-indigo-800">
+                            Deliveries
+                        </Link>
+                    )}
+                    {webhook.url && <WebhookTestModal appId={appId} webhook={webhook} show={testModalOpen} setShow={setTestModalOpen} />}
+                </div>
+            )}
             <Modal show={deleteModalOpen} onClose={setDeleteModalOpen}>
                 <div className="p-6">
                     <h2 className="text-lg font-medium text-gray-900">
@@ -0,0 +1,92 @@
+import { useEffect, useMemo, useState } from "react";
+import InputError from "./InputError";
+import InputLabel from "./InputLabel";
+import TextInput from "./TextInput";
+
+const PREVIEW_LIMIT = 20;
+
+// Same matching Soketi applies before sending a webhook for a channel
+export const matchesFilter = (channel, filter) => (
+    (!filter.channel_name_starts_with || channel.startsWith(filter.channel_name_starts_with))
+    && (!filter.channel_name_ends_with || channel.endsWith(filter.channel_name_ends_with))
+);
+
+const WebhookFilters = ({ appId, filter, errors, onChange, show }) => {
+    const [channels, setChannels] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!show) return;
+
+        setError(null);
+        window.axios.get(route('apps.channels.list', appId))
+            .then(({ data }) => setChannels(data.data.map(({ name }) => name)))
+            .catch((e) => {
+                setChannels(null);
+                setError(e.response?.data?.message || e.message);
+            });
+    }, [show, appId]);
+
+    const filtered = !!(filter.channel_name_starts_with || filter.channel_name_ends_with);
+    const matching = useMemo(
+        () => (channels ?? []).filter((channel) => matchesFilter(channel, filter)),
+        [channels, filter]
+    );
+
+    return (
+        <div className="space-y-2">
+            <InputLabel value="Channel Filters" />
+
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <InputLabel forInput="channel_name_starts_with" value="Channel name starts with" />
+                    <TextInput
+                        id="channel_name_starts_with"
+                        name="channel_name_starts_with"
+                        value={filter.channel_name_starts_with}
+                        className="mt-1 block w-full"
+                        handleChange={(event) => onChange(event.target.name, event.target.value)}
+                    />
+                    <InputError message={errors['filter.channel_name_starts_with']} className="mt-1" />
+                </div>
+                <div>
+                    <InputLabel forInput="channel_name_ends_with" value="Channel name ends with" />
+                    <TextInput
+                        id="channel_name_ends_with"
+                        name="channel_name_ends_with"
+                        value={filter.channel_name_ends_with}
+                        className="mt-1 block w-full"
+                        handleChange={(event) => onChange(event.target.name, event.target.value)}
+                    />
+                    <InputError message={errors['filter.channel_name_ends_with']} className="mt-1" />
+                </div>
+            </div>
+
+            <div className="p-2 bg-gray-50 rounded-lg text-sm">
+                {error && <p className="text-red-600">Could not load occupied channels: {error}</p>}
+                {!error && channels === null && <p className="text-gray-500">Loading occupied channels...</p>}
+                {!error && channels !== null && (
+                    <>
+                        <p className="text-gray-500">
+                            {filtered
+                                ? `${matching.length} of ${channels.length} occupied channels match`
+                                : `No filter, all ${channels.length} occupied channels match`}
+                        </p>
+                        {filtered && matching.length > 0 && (
+                            <div className="mt-1 flex flex-wrap gap-1">
+                                {matching.slice(0, PREVIEW_LIMIT).map((channel) => (
+                                    <span key={channel} className="px-2 py-0.5 bg-white border border-gray-200 rounded font-mono text-xs">{channel}</span>
+                                ))}
+                                {matching.length > PREVIEW_LIMIT && (
+                                    <span className="px-2 py-0.5 text-xs text-gray-500">and {matching.length - PREVIEW_LIMIT} more</span>
+                                )}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WebhookFilters;
@@ -9,17 +9,50 @@ import { useForm } from '@inertiajs/react';
 import { eventTypes } from "@/utils/eventTypes";
 import ActivePill from "./ActivePill";
 import AddButton from "./AddButton";
+import DeleteButton from "./DeleteButton";
+import WebhookFilters from "./WebhookFilters";
+import ToggleGroup from "./ToggleGroup";
+
+const emptyFilter = {
+    channel_name_starts_with: '',
+    channel_name_ends_with: '',
+};
+
+const emptyLambda = {
+    async: false,
+    region: '',
+    client_options: '',
+};
+
+const targets = [
+    { label: 'HTTP URL', value: 'http' },
+    { label: 'AWS Lambda', value: 'lambda' },
+];
+
+// Client options are edited as JSON text and decoded again on save
+const lambdaFormData = (lambda) => ({
+    ...emptyLambda,
+    async: !!lambda?.async,
+    region: lambda?.region ?? '',
+    client_options: lambda?.client_options ? JSON.stringify(lambda.client_options, null, 2) : '',
+});
 
 const WebhookModal = ({ app, currentWebhookId, show, setShow }) => {
     const [headers, setHeaders] = useState([]);
 
-    const { data, setData, post, processing, errors, reset } = useForm({
+    const { data, setData, post, processing, errors, reset, clearErrors } = useForm({
         id: null,
+        target: 'http',
         url: '',
+        lambda_function: '',
+        lambda: emptyLambda,
         event_types: [], 
+        filter: emptyFilter,
     });
 
     useEffect(() => {
+        clearErrors();
+
         if (! currentWebhookId || app.webhooks?.length === 0) {
             reset();
         }
@@ -28,21 +61,29 @@ const WebhookModal = ({ app, currentWebhookId, show, setShow }) => {
 
         setData({
             id: existingWebhook.id,
+            target: existingWebhook.lambda_function && !existingWebhook.url ? 'lambda' : 'http',
             url: existingWebhook.url ?? '',
+            lambda_function: existingWebhook.lambda_function ?? '',
+            lambda: lambdaFormData(existingWebhook.lambda),
             event_types: existingWebhook.event_types ?? [],
             headers: existingWebhook.headers ?? [],
+            filter: { ...emptyFilter, ...existingWebhook.filter },
         });
 
         setHeaders(Object.keys(existingWebhook.headers ?? []).map((headerKey) => ({
             key: headerKey,
             value: existingWebhook.headers[headerKey],
         })));
-    }, [currentWebhookId]);
+    }, [currentWebhookId, show]);
 
     const onHandleChange = (event) => {
         setData(event.target.name, event.target.value);
     };
 
+    const handleLambdaChange = (key, value) => {
+        setData('lambda', { ...data.lambda, [key]: value });
+    };
+
     const handleHeaderChange = (index, key, value) => {
         setHeaders((previousHeaders) => {
             let newHeaders = previousHeaders;
@@ -53,13 +94,22 @@ const WebhookModal = ({ app, currentWebhookId, show, setShow }) => {
         })
     };
 
+    // Sent as rows so validation errors can point at the header they belong to
     useEffect(() => {
         setData((previousData) => {
-            previousData.headers = Object.fromEntries(headers.map(({ key, value }) => [key, value]));
+            previousData.headers = headers;
             return {...previousData};
         });
     }, [headers])
 
+    const handleFilterChange = (key, value) => {
+        setData('filter', { ...data.filter, [key]: value });
+    };
+
+    const removeHeader = (index) => {
+        setHeaders((previousHeaders) => previousHeaders.filter((header, headerIndex) => headerIndex !== index));
+    };
+
     const handleSubmit = (e) => { 
         e.preventDefault();
 
@@ -91,17 +141,79 @@ const WebhookModal = ({ app, currentWebhookId, show, setShow }) => {
 
                 <div className="mt-6 grid grid-cols-1 gap-2">
                     <div>
-                        <InputLabel for="url" value="Webhook URL" />
-
-                        <TextInput
-                            id="url"
-                            name="url"
-                            value={data["url"]}
-                            className="mt-1 block w-full"
-                            handleChange={onHandleChange}
-                        />
+                        <ToggleGroup options={targets} value={data.target} onChange={(target) => setData('target', target)} />
+                        <InputError message={errors.target} className="mt-1" />
                     </div>
 
+                    {data.target === 'http' ? (
+                        <div>
+                            <InputLabel forInput="url" value="Webhook URL" />
+
+                            <TextInput
+                                id="url"
+                                name="url"
+                                value={data["url"]}
+                                className="mt-1 block w-full"
+                                handleChange={onHandleChange}
+                            />
+
+                            <InputError message={errors.url} className="mt-1" />
+                        </div>
+                    ) : (
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="col-span-2">
+                                <InputLabel forInput="lambda_function" value="Function name or ARN" />
+
+                                <TextInput
+                                    id="lambda_function"
+                                    name="lambda_function"
+                                    value={data.lambda_function}
+                                    className="mt-1 block w-full"
+                                    handleChange={onHandleChange}
+                                />
+
+                                <InputError message={errors.lambda_function} className="mt-1" />
+                            </div>
+
+                            <div>
+                                <InputLabel forInput="lambda_region" value="Region" />
+
+                                <TextInput
+                                    id="lambda_region"
+                                    value={data.lambda.region}
+                                    className="mt-1 block w-full"
+                                    handleChange={(event) => handleLambdaChange('region', event.target.value)}
+                                />
+
+                                <InputError message={errors['lambda.region']} className="mt-1" />
+                            </div>
+
+                            <label className="flex items-center space-x-2 pt-6 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={data.lambda.async}
+                                    onChange={(event) => handleLambdaChange('async', event.target.checked)}
+                                    className="rounded border-gray-300 text-indigo-600 shadow-sm focus:ring-indigo-500"
+                                />
+                                <span>Invoke asynchronously</span>
+                            </label>
+
+                            <div className="col-span-2">
+                                <InputLabel forInput="lambda_client_options" value="Client options (JSON)" />
+
+                                <textarea
+                                    id="lambda_client_options"
+                                    rows={4}
+                                    value={data.lambda.client_options}
+                                    onChange={(event) => handleLambdaChange('client_options', event.target.value)}
+                                    className="mt-1 block w-full font-mono text-sm border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm"
+                                />
+
+                                <InputError message={errors['lambda.client_options']} className="mt-1" />
+                            </div>
+                        </div>
+                    )}
+
                     <div>
                         <InputLabel for="events" value="Events" />
 
@@ -115,8 +227,18 @@ const WebhookModal = ({ app, currentWebhookId, show, setShow }) => {
                                 />
                             ))}
                         </div>
+
+                        <InputError message={errors.event_types ?? errors['event_types.0']} className="mt-1" />
                     </div>
 
+                    <WebhookFilters
+                        appId={app.id}
+                        filter={data.filter}
+                        errors={errors}
+                        onChange={handleFilterChange}
+                        show={show}
+                    />
+
                     <div className="space-y-2">
                         <div className="flex items-center space-x-1">
                             <AddButton onClick={() => setHeaders((previousHeaders) => [...previousHeaders, { key: '', value: '' }])} size={12} />
@@ -126,13 +248,16 @@ const WebhookModal = ({ app, currentWebhookId, show, setShow }) => {
 
                         <div className="space-y-2">
                             {headers.map(({ key, value }, index) => (
-                                <div className="w-full flex space-x-4">
+                                <div key={index} className="w-full flex items-start space-x-4">
                                     <div className='w-1/3'>
                                         <TextInput className="w-full" value={key} handleChange={(e) => handleHeaderChange(index, 'key', e.target.value)} />
+                                        <InputError message={errors[`headers.${index}.key`]} className="mt-1" />
                                     </div>
                                     <div className='w-2/3'>
                                         <TextInput className="w-full" value={value} handleChange={(e) => handleHeaderChange(index, 'value', e.target.value)} />
+                                        <InputError message={errors[`headers.${index}.value`]} className="mt-1" />
                                     </div>
+                                    <DeleteButton className="mt-2" onClick={() => removeHeader(index)} />
                                 </div>
                             ))}
                         </div>
@@ -0,0 +1,134 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { eventTypes } from "@/utils/eventTypes";
+import Modal from "./Modal";
+import PrimaryButton from "./PrimaryButton";
+import SecondaryButton from "./SecondaryButton";
+
+const selectClassName = 'border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm text-sm';
+
+const statusClassName = (result) => {
+    if (result.status === null) return 'bg-gray-100 text-gray-800';
+    if (result.status >= 200 && result.status < 300) return 'bg-green-100 text-green-800';
+    return 'bg-red-100 text-red-800';
+};
+
+const prettyBody = (body) => {
+    try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+    } catch (e) {
+        return body;
+    }
+};
+
+const Headers = ({ headers }) => (
+    <div className="font-mono text-xs break-all">
+        {Object.entries(headers ?? {}).map(([name, value]) => (
+            <p key={name}><span className="text-gray-500">{name}:</span> {value}</p>
+        ))}
+    </div>
+);
+
+const TestResult = ({ result, expanded, onToggle }) => (
+    <div className="border border-gray-200 rounded-lg">
+        <button type="button" onClick={onToggle} className="w-full flex items-center justify-between p-2 text-sm text-left">
+            <div className="flex items-center space-x-2">
+                <span className={'px-2 py-0.5 rounded text-xs font-medium ' + statusClassName(result)}>
+                    {result.status ?? 'No response'}
+                </span>
+                <span className="font-semibold">{result.event_type}</span>
+                <span className="text-gray-500">{result.duration_ms} ms</span>
+            </div>
+            <span className="text-xs text-gray-500">{format(new Date(result.created_at), 'MMM d, HH:mm:ss')}</span>
+        </button>
+
+        {expanded && (
+            <div className="p-2 border-t border-gray-200 space-y-3">
+                {result.error && <p className="text-sm text-red-600">{result.error}</p>}
+                <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                        <p className="text-xs font-semibold text-gray-500 uppercase">Request</p>
+                        <Headers headers={result.request_headers} />
+                        <pre className="p-2 bg-gray-50 rounded text-xs overflow-auto max-h-48">{prettyBody(result.request_body)}</pre>
+                    </div>
+                    <div className="space-y-2">
+                        <p className="text-xs font-semibold text-gray-500 uppercase">Response</p>
+                        <Headers headers={result.response_headers} />
+                        <pre className="p-2 bg-gray-50 rounded text-xs overflow-auto max-h-48">{result.response_body ? prettyBody(result.response_body) : 'No body'}</pre>
+                    </div>
+                </div>
+            </div>
+        )}
+    </div>
+);
+
+const WebhookTestModal = ({ appId, webhook, show, setShow }) => {
+    const [eventType, setEventType] = useState(webhook.event_types?.[0] ?? eventTypes[0].key);
+    const [results, setResults] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!show) return;
+
+        setError(null);
+        window.axios.get(route('apps.webhooks.tests', [appId, webhook.id]))
+            .then(({ data }) => setResults(data.data))
+            .catch((e) => setError(e.response?.data?.message || e.message));
+    }, [show, appId, webhook.id]);
+
+    const sendTest = () => {
+        setSending(true);
+        setError(null);
+
+        window.axios.post(route('apps.webhooks.test', appId), { id: webhook.id, event_type: eventType })
+            .then(({ data }) => {
+                setResults((previous) => [data.data, ...previous.filter(({ id }) => id !== data.data.id)]);
+                setExpandedId(data.data.id);
+            })
+            .catch((e) => setError(e.response?.data?.message || e.message))
+            .finally(() => setSending(false));
+    };
+
+    return (
+        <Modal show={show} onClose={() => setShow(false)}>
+            <div className="p-6">
+                <h2 className="text-lg font-medium text-gray-900">Send Test Webhook</h2>
+
+                <p className="mt-1 text-sm text-gray-600 break-all">
+                    Posts a sample event to {webhook.url}, signed with this app's key and secret the same way Soketi signs webhooks.
+                </p>
+
+                <div className="mt-4 flex items-center space-x-2">
+                    <select value={eventType} onChange={(event) => setEventType(event.target.value)} className={selectClassName}>
+                        {eventTypes.map((type) => <option key={type.key} value={type.key}>{type.label}</option>)}
+                    </select>
+                    <PrimaryButton type="button" processing={sending} onClick={sendTest}>
+                        {sending ? 'Sending...' : 'Send Test'}
+                    </PrimaryButton>
+                </div>
+
+                {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+                <div className="mt-4 space-y-2 max-h-96 overflow-y-auto">
+                    {results.map((result) => (
+                        <TestResult
+                            key={result.id}
+                            result={result}
+                            expanded={expandedId === result.id}
+                            onToggle={() => setExpandedId(expandedId === result.id ? null : result.id)}
+                        />
+                    ))}
+                    {results.length === 0 && <p className="text-sm text-gray-500">No test results yet</p>}
+                </div>
+
+                <div className="mt-6 flex justify-end">
+                    <SecondaryButton onClick={() => setShow(false)}>Close</SecondaryButton>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default WebhookTestModal;
@@ -3,10 +3,14 @@ import ApplicationLogo from '@/Components/ApplicationLogo';
 import Dropdown from '@/Components/Dropdown';
 import NavLink from '@/Components/NavLink';
 import ResponsiveNavLink from '@/Components/ResponsiveNavLink';
-import { Link } from '@inertiajs/react';
+import { Link, usePage } from '@inertiajs/react';
+import { usePermissions } from '@/utils/permissions';
 
 export default function Authenticated({ auth, header, children }) {
     const [showingNavigationDropdown, setShowingNavigationDropdown] = useState(false);
+    const { soketi } = usePage().props;
+    const clusters = soketi?.clusters ?? [];
+    const permissions = usePermissions();
 
     return (
         <div className="min-h-screen bg-gray-100">
@@ -21,13 +25,70 @@ export default function Authenticated({ auth, header, children }) {
                             </div>
 
                             <div className="hidden space-x-8 sm:-my-px sm:ml-10 sm:flex">
+                                <NavLink href={route('apps.overview')} active={route().current('apps.overview')}>
+                                    Overview
+                                </NavLink>
                                 <NavLink href={route('apps.index')} active={route().current('apps.index')}>
                                     Apps
                                 </NavLink>
+                                <NavLink href={route('apps.uploads')} active={route().current('apps.uploads')}>
+                                    Uploads
+                                </NavLink>
+                                <NavLink href={route('apps.alerts')} active={route().current('apps.alerts*')}>
+                                    Alerts
+                                </NavLink>
+                                {permissions.admin && (
+                                    <NavLink href={route('apps.servers')} active={route().current('apps.servers')}>
+                                        Servers
+                                    </NavLink>
+                                )}
+                                {permissions.admin && (
+                                    <NavLink href={route('apps.users')} active={route().current('apps.users')}>
+                                        Users
+                                    </NavLink>
+                                )}
                             </div>
                         </div>
 
                         <div className="hidden sm:flex sm:items-center sm:ml-6">
+                            {clusters.length > 1 && (
+                                <div className="relative">
+                                    <Dropdown>
+                                        <Dropdown.Trigger>
+                                            <span className="inline-flex rounded-md">
+                                                <button
+                                                    type="button"
+                                                    className="inline-flex items-center px-3 py-2 border border-gray-200 text-sm leading-4 font-medium rounded-md text-gray-500 bg-white hover:text-gray-700 focus:outline-none transition ease-in-out duration-150"
+                                                >
+                                                    Cluster: {soketi.currentCluster}
+
+                                                    <svg
+                                                        className="ml-2 -mr-0.5 h-4 w-4"
+                                                        xmlns="http://www.w3.org/2000/svg"
+                                                        viewBox="0 0 20 20"
+                                                        fill="currentColor"
+                                                    >
+                                                        <path
+                                                            fillRule="evenodd"
+                                                            d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z"
+                                                            clipRule="evenodd"
+                                                        />
+                                                    </svg>
+                                                </button>
+                                            </span>
+                                        </Dropdown.Trigger>
+
+                                        <Dropdown.Content>
+                                            {clusters.map((cluster) => (
+                                                <Dropdown.Link key={cluster} href={route('apps.servers.switch')} method="post" as="button" data={{ cluster }}>
+                                                    {cluster === soketi.currentCluster ? <strong>{cluster}</strong> : cluster}
+                                                </Dropdown.Link>
+                                            ))}
+                                        </Dropdown.Content>
+                                    </Dropdown>
+                                </div>
+                            )}
+
                             <div className="ml-3 relative">
                                 <Dropdown>
                                     <Dropdown.Trigger>
@@ -92,11 +153,48 @@ export default function Authenticated({ auth, header, children }) {
 
                 <div className={(showingNavigationDropdown ? 'block' : 'hidden') + ' sm:hidden'}>
                     <div className="pt-2 pb-3 space-y-1">
+                        <ResponsiveNavLink href={route('apps.overview')} active={route().current('apps.overview')}>
+                            Overview
+                        </ResponsiveNavLink>
                         <ResponsiveNavLink href={route('apps.index')} active={route().current('apps.index')}>
                             Apps
                         </ResponsiveNavLink>
+                        <ResponsiveNavLink href={route('apps.uploads')} active={route().current('apps.uploads')}>
+                            Uploads
+                        </ResponsiveNavLink>
+                        <ResponsiveNavLink href={route('apps.alerts')} active={route().current('apps.alerts*')}>
+                            Alerts
+                        </ResponsiveNavLink>
+                        {permissions.admin && (
+                            <ResponsiveNavLink href={route('apps.servers')} active={route().current('apps.servers')}>
+                                Servers
+                            </ResponsiveNavLink>
+                        )}
+                        {permissions.admin && (
+                            <ResponsiveNavLink href={route('apps.users')} active={route().current('apps.users')}>
+                                Users
+                            </ResponsiveNavLink>
+                        )}
                     </div>
 
+                    {clusters.length > 1 && (
+                        <div className="pt-2 pb-3 border-t border-gray-200">
+                            <div className="px-4 text-sm text-gray-500">Cluster</div>
+                            {clusters.map((cluster) => (
+                                <ResponsiveNavLink
+                                    key={cluster}
+                                    href={route('apps.servers.switch')}
+                                    method="post"
+                                    as="button"
+                                    data={{ cluster }}
+                                    active={cluster === soketi.currentCluster}
+                                >
+                                    {cluster}
+                                </ResponsiveNavLink>
+                            ))}
+                        </div>
+                    )}
+
                     <div className="pt-4 pb-1 border-t border-gray-200">
                         <div className="px-4">
                             <div className="font-medium text-base text-gray-800">
@@ -0,0 +1,101 @@
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head, Link, router } from '@inertiajs/react';
+import { format } from 'date-fns';
+import { formatValue } from '@/utils/metrics';
+
+const STATUS_CLASSES = {
+    firing: 'bg-red-100 text-red-800',
+    resolved: 'bg-green-100 text-green-800',
+};
+
+const selectClassName = 'border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm text-sm';
+
+export default function AlertHistory(props) {
+    const { events, rules, metrics, filters } = props;
+
+    const applyFilter = (key, value) => {
+        router.get(route('apps.alerts.history'), { ...filters, [key]: value || undefined }, { preserveState: true });
+    };
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={(
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-xl text-gray-800 leading-tight">Alert History</h2>
+                    <Link href={route('apps.alerts')} className="text-sm text-indigo-600 hover:text-indigo-800">Rules</Link>
+                </div>
+            )}
+        >
+            <Head title="Alert History" />
+
+            <div className="py-12">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8 space-y-4">
+                    <div className="flex items-center space-x-4">
+                        <select value={filters.rule ?? ''} onChange={(event) => applyFilter('rule', event.target.value)} className={selectClassName}>
+                            <option value="">All rules</option>
+                            {rules.map((rule) => <option key={rule.id} value={rule.id}>{rule.name}</option>)}
+                        </select>
+                        <select value={filters.status ?? ''} onChange={(event) => applyFilter('status', event.target.value)} className={selectClassName}>
+                            <option value="">Firing and resolved</option>
+                            <option value="firing">Firing</option>
+                            <option value="resolved">Resolved</option>
+                        </select>
+                    </div>
+
+                    <div className="overflow-x-auto bg-white shadow-sm sm:rounded-lg">
+                        <table className="min-w-full divide-y divide-gray-300">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Time</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Rule</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Status</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Value</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Message</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {events.data.map((event) => {
+                                    const type = metrics[event.rule?.metric]?.type;
+
+                                    return (
+                                        <tr key={event.id}>
+                                            <td className="px-3 py-4 text-sm whitespace-nowrap">{format(new Date(event.created_at), 'MMM d, HH:mm:ss')}</td>
+                                            <td className="px-3 py-4 text-sm font-semibold">{event.rule?.name}</td>
+                                            <td className="px-3 py-4 text-sm">
+                                                <span className={'px-2 py-1 rounded text-xs font-medium ' + STATUS_CLASSES[event.status]}>{event.status}</span>
+                                            </td>
+                                            <td className="px-3 py-4 text-sm whitespace-nowrap">
+                                                {formatValue(event.value, type)}
+                                                <span className="text-gray-500"> ({event.rule?.operator} {formatValue(event.threshold, type)})</span>
+                                            </td>
+                                            <td className="px-3 py-4 text-sm text-gray-600">{event.message}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        {events.data.length === 0 && (
+                            <div className="p-4 text-gray-500">No alerts have fired yet</div>
+                        )}
+                    </div>
+
+                    {events.last_page > 1 && (
+                        <div className="flex flex-wrap gap-1">
+                            {events.links.map((link, index) => (
+                                <Link
+                                    key={index}
+                                    href={link.url ?? '#'}
+                                    preserveState
+                                    className={'px-3 py-1 rounded border text-sm ' + (link.active ? 'bg-indigo-500 text-white border-indigo-500' : 'bg-white border-gray-300 text-gray-700') + (link.url ? '' : ' opacity-50 pointer-events-none')}
+                                    dangerouslySetInnerHTML={{ __html: link.label }}
+                                />
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </AuthenticatedLayout>
+    );
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head, Link, router } from '@inertiajs/react';
+import AlertRuleModal from '@/Components/AlertRuleModal';
+import PrimaryButton from '@/Components/PrimaryButton';
+import EditButton from '@/Components/EditButton';
+import DeleteButton from '@/Components/DeleteButton';
+import { formatValue } from '@/utils/metrics';
+import { usePermissions } from '@/utils/permissions';
+
+const STATE_CLASSES = {
+    ok: 'bg-green-100 text-green-800',
+    pending: 'bg-yellow-100 text-yellow-800',
+    firing: 'bg-red-100 text-red-800',
+};
+
+export default function Alerts(props) {
+    const { rules, apps, metrics, operators } = props;
+
+    const [showModal, setShowModal] = useState(false);
+    const [currentRule, setCurrentRule] = useState(null);
+    const { admin } = usePermissions();
+
+    const appName = (appId) => apps.find(({ id }) => String(id) === String(appId))?.name ?? appId;
+
+    const openModal = (rule = null) => {
+        setCurrentRule(rule);
+        setShowModal(true);
+    };
+
+    const deleteRule = (rule) => {
+        if (confirm('Delete the "' + rule.name + '" alert rule and its history?')) {
+            router.post('/apps/alerts/delete', { id: rule.id });
+        }
+    };
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={(
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-xl text-gray-800 leading-tight">Alerts</h2>
+                    <div className="flex items-center space-x-4">
+                        <Link href={route('apps.alerts.history')} className="text-sm text-indigo-600 hover:text-indigo-800">History</Link>
+                        {admin && <PrimaryButton type="button" onClick={() => openModal()}>Add rule</PrimaryButton>}
+                    </div>
+                </div>
+            )}
+        >
+            <Head title="Alerts" />
+
+            <div className="py-12">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8">
+                    <div className="overflow-x-auto bg-white shadow-sm sm:rounded-lg">
+                        <table className="min-w-full divide-y divide-gray-300">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Rule</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Condition</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">State</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Last Value</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Notify</th>
+                                    <th className="px-3 py-3.5" />
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {rules.map((rule) => {
+                                    const metric = metrics[rule.metric];
+
+                                    return (
+                                        <tr key={rule.id} className={rule.enabled ? '' : 'opacity-50'}>
+                                            <td className="px-3 py-4 text-sm">
+                                                <p className="font-semibold">{rule.name}</p>
+                                                <p className="text-xs text-gray-500">{rule.app_id ? appName(rule.app_id) : 'Server-wide'}</p>
+                                            </td>
+                                            <td className="px-3 py-4 text-sm">
+                                                {metric?.label} {rule.operator} {formatValue(rule.threshold, metric?.type)}
+                                                {rule.duration > 0 && <span className="text-gray-500"> for {rule.duration}s</span>}
+                                            </td>
+                                            <td className="px-3 py-4 text-sm">
+                                                <span className={'px-2 py-1 rounded text-xs font-medium ' + STATE_CLASSES[rule.state]}>
+                                                    {rule.enabled ? rule.state : 'disabled'}
+                                                </span>
+                                            </td>
+                                            <td className="px-3 py-4 text-sm">{formatValue(rule.last_value, metric?.type)}</td>
+                                            <td className="px-3 py-4 text-xs text-gray-500">
+                                                {rule.mail_to && <p>Mail: {rule.mail_to}</p>}
+                                                {rule.webhook_url && <p className="truncate max-w-xs">Webhook: {rule.webhook_url}</p>}
+                                            </td>
+                                            <td className="px-3 py-4 text-sm whitespace-nowrap">
+                                                {admin && (
+                                                    <div className="flex items-center space-x-2">
+                                                        <EditButton onClick={() => openModal(rule)} />
+                                                        <DeleteButton onClick={() => deleteRule(rule)} />
+                                                    </div>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        {rules.length === 0 && (
+                            <div className="p-4 text-gray-500">No alert rules yet. Rules are checked after every metrics scrape.</div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <AlertRuleModal
+                rule={currentRule}
+                apps={apps}
+                metrics={metrics}
+                operators={operators}
+                show={showModal}
+                setShow={setShowModal}
+            />
+        </AuthenticatedLayout>
+    );
+}
@@ -6,11 +6,21 @@ import SecondaryButton from '@/Components/SecondaryButton';
 import TextInput from '@/Components/TextInput';
 import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
 import { Head, router } from '@inertiajs/react';
-import { useState } from 'react';
+import { useMemo, useState } from 'react';
+import { useMetricsData } from '@/utils/metrics';
+import { usePermissions } from '@/utils/permissions';
 
 export default function Apps(props) {
     const [showAddAppModal, setShowAddAppModal] = useState(false);
     const [newAppName, setNewAppName] = useState('');
+    const permissions = usePermissions();
+
+    // Live usage against each app's limits, keyed by app id
+    const limits = useMetricsData('/apps/overview/limits', props.config?.realtime_refresh_interval || 5000);
+    const utilisation = limits.data?.data || {};
+
+    // Set when coming back from confirming the password to reveal an app's secret
+    const revealId = useMemo(() => new URLSearchParams(window.location.search).get('reveal'), []);
 
     const createApp = () => {
         router.post('/apps/create', {
@@ -27,8 +37,11 @@ export default function Apps(props) {
             errors={props.errors}
             header={(
                 <div className='flex items-center space-x-2'>
-                    <AddButton onClick={() => setShowAddAppModal(true)} />
+                    {permissions.createApps && <AddButton onClick={() => setShowAddAppModal(true)} />}
                     <h2 className="font-semibold text-xl text-gray-800 leading-tight">Apps</h2>
+                    {props.soketi?.clusters?.length > 1 && (
+                        <span className="px-2 py-0.5 bg-gray-100 rounded text-sm text-gray-600">{props.soketi.currentCluster}</span>
+                    )}
                 </div>
             )}
         >
@@ -37,7 +50,14 @@ export default function Apps(props) {
             <div className="py-12">
                 <div className="max-w-7xl mx-auto sm:px-6 lg:px-8">
                     <div className="grid grid-cols-1 gap-4">
-                        {props.apps.map(app => <AppCard key={app.id} app={app} />)}
+                        {props.apps.map(app => (
+                            <AppCard
+                                key={app.id}
+                                app={app}
+                                utilisation={utilisation[String(app.id)]}
+                                autoReveal={revealId === String(app.id)}
+                            />
+                        ))}
                     </div>
                 </div>
             </div>
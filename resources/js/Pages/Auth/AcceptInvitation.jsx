@@ -0,0 +1,105 @@
+import { useEffect } from 'react';
+import GuestLayout from '@/Layouts/GuestLayout';
+import InputError from '@/Components/InputError';
+import InputLabel from '@/Components/InputLabel';
+import PrimaryButton from '@/Components/PrimaryButton';
+import TextInput from '@/Components/TextInput';
+import { Head, useForm } from '@inertiajs/react';
+
+export default function AcceptInvitation({ email, role, action }) {
+    const { data, setData, post, processing, errors, reset } = useForm({
+        name: '',
+        password: '',
+        password_confirmation: '',
+    });
+
+    useEffect(() => {
+        return () => {
+            reset('password', 'password_confirmation');
+        };
+    }, []);
+
+    const onHandleChange = (event) => {
+        setData(event.target.name, event.target.value);
+    };
+
+    const submit = (e) => {
+        e.preventDefault();
+
+        post(action);
+    };
+
+    return (
+        <GuestLayout>
+            <Head title="Accept Invitation" />
+
+            <div className="mb-4 text-sm text-gray-600">
+                You have been invited as {role === 'admin' ? 'an admin' : 'a ' + role}. Choose a name and password to create your account.
+            </div>
+
+            <form onSubmit={submit}>
+                <div>
+                    <InputLabel value="Email" />
+
+                    <p className="mt-1 text-sm font-medium text-gray-900">{email}</p>
+                </div>
+
+                <div className="mt-4">
+                    <InputLabel forInput="name" value="Name" />
+
+                    <TextInput
+                        id="name"
+                        name="name"
+                        value={data.name}
+                        className="mt-1 block w-full"
+                        autoComplete="name"
+                        isFocused={true}
+                        handleChange={onHandleChange}
+                        required
+                    />
+
+                    <InputError message={errors.name} className="mt-2" />
+                </div>
+
+                <div className="mt-4">
+                    <InputLabel forInput="password" value="Password" />
+
+                    <TextInput
+                        id="password"
+                        type="password"
+                        name="password"
+                        value={data.password}
+                        className="mt-1 block w-full"
+                        autoComplete="new-password"
+                        handleChange={onHandleChange}
+                        required
+                    />
+
+                    <InputError message={errors.password} className="mt-2" />
+                </div>
+
+                <div className="mt-4">
+                    <InputLabel forInput="password_confirmation" value="Confirm Password" />
+
+                    <TextInput
+                        id="password_confirmation"
+                        type="password"
+                        name="password_confirmation"
+                        value={data.password_confirmation}
+                        className="mt-1 block w-full"
+                        handleChange={onHandleChange}
+                        required
+                    />
+
+                    <InputError message={errors.password_confirmation} className="mt-2" />
+                </div>
+
+                <div className="flex items-center justify-end mt-4">
+                    <PrimaryButton className="ml-4" processing={processing}>
+                        Create Account
+                    </PrimaryButton>
+                </div>
+            </form>
+        </GuestLayout>
+    );
+}
@@ -7,7 +7,7 @@ import PrimaryButton from '@/Components/PrimaryButton';
 import TextInput from '@/Components/TextInput';
 import { Head, Link, useForm } from '@inertiajs/react';
 
-export default function Login({ status, canResetPassword }) {
+export default function Login({ status, canResetPassword, canRegister, errors: sessionErrors }) {
     const { data, setData, post, processing, errors, reset } = useForm({
         email: '',
         password: '',
@@ -51,7 +51,8 @@ export default function Login({ status, canResetPassword }) {
                         handleChange={onHandleChange}
                     />
 
-                    <InputError message={errors.email} className="mt-2" />
+                    {/* Deactivated users are sent here with the reason they were logged out */}
+                    <InputError message={errors.email || sessionErrors?.email} className="mt-2" />
                 </div>
 
                 <div className="mt-4">
@@ -78,6 +79,15 @@ export default function Login({ status, canResetPassword }) {
                 </div>
 
                 <div className="flex items-center justify-end mt-4">
+                    {canRegister && (
+                        <Link
+                            href={route('register')}
+                            className="underline text-sm text-gray-600 hover:text-gray-900 rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 mr-4"
+                        >
+                            Register
+                        </Link>
+                    )}
+
                     {canResetPassword && (
                         <Link
                             href={route('password.request')}
@@ -6,7 +6,7 @@ import PrimaryButton from '@/Components/PrimaryButton';
 import TextInput from '@/Components/TextInput';
 import { Head, Link, useForm } from '@inertiajs/react';
 
-export default function Register() {
+export default function Register({ bootstrap }) {
     const { data, setData, post, processing, errors, reset } = useForm({
         name: '',
         email: '',
@@ -34,6 +34,12 @@ export default function Register() {
         <GuestLayout>
             <Head title="Register" />
 
+            {bootstrap && (
+                <div className="mb-4 text-sm text-gray-600">
+                    There are no users yet. This account will be the first admin; everyone else can be invited from the Users page.
+                </div>
+            )}
+
             <form onSubmit={submit}>
                 <div>
                     <InputLabel forInput="name" value="Name" />
@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head } from '@inertiajs/react';
+import TextInput from '@/Components/TextInput';
+import StatusIndicator from '@/Components/StatusIndicator';
+import { formatValue, useMetricsData } from '@/utils/metrics';
+
+// Channel types by Pusher naming convention, most specific prefix first
+const CHANNEL_TYPES = [
+    { prefix: 'private-encrypted-', label: 'Encrypted', className: 'bg-purple-100 text-purple-800' },
+    { prefix: 'presence-', label: 'Presence', className: 'bg-green-100 text-green-800' },
+    { prefix: 'private-', label: 'Private', className: 'bg-yellow-100 text-yellow-800' },
+    { prefix: '', label: 'Public', className: 'bg-gray-100 text-gray-800' },
+];
+
+const getChannelType = (name) => CHANNEL_TYPES.find(({ prefix }) => name.startsWith(prefix));
+
+const channelEndpoint = (appId, name) => '/apps/' + appId + '/channels/' + encodeURIComponent(name);
+
+function ChannelTypeBadge({ name }) {
+    const type = getChannelType(name);
+
+    return <span className={'px-2 py-1 rounded text-xs font-medium ' + type.className}>{type.label}</span>;
+}
+
+// Member list of the selected presence channel
+function PresenceMembers({ appId, channel, refreshInterval }) {
+    const info = useMetricsData(channelEndpoint(appId, channel) + '/info', refreshInterval);
+    const members = useMetricsData(channelEndpoint(appId, channel) + '/users', refreshInterval);
+
+    const users = members.data?.data || [];
+
+    return (
+        <div className="bg-white shadow-sm sm:rounded-lg p-6 space-y-4">
+            <div>
+                <h3 className="text-lg font-bold break-all">{channel}</h3>
+                <p className="text-sm text-gray-500">
+                    {formatValue(info.data?.data?.user_count ?? users.length, 'number', 0)} members,{' '}
+                    {formatValue(info.data?.data?.subscription_count ?? 0, 'number', 0)} subscriptions
+                </p>
+            </div>
+
+            {members.error && <p className="text-sm text-red-600">{members.error}</p>}
+
+            {users.length ? (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {users.map((user) => (
+                        <li key={user.id} className="px-4 py-2 text-sm font-mono break-all">{user.id}</li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-500">{members.loading ? 'Loading members...' : 'No members'}</p>
+            )}
+        </div>
+    );
+}
+
+export default function Channels(props) {
+    const { app, config } = props;
+    const refreshInterval = config?.refresh_interval || 5000;
+
+    const [prefixInput, setPrefixInput] = useState('');
+    const [prefix, setPrefix] = useState('');
+    const [selectedChannel, setSelectedChannel] = useState(null);
+
+    // Only query Soketi once typing pauses
+    useEffect(() => {
+        const timeout = setTimeout(() => setPrefix(prefixInput.trim()), 300);
+        return () => clearTimeout(timeout);
+    }, [prefixInput]);
+
+    const channels = useMetricsData(
+        '/apps/' + app.id + '/channels/list' + (prefix ? '?prefix=' + encodeURIComponent(prefix) : ''),
+        refreshInterval
+    );
+
+    const channelList = channels.data?.data || [];
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={(
+                <div className="flex justify-between items-center">
+                    <div>
+                        <h2 className="font-semibold text-xl text-gray-800 leading-tight">Channels</h2>
+                        <p className="text-sm text-gray-500">{app.name} (App ID {app.id})</p>
+                    </div>
+                    <StatusIndicator
+                        loading={channels.loading}
+                        error={channels.error}
+                        lastUpdate={channels.lastUpdate}
+                        isLive={channels.isLive}
+                        onToggle={channels.toggleLive}
+                    />
+                </div>
+            )}
+        >
+            <Head title="Channels" />
+
+            <div className="py-6">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8 space-y-4">
+                    <div className="flex items-center space-x-4">
+                        <TextInput
+                            id="prefix"
+                            name="prefix"
+                            value={prefixInput}
+                            className="w-80"
+                            handleChange={(event) => setPrefixInput(event.target.value)}
+                        />
+                        <p className="text-sm text-gray-500">Filter by channel name prefix, e.g. <code>presence-</code></p>
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 items-start">
+                        <div className="lg:col-span-2 bg-white overflow-hidden shadow-sm sm:rounded-lg">
+                            <table className="min-w-full divide-y divide-gray-300">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3.5 text-left text-sm font-semibold text-gray-900">Channel</th>
+                                        <th className="px-4 py-3.5 text-left text-sm font-semibold text-gray-900">Type</th>
+                                        <th className="px-4 py-3.5 text-right text-sm font-semibold text-gray-900">Subscriptions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {channelList.map((channel) => {
+                                        const isPresence = channel.name.startsWith('presence-');
+
+                                        return (
+                                            <tr
+                                                key={channel.name}
+                                                onClick={() => isPresence && setSelectedChannel(channel.name)}
+                                                className={(isPresence ? 'cursor-pointer hover:bg-gray-50 ' : '') + (selectedChannel === channel.name ? 'bg-indigo-50' : '')}
+                                            >
+                                                <td className="px-4 py-3 text-sm font-mono break-all">{channel.name}</td>
+                                                <td className="px-4 py-3 text-sm"><ChannelTypeBadge name={channel.name} /></td>
+                                                <td className="px-4 py-3 text-sm text-right">
+                                                    {formatValue(channel.subscription_count ?? 0, 'number', 0)}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                            {!channels.loading && channelList.length === 0 && (
+                                <div className="p-4 text-gray-500">
+                                    {channels.error ? 'Could not reach the Soketi HTTP API' : 'No occupied channels'}
+                                </div>
+                            )}
+                        </div>
+
+                        {selectedChannel ? (
+                            <PresenceMembers
+                                key={selectedChannel}
+                                appId={app.id}
+                                channel={selectedChannel}
+                                refreshInterval={refreshInterval}
+                            />
+                        ) : (
+                            <div className="p-4 border border-dashed text-gray-500 border-gray-200 rounded-xl">
+                                Select a presence channel to see its members
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </AuthenticatedLayout>
+    );
+}
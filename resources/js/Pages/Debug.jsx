@@ -1,49 +1,197 @@
 import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
 import { Head, router } from '@inertiajs/react';
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import Pusher from 'pusher-js'
-import { getEventType } from '@/utils/eventTypes';
+import { eventTypes, getEventType } from '@/utils/eventTypes';
 import ActivePill from '@/Components/ActivePill';
 import { ArrowsClockwise } from 'phosphor-react';
 import Modal from '@/Components/Modal';
 import SecondaryButton from '@/Components/SecondaryButton';
 import DangerButton from '@/Components/DangerButton';
 import PrimaryButton from '@/Components/PrimaryButton';
+import TextInput from '@/Components/TextInput';
+import InputLabel from '@/Components/InputLabel';
+import VirtualList from '@/Components/VirtualList';
+import ExportLinks from '@/Components/ExportLinks';
+import TriggerEventPanel from '@/Components/TriggerEventPanel';
+import ProtocolInspector from '@/Components/ProtocolInspector';
+import { usePermissions } from '@/utils/permissions';
+
+const ROW_HEIGHT = 56;
+const LIST_HEIGHT = 600;
+const MAX_EVENTS = 10000;
+
+const emptyFilters = { types: [], channel: '', user: '', from: '', to: '', search: '' };
+
+// Stored timestamps are UTC "Y-m-d H:i:s"
+const eventTime = (event) => new Date(event.pusher_created_at.replace(' ', 'T') + 'Z');
+
+// Client-side mirror of DebugController::filteredEvents, applied to live events
+const matchesFilters = (event, filters) => {
+    if (filters.types.length && !filters.types.includes(event.name)) {
+        return false;
+    }
+
+    if (filters.channel) {
+        const pattern = filters.channel.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        if (!new RegExp('^' + pattern + '$', 'i').test(event.channel ?? '')) {
+            return false;
+        }
+    }
+
+    if (filters.user && String(event.user_id) !== filters.user && event.socket_id !== filters.user) {
+        return false;
+    }
+
+    if (filters.from && eventTime(event) < new Date(filters.from)) {
+        return false;
+    }
+
+    if (filters.to && eventTime(event) > new Date(filters.to)) {
+        return false;
+    }
+
+    if (filters.search) {
+        const { debug_uuid, pusher_created_at, ...payload } = event;
+        return JSON.stringify(payload).toLowerCase().includes(filters.search.toLowerCase());
+    }
+
+    return true;
+};
+
+// Query string parameters understood by the debug events endpoint
+const filterParams = (filters) => ({
+    types: filters.types.length ? filters.types : undefined,
+    channel: filters.channel || undefined,
+    user: filters.user || undefined,
+    from: filters.from ? new Date(filters.from).toISOString() : undefined,
+    to: filters.to ? new Date(filters.to).toISOString() : undefined,
+    search: filters.search || undefined,
+});
 
 const EventInfo = ({ event }) => {
     return (
-        <div className='w-full col-span-4'>
-            <pre className='p-8 bg-gray-800 text-white'>
+        <div className='w-full'>
+            <pre className='p-8 bg-gray-800 text-white overflow-x-auto sm:rounded-lg'>
                 {JSON.stringify(event, null, '  ')}
             </pre>
         </div>
     )
 }
 
-const DebugCard = ({ event }) => {
-    const [active, setActive] = useState(false);
+const DebugCard = ({ event, selected, onSelect }) => {
+    return (
+        <div className={'grid grid-cols-5 cursor-pointer items-center h-full border-b border-gray-200 ' + (selected ? 'bg-indigo-50' : 'bg-white hover:bg-gray-50')} onClick={onSelect}>
+            <div className="whitespace-nowrap px-3 text-sm col-span-1">
+                <ActivePill key={event.name} active={true} label={getEventType(event.name)?.label ?? event.name} />
+            </div>
+            <p className="whitespace-nowrap truncate px-3 text-sm col-span-3">
+                {event.channel}
+                {event.event && <span className='pl-2 text-gray-500'>{event.event}</span>}
+            </p>
+            <p className="whitespace-nowrap px-3 text-sm col-span-1">{event.pusher_created_at}</p>
+        </div>
+    );
+}
+
+const EventFilters = ({ filters, onChange }) => {
+    const toggleType = (type) => onChange({
+        ...filters,
+        types: filters.types.includes(type) ? filters.types.filter((item) => item !== type) : [...filters.types, type],
+    });
+
+    const input = (key, label, type = 'text') => (
+        <div>
+            <InputLabel forInput={'filter_' + key} value={label} />
+            <TextInput
+                id={'filter_' + key}
+                type={type}
+                value={filters[key]}
+                className="mt-1 block w-full"
+                handleChange={(event) => onChange({ ...filters, [key]: event.target.value })}
+            />
+        </div>
+    );
 
     return (
-        <>
-            <div key={event.email} className='grid grid-cols-5 cursor-pointer items-center' onClick={() => setActive((previous) => !previous)}>
-                <div className="whitespace-nowrap px-3 py-4 text-sm col-span-1">
-                    <ActivePill key={event.name} active={true} label={getEventType(event.name)?.label} />
-                </div>
-                <p className="whitespace-nowrap px-3 py-4 text-sm col-span-3">{event.channel}</p>
-                <p className="whitespace-nowrap px-3 py-4 text-sm col-span-1">{event.pusher_created_at}</p>
+        <div className='bg-white shadow-sm sm:rounded-lg p-4 space-y-4'>
+            <div className='grid grid-cols-5 gap-2'>
+                {eventTypes.map((eventType) => (
+                    <ActivePill
+                        key={eventType.key}
+                        onClick={() => toggleType(eventType.key)}
+                        active={filters.types.includes(eventType.key)}
+                        label={eventType.label}
+                    />
+                ))}
+            </div>
+            <div className='grid grid-cols-2 lg:grid-cols-5 gap-4'>
+                {input('channel', 'Channel (* wildcard)')}
+                {input('user', 'User ID / Socket ID')}
+                {input('from', 'From', 'datetime-local')}
+                {input('to', 'To', 'datetime-local')}
+                {input('search', 'Search payload')}
             </div>
-            {active && <EventInfo event={event} />}
-        </>
+        </div>
     );
 }
 
 
 export default function Debug(props) {
-    const { app, pusherConfig } = props;
+    const { app, pusherConfig, inspectorEndpoint, debugChannel } = props;
+    const canUpdate = usePermissions().canUpdate(app.id);
 
     const [events, setEvents] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingEvents, setLoadingEvents] = useState(false);
+    const [selectedEvent, setSelectedEvent] = useState(null);
+    const [filterInputs, setFilterInputs] = useState(emptyFilters);
+    const [filters, setFilters] = useState(emptyFilters);
     const [pauseEvents, setPauseEvents] = useState(false);
     const [showAddDebuggingWebhookModal, setShowAddDebuggingWebhookModal] = useState(false);
+    const [showTriggerPanel, setShowTriggerPanel] = useState(false);
+    const [showInspector, setShowInspector] = useState(false);
+
+    // Live events are handled in a long-lived Pusher callback, so it reads these through refs
+    const filtersRef = useRef(filters);
+    const pauseEventsRef = useRef(pauseEvents);
+    filtersRef.current = filters;
+    pauseEventsRef.current = pauseEvents;
+    const latestRequestRef = useRef(0);
+
+    // Apply filter changes once typing pauses
+    useEffect(() => {
+        const timeout = setTimeout(() => setFilters(filterInputs), 400);
+        return () => clearTimeout(timeout);
+    }, [filterInputs]);
+
+    const loadEvents = useCallback((cursor = null) => {
+        const request = ++latestRequestRef.current;
+        setLoadingEvents(true);
+
+        return window.axios.get('/apps/' + app.id + '/debug/events', { params: { ...filterParams(filters), cursor: cursor ?? undefined } })
+            .then(({ data }) => {
+                // A slower reply for older filters mustn't replace or extend the newer results
+                if (request !== latestRequestRef.current) return;
+
+                setEvents((previousEvents) => cursor ? [...previousEvents, ...data.data] : data.data);
+                setNextCursor(data.next_cursor);
+            })
+            .finally(() => {
+                if (request === latestRequestRef.current) setLoadingEvents(false);
+            });
+    }, [app.id, filters]);
+
+    useEffect(() => {
+        setSelectedEvent(null);
+        loadEvents();
+    }, [loadEvents]);
+
+    const loadMore = () => {
+        if (nextCursor && !loadingEvents) {
+            loadEvents(nextCursor);
+        }
+    };
 
     useEffect(() => {
         const pusher = new Pusher(pusherConfig.appKey, {
@@ -54,35 +202,37 @@ export default function Debug(props) {
             forceTLS: pusherConfig.forceTLS,
             encrypted: true,
             enabledTransports: ['ws', 'wss'],
+            // The channel is private, routes/channels.php checks the user may view the app
+            authEndpoint: '/broadcasting/auth',
+            auth: {
+                headers: { 'X-CSRF-TOKEN': window.axios.defaults.headers.common['X-CSRF-TOKEN'] },
+            },
         });
 
-        const channel = pusher.subscribe('events_' + props.app.id);
+        const channel = pusher.subscribe(debugChannel);
 
-        channel.bind("App\\Notifications\\NewDebugEvents", (data) => updateEvents(data));
+        channel.bind("App\\Notifications\\NewDebugEvents", (data) => updateEvents(data.events));
 
         return () => {
             pusher.disconnect();
         };
-    }, [pauseEvents]);
+    }, []);
 
     const hasDebuggingWebhook = useMemo(() => !!app.webhooks?.find((app) => app.debug), [app]);
 
+    // Newest first, on top of the stored history
     const updateEvents = (newEvents) => {
-        if (pauseEvents) {
+        if (pauseEventsRef.current) {
             return;
         }
 
-        setEvents((previousEvents) => {
-            let events = [...previousEvents, ...newEvents];
-
-            if (events.length <= 50) {
-                return events;
-            }
+        const matching = newEvents.filter((event) => matchesFilters(event, filtersRef.current)).reverse();
 
-            events = events.splice(events.length - 50);
+        setEvents((previousEvents) => {
+            const known = new Set(previousEvents.map((event) => event.debug_uuid));
 
-            return events.reverse();
-        })
+            return [...matching.filter((event) => !known.has(event.debug_uuid)), ...previousEvents].slice(0, MAX_EVENTS);
+        });
     }
 
     const toggleDebuggingWebhook = () => {
@@ -98,81 +248,114 @@ export default function Debug(props) {
             header={(
                 <div className='flex justify-between items-center'>
                     <h2 className="font-semibold text-xl text-gray-800 leading-tight">Debug</h2>
-                    {!hasDebuggingWebhook && (
-                        <button onClick={() => setShowAddDebuggingWebhookModal(true)} className='bg-indigo-500 text-white px-4 py-2 rounded-lg'>
-                            Add debugging webhook
-                        </button>
-                    )}
+                    <div className='flex items-center space-x-4'>
+                        {canUpdate && (
+                            <>
+                                <button onClick={() => setShowInspector(!showInspector)} className='transition-colors duration-150 bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg border border-gray-300'>
+                                    {showInspector ? 'Hide inspector' : 'Inspector'}
+                                </button>
+                                <button onClick={() => setShowTriggerPanel(!showTriggerPanel)} className='transition-colors duration-150 bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg border border-gray-300'>
+                                    {showTriggerPanel ? 'Hide trigger event' : 'Trigger event'}
+                                </button>
+                            </>
+                        )}
+                        <div className={'flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ' + (hasDebuggingWebhook ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600')}>
+                            <div className={'w-2 h-2 rounded-full ' + (hasDebuggingWebhook ? 'bg-green-500' : 'bg-gray-400')} />
+                            <span>Debugging webhook {hasDebuggingWebhook ? 'on' : 'off'}</span>
+                        </div>
+                        {canUpdate && (
+                            <button onClick={() => setShowAddDebuggingWebhookModal(true)} className={(hasDebuggingWebhook ? 'bg-red-600' : 'bg-indigo-500') + ' text-white px-4 py-2 rounded-lg'}>
+                                {hasDebuggingWebhook ? 'Disable debugging webhook' : 'Add debugging webhook'}
+                            </button>
+                        )}
+                    </div>
                 </div>
             )}
         >
             <Head title="Debug" />
 
             <div className="py-6">
-                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8">
-                    <div className='w-full min-h-96 overflow-y-scroll'>
-                        <div className="px-4 sm:px-6 lg:px-8">
-                        <div>
-                            <button onClick={() => setPauseEvents(!pauseEvents)} className='bg-indigo-500 text-white px-4 py-2 rounded-lg'>
-                                {pauseEvents ? 'Resume Events' : 'Pause Events'}
-                            </button>
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8 space-y-6">
+                    {showInspector && <ProtocolInspector app={app} endpoint={inspectorEndpoint} />}
+                    {showTriggerPanel && <TriggerEventPanel app={app} />}
+                    <EventFilters filters={filterInputs} onChange={setFilterInputs} />
+                    <div className='flex items-center justify-between'>
+                        <button onClick={() => setPauseEvents(!pauseEvents)} className='bg-indigo-500 text-white px-4 py-2 rounded-lg'>
+                            {pauseEvents ? 'Resume Events' : 'Pause Events'}
+                        </button>
+                        <div className='flex items-center space-x-4'>
+                            <p className='text-sm text-gray-500'>{events.length} events loaded{nextCursor ? ', scroll for more' : ''}</p>
+                            <SecondaryButton onClick={() => setFilterInputs(emptyFilters)}>Clear filters</SecondaryButton>
+                            <ExportLinks url={'/apps/' + app.id + '/debug/export'} params={filterParams(filters)} />
                         </div>
-                        <div className="mt-4 flow-root">
-                            <div className="-mx-4 -my-2 overflow-x-auto sm:-mx-6 lg:-mx-8">
-                            <div className="inline-block min-w-full py-2 align-middle sm:px-6 lg:px-8">
-                                <div className="overflow-hidden shadow ring-1 ring-black ring-opacity-5 sm:rounded-lg">
-                                <div className="min-w-full divide-y divide-gray-300">
-                                    <div className="grid grid-cols-5 bg-gray-50">
-                                        <div className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-gray-900 sm:pl-6 col-span-1">
-                                            Event Type
-                                        </div>
-                                        <div className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 col-span-3">
-                                            Channel
-                                        </div>
-                                        <div className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 col-span-1">
-                                            Created At
-                                        </div>
-                                    </div>
-                                    {events.length ? (
-                                        <div className="divide-y divide-gray-200 bg-white">
-                                            {events.map((event) => <DebugCard key={event.debug_uuid} event={event} />)}
-                                        </div>
-                                    ) : (
-                                        <div className='py-4 flex flex-col w-full'>
-                                            <div className='flex items-center mx-auto space-x-2'>
-                                                <div className='animate-spin'>
-                                                    <ArrowsClockwise className='text-gray-500' />
-                                                </div>
-                                                <p className='text-gray-500'>Listening for events...</p>
-                                            </div>
-                                        </div>
-                                    )}
-                                </div>
-                                </div>
+                    </div>
+                    <div className="overflow-hidden shadow ring-1 ring-black ring-opacity-5 sm:rounded-lg">
+                        <div className="grid grid-cols-5 bg-gray-50 border-b border-gray-300">
+                            <div className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-gray-900 col-span-1">
+                                Event Type
                             </div>
+                            <div className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 col-span-3">
+                                Channel
+                            </div>
+                            <div className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 col-span-1">
+                                Created At
                             </div>
                         </div>
-                        </div>
+                        {events.length ? (
+                            <VirtualList
+                                items={events}
+                                rowHeight={ROW_HEIGHT}
+                                height={Math.min(LIST_HEIGHT, events.length * ROW_HEIGHT)}
+                                onEndReached={loadMore}
+                                renderRow={(event) => (
+                                    <DebugCard
+                                        event={event}
+                                        selected={selectedEvent?.debug_uuid === event.debug_uuid}
+                                        onSelect={() => setSelectedEvent(selectedEvent?.debug_uuid === event.debug_uuid ? null : event)}
+                                    />
+                                )}
+                            />
+                        ) : (
+                            <div className='py-4 flex flex-col w-full bg-white'>
+                                <div className='flex items-center mx-auto space-x-2'>
+                                    <div className='animate-spin'>
+                                        <ArrowsClockwise className='text-gray-500' />
+                                    </div>
+                                    <p className='text-gray-500'>{loadingEvents ? 'Loading events...' : 'Listening for events...'}</p>
+                                </div>
+                            </div>
+                        )}
                     </div>
+                    {selectedEvent && <EventInfo event={selectedEvent} />}
                 </div>
             </div>
 
             <Modal show={showAddDebuggingWebhookModal} onClose={setShowAddDebuggingWebhookModal}>
                 <div className="p-6">
                     <h2 className="text-lg font-medium text-gray-900">
-                        Are you sure you want to enable the debugging webhook?
+                        {hasDebuggingWebhook
+                            ? 'Are you sure you want to disable the debugging webhook?'
+                            : 'Are you sure you want to enable the debugging webhook?'}
                     </h2>
 
                     <p className="mt-1 text-sm text-gray-600">
-                        If this is a high throughput app, this could cause performace issues
+                        {hasDebuggingWebhook
+                            ? 'Soketi will stop sending events to this page.'
+                            : 'If this is a high throughput app, this could cause performace issues'}
                     </p>
 
                     <div className="mt-6 flex justify-end">
                         <SecondaryButton onClick={() => setShowAddDebuggingWebhookModal(false)}>Cancel</SecondaryButton>
 
-                        <PrimaryButton className="ml-3" onClick={toggleDebuggingWebhook}>
-                            Add debugging webhook
-                        </PrimaryButton>
+                        {hasDebuggingWebhook ? (
+                            <DangerButton className="ml-3" onClick={toggleDebuggingWebhook}>
+                                Disable debugging webhook
+                            </DangerButton>
+                        ) : (
+                            <PrimaryButton className="ml-3" onClick={toggleDebuggingWebhook}>
+                                Add debugging webhook
+                            </PrimaryButton>
+                        )}
                     </div>
                 </div>
             </Modal>
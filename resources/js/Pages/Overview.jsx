@@ -0,0 +1,141 @@
+import { useMemo, useState } from 'react';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head } from '@inertiajs/react';
+import { LineChart, Line, ResponsiveContainer, YAxis } from 'recharts';
+import StatusIndicator from '@/Components/StatusIndicator';
+import UtilisationBar from '@/Components/UtilisationBar';
+import { COLORS, formatValue, useMetricsData } from '@/utils/metrics';
+
+// Table columns, each with the value it sorts by
+const COLUMNS = [
+    { key: 'name', label: 'App', sortValue: (app) => (app.name || '').toLowerCase() },
+    { key: 'connections', label: 'Connections', sortValue: (app) => app.usage.connections },
+    { key: 'messages_per_sec', label: 'Messages/s', sortValue: (app) => app.usage.messages_per_sec },
+    { key: 'bytes_per_sec', label: 'Bytes/s', sortValue: (app) => app.usage.bytes_per_sec },
+    { key: 'max_connections', label: 'Connection Limit', sortValue: (app) => app.limits.max_connections?.percentage ?? -1 },
+    { key: 'max_client_events_per_sec', label: 'Client Event Limit', sortValue: (app) => app.limits.max_client_events_per_sec?.percentage ?? -1 },
+    { key: 'max_backend_events_per_sec', label: 'Backend Event Limit', sortValue: (app) => app.limits.max_backend_events_per_sec?.percentage ?? -1 },
+];
+
+// Connection count over the last hour
+function Sparkline({ data }) {
+    return (
+        <div className="w-32 h-8">
+            <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={data}>
+                    <YAxis hide domain={[0, 'dataMax']} />
+                    <Line type="monotone" dataKey="connections" stroke={COLORS.primary} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+}
+
+function SortableHeader({ column, sort, onSort }) {
+    const active = sort.key === column.key;
+
+    return (
+        <th
+            onClick={() => onSort(column.key)}
+            className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 cursor-pointer select-none whitespace-nowrap"
+        >
+            {column.label}
+            <span className={`ml-1 ${active ? 'text-gray-900' : 'text-gray-300'}`}>
+                {active && sort.direction === 'asc' ? '▲' : '▼'}
+            </span>
+        </th>
+    );
+}
+
+export default function Overview(props) {
+    const refreshInterval = props.config?.realtime_refresh_interval || 5000;
+    const overview = useMetricsData('/apps/overview/data', refreshInterval);
+    const [sort, setSort] = useState({ key: 'connections', direction: 'desc' });
+
+    const onSort = (key) => {
+        setSort((previous) => ({
+            key,
+            direction: previous.key === key && previous.direction === 'desc' ? 'asc' : 'desc',
+        }));
+    };
+
+    const apps = useMemo(() => {
+        const column = COLUMNS.find(({ key }) => key === sort.key);
+        const rows = [...(overview.data?.data || [])];
+
+        rows.sort((a, b) => {
+            const left = column.sortValue(a);
+            const right = column.sortValue(b);
+            const order = left < right ? -1 : left > right ? 1 : 0;
+            return sort.direction === 'asc' ? order : -order;
+        });
+
+        return rows;
+    }, [overview.data, sort]);
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={(
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-xl text-gray-800 leading-tight">Overview</h2>
+                    <StatusIndicator
+                        loading={overview.loading}
+                        error={overview.error}
+                        lastUpdate={overview.lastUpdate}
+                        isLive={overview.isLive}
+                        onToggle={overview.toggleLive}
+                    />
+                </div>
+            )}
+        >
+            <Head title="Overview" />
+
+            <div className="py-12">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8">
+                    <div className="overflow-x-auto bg-white shadow-sm sm:rounded-lg">
+                        <table className="min-w-full divide-y divide-gray-300">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {COLUMNS.map((column) => (
+                                        <SortableHeader key={column.key} column={column} sort={sort} onSort={onSort} />
+                                    ))}
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Last Hour</th>
+                                    <th className="px-3 py-3.5" />
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {apps.map((app) => (
+                                    <tr key={app.id}>
+                                        <td className="px-3 py-4 text-sm whitespace-nowrap">
+                                            <div className="flex items-center space-x-2">
+                                                <div className={'w-2 h-2 rounded-full ' + (app.enabled ? 'bg-green-500' : 'bg-gray-400')} />
+                                                <span className="font-semibold">{app.name}</span>
+                                            </div>
+                                            <p className="text-xs text-gray-500">{app.id}</p>
+                                        </td>
+                                        <td className="px-3 py-4 text-sm">{formatValue(app.usage.connections, 'number', 0)}</td>
+                                        <td className="px-3 py-4 text-sm">{formatValue(app.usage.messages_per_sec)}</td>
+                                        <td className="px-3 py-4 text-sm">{formatValue(app.usage.bytes_per_sec, 'speed')}</td>
+                                        <td className="px-3 py-4"><UtilisationBar utilisation={app.limits.max_connections} /></td>
+                                        <td className="px-3 py-4"><UtilisationBar utilisation={app.limits.max_client_events_per_sec} /></td>
+                                        <td className="px-3 py-4"><UtilisationBar utilisation={app.limits.max_backend_events_per_sec} /></td>
+                                        <td className="px-3 py-4"><Sparkline data={app.sparkline} /></td>
+                                        <td className="px-3 py-4 text-sm whitespace-nowrap space-x-3">
+                                            <a className="text-indigo-600 hover:text-indigo-800" href={'/apps/' + app.id + '/metrics'}>Metrics</a>
+                                            <a className="text-indigo-600 hover:text-indigo-800" href={'/apps/' + app.id + '/debug'}>Debug</a>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {!overview.loading && apps.length === 0 && (
+                            <div className="p-4 text-gray-500">No apps configured</div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </AuthenticatedLayout>
+    );
+}
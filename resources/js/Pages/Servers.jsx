@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head, router } from '@inertiajs/react';
+import { formatDistanceToNow } from 'date-fns';
+import ServerModal from '@/Components/ServerModal';
+import PrimaryButton from '@/Components/PrimaryButton';
+import SecondaryButton from '@/Components/SecondaryButton';
+import EditButton from '@/Components/EditButton';
+import DeleteButton from '@/Components/DeleteButton';
+import { formatValue } from '@/utils/metrics';
+
+const statusPill = (server) => {
+    if (!server.enabled) return ['bg-gray-100 text-gray-800', 'disabled'];
+    if (!server.status) return ['bg-gray-100 text-gray-800', 'not scraped'];
+    if (!server.status.ok) return ['bg-red-100 text-red-800', 'down'];
+    return ['bg-green-100 text-green-800', 'up'];
+};
+
+export default function Servers(props) {
+    const { servers, registered, clusters, connections, soketi } = props;
+
+    const [showModal, setShowModal] = useState(false);
+    const [currentServer, setCurrentServer] = useState(null);
+
+    const openModal = (server = null) => {
+        setCurrentServer(server);
+        setShowModal(true);
+    };
+
+    const deleteServer = (server) => {
+        if (confirm('Remove the "' + server.name + '" server? Its metrics will no longer be scraped.')) {
+            router.post(route('apps.servers.delete'), { id: server.id });
+        }
+    };
+
+    const switchCluster = (cluster) => {
+        router.post(route('apps.servers.switch'), { cluster });
+    };
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={(
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-xl text-gray-800 leading-tight">Servers</h2>
+                    <PrimaryButton type="button" onClick={() => openModal()}>Add server</PrimaryButton>
+                </div>
+            )}
+        >
+            <Head title="Servers" />
+
+            <div className="py-12">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8 space-y-6">
+                    {!registered && (
+                        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                            No servers are registered yet, so the one from config/soketi.php (SOKETI_HOST) is used.
+                            Add a server to monitor several Soketi nodes or clusters.
+                        </div>
+                    )}
+
+                    {clusters.map((cluster) => (
+                        <div key={cluster.name} className="bg-white shadow-sm sm:rounded-lg overflow-x-auto">
+                            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+                                <div>
+                                    <h3 className="text-lg font-semibold text-gray-900">{cluster.name}</h3>
+                                    <p className="text-sm text-gray-500">
+                                        Apps in the <span className="font-mono">{cluster.database_connection}</span> connection
+                                        {' '}&middot; {cluster.apps === null ? 'database unreachable' : `${cluster.apps} apps`}
+                                    </p>
+                                </div>
+                                {cluster.name === soketi?.currentCluster && (
+                                    <span className="px-2 py-1 rounded text-xs font-medium bg-indigo-100 text-indigo-800">current</span>
+                                )}
+                                {cluster.name !== soketi?.currentCluster && soketi?.clusters?.includes(cluster.name) && (
+                                    <SecondaryButton onClick={() => switchCluster(cluster.name)}>Switch to</SecondaryButton>
+                                )}
+                            </div>
+
+                            <table className="min-w-full divide-y divide-gray-300">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Server</th>
+                                        <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">WebSocket</th>
+                                        <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Metrics</th>
+                                        <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Status</th>
+                                        <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Connections</th>
+                                        <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Memory</th>
+                                        <th className="px-3 py-3.5" />
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {servers.filter((server) => server.cluster === cluster.name).map((server) => {
+                                        const [pillClassName, label] = statusPill(server);
+
+                                        return (
+                                            <tr key={server.id ?? server.name} className={server.enabled ? '' : 'opacity-50'}>
+                                                <td className="px-3 py-4 text-sm font-semibold">{server.name}</td>
+                                                <td className="px-3 py-4 text-sm font-mono">{server.scheme}://{server.host}:{server.websocket_port}</td>
+                                                <td className="px-3 py-4 text-sm font-mono">{server.metrics_base_url}</td>
+                                                <td className="px-3 py-4 text-sm">
+                                                    <span className={'px-2 py-1 rounded text-xs font-medium ' + pillClassName}>{label}</span>
+                                                    {server.status && (
+                                                        <p className="mt-1 text-xs text-gray-500">
+                                                            {formatDistanceToNow(new Date(server.status.scraped_at), { addSuffix: true })}
+                                                        </p>
+                                                    )}
+                                                </td>
+                                                <td className="px-3 py-4 text-sm">{formatValue(server.status?.connections, 'number', 0)}</td>
+                                                <td className="px-3 py-4 text-sm">{formatValue(server.status?.memory_usage, 'bytes')}</td>
+                                                <td className="px-3 py-4 text-sm whitespace-nowrap">
+                                                    {server.id && (
+                                                        <div className="flex items-center space-x-2">
+                                                            <EditButton onClick={() => openModal(server)} />
+                                                            <DeleteButton onClick={() => deleteServer(server)} />
+                                                        </div>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <ServerModal
+                server={currentServer}
+                clusters={clusters}
+                connections={connections}
+                show={showModal}
+                setShow={setShowModal}
+            />
+        </AuthenticatedLayout>
+    );
+}
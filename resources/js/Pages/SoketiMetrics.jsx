@@ -1,201 +1,31 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
 import { Head, usePage } from '@inertiajs/react';
 import {
     LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
-    ResponsiveContainer, PieChart, Pie, Cell, ComposedChart
+    ResponsiveContainer, PieChart, Pie, Cell, ComposedChart, BarChart, Bar, ReferenceLine
 } from 'recharts';
 import { format } from 'date-fns';
-
-// Professional color palette
-const COLORS = {
-    primary: '#3B82F6',
-    success: '#10B981',
-    warning: '#F59E0B',
-    error: '#EF4444',
-    secondary: '#6B7280',
-    accent: '#8B5CF6'
-};
-
-// Format values with appropriate units
-function formatValue(val, type = 'number', precision = 2) {
-    if (val == null || val === undefined) return '-';
-    const n = Number(val);
-    if (Number.isNaN(n)) return '-';
-
-    switch (type) {
-        case 'bytes':
-            if (n >= 1e9) return `${(n / 1e9).toFixed(precision)} GB`;
-            if (n >= 1e6) return `${(n / 1e6).toFixed(precision)} MB`;
-            if (n >= 1e3) return `${(n / 1e3).toFixed(precision)} KB`;
-            return `${n.toFixed(precision)} B`;
-        
-        case 'duration':
-            // Display as hours/minutes without trailing seconds "s"
-            if (n >= 3600) return `${(n / 3600).toFixed(1)}h`;
-            if (n >= 60) return `${(n / 60).toFixed(1)}m`;
-            return `${n.toFixed(0)}`; // remove 's'
-        
-        case 'percentage':
-            return `${n.toFixed(precision)}%`;
-        
-        case 'rate':
-            return `${n.toFixed(precision)}/min`;
-        
-        case 'speed':
-            if (n >= 1e6) return `${(n / 1e6).toFixed(precision)} MB/s`;
-            if (n >= 1e3) return `${(n / 1e3).toFixed(precision)} KB/s`;
-            return `${n.toFixed(precision)} B/s`;
-        
-        default:
-            if (n >= 1e9) return `${(n / 1e9).toFixed(precision)}B`;
-            if (n >= 1e6) return `${(n / 1e6).toFixed(precision)}M`;
-            if (n >= 1e3) return `${(n / 1e3).toFixed(precision)}K`;
-            return n.toFixed(precision);
-    }
-}
-
-// Enhanced fetch with error handling
-async function fetchJSON(url, options = {}) {
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content');
-    
-    const res = await fetch(url, {
-        credentials: 'include',
-        headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'X-CSRF-TOKEN': csrfToken || '',
-            'X-Requested-With': 'XMLHttpRequest',
-            ...options.headers
-        },
-        ...options
-    });
-
-    if (!res.ok) {
-        throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-    }
-
-    return res.json();
-}
-
-// Enhanced metrics hook with real-time updates
-function useMetricsData(endpoint, refreshInterval = 5000, enabled = true) {
-    const [data, setData] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [lastUpdate, setLastUpdate] = useState(null);
-    const [isLive, setIsLive] = useState(true);
-
-    const fetchData = useCallback(async () => {
-        if (!enabled || !isLive) return;
-
-        try {
-            setError(null);
-            const result = await fetchJSON(endpoint);
-            setData(result);
-            setLastUpdate(new Date());
-        } catch (err) {
-            setError(err.message);
-            console.error('Metrics fetch error:', err);
-        } finally {
-            setLoading(false);
-        }
-    }, [endpoint, enabled, isLive]);
-
-    useEffect(() => {
-        fetchData();
-        
-        if (enabled && isLive && refreshInterval > 0) {
-            const interval = setInterval(fetchData, refreshInterval);
-            return () => clearInterval(interval);
-        }
-    }, [fetchData, refreshInterval, enabled, isLive]);
-
-    const toggleLive = useCallback(() => {
-        setIsLive(prev => !prev);
-    }, []);
-
-    return { data, loading, error, lastUpdate, refetch: fetchData, isLive, toggleLive };
-}
-
-// Professional metric card component
-function MetricCard({ title, value, type = 'number', change = null, icon = null, color = COLORS.primary, subtitle = null }) {
-    const changeColor = change > 0 ? COLORS.success : change < 0 ? COLORS.error : COLORS.secondary;
-    
-    return (
-        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 hover:shadow-md transition-shadow">
-            <div className="flex items-center justify-between mb-2">
-                <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide">{title}</h3>
-                {icon && <span className="text-2xl" style={{ color }}>{icon}</span>}
-            </div>
-            <div className="flex items-baseline space-x-2">
-                <span className="text-3xl font-bold text-gray-900">
-                    {formatValue(value, type)}
-                </span>
-                {change !== null && (
-                    <span className="text-sm font-medium" style={{ color: changeColor }}>
-                        {change > 0 ? '+' : ''}{formatValue(change, type)}
-                    </span>
-                )}
-            </div>
-            {subtitle && (
-                <p className="text-xs text-gray-500 mt-1">{subtitle}</p>
-            )}
-        </div>
-    );
-}
-
-// Real-time status indicator
-function StatusIndicator({ loading, error, lastUpdate, isLive, onToggle }) {
-    if (error) {
-        return <div className="flex items-center space-x-2 text-red-500 text-sm">
-            <div className="w-2 h-2 bg-red-500 rounded-full"></div>
-            <span>Error</span>
-        </div>;
-    }
-
-    if (loading) {
-        return <div className="flex items-center space-x-2 text-yellow-500 text-sm">
-            <div className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse"></div>
-            <span>Loading...</span>
-        </div>;
-    }
-
-    return (
-        <div className="flex items-center space-x-3">
-            <div className={`flex items-center space-x-2 text-sm ${isLive ? 'text-green-500' : 'text-gray-500'}`}>
-                <div className={`w-2 h-2 rounded-full ${isLive ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`}></div>
-                <span>{isLive ? 'Live' : 'Paused'}</span>
-            </div>
-            {lastUpdate && (
-                <span className="text-xs text-gray-500">
-                    {format(lastUpdate, 'HH:mm:ss')}
-                </span>
-            )}
-            <button
-                onClick={onToggle}
-                className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
-                    isLive 
-                        ? 'bg-red-100 text-red-700 hover:bg-red-200' 
-                        : 'bg-green-100 text-green-700 hover:bg-green-200'
-                }`}
-            >
-                {isLive ? 'Pause' : 'Resume'}
-            </button>
-        </div>
-    );
-}
-
-// Chart container component
-function ChartCard({ title, children, height = 300, className = '' }) {
-    return (
-        <div className={`bg-white rounded-xl p-6 shadow-sm border border-gray-100 ${className}`}>
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
-            <div style={{ height }}>
-                {children}
-            </div>
-        </div>
-    );
+import StatusIndicator from '@/Components/StatusIndicator';
+import ExportLinks from '@/Components/ExportLinks';
+import MetricCard from '@/Components/MetricCard';
+import ChartCard from '@/Components/ChartCard';
+import ToggleGroup from '@/Components/ToggleGroup';
+import { COLORS, fetchJSON, formatValue, useMetricsData } from '@/utils/metrics';
+
+// Selectable time-series ranges; minute buckets are only kept for 6 hours
+const TIME_RANGES = [
+    { label: '1h', hours: 1, granularities: ['minute', 'hour'] },
+    { label: '6h', hours: 6, granularities: ['minute', 'hour'] },
+    { label: '24h', hours: 24, granularities: ['hour'] },
+    { label: '7d', hours: 168, granularities: ['hour'] },
+];
+
+// Describe an app's value as a share of the server-wide total
+function shareOfServer(value, total, type = 'number') {
+    if (!total) return 'No server-wide activity';
+    const precision = type === 'bytes' ? 2 : 0;
+    return `${formatValue(value, type, precision)} of ${formatValue(total, type, precision)} server-wide (${((value / total) * 100).toFixed(1)}%)`;
 }
 
 // Message distribution pie chart
@@ -231,6 +61,182 @@ function MessageChart({ data }) {
     );
 }
 
+// Tooltip showing the bucket time and formatted series values
+function TimeSeriesTooltip({ active, payload, label, type }) {
+    if (!active || !payload || payload.length === 0) return null;
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg shadow-md px-3 py-2 text-sm">
+            <p className="font-medium text-gray-900 mb-1">{format(new Date(label * 1000), 'MMM d, HH:mm')}</p>
+            {payload.map((entry) => (
+                <p key={entry.dataKey} style={{ color: entry.color }}>
+                    {entry.name}: {formatValue(entry.value, type, type === 'bytes' ? 2 : 0)}
+                </p>
+            ))}
+        </div>
+    );
+}
+
+// Timestamps of the points where the app was at one of the given limits
+function limitHitTimestamps(points, limits) {
+    return points
+        .filter((point) => (point.limit_hits || []).some((limit) => limits.includes(limit)))
+        .map((point) => point.timestamp);
+}
+
+// Vertical markers for the moments a limit was hit
+const limitHitMarkers = (timestamps, label) => timestamps.map((timestamp) => (
+    <ReferenceLine key={timestamp} x={timestamp} stroke={COLORS.error} strokeDasharray="3 3" label={{ value: label, position: 'top', fontSize: 10, fill: COLORS.error }} />
+));
+
+// Connection, message and bandwidth trends from the timeseries endpoint
+function TimeSeriesCharts({ endpoint, compareServer = false, limits = {} }) {
+    const [range, setRange] = useState(TIME_RANGES[2]);
+    const [granularity, setGranularity] = useState('hour');
+
+    const selectRange = useCallback((hours) => {
+        const next = TIME_RANGES.find((item) => item.hours === hours);
+        setRange(next);
+        if (!next.granularities.includes(granularity)) {
+            setGranularity(next.granularities[0]);
+        }
+    }, [granularity]);
+
+    const query = `hours=${range.hours}&granularity=${granularity}`;
+    const interval = granularity === 'minute' ? 60000 : 300000;
+    const series = useMetricsData(`${endpoint}?${query}`, interval);
+    const serverSeries = useMetricsData(`${endpoint}?${query}&scope=server`, interval, compareServer);
+
+    const points = useMemo(() => {
+        const appPoints = series.data?.data || [];
+        if (!compareServer || !serverSeries.data?.data) return appPoints;
+
+        const serverByTimestamp = new Map(serverSeries.data.data.map((point) => [point.timestamp, point]));
+        return appPoints.map((point) => ({
+            ...point,
+            server_connections: serverByTimestamp.get(point.timestamp)?.connections ?? 0,
+            server_messages_sent: serverByTimestamp.get(point.timestamp)?.messages_sent ?? 0,
+            server_bytes_transferred: serverByTimestamp.get(point.timestamp)?.bytes_transferred ?? 0,
+        }));
+    }, [series.data, serverSeries.data, compareServer]);
+
+    const connectionLimitHits = useMemo(() => limitHitTimestamps(points, ['max_connections']), [points]);
+    const eventLimitHits = useMemo(() => limitHitTimestamps(points, ['max_client_events_per_sec', 'max_backend_events_per_sec']), [points]);
+    const maxConnections = limits.max_connections > 0 ? limits.max_connections : null;
+
+    const tickFormat = (timestamp) => format(
+        new Date(timestamp * 1000),
+        range.hours > 24 ? 'MMM d HH:mm' : 'HH:mm'
+    );
+
+    const axisProps = {
+        dataKey: 'timestamp',
+        tickFormatter: tickFormat,
+        minTickGap: 24,
+        tick: { fontSize: 12, fill: COLORS.secondary },
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <h2 className="text-xl font-semibold text-gray-900">Trends</h2>
+                <div className="flex items-center space-x-3">
+                    <ToggleGroup
+                        options={TIME_RANGES.map((item) => ({ label: item.label, value: item.hours }))}
+                        value={range.hours}
+                        onChange={selectRange}
+                    />
+                    <ToggleGroup
+                        options={['minute', 'hour'].map((item) => ({
+                            label: item === 'minute' ? 'Minute' : 'Hour',
+                            value: item,
+                            disabled: !range.granularities.includes(item),
+                        }))}
+                        value={granularity}
+                        onChange={setGranularity}
+                    />
+                    <ExportLinks url={`${endpoint}/export`} params={{ hours: range.hours, granularity }} />
+                </div>
+            </div>
+
+            {series.error && (
+                <p className="text-sm text-red-600">Failed to load time series: {series.error}</p>
+            )}
+
+            <ChartCard title="Connections">
+                <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={points} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis {...axisProps} />
+                        <YAxis tick={{ fontSize: 12, fill: COLORS.secondary }} allowDecimals={false} />
+                        <Tooltip content={<TimeSeriesTooltip type="number" />} />
+                        <Legend />
+                        <Area type="monotone" dataKey="connections" name={granularity === 'hour' ? 'Average' : 'Connections'} stroke={COLORS.primary} fill={COLORS.primary} fillOpacity={0.15} />
+                        {granularity === 'hour' && (
+                            <Line type="monotone" dataKey="peak_connections" name="Peak" stroke={COLORS.warning} dot={false} />
+                        )}
+                        {compareServer && (
+                            <Line type="monotone" dataKey="server_connections" name="Server total" stroke={COLORS.secondary} strokeDasharray="4 4" dot={false} />
+                        )}
+                        {maxConnections && (
+                            <ReferenceLine y={maxConnections} stroke={COLORS.error} strokeDasharray="6 3" label={{ value: 'Limit', position: 'insideTopRight', fontSize: 11, fill: COLORS.error }} />
+                        )}
+                        {limitHitMarkers(connectionLimitHits, 'Limit')}
+                    </ComposedChart>
+                </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard title="Message Breakdown">
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={points} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis {...axisProps} />
+                        <YAxis tick={{ fontSize: 12, fill: COLORS.secondary }} tickFormatter={(value) => formatValue(value, 'number', 0)} />
+                        <Tooltip content={<TimeSeriesTooltip type="number" />} />
+                        <Legend />
+                        <Bar dataKey="messages_received" name="WS Received" stackId="messages" fill={COLORS.primary} />
+                        <Bar dataKey="messages_sent" name="WS Sent" stackId="messages" fill={COLORS.success} />
+                        <Bar dataKey="http_calls" name="HTTP Calls" stackId="messages" fill={COLORS.accent} />
+                        {limitHitMarkers(eventLimitHits, 'Limit')}
+                    </BarChart>
+                </ResponsiveContainer>
+            </ChartCard>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <ChartCard title="Messages Sent">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={points} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                            <XAxis {...axisProps} />
+                            <YAxis tick={{ fontSize: 12, fill: COLORS.secondary }} tickFormatter={(value) => formatValue(value, 'number', 0)} />
+                            <Tooltip content={<TimeSeriesTooltip type="number" />} />
+                            <Line type="monotone" dataKey="messages_sent" name="Messages" stroke={COLORS.success} dot={false} />
+                            {compareServer && (
+                                <Line type="monotone" dataKey="server_messages_sent" name="Server total" stroke={COLORS.secondary} strokeDasharray="4 4" dot={false} />
+                            )}
+                        </LineChart>
+                    </ResponsiveContainer>
+                </ChartCard>
+
+                <ChartCard title="Bytes Transferred">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={points} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                            <XAxis {...axisProps} />
+                            <YAxis tick={{ fontSize: 12, fill: COLORS.secondary }} tickFormatter={(value) => formatValue(value, 'bytes', 0)} width={70} />
+                            <Tooltip content={<TimeSeriesTooltip type="bytes" />} />
+                            <Area type="monotone" dataKey="bytes_transferred" name="Bytes" stroke={COLORS.accent} fill={COLORS.accent} fillOpacity={0.15} />
+                            {compareServer && (
+                                <Line type="monotone" dataKey="server_bytes_transferred" name="Server total" stroke={COLORS.secondary} strokeDasharray="4 4" dot={false} />
+                            )}
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </ChartCard>
+            </div>
+        </div>
+    );
+}
+
 // Server health dashboard
 function ServerHealth({ health, onRefresh }) {
     if (!health) return null;
@@ -310,11 +316,13 @@ export default function SoketiMetrics(props) {
     const base = `/apps/${app.id}/metrics`;
     const metricsEndpoint = `${base}/cached`;
     const healthEndpoint = `${base}/health`;
+    const timeSeriesEndpoint = `${base}/timeseries`;
 
     // Hooks
     const refreshInterval = config.realtime_refresh_interval || 5000;
     const metrics = useMetricsData(metricsEndpoint, refreshInterval);
     const [health, setHealth] = useState(null);
+    const [compareServer, setCompareServer] = useState(false);
 
     // Fetch health status
     const fetchHealth = useCallback(async () => {
@@ -344,11 +352,16 @@ export default function SoketiMetrics(props) {
     const websockets = data.websockets || {};
     const system = data.system || {};
     const performance = data.performance || {};
+    const http = data.http || {};
+    const serverTotal = data.server_total || {};
+
+    const appBytes = (dataTransfer.bytes_received || 0) + (dataTransfer.bytes_sent || 0);
+    const serverBytes = (serverTotal.data_transfer?.bytes_received || 0) + (serverTotal.data_transfer?.bytes_sent || 0);
 
     const messageTypeData = [
-        { name: 'WebSocket Messages', value: websockets.messages_sent || 0, color: COLORS.primary },
-        { name: 'HTTP Requests', value: Math.floor((websockets.messages_sent || 0) * 0.1), color: COLORS.secondary },
-        { name: 'System Messages', value: Math.floor((websockets.messages_sent || 0) * 0.05), color: COLORS.accent },
+        { name: 'WebSocket Messages Received', value: websockets.messages_received || 0, color: COLORS.primary },
+        { name: 'WebSocket Messages Sent', value: websockets.messages_sent || 0, color: COLORS.success },
+        { name: 'HTTP API Calls', value: http.calls_received || 0, color: COLORS.accent },
     ].filter(item => item.value > 0);
 
     return (
@@ -361,8 +374,18 @@ export default function SoketiMetrics(props) {
                         <h1 className="text-2xl font-bold text-gray-900">
                             Soketi WebSocket Metrics
                         </h1>
+                        {app.name && <p className="text-sm text-gray-500">{app.name} (App ID {app.id})</p>}
                     </div>
                     <div className="flex items-center space-x-4">
+                        <label className="flex items-center space-x-2 text-sm text-gray-600 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={compareServer}
+                                onChange={(event) => setCompareServer(event.target.checked)}
+                                className="rounded border-gray-300 text-blue-600 shadow-sm focus:ring-blue-500"
+                            />
+                            <span>Compare with server total</span>
+                        </label>
                         <StatusIndicator 
                             loading={metrics.loading} 
                             error={metrics.error} 
@@ -389,22 +412,26 @@ export default function SoketiMetrics(props) {
                             value={connections.current || 0}
                             icon="🔗"
                             color={COLORS.primary}
-                            subtitle="Real-time WebSocket connections"
+                            subtitle={compareServer
+                                ? shareOfServer(connections.current || 0, serverTotal.connections?.current)
+                                : 'Real-time WebSocket connections'}
                         />
                         <MetricCard
                             title="Messages Sent"
                             value={websockets.messages_sent || 0}
                             icon="💬"
                             color={COLORS.success}
-                            subtitle="Total WebSocket messages"
+                            subtitle={compareServer
+                                ? shareOfServer(websockets.messages_sent || 0, serverTotal.websockets?.messages_sent)
+                                : 'Total WebSocket messages'}
                         />
                         <MetricCard
                             title="Data Transferred"
-                            value={(dataTransfer.bytes_received || 0) + (dataTransfer.bytes_sent || 0)}
+                            value={appBytes}
                             type="bytes"
                             icon="📊"
                             color={COLORS.accent}
-                            subtitle="Total session data"
+                            subtitle={compareServer ? shareOfServer(appBytes, serverBytes, 'bytes') : 'Total session data'}
                         />
                         <MetricCard
                             title="Memory Usage"
@@ -416,11 +443,36 @@ export default function SoketiMetrics(props) {
                         />
                     </div>
 
-                    {/* Message Types only, full width and taller to avoid clipping */}
+                    {/* Trends over the selected range */}
+                    <TimeSeriesCharts endpoint={timeSeriesEndpoint} compareServer={compareServer} limits={app} />
+
+                    {/* Message Types, full width and taller to avoid clipping */}
                     <ChartCard title="Message Types" height={360}>
                         <MessageChart data={messageTypeData} />
                     </ChartCard>
 
+                    {/* HTTP API traffic */}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <MetricCard
+                            title="HTTP API Calls"
+                            value={http.calls_received || 0}
+                            color={COLORS.accent}
+                            subtitle="Requests to the Soketi HTTP API"
+                        />
+                        <MetricCard
+                            title="HTTP Bytes In"
+                            value={http.bytes_received || 0}
+                            type="bytes"
+                            subtitle="Request bodies received"
+                        />
+                        <MetricCard
+                            title="HTTP Bytes Out"
+                            value={http.bytes_sent || 0}
+                            type="bytes"
+                            subtitle="Responses sent"
+                        />
+                    </div>
+
                     {/* Performance Metrics */}
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
                         <MetricCard
@@ -0,0 +1,192 @@
+import { useMemo, useState } from 'react';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head } from '@inertiajs/react';
+import {
+    BarChart, Bar, ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { format } from 'date-fns';
+import StatusIndicator from '@/Components/StatusIndicator';
+import MetricCard from '@/Components/MetricCard';
+import ChartCard from '@/Components/ChartCard';
+import ToggleGroup from '@/Components/ToggleGroup';
+import { COLORS, formatValue, useMetricsData } from '@/utils/metrics';
+
+const RANGES = [
+    { label: '24h', hours: 24 },
+    { label: '3d', hours: 72 },
+    { label: '7d', hours: 168 },
+];
+
+// Bucket order used by UploadMetricsTracker when aggregating hourly
+const DURATION_BUCKETS = ['0-10s', '10-30s', '30-60s', '1-2m', '2-5m', '5m+'];
+const SIZE_BUCKETS = ['0-10MB', '10-50MB', '50-100MB', '100-500MB', '500MB-1GB', '1GB+'];
+
+const toHistogram = (distribution, buckets) => buckets.map((bucket) => ({ bucket, count: Number(distribution?.[bucket] ?? 0) }));
+
+function Histogram({ data, color }) {
+    if (!data.some(({ count }) => count > 0)) {
+        return <div className="flex items-center justify-center h-full text-gray-500">No completed uploads in this range</div>;
+    }
+
+    return (
+        <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={data} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                <XAxis dataKey="bucket" tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                <Tooltip />
+                <Bar dataKey="count" name="Uploads" fill={color} radius={[4, 4, 0, 0]} />
+            </BarChart>
+        </ResponsiveContainer>
+    );
+}
+
+export default function Uploads(props) {
+    const refreshInterval = props.config?.realtime_refresh_interval || 5000;
+    const [hours, setHours] = useState(24);
+    const uploads = useMetricsData('/apps/uploads/data?hours=' + hours, refreshInterval);
+
+    const data = uploads.data?.data;
+    const totals = data?.totals ?? {};
+    const active = data?.active_sessions ?? {};
+
+    const hourly = useMemo(() => (data?.hourly ?? []).map((row) => ({
+        timestamp: new Date(row.hour.replace(' ', 'T') + 'Z').getTime(),
+        completed: Number(row.completed_uploads),
+        failed: Number(row.failed_uploads),
+        completion_rate: Number(row.completion_rate),
+        total_bytes: Number(row.total_bytes),
+    })), [data]);
+
+    const tickFormat = (timestamp) => format(new Date(timestamp), hours > 24 ? 'MMM d HH:mm' : 'HH:mm');
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={(
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-xl text-gray-800 leading-tight">Uploads</h2>
+                    <div className="flex items-center space-x-4">
+                        <ToggleGroup
+                            options={RANGES.map((range) => ({ label: range.label, value: range.hours }))}
+                            value={hours}
+                            onChange={setHours}
+                        />
+                        <StatusIndicator
+                            loading={uploads.loading}
+                            error={uploads.error}
+                            lastUpdate={uploads.lastUpdate}
+                            isLive={uploads.isLive}
+                            onToggle={uploads.toggleLive}
+                        />
+                    </div>
+                </div>
+            )}
+        >
+            <Head title="Uploads" />
+
+            <div className="py-6">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8 space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <MetricCard
+                            title="Success Rate"
+                            value={totals.success_rate}
+                            type="percentage"
+                            color={COLORS.success}
+                            subtitle={`${formatValue(totals.completed ?? 0, 'number', 0)} completed, ${formatValue(totals.failed ?? 0, 'number', 0)} failed`}
+                        />
+                        <MetricCard
+                            title="Throughput"
+                            value={totals.bytes_per_second}
+                            type="speed"
+                            subtitle={`${formatValue(totals.uploads_per_hour ?? 0, 'number', 1)} uploads/hour, ${formatValue(totals.total_bytes ?? 0, 'bytes')} total`}
+                        />
+                        <MetricCard
+                            title="Active Sessions"
+                            value={active.active_count}
+                            type="number"
+                            color={COLORS.accent}
+                            subtitle={`${formatValue(active.last_hour?.prepared ?? 0, 'number', 0)} started in the last hour`}
+                        />
+                        <MetricCard
+                            title="Avg Duration"
+                            value={totals.avg_duration}
+                            type="duration"
+                            subtitle="Seconds from prepare to complete"
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <ChartCard title="Uploads per Hour">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <ComposedChart data={hourly} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                                    <XAxis dataKey="timestamp" tickFormatter={tickFormat} minTickGap={24} tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                                    <YAxis yAxisId="count" allowDecimals={false} tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                                    <YAxis yAxisId="rate" orientation="right" domain={[0, 100]} unit="%" tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                                    <Tooltip labelFormatter={(timestamp) => format(new Date(timestamp), 'MMM d, HH:mm')} />
+                                    <Legend />
+                                    <Bar yAxisId="count" dataKey="completed" name="Completed" stackId="uploads" fill={COLORS.success} />
+                                    <Bar yAxisId="count" dataKey="failed" name="Failed" stackId="uploads" fill={COLORS.error} />
+                                    <Line yAxisId="rate" type="monotone" dataKey="completion_rate" name="Completion rate" stroke={COLORS.primary} dot={false} />
+                                </ComposedChart>
+                            </ResponsiveContainer>
+                        </ChartCard>
+
+                        <ChartCard title="Bytes Uploaded per Hour">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <BarChart data={hourly} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                                    <XAxis dataKey="timestamp" tickFormatter={tickFormat} minTickGap={24} tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                                    <YAxis tickFormatter={(value) => formatValue(value, 'bytes', 0)} tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                                    <Tooltip labelFormatter={(timestamp) => format(new Date(timestamp), 'MMM d, HH:mm')} formatter={(value) => formatValue(value, 'bytes')} />
+                                    <Bar dataKey="total_bytes" name="Bytes" fill={COLORS.primary} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </ChartCard>
+
+                        <ChartCard title="Upload Duration">
+                            <Histogram data={toHistogram(data?.duration_distribution, DURATION_BUCKETS)} color={COLORS.accent} />
+                        </ChartCard>
+
+                        <ChartCard title="File Size">
+                            <Histogram data={toHistogram(data?.size_distribution, SIZE_BUCKETS)} color={COLORS.warning} />
+                        </ChartCard>
+                    </div>
+
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                        <h3 className="text-lg font-semibold text-gray-900 p-6 pb-4">Top Failure Reasons</h3>
+                        <table className="min-w-full divide-y divide-gray-300">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900">Code</th>
+                                    <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900">Stage</th>
+                                    <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900">Message</th>
+                                    <th className="px-6 py-3 text-right text-sm font-semibold text-gray-900">Failures</th>
+                                    <th className="px-6 py-3 text-right text-sm font-semibold text-gray-900">Retryable</th>
+                                    <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900">Last Seen</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {(data?.failure_reasons ?? []).map((reason, index) => (
+                                    <tr key={index}>
+                                        <td className="px-6 py-3 text-sm font-mono">{reason.error_code}</td>
+                                        <td className="px-6 py-3 text-sm">{reason.error_stage}</td>
+                                        <td className="px-6 py-3 text-sm text-gray-600">{reason.error_message}</td>
+                                        <td className="px-6 py-3 text-sm text-right">{formatValue(reason.count, 'number', 0)}</td>
+                                        <td className="px-6 py-3 text-sm text-right">{formatValue(reason.retryable_count, 'number', 0)}</td>
+                                        <td className="px-6 py-3 text-sm text-gray-500">{reason.last_failed_at}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {!uploads.loading && !(data?.failure_reasons ?? []).length && (
+                            <div className="p-6 text-gray-500">No failed uploads in this range</div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </AuthenticatedLayout>
+    );
+}
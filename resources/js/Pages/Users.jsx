@@ -0,0 +1,256 @@
+import { useState } from 'react';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head, router, useForm } from '@inertiajs/react';
+import { format, isPast } from 'date-fns';
+import DeleteButton from '@/Components/DeleteButton';
+import InputError from '@/Components/InputError';
+import PrimaryButton from '@/Components/PrimaryButton';
+import SecondaryButton from '@/Components/SecondaryButton';
+import TextInput from '@/Components/TextInput';
+
+const selectClassName = 'border-gray-300 focus:border-indigo-500 focus:ring-indigo-500 rounded-md shadow-sm text-sm';
+
+const ROLE_DESCRIPTIONS = {
+    admin: 'Every app, plus users, servers and alert rules',
+    developer: 'Can create apps, and change the apps granted to them',
+    viewer: 'Read-only access to the apps granted to them',
+};
+
+function GrantForm({ user, apps, grantRoles }) {
+    const granted = new Set(user.grants.map((grant) => String(grant.app_id)));
+    const available = apps.filter((app) => !granted.has(String(app.id)));
+    const [appId, setAppId] = useState('');
+    const [role, setRole] = useState(grantRoles[grantRoles.length - 1]);
+
+    const grant = () => {
+        router.post(route('apps.users.grant'), { user_id: user.id, app_id: appId, role }, {
+            preserveScroll: true,
+            onSuccess: () => setAppId(''),
+        });
+    };
+
+    if (!available.length) return null;
+
+    return (
+        <div className="flex items-center space-x-2">
+            <select value={appId} onChange={(event) => setAppId(event.target.value)} className={selectClassName}>
+                <option value="">Grant access to...</option>
+                {available.map((app) => <option key={app.id} value={app.id}>{app.name ?? app.id}</option>)}
+            </select>
+            <select value={role} onChange={(event) => setRole(event.target.value)} className={selectClassName}>
+                {grantRoles.map((grantRole) => <option key={grantRole} value={grantRole}>{grantRole}</option>)}
+            </select>
+            <SecondaryButton processing={!appId} onClick={grant}>Grant</SecondaryButton>
+        </div>
+    );
+}
+
+function InviteForm({ roles }) {
+    const { data, setData, post, processing, errors, reset } = useForm({
+        email: '',
+        role: roles[roles.length - 1],
+    });
+
+    const submit = (event) => {
+        event.preventDefault();
+
+        post(route('apps.users.invite'), {
+            preserveScroll: true,
+            onSuccess: () => reset('email'),
+        });
+    };
+
+    return (
+        <form onSubmit={submit} className="p-4 bg-white shadow-sm sm:rounded-lg">
+            <div className="flex items-start space-x-2">
+                <div className="w-80">
+                    <TextInput
+                        id="invite_email"
+                        type="email"
+                        name="email"
+                        value={data.email}
+                        className="block w-full text-sm"
+                        handleChange={(event) => setData('email', event.target.value)}
+                        required
+                    />
+                    <InputError message={errors.email} className="mt-1" />
+                </div>
+                <select value={data.role} onChange={(event) => setData('role', event.target.value)} className={selectClassName}>
+                    {roles.map((role) => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <PrimaryButton processing={processing || !data.email}>Send Invite</PrimaryButton>
+            </div>
+            <p className="mt-2 text-xs text-gray-500">Invited users get an email with a link to create their account.</p>
+        </form>
+    );
+}
+
+function Invitations({ invitations }) {
+    const resend = (invitation) => {
+        router.post(route('apps.users.invite'), { email: invitation.email, role: invitation.role }, { preserveScroll: true });
+    };
+
+    const cancel = (invitation) => {
+        if (confirm('Cancel the invitation for ' + invitation.email + '?')) {
+            router.post(route('apps.users.cancel-invitation'), { id: invitation.id }, { preserveScroll: true });
+        }
+    };
+
+    if (!invitations.length) return null;
+
+    return (
+        <div className="overflow-x-auto bg-white shadow-sm sm:rounded-lg">
+            <h3 className="text-lg font-semibold text-gray-900 p-4 pb-2">Invitations</h3>
+            <table className="min-w-full divide-y divide-gray-300">
+                <tbody className="divide-y divide-gray-200">
+                    {invitations.map((invitation) => (
+                        <tr key={invitation.id}>
+                            <td className="px-3 py-3 text-sm">{invitation.email}</td>
+                            <td className="px-3 py-3 text-sm">{invitation.role}</td>
+                            <td className="px-3 py-3 text-sm text-gray-500">Invited by {invitation.inviter?.name ?? 'a removed user'}</td>
+                            <td className="px-3 py-3 text-sm">
+                                {isPast(new Date(invitation.expires_at))
+                                    ? <span className="px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">Expired</span>
+                                    : <span className="text-gray-500">Expires {format(new Date(invitation.expires_at), 'MMM d, HH:mm')}</span>}
+                            </td>
+                            <td className="px-3 py-3 text-sm">
+                                <div className="flex items-center justify-end space-x-2">
+                                    <SecondaryButton onClick={() => resend(invitation)}>Resend</SecondaryButton>
+                                    <DeleteButton onClick={() => cancel(invitation)} />
+                                </div>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default function Users(props) {
+    const { users, invitations, apps, roles, grantRoles, errors } = props;
+    const currentUserId = props.auth.user.id;
+
+    const appName = (appId) => apps.find(({ id }) => String(id) === String(appId))?.name ?? appId;
+
+    const changeRole = (user, role) => {
+        router.post(route('apps.users.role'), { id: user.id, role }, { preserveScroll: true });
+    };
+
+    const changeGrant = (user, grant, role) => {
+        router.post(route('apps.users.grant'), { user_id: user.id, app_id: grant.app_id, role }, { preserveScroll: true });
+    };
+
+    const revoke = (user, grant) => {
+        if (confirm('Remove ' + user.name + '\'s access to ' + appName(grant.app_id) + '?')) {
+            router.post(route('apps.users.revoke'), { id: grant.id }, { preserveScroll: true });
+        }
+    };
+
+    const deactivate = (user) => {
+        if (confirm('Deactivate ' + user.name + '? They will be logged out and unable to log in.')) {
+            router.post(route('apps.users.deactivate'), { id: user.id }, { preserveScroll: true });
+        }
+    };
+
+    const reactivate = (user) => {
+        router.post(route('apps.users.reactivate'), { id: user.id }, { preserveScroll: true });
+    };
+
+    const resetPassword = (user) => {
+        if (confirm('Log ' + user.name + ' out and email them a password reset link? They can\'t log in until they reset it.')) {
+            router.post(route('apps.users.reset-password'), { id: user.id }, { preserveScroll: true });
+        }
+    };
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={<h2 className="font-semibold text-xl text-gray-800 leading-tight">Users</h2>}
+        >
+            <Head title="Users" />
+
+            <div className="py-12">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8 space-y-4">
+                    <InviteForm roles={roles} />
+
+                    <Invitations invitations={invitations} />
+
+                    <InputError message={errors.role || errors.user} />
+
+                    <div className="overflow-x-auto bg-white shadow-sm sm:rounded-lg">
+                        <table className="min-w-full divide-y divide-gray-300">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">User</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Role</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">App Access</th>
+                                    <th className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {users.map((user) => (
+                                    <tr key={user.id} className={'align-top' + (user.deactivated_at ? ' bg-gray-50 text-gray-500' : '')}>
+                                        <td className="px-3 py-4 text-sm">
+                                            <p className="font-semibold">{user.name}</p>
+                                            <p className="text-xs text-gray-500">{user.email}</p>
+                                        </td>
+                                        <td className="px-3 py-4 text-sm">
+                                            <select value={user.role} onChange={(event) => changeRole(user, event.target.value)} className={selectClassName}>
+                                                {roles.map((role) => <option key={role} value={role}>{role}</option>)}
+                                            </select>
+                                            <p className="mt-1 text-xs text-gray-500">{ROLE_DESCRIPTIONS[user.role]}</p>
+                                        </td>
+                                        <td className="px-3 py-4 text-sm space-y-2">
+                                            {user.role === 'admin' ? (
+                                                <p className="text-gray-500">All apps</p>
+                                            ) : (
+                                                <>
+                                                    {user.grants.map((grant) => (
+                                                        <div key={grant.id} className="flex items-center space-x-2">
+                                                            <span className="w-48 truncate">{appName(grant.app_id)}</span>
+                                                            <select value={grant.role} onChange={(event) => changeGrant(user, grant, event.target.value)} className={selectClassName}>
+                                                                {grantRoles.map((role) => <option key={role} value={role}>{role}</option>)}
+                                                            </select>
+                                                            <DeleteButton onClick={() => revoke(user, grant)} />
+                                                        </div>
+                                                    ))}
+                                                    {!user.grants.length && <p className="text-gray-500">No apps yet</p>}
+                                                    <GrantForm user={user} apps={apps} grantRoles={grantRoles} />
+                                                </>
+                                            )}
+                                        </td>
+                                        <td className="px-3 py-4 text-sm space-y-2">
+                                            {user.deactivated_at && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-200 text-gray-800">
+                                                    Deactivated {format(new Date(user.deactivated_at), 'MMM d, yyyy')}
+                                                </span>
+                                            )}
+                                            {!user.deactivated_at && user.password_reset_required && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">Password reset pending</span>
+                                            )}
+                                            {!user.deactivated_at && !user.password_reset_required && <p className="text-gray-500">Active</p>}
+                                            {user.id !== currentUserId && (
+                                                <div className="flex items-center space-x-2">
+                                                    {user.deactivated_at ? (
+                                                        <SecondaryButton onClick={() => reactivate(user)}>Reactivate</SecondaryButton>
+                                                    ) : (
+                                                        <>
+                                                            <SecondaryButton onClick={() => resetPassword(user)}>Force Reset</SecondaryButton>
+                                                            <SecondaryButton onClick={() => deactivate(user)}>Deactivate</SecondaryButton>
+                                                        </>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </AuthenticatedLayout>
+    );
+}
@@ -0,0 +1,191 @@
+import { useMemo, useState } from 'react';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head, Link, router } from '@inertiajs/react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { format, formatDistanceStrict } from 'date-fns';
+import StatusIndicator from '@/Components/StatusIndicator';
+import MetricCard from '@/Components/MetricCard';
+import ChartCard from '@/Components/ChartCard';
+import ToggleGroup from '@/Components/ToggleGroup';
+import SecondaryButton from '@/Components/SecondaryButton';
+import { eventTypes } from '@/utils/eventTypes';
+import { COLORS, formatValue, useMetricsData } from '@/utils/metrics';
+import { usePermissions } from '@/utils/permissions';
+
+const RANGES = [
+    { label: '1h', hours: 1 },
+    { label: '6h', hours: 6 },
+    { label: '24h', hours: 24 },
+    { label: '7d', hours: 168 },
+];
+
+// Tailwind colour names from eventTypes, as hex for recharts
+const EVENT_COLORS = {
+    client_event: '#3B82F6',
+    channel_occupied: '#EAB308',
+    channel_vacated: '#A855F7',
+    member_added: '#22C55E',
+    member_removed: '#EF4444',
+};
+
+const formatDuration = (seconds) => formatDistanceStrict(0, seconds * 1000);
+
+export default function WebhookMonitor(props) {
+    const { app, webhook, config } = props;
+    const [hours, setHours] = useState(24);
+    const canUpdate = usePermissions().canUpdate(app.id);
+    const monitor = useMetricsData(route('apps.webhooks.monitor.data', [app.id, webhook.id]) + '?hours=' + hours, config?.realtime_refresh_interval || 5000);
+
+    const data = monitor.data?.data;
+    const totals = data?.totals ?? {};
+    const gaps = data?.gaps ?? [];
+    const failures = data?.signature_failures ?? [];
+
+    const tickFormat = (timestamp) => format(new Date(timestamp * 1000), data?.granularity === 'hour' ? 'MMM d HH:mm' : 'HH:mm');
+    const longestGap = useMemo(() => gaps[0]?.seconds ?? 0, [gaps]);
+
+    const toggleMonitor = () => {
+        router.post(route('apps.webhooks.monitor.toggle', app.id), { id: webhook.id }, { onSuccess: () => monitor.refetch() });
+    };
+
+    return (
+        <AuthenticatedLayout
+            auth={props.auth}
+            errors={props.errors}
+            header={(
+                <div className="flex items-center justify-between">
+                    <div>
+                        <h2 className="font-semibold text-xl text-gray-800 leading-tight">Webhook Deliveries</h2>
+                        <p className="text-sm text-gray-500 break-all">
+                            <Link href={route('apps.index')} className="hover:text-gray-700">{app.name}</Link>
+                            {' '}&rarr; {webhook.url ?? webhook.lambda_function}
+                        </p>
+                    </div>
+                    <div className="flex items-center space-x-4">
+                        <ToggleGroup
+                            options={RANGES.map((range) => ({ label: range.label, value: range.hours }))}
+                            value={hours}
+                            onChange={setHours}
+                        />
+                        <StatusIndicator
+                            loading={monitor.loading}
+                            error={monitor.error}
+                            lastUpdate={monitor.lastUpdate}
+                            isLive={monitor.isLive}
+                            onToggle={monitor.toggleLive}
+                        />
+                    </div>
+                </div>
+            )}
+        >
+            <Head title="Webhook Deliveries" />
+
+            <div className="py-6">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8 space-y-6">
+                    <div className="flex items-center justify-between p-4 bg-white rounded-xl shadow-sm border border-gray-100">
+                        <p className="text-sm text-gray-600">
+                            {data?.monitoring
+                                ? `Monitoring since ${format(new Date(data.monitor_since), 'MMM d, HH:mm')}. A shadow webhook receives every event Soketi sends to this webhook.`
+                                : 'Monitoring is off. Past deliveries are still shown below.'}
+                        </p>
+                        {canUpdate && <SecondaryButton onClick={toggleMonitor}>{data?.monitoring ? 'Stop Monitoring' : 'Start Monitoring'}</SecondaryButton>}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <MetricCard
+                            title="Events Delivered"
+                            value={totals.events}
+                            type="number"
+                            color={COLORS.primary}
+                            subtitle={totals.last_received_at ? `Last at ${format(new Date(totals.last_received_at), 'MMM d, HH:mm:ss')}` : 'Nothing received yet'}
+                        />
+                        <MetricCard
+                            title="Signature Failures"
+                            value={totals.signature_failures}
+                            type="number"
+                            color={totals.signature_failures ? COLORS.error : COLORS.success}
+                            subtitle="Events whose X-Pusher-Signature did not match"
+                        />
+                        <MetricCard
+                            title="Longest Gap"
+                            value={longestGap}
+                            type="duration"
+                            color={COLORS.warning}
+                            subtitle={`Gaps are ${config?.gap_minutes ?? 5}+ minutes without deliveries`}
+                        />
+                        <MetricCard
+                            title="Avg Delivery Delay"
+                            value={totals.avg_delay_ms ?? 0}
+                            type="number"
+                            subtitle="Milliseconds from Soketi's time_ms to receipt"
+                        />
+                    </div>
+
+                    <ChartCard title="Volume by Event Type">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <BarChart data={data?.volume ?? []} margin={{ top: 10, right: 10, bottom: 0, left: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                                <XAxis dataKey="timestamp" tickFormatter={tickFormat} minTickGap={24} tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                                <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: COLORS.secondary }} />
+                                <Tooltip labelFormatter={(timestamp) => format(new Date(timestamp * 1000), 'MMM d, HH:mm')} />
+                                <Legend />
+                                {eventTypes.map((type) => (
+                                    <Bar key={type.key} dataKey={type.key} name={type.label} stackId="events" fill={EVENT_COLORS[type.key]} />
+                                ))}
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </ChartCard>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                            <h3 className="text-lg font-semibold text-gray-900 p-6 pb-4">By Event Type</h3>
+                            <table className="min-w-full divide-y divide-gray-300">
+                                <tbody className="divide-y divide-gray-200">
+                                    {eventTypes.map((type) => (
+                                        <tr key={type.key}>
+                                            <td className="px-6 py-3 text-sm">{type.label}</td>
+                                            <td className="px-6 py-3 text-sm text-right">{formatValue(totals.by_type?.[type.key] ?? 0, 'number', 0)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                            <h3 className="text-lg font-semibold text-gray-900 p-6 pb-4">Gaps</h3>
+                            <table className="min-w-full divide-y divide-gray-300">
+                                <tbody className="divide-y divide-gray-200">
+                                    {gaps.map((gap) => (
+                                        <tr key={gap.from}>
+                                            <td className="px-6 py-3 text-sm">
+                                                {format(new Date(gap.from), 'MMM d, HH:mm')} &ndash; {gap.ongoing ? 'now' : format(new Date(gap.to), 'HH:mm')}
+                                            </td>
+                                            <td className="px-6 py-3 text-sm text-right">{formatDuration(gap.seconds)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {!gaps.length && <div className="px-6 pb-6 text-gray-500">No gaps in this range</div>}
+                        </div>
+
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                            <h3 className="text-lg font-semibold text-gray-900 p-6 pb-4">Signature Failures</h3>
+                            <table className="min-w-full divide-y divide-gray-300">
+                                <tbody className="divide-y divide-gray-200">
+                                    {failures.map((failure, index) => (
+                                        <tr key={index}>
+                                            <td className="px-6 py-3 text-sm whitespace-nowrap">{format(new Date(failure.received_at), 'MMM d, HH:mm:ss')}</td>
+                                            <td className="px-6 py-3 text-sm">{failure.name ?? 'unreadable'}</td>
+                                            <td className="px-6 py-3 text-sm font-mono text-gray-600">{failure.channel}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {!failures.length && <div className="px-6 pb-6 text-gray-500">Every delivery had a valid signature</div>}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </AuthenticatedLayout>
+    );
+}
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Professional color palette
+export const COLORS = {
+    primary: '#3B82F6',
+    success: '#10B981',
+    warning: '#F59E0B',
+    error: '#EF4444',
+    secondary: '#6B7280',
+    accent: '#8B5CF6'
+};
+
+// Format values with appropriate units
+export function formatValue(val, type = 'number', precision = 2) {
+    if (val == null || val === undefined) return '-';
+    const n = Number(val);
+    if (Number.isNaN(n)) return '-';
+
+    switch (type) {
+        case 'bytes':
+            if (n >= 1e9) return `${(n / 1e9).toFixed(precision)} GB`;
+            if (n >= 1e6) return `${(n / 1e6).toFixed(precision)} MB`;
+            if (n >= 1e3) return `${(n / 1e3).toFixed(precision)} KB`;
+            return `${n.toFixed(precision)} B`;
+        
+        case 'duration':
+            // Display as hours/minutes without trailing seconds "s"
+            if (n >= 3600) return `${(n / 3600).toFixed(1)}h`;
+            if (n >= 60) return `${(n / 60).toFixed(1)}m`;
+            return `${n.toFixed(0)}`; // remove 's'
+        
+        case 'percentage':
+            return `${n.toFixed(precision)}%`;
+        
+        case 'rate':
+            return `${n.toFixed(precision)}/min`;
+        
+        case 'speed':
+            if (n >= 1e6) return `${(n / 1e6).toFixed(precision)} MB/s`;
+            if (n >= 1e3) return `${(n / 1e3).toFixed(precision)} KB/s`;
+            return `${n.toFixed(precision)} B/s`;
+        
+        default:
+            if (n >= 1e9) return `${(n / 1e9).toFixed(precision)}B`;
+            if (n >= 1e6) return `${(n / 1e6).toFixed(precision)}M`;
+            if (n >= 1e3) return `${(n / 1e3).toFixed(precision)}K`;
+            return n.toFixed(precision);
+    }
+}
+
+// Enhanced fetch with error handling
+export async function fetchJSON(url, options = {}) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content');
+    
+    const res = await fetch(url, {
+        credentials: 'include',
+        headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            'X-CSRF-TOKEN': csrfToken || '',
+            'X-Requested-With': 'XMLHttpRequest',
+            ...options.headers
+        },
+        ...options
+    });
+
+    if (!res.ok) {
+        throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+
+    return res.json();
+}
+
+// Enhanced metrics hook with real-time updates
+export function useMetricsData(endpoint, refreshInterval = 5000, enabled = true) {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [lastUpdate, setLastUpdate] = useState(null);
+    const [isLive, setIsLive] = useState(true);
+
+    const fetchData = useCallback(async () => {
+        if (!enabled || !isLive) return;
+
+        try {
+            setError(null);
+            const result = await fetchJSON(endpoint);
+            setData(result);
+            setLastUpdate(new Date());
+        } catch (err) {
+            setError(err.message);
+            console.error('Metrics fetch error:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [endpoint, enabled, isLive]);
+
+    useEffect(() => {
+        fetchData();
+        
+        if (enabled && isLive && refreshInterval > 0) {
+            const interval = setInterval(fetchData, refreshInterval);
+            return () => clearInterval(interval);
+        }
+    }, [fetchData, refreshInterval, enabled, isLive]);
+
+    const toggleLive = useCallback(() => {
+        setIsLive(prev => !prev);
+    }, []);
+
+    return { data, loading, error, lastUpdate, refetch: fetchData, isLive, toggleLive };
+}
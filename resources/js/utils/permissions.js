@@ -0,0 +1,18 @@
+import { usePage } from '@inertiajs/react';
+
+const WRITE_ROLES = ['admin', 'developer'];
+
+// What the signed in user may do, as shared by HandleInertiaRequests
+export function usePermissions() {
+    const permissions = usePage().props.auth?.permissions;
+
+    const roleFor = (appId) => permissions?.apps === '*' ? 'admin' : (permissions?.apps?.[String(appId)] ?? null);
+
+    return {
+        admin: !!permissions?.admin,
+        createApps: !!permissions?.createApps,
+        roleFor,
+        canUpdate: (appId) => WRITE_ROLES.includes(roleFor(appId)),
+        canViewSecret: (appId) => WRITE_ROLES.includes(roleFor(appId)),
+    };
+}
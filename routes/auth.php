@@ -4,6 +4,7 @@
 use App\Http\Controllers\Auth\ConfirmablePasswordController;
 use App\Http\Controllers\Auth\EmailVerificationNotificationController;
 use App\Http\Controllers\Auth\EmailVerificationPromptController;
+use App\Http\Controllers\Auth\InvitationController;
 use App\Http\Controllers\Auth\NewPasswordController;
 use App\Http\Controllers\Auth\PasswordController;
 use App\Http\Controllers\Auth\PasswordResetLinkController;
@@ -17,6 +18,13 @@
 
     Route::post('register', [RegisteredUserController::class, 'store']);
 
+    Route::get('invitations/{invitation}', [InvitationController::class, 'create'])
+                ->middleware('signed')
+                ->name('invitations.accept');
+
+    Route::post('invitations/{invitation}', [InvitationController::class, 'store'])
+                ->middleware('signed');
+
     Route::get('login', [AuthenticatedSessionController::class, 'create'])
                 ->name('login');
 
@@ -1,5 +1,7 @@
 <?php
 
+use App\Models\App;
+use App\Services\SoketiServers;
 use Illuminate\Support\Facades\Broadcast;
 
 /*
@@ -16,3 +18,14 @@
 Broadcast::channel('App.Models.User.{id}', function ($user, $id) {
     return (int) $user->id === (int) $id;
 });
+
+// Live events of the Debug page, see App\Notifications\NewDebugEvents
+Broadcast::channel('debug-events.{connection}.{appId}', function ($user, $connection, $appId) {
+    if (! app(SoketiServers::class)->clusters()->contains('connection_key', $connection)) {
+        return false;
+    }
+
+    $app = App::on($connection)->find($appId);
+
+    return $app && $user->can('view', $app);
+});
@@ -1,12 +1,22 @@
 <?php
 
+use App\Http\Controllers\AlertsController;
 use App\Http\Controllers\AppsController;
+use App\Http\Controllers\ChannelsController;
+use App\Http\Controllers\CredentialRotationsController;
 use App\Http\Controllers\DebugController;
+use App\Http\Controllers\EventsController;
+use App\Http\Controllers\InspectorController;
 use App\Http\Controllers\LimitsController;
+use App\Http\Controllers\OverviewController;
 use App\Http\Controllers\ProfileController;
+use App\Http\Controllers\ServersController;
+use App\Http\Controllers\SettingsController;
+use App\Http\Controllers\WebhookMonitorController;
 use App\Http\Controllers\WebhooksController;
 use App\Http\Controllers\SoketiMetricsController;
 use App\Http\Controllers\UploadMetricsController;
+use App\Http\Controllers\UsersController;
 use Illuminate\Foundation\Application;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
@@ -24,6 +34,10 @@
 
 Route::get('/', fn () => redirect('/login'));
 
+// Soketi webhook deliveries (debug webhooks), validated by SoketiSignatureValidator
+Route::webhooks('webhooks');
+Route::webhooks('webhooks/monitor', 'monitor')->middleware('throttle:webhook-monitor');
+
 // Upload metrics API endpoints (called from Laravel app)
 Route::prefix('upload-metrics')->name('upload-metrics.')->middleware('api.token')->group(function () {
     Route::post('prepared', [UploadMetricsController::class, 'uploadPrepared'])->name('prepared');
@@ -36,29 +50,99 @@
 
 Route::middleware(['auth', 'verified'])->prefix('apps')->name('apps.')->group(function () {
     Route::get('/', [AppsController::class, 'index'])->name('index');
-    Route::post('/create', [AppsController::class, 'create'])->name('create');
+    Route::post('/create', [AppsController::class, 'create'])->middleware('can:create,App\Models\App')->name('create');
+
+    // ───────────────────────────────────────── Fleet Overview
+    Route::get('overview', [OverviewController::class, 'page'])->name('overview');
+    Route::get('overview/data', [OverviewController::class, 'data'])->name('overview.data');
+    Route::get('overview/limits', [OverviewController::class, 'limits'])->name('overview.limits');
+
+    // ───────────────────────────────────────── Uploads
+    Route::get('uploads', [UploadMetricsController::class, 'page'])->name('uploads');
+    Route::get('uploads/data', [UploadMetricsController::class, 'dashboard'])->name('uploads.data');
+
+    // ───────────────────────────────────────── Alerting
+    Route::get('alerts', [AlertsController::class, 'index'])->name('alerts');
+    Route::prefix('alerts')->name('alerts.')->group(function () {
+        Route::get('history', [AlertsController::class, 'history'])->name('history');
+        Route::post('save', [AlertsController::class, 'save'])->middleware('can:admin')->name('save');
+        Route::post('delete', [AlertsController::class, 'delete'])->middleware('can:admin')->name('delete');
+    });
+
+    // ───────────────────────────────────────── Servers
+    Route::get('servers', [ServersController::class, 'index'])->middleware('can:admin')->name('servers');
+    Route::prefix('servers')->name('servers.')->group(function () {
+        Route::post('save', [ServersController::class, 'save'])->middleware('can:admin')->name('save');
+        Route::post('delete', [ServersController::class, 'delete'])->middleware('can:admin')->name('delete');
+        Route::post('switch', [ServersController::class, 'switch'])->name('switch');
+    });
+
+    // ───────────────────────────────────────── Users & Access
+    Route::get('users', [UsersController::class, 'index'])->middleware('can:admin')->name('users');
+    Route::prefix('users')->name('users.')->middleware('can:admin')->group(function () {
+        Route::post('role', [UsersController::class, 'role'])->name('role');
+        Route::post('grant', [UsersController::class, 'grant'])->name('grant');
+        Route::post('revoke', [UsersController::class, 'revoke'])->name('revoke');
+        Route::post('invite', [UsersController::class, 'invite'])->name('invite');
+        Route::post('cancel-invitation', [UsersController::class, 'cancelInvitation'])->name('cancel-invitation');
+        Route::post('deactivate', [UsersController::class, 'deactivate'])->name('deactivate');
+        Route::post('reactivate', [UsersController::class, 'reactivate'])->name('reactivate');
+        Route::post('reset-password', [UsersController::class, 'resetPassword'])->name('reset-password');
+    });
 
-    Route::prefix('{app}')->group(function () {
+    // Viewing needs a grant on the app, changing it a developer grant
+    Route::prefix('{app}')->middleware('can:view,app')->group(function () {
         Route::get('debug', [DebugController::class, 'index'])->name('debug');
-// Debug webhook toggle removed - using direct metrics instead
+        Route::get('debug/events', [DebugController::class, 'events'])->name('debug.events');
+        Route::get('debug/export', [DebugController::class, 'export'])->name('debug.export');
+        Route::post('toggle-debug', [DebugController::class, 'toggle'])->middleware('can:update,app')->name('toggle-debug');
+        Route::post('events', [EventsController::class, 'trigger'])->middleware('can:update,app')->name('events.trigger');
+        Route::post('inspector/auth', [InspectorController::class, 'auth'])->middleware('can:update,app')->name('inspector.auth');
 
         // ───────────────────────────────────────── Soketi Metrics (Direct Scraping)
         Route::get('metrics', [SoketiMetricsController::class, 'page'])->name('metrics');
         Route::prefix('metrics')->name('metrics.')->group(function () {
             Route::get('cached', [SoketiMetricsController::class, 'getCachedMetrics'])->name('cached');
             Route::get('timeseries', [SoketiMetricsController::class, 'getTimeSeriesData'])->name('timeseries');
+            Route::get('timeseries/export', [SoketiMetricsController::class, 'exportTimeSeries'])->name('timeseries.export');
             Route::get('health', [SoketiMetricsController::class, 'getSoketiHealth'])->name('health');
             Route::post('refresh', [SoketiMetricsController::class, 'refreshMetrics'])->name('refresh');
         });
 
+        // ───────────────────────────────────────── Channel Explorer (Soketi HTTP API)
+        Route::get('channels', [ChannelsController::class, 'page'])->name('channels');
+        Route::prefix('channels')->name('channels.')->group(function () {
+            Route::get('list', [ChannelsController::class, 'list'])->name('list');
+            Route::get('{channel}/info', [ChannelsController::class, 'show'])->name('show');
+            Route::get('{channel}/users', [ChannelsController::class, 'users'])->name('users');
+        });
+
         Route::prefix('webhooks')->name('webhooks.')->group(function () {
-            Route::post('save', [WebhooksController::class, 'save']);
-            Route::post('delete', [WebhooksController::class, 'delete']);
+            Route::post('save', [WebhooksController::class, 'save'])->middleware('can:update,app');
+            Route::post('delete', [WebhooksController::class, 'delete'])->middleware('can:update,app');
+            Route::post('test', [WebhooksController::class, 'test'])->middleware('can:update,app')->name('test');
+            Route::get('{webhook}/tests', [WebhooksController::class, 'tests'])->middleware('can:update,app')->name('tests');
+            Route::post('monitor', [WebhookMonitorController::class, 'toggle'])->middleware('can:update,app')->name('monitor.toggle');
+            Route::get('{webhook}/monitor', [WebhookMonitorController::class, 'page'])->name('monitor');
+            Route::get('{webhook}/monitor/data', [WebhookMonitorController::class, 'data'])->name('monitor.data');
         });
 
-        Route::post('limits', [LimitsController::class, 'save'])->name('limits');
+        Route::get('snippets', [AppsController::class, 'snippets'])->name('snippets');
+        Route::post('limits', [LimitsController::class, 'save'])->middleware('can:update,app')->name('limits');
+        Route::post('settings', [SettingsController::class, 'save'])->middleware('can:update,app')->name('settings');
 
-        Route::post('refresh-credentials', [AppsController::class, 'refreshCredentials'])->name('refresh-credentials');
+        // ───────────────────────────────────────── Credential Rotation
+        Route::prefix('credentials')->name('credentials.')->group(function () {
+            // JSON requests get a 423 until the password is confirmed, page visits go through password.confirm
+            Route::get('secret', [AppsController::class, 'revealSecret'])->middleware(['can:viewSecret,app', 'password.confirm'])->name('secret');
+            Route::get('reveal', [AppsController::class, 'confirmReveal'])->middleware(['can:viewSecret,app', 'password.confirm'])->name('reveal');
+            Route::get('rotations', [CredentialRotationsController::class, 'index'])->middleware('can:viewSecret,app')->name('rotations');
+            // Answers with the new secret, so it needs the same password confirmation as revealing one
+            Route::post('rotate', [CredentialRotationsController::class, 'stage'])->middleware(['can:update,app', 'password.confirm'])->name('rotate');
+            Route::post('rotations/{rotation}/cutover', [CredentialRotationsController::class, 'cutover'])->middleware('can:update,app')->name('cutover');
+            Route::post('rotations/{rotation}/rollback', [CredentialRotationsController::class, 'rollback'])->middleware('can:update,app')->name('rollback');
+            Route::post('rotations/{rotation}/cancel', [CredentialRotationsController::class, 'cancel'])->middleware('can:update,app')->name('cancel');
+        });
     });
 });
 
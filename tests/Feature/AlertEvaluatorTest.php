@@ -0,0 +1,174 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\SendAlertNotifications;
+use App\Models\AlertRule;
+use App\Models\User;
+use App\Services\AlertEvaluator;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\Cache;
+use Tests\TestCase;
+
+class AlertEvaluatorTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Bus::fake();
+        Carbon::setTestNow('2025-01-15 12:00:00');
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    public function test_rule_stays_pending_until_its_duration_has_passed(): void
+    {
+        $rule = $this->rule(['metric' => 'memory', 'operator' => '>', 'threshold' => 100, 'duration' => 60]);
+        $this->scrape(['system' => ['memory_usage' => 200]]);
+
+        $this->evaluate();
+        $this->assertSame('pending', $rule->fresh()->state);
+
+        Carbon::setTestNow(Carbon::now()->addSeconds(30));
+        $this->evaluate();
+        $this->assertSame('pending', $rule->fresh()->state);
+        $this->assertSame(0, $rule->events()->count());
+
+        Carbon::setTestNow(Carbon::now()->addSeconds(30));
+        $this->evaluate();
+        $this->assertSame('firing', $rule->fresh()->state);
+        $this->assertSame(['firing'], $rule->events()->pluck('status')->all());
+
+        Bus::assertDispatched(SendAlertNotifications::class);
+    }
+
+    public function test_pending_rule_goes_back_to_ok_without_an_event(): void
+    {
+        $rule = $this->rule(['metric' => 'memory', 'operator' => '>', 'threshold' => 100, 'duration' => 60]);
+
+        $this->scrape(['system' => ['memory_usage' => 200]]);
+        $this->evaluate();
+
+        $this->scrape(['system' => ['memory_usage' => 50]]);
+        $this->evaluate();
+
+        $rule->refresh();
+        $this->assertSame('ok', $rule->state);
+        $this->assertNull($rule->pending_since);
+        $this->assertSame(0, $rule->events()->count());
+    }
+
+    public function test_firing_rule_resolves_once_the_condition_clears(): void
+    {
+        $rule = $this->rule(['metric' => 'memory', 'operator' => '>', 'threshold' => 100]);
+
+        $this->scrape(['system' => ['memory_usage' => 200]]);
+        $this->evaluate();
+
+        $this->scrape(['system' => ['memory_usage' => 50]]);
+        $this->evaluate();
+
+        $this->assertSame('ok', $rule->fresh()->state);
+        $this->assertSame(['firing', 'resolved'], $rule->events()->orderBy('id')->pluck('status')->all());
+    }
+
+    public function test_app_missing_from_the_scrape_counts_as_no_connections(): void
+    {
+        $rule = $this->rule(['app_id' => '123456', 'metric' => 'connections', 'operator' => '<', 'threshold' => 1]);
+
+        $this->scrape(['connections' => ['current' => 10]]);
+        $this->evaluate();
+
+        $rule->refresh();
+        $this->assertSame('firing', $rule->state);
+        $this->assertSame(0.0, $rule->last_value);
+    }
+
+    public function test_rules_are_not_evaluated_before_their_cluster_is_scraped(): void
+    {
+        $rule = $this->rule(['metric' => 'memory', 'operator' => '>=', 'threshold' => 0]);
+
+        $this->evaluate();
+
+        $this->assertSame('ok', $rule->fresh()->state);
+        $this->assertNull($rule->fresh()->last_evaluated_at);
+    }
+
+    public function test_editing_a_firing_rule_resolves_it(): void
+    {
+        $rule = $this->rule(['metric' => 'memory', 'operator' => '>', 'threshold' => 100]);
+
+        $this->scrape(['system' => ['memory_usage' => 200]]);
+        $this->evaluate();
+        $this->assertSame('firing', $rule->fresh()->state);
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->post(route('apps.alerts.save'), [
+                'id' => $rule->id,
+                'name' => $rule->name,
+                'metric' => 'memory',
+                'operator' => '>',
+                'threshold' => 500,
+                'duration' => 0,
+                'enabled' => true,
+            ])
+            ->assertSessionHasNoErrors();
+
+        $rule->refresh();
+        $this->assertSame('ok', $rule->state);
+        $this->assertEquals(500, $rule->threshold);
+        $this->assertSame(['firing', 'resolved'], $rule->events()->orderBy('id')->pluck('status')->all());
+    }
+
+    public function test_disabling_a_firing_rule_resolves_it(): void
+    {
+        $rule = $this->rule(['metric' => 'memory', 'operator' => '>', 'threshold' => 100]);
+
+        $this->scrape(['system' => ['memory_usage' => 200]]);
+        $this->evaluate();
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->post(route('apps.alerts.save'), [
+                'id' => $rule->id,
+                'name' => $rule->name,
+                'metric' => 'memory',
+                'operator' => '>',
+                'threshold' => 100,
+                'duration' => 0,
+                'enabled' => false,
+            ])
+            ->assertSessionHasNoErrors();
+
+        $this->assertSame('ok', $rule->fresh()->state);
+        $this->assertSame('resolved', $rule->events()->latest('id')->value('status'));
+    }
+
+    private function rule(array $attributes): AlertRule
+    {
+        return AlertRule::create($attributes + [
+            'name' => 'Test rule',
+            'duration' => 0,
+            'connection' => config('database.default'),
+        ]);
+    }
+
+    private function scrape(array $metrics): void
+    {
+        Cache::put('soketi:processed_metrics:cluster:' . config('database.default'), $metrics + ['scrape_interval' => 10]);
+    }
+
+    private function evaluate(): void
+    {
+        app(AlertEvaluator::class)->evaluate();
+    }
+}
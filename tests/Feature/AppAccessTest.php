@@ -0,0 +1,171 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\AlertRule;
+use App\Models\App;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class AppAccessTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_admins_have_full_access_to_every_app(): void
+    {
+        $app = App::factory()->create();
+        $admin = User::factory()->create(['role' => 'admin']);
+
+        $this->assertSame('admin', $admin->roleFor($app));
+        $this->assertTrue($admin->can('update', $app));
+        $this->assertTrue($admin->can('viewSecret', $app));
+    }
+
+    public function test_users_without_a_grant_can_not_see_an_app(): void
+    {
+        $app = App::factory()->create();
+        $user = User::factory()->create(['role' => 'developer']);
+
+        $this->assertNull($user->roleFor($app));
+        $this->assertFalse($user->can('view', $app));
+
+        $this->actingAs($user)->get(route('apps.metrics', $app->id))->assertForbidden();
+    }
+
+    public function test_viewer_grants_only_allow_looking(): void
+    {
+        $app = App::factory()->create();
+        $user = $this->userWithGrant($app, 'developer', 'viewer');
+
+        $this->assertTrue($user->can('view', $app));
+        $this->assertFalse($user->can('update', $app));
+        $this->assertFalse($user->can('viewSecret', $app));
+
+        $this->actingAs($user)->get(route('apps.metrics', $app->id))->assertOk();
+        $this->actingAs($user)->post(route('apps.limits', $app->id), ['max_connections' => 10])->assertForbidden();
+    }
+
+    public function test_developer_grants_allow_changes(): void
+    {
+        $app = App::factory()->create();
+        $user = $this->userWithGrant($app, 'developer', 'developer');
+
+        $this->assertTrue($user->can('update', $app));
+        $this->assertTrue($user->can('viewSecret', $app));
+
+        $this->actingAs($user)->post(route('apps.limits', $app->id), ['max_connections' => 10])->assertSessionHasNoErrors();
+        $this->assertEquals(10, $app->fresh()->max_connections);
+    }
+
+    public function test_grants_never_give_more_than_the_users_own_role(): void
+    {
+        $app = App::factory()->create();
+        $user = $this->userWithGrant($app, 'viewer', 'developer');
+
+        $this->assertSame('viewer', $user->roleFor($app));
+        $this->assertFalse($user->can('update', $app));
+    }
+
+    public function test_grants_are_tied_to_the_cluster_of_the_app(): void
+    {
+        $app = App::factory()->create();
+        $user = User::factory()->create(['role' => 'developer']);
+        $user->grants()->create(['app_id' => (string) $app->id, 'connection' => 'other-cluster', 'role' => 'developer']);
+
+        $this->assertNull($user->roleFor($app));
+    }
+
+    public function test_apps_page_only_lists_apps_the_user_can_see(): void
+    {
+        $visible = App::factory()->create();
+        $hidden = App::factory()->create();
+        $user = $this->userWithGrant($visible, 'viewer', 'viewer');
+
+        $this->actingAs($user)
+            ->get('/apps')
+            ->assertOk()
+            ->assertSee($visible->key)
+            ->assertDontSee($hidden->key);
+    }
+
+    public function test_webhook_headers_are_hidden_from_viewers(): void
+    {
+        $app = App::factory()->create(['webhooks' => [[
+            'id' => 'http-hook',
+            'url' => 'https://example.com/hook',
+            'event_types' => ['client_event'],
+            'headers' => ['Authorization' => 'Bearer receiver-token'],
+        ]]]);
+
+        $this->actingAs($this->userWithGrant($app, 'viewer', 'viewer'))
+            ->get('/apps')
+            ->assertOk()
+            ->assertSee($app->key)
+            ->assertDontSee('receiver-token');
+
+        $this->actingAs($this->userWithGrant($app, 'developer', 'developer'))
+            ->get('/apps')
+            ->assertSee('receiver-token');
+    }
+
+    public function test_viewers_can_not_read_webhook_test_results(): void
+    {
+        $app = App::factory()->create(['webhooks' => [[
+            'id' => 'http-hook',
+            'url' => 'https://example.com/hook',
+            'event_types' => ['client_event'],
+        ]]]);
+
+        $this->actingAs($this->userWithGrant($app, 'viewer', 'viewer'))
+            ->getJson(route('apps.webhooks.tests', [$app->id, 'http-hook']))
+            ->assertForbidden();
+    }
+
+    public function test_admin_pages_are_closed_to_everyone_else(): void
+    {
+        $user = User::factory()->create(['role' => 'developer']);
+
+        $this->actingAs($user)->get(route('apps.users'))->assertForbidden();
+        $this->actingAs($user)->get(route('apps.servers'))->assertForbidden();
+        $this->actingAs($user)->post(route('apps.alerts.save'), [])->assertForbidden();
+    }
+
+    public function test_only_admins_can_change_user_roles(): void
+    {
+        $user = User::factory()->create(['role' => 'viewer']);
+
+        $this->actingAs(User::factory()->create(['role' => 'developer']))
+            ->post(route('apps.users.role'), ['id' => $user->id, 'role' => 'admin'])
+            ->assertForbidden();
+
+        $this->assertSame('viewer', $user->fresh()->role);
+    }
+
+    public function test_alerts_only_show_rules_for_apps_the_user_can_see(): void
+    {
+        $visible = App::factory()->create();
+        $hidden = App::factory()->create();
+        $connection = $visible->connectionKey();
+
+        AlertRule::create(['name' => 'Visible rule', 'app_id' => (string) $visible->id, 'metric' => 'connections', 'operator' => '>', 'threshold' => 10, 'mail_to' => 'ops@example.com', 'connection' => $connection]);
+        AlertRule::create(['name' => 'Hidden rule', 'app_id' => (string) $hidden->id, 'metric' => 'connections', 'operator' => '>', 'threshold' => 10, 'connection' => $connection]);
+        AlertRule::create(['name' => 'Server rule', 'metric' => 'memory', 'operator' => '>', 'threshold' => 10, 'connection' => $connection]);
+
+        $this->actingAs($this->userWithGrant($visible, 'viewer', 'viewer'))
+            ->get(route('apps.alerts'))
+            ->assertOk()
+            ->assertSee('Visible rule')
+            ->assertDontSee('Hidden rule')
+            ->assertDontSee('Server rule')
+            ->assertDontSee('ops@example.com');
+    }
+
+    private function userWithGrant(App $app, string $role, string $grant): User
+    {
+        $user = User::factory()->create(['role' => $role]);
+        $user->grants()->create(['app_id' => (string) $app->id, 'connection' => $app->connectionKey(), 'role' => $grant]);
+
+        return $user;
+    }
+}
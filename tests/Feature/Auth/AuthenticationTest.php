@@ -4,7 +4,10 @@
 
 use App\Models\User;
 use App\Providers\RouteServiceProvider;
+use Illuminate\Auth\Notifications\ResetPassword;
 use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Illuminate\Support\Facades\Password;
 use Tests\TestCase;
 
 class AuthenticationTest extends TestCase
@@ -13,11 +16,20 @@ class AuthenticationTest extends TestCase
 
     public function test_login_screen_can_be_rendered(): void
     {
+        User::factory()->create();
+
         $response = $this->get('/login');
 
         $response->assertStatus(200);
     }
 
+    public function test_login_screen_redirects_to_registration_before_the_first_user_exists(): void
+    {
+        $response = $this->get('/login');
+
+        $response->assertRedirect(route('register'));
+    }
+
     public function test_users_can_authenticate_using_the_login_screen(): void
     {
         $user = User::factory()->create();
@@ -42,4 +54,105 @@ public function test_users_can_not_authenticate_with_invalid_password(): void
 
         $this->assertGuest();
     }
+
+    public function test_deactivated_users_can_not_authenticate(): void
+    {
+        $user = User::factory()->create(['deactivated_at' => now()]);
+
+        $response = $this->post('/login', [
+            'email' => $user->email,
+            'password' => 'password',
+        ]);
+
+        $this->assertGuest();
+        $response->assertSessionHasErrors(['email' => trans('auth.deactivated')]);
+    }
+
+    public function test_users_who_must_reset_their_password_can_not_authenticate(): void
+    {
+        $user = User::factory()->create(['password_reset_required' => true]);
+
+        $response = $this->post('/login', [
+            'email' => $user->email,
+            'password' => 'password',
+        ]);
+
+        $this->assertGuest();
+        $response->assertSessionHasErrors(['email' => trans('auth.reset_required')]);
+    }
+
+    public function test_deactivated_users_are_logged_out(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->get('/apps')->assertOk();
+
+        $user->forceFill(['deactivated_at' => now()])->save();
+
+        $response = $this->get('/apps');
+
+        $this->assertGuest();
+        $response->assertRedirect(route('login'));
+        $response->assertSessionHasErrors(['email' => trans('auth.deactivated')]);
+    }
+
+    public function test_admins_can_deactivate_and_reactivate_other_users(): void
+    {
+        $admin = User::factory()->create(['role' => 'admin']);
+        $user = User::factory()->create();
+
+        $this->actingAs($admin)->post(route('apps.users.deactivate'), ['id' => $user->id])->assertSessionHasNoErrors();
+        $this->assertNotNull($user->fresh()->deactivated_at);
+
+        $this->actingAs($admin)->post(route('apps.users.reactivate'), ['id' => $user->id])->assertSessionHasNoErrors();
+        $this->assertNull($user->fresh()->deactivated_at);
+    }
+
+    public function test_user_is_not_locked_out_when_the_reset_link_can_not_be_sent(): void
+    {
+        Notification::fake();
+
+        $admin = User::factory()->create(['role' => 'admin']);
+        $user = User::factory()->create();
+        // A link requested moments ago throttles the next one
+        Password::broker()->createToken($user);
+
+        $this->actingAs($admin)->post(route('apps.users.reset-password'), ['id' => $user->id])->assertSessionHasErrors('user');
+
+        $this->assertFalse($user->fresh()->password_reset_required);
+        Notification::assertNothingSent();
+    }
+
+    public function test_forced_password_reset_locks_the_user_out_until_they_reset_it(): void
+    {
+        Notification::fake();
+
+        $admin = User::factory()->create(['role' => 'admin']);
+        $user = User::factory()->create();
+
+        $this->actingAs($admin)->post(route('apps.users.reset-password'), ['id' => $user->id])->assertSessionHasNoErrors();
+
+        $this->assertTrue($user->fresh()->password_reset_required);
+
+        Notification::assertSentTo($user, ResetPassword::class, function ($notification) use ($user) {
+            $this->post('/logout');
+
+            $this->post('/login', ['email' => $user->email, 'password' => 'password']);
+            $this->assertGuest();
+
+            $this->post('/reset-password', [
+                'token' => $notification->token,
+                'email' => $user->email,
+                'password' => 'new-password',
+                'password_confirmation' => 'new-password',
+            ])->assertSessionHasNoErrors();
+
+            return true;
+        });
+
+        $this->assertFalse($user->fresh()->password_reset_required);
+
+        $this->post('/login', ['email' => $user->email, 'password' => 'new-password']);
+        $this->assertAuthenticatedAs($user);
+    }
 }
@@ -0,0 +1,127 @@
+<?php
+
+namespace Tests\Feature\Auth;
+
+use App\Models\Invitation;
+use App\Models\User;
+use App\Notifications\UserInvited;
+use App\Providers\RouteServiceProvider;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class InvitationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_admins_can_invite_users(): void
+    {
+        Notification::fake();
+
+        $admin = User::factory()->create(['role' => 'admin']);
+
+        $this->actingAs($admin)->post(route('apps.users.invite'), [
+            'email' => 'invited@example.com',
+            'role' => 'developer',
+        ])->assertSessionHasNoErrors();
+
+        $invitation = Invitation::query()->where('email', 'invited@example.com')->firstOrFail();
+
+        $this->assertSame('developer', $invitation->role);
+        $this->assertTrue($invitation->isPending());
+
+        Notification::assertSentOnDemand(UserInvited::class);
+    }
+
+    public function test_non_admins_can_not_invite_users(): void
+    {
+        $user = User::factory()->create(['role' => 'developer']);
+
+        $this->actingAs($user)->post(route('apps.users.invite'), [
+            'email' => 'invited@example.com',
+            'role' => 'admin',
+        ])->assertForbidden();
+
+        $this->assertDatabaseMissing('invitations', ['email' => 'invited@example.com']);
+    }
+
+    public function test_invitation_screen_can_be_rendered(): void
+    {
+        $invitation = $this->invitation();
+
+        $this->get($invitation->url())->assertOk();
+    }
+
+    public function test_invited_users_can_sign_up_with_the_invited_role(): void
+    {
+        $invitation = $this->invitation(['role' => 'developer']);
+
+        $response = $this->post($invitation->url(), [
+            'name' => 'Invited User',
+            'password' => 'password',
+            'password_confirmation' => 'password',
+        ]);
+
+        $this->assertAuthenticated();
+        $response->assertRedirect(RouteServiceProvider::HOME);
+
+        $user = User::query()->where('email', 'invited@example.com')->firstOrFail();
+
+        $this->assertSame('developer', $user->role);
+        $this->assertNotNull($user->email_verified_at);
+        $this->assertNotNull($invitation->fresh()->accepted_at);
+    }
+
+    public function test_invitation_links_need_a_valid_signature(): void
+    {
+        $invitation = $this->invitation();
+
+        $this->get(route('invitations.accept', $invitation))->assertForbidden();
+        $this->get($invitation->url() . 'tampered')->assertForbidden();
+
+        $this->post(route('invitations.accept', $invitation), [
+            'name' => 'Invited User',
+            'password' => 'password',
+            'password_confirmation' => 'password',
+        ])->assertForbidden();
+
+        $this->assertGuest();
+    }
+
+    public function test_expired_invitations_can_not_be_accepted(): void
+    {
+        $invitation = $this->invitation();
+        $url = $invitation->url();
+
+        $this->travel(config('auth.invitations.expire') + 1)->minutes();
+
+        $this->get($url)->assertForbidden();
+
+        $this->post($url, [
+            'name' => 'Invited User',
+            'password' => 'password',
+            'password_confirmation' => 'password',
+        ])->assertForbidden();
+
+        $this->assertGuest();
+    }
+
+    public function test_invitations_can_only_be_accepted_once(): void
+    {
+        $invitation = $this->invitation(['accepted_at' => now()]);
+
+        $this->get($invitation->url())->assertStatus(410);
+    }
+
+    private function invitation(array $attributes = []): Invitation
+    {
+        // Someone has to exist already, or registration is open for the first admin
+        User::factory()->create(['role' => 'admin']);
+
+        return Invitation::create($attributes + [
+            'email' => 'invited@example.com',
+            'role' => 'viewer',
+            'expires_at' => now()->addMinutes(config('auth.invitations.expire')),
+        ]);
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace Tests\Feature\Auth;
 
+use App\Models\User;
 use App\Providers\RouteServiceProvider;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Tests\TestCase;
@@ -29,4 +30,51 @@ public function test_new_users_can_register(): void
         $this->assertAuthenticated();
         $response->assertRedirect(RouteServiceProvider::HOME);
     }
+
+    public function test_the_first_user_becomes_an_admin(): void
+    {
+        $this->post('/register', [
+            'name' => 'Test User',
+            'email' => 'test@example.com',
+            'password' => 'password',
+            'password_confirmation' => 'password',
+        ]);
+
+        $this->assertSame('admin', User::query()->where('email', 'test@example.com')->value('role'));
+    }
+
+    public function test_registration_is_closed_once_a_user_exists(): void
+    {
+        User::factory()->create();
+
+        $this->get('/register')->assertNotFound();
+
+        $this->post('/register', [
+            'name' => 'Test User',
+            'email' => 'test@example.com',
+            'password' => 'password',
+            'password_confirmation' => 'password',
+        ])->assertNotFound();
+
+        $this->assertGuest();
+    }
+
+    public function test_registration_can_be_opened_to_everyone(): void
+    {
+        config(['auth.registration' => true]);
+
+        User::factory()->create();
+
+        $this->get('/register')->assertOk();
+
+        $this->post('/register', [
+            'name' => 'Test User',
+            'email' => 'test@example.com',
+            'password' => 'password',
+            'password_confirmation' => 'password',
+        ]);
+
+        $this->assertAuthenticated();
+        $this->assertSame('viewer', User::query()->where('email', 'test@example.com')->value('role'));
+    }
 }
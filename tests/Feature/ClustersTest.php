@@ -0,0 +1,239 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ProcessScrapedMetrics;
+use App\Models\App;
+use App\Models\DebugEvent;
+use App\Models\SoketiServer;
+use App\Models\User;
+use App\Services\SoketiServers;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Schema;
+use Tests\TestCase;
+
+class ClustersTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Connection of the second cluster's app manager database, an in-memory one per test
+     */
+    private const OTHER = 'cluster_b';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config(['database.connections.' . self::OTHER => ['driver' => 'sqlite', 'database' => ':memory:', 'prefix' => '']]);
+        config(['broadcasting.default' => 'null']);
+
+        Schema::connection(self::OTHER)->create('apps', function (Blueprint $table) {
+            $table->string('id')->primary();
+            $table->string('key');
+            $table->string('secret');
+            $table->string('name')->nullable();
+            $table->boolean('enabled');
+            $table->boolean('enable_client_messages');
+            $table->boolean('enable_user_authentication');
+            $table->integer('max_connections');
+            $table->integer('max_backend_events_per_sec');
+            $table->integer('max_client_events_per_sec');
+            $table->integer('max_read_req_per_sec');
+            $table->json('webhooks')->nullable();
+        });
+
+        SoketiServer::create(['name' => 'a1', 'cluster' => 'a', 'host' => 'a1']);
+        SoketiServer::create(['name' => 'a2', 'cluster' => 'a', 'host' => 'a2']);
+        SoketiServer::create(['name' => 'b1', 'cluster' => 'b', 'host' => 'b1', 'database_connection' => self::OTHER]);
+    }
+
+    protected function tearDown(): void
+    {
+        App::useClusterConnection(null);
+
+        parent::tearDown();
+    }
+
+    public function test_scrape_sums_nodes_within_a_cluster_and_keeps_clusters_apart(): void
+    {
+        Bus::fake([ProcessScrapedMetrics::class]);
+        Http::fake([
+            'http://a1:9601/metrics' => Http::response($this->prometheus(['100001' => 3, '100002' => 1], 1000)),
+            'http://a2:9601/metrics' => Http::response($this->prometheus(['100001' => 4], 2000)),
+            'http://b1:9601/metrics' => Http::response($this->prometheus(['100001' => 5], 4000)),
+            '*' => Http::response('', 404),
+        ]);
+
+        $this->artisan('soketi:scrape-metrics')->assertSuccessful();
+
+        $default = config('database.default');
+        $this->assertSame(8, Cache::get("soketi:processed_metrics:cluster:{$default}")['connections']['current']);
+        $this->assertSame(3000, Cache::get("soketi:processed_metrics:cluster:{$default}")['system']['memory_usage']);
+        $this->assertSame(5, Cache::get('soketi:processed_metrics:cluster:' . self::OTHER)['connections']['current']);
+        $this->assertSame(13, Cache::get('soketi:processed_metrics')['connections']['current']);
+
+        // The same app ID on both clusters is kept under each cluster's own key
+        $this->assertSame(7, Cache::get("soketi:processed_metrics:app:{$default}:100001")['connections']['current']);
+        $this->assertSame(5, Cache::get('soketi:processed_metrics:app:' . self::OTHER . ':100001')['connections']['current']);
+        $this->assertNull(Cache::get('soketi:processed_metrics:app:' . self::OTHER . ':100002'));
+    }
+
+    public function test_one_node_down_still_stores_the_rest_of_its_cluster(): void
+    {
+        Bus::fake([ProcessScrapedMetrics::class]);
+        Http::fake([
+            'http://a1:9601/metrics' => Http::response($this->prometheus(['100001' => 3], 1000)),
+            '*' => Http::response('', 500),
+        ]);
+
+        $this->artisan('soketi:scrape-metrics')->assertSuccessful();
+
+        $a2 = SoketiServer::query()->where('name', 'a2')->sole();
+        $this->assertSame(3, Cache::get('soketi:processed_metrics:cluster:' . config('database.default'))['connections']['current']);
+        $this->assertFalse(Cache::get("soketi:processed_metrics:server:{$a2->cacheKey()}")['ok']);
+    }
+
+    public function test_webhooks_are_checked_against_the_app_in_the_cluster_they_name(): void
+    {
+        App::factory()->create(['id' => 100001]);
+        $other = App::factory()->connection(self::OTHER)->create(['id' => 100001]);
+        $payload = ['time_ms' => now()->getTimestampMs(), 'events' => [['name' => 'client_event', 'channel' => 'private-chat']]];
+
+        $this->withHeaders($this->webhookHeaders($payload, $other->secret, self::OTHER))
+            ->postJson('/webhooks', $payload)
+            ->assertOk();
+
+        $this->assertSame([self::OTHER], DebugEvent::query()->pluck('connection')->all());
+    }
+
+    public function test_webhooks_signed_with_another_clusters_secret_are_rejected(): void
+    {
+        $default = App::factory()->create(['id' => 100001]);
+        App::factory()->connection(self::OTHER)->create(['id' => 100001]);
+        $payload = ['time_ms' => now()->getTimestampMs(), 'events' => [['name' => 'client_event', 'channel' => 'private-chat']]];
+
+        $this->withHeaders($this->webhookHeaders($payload, $default->secret, self::OTHER))
+            ->postJson('/webhooks', $payload)
+            ->assertServerError();
+
+        $this->assertSame(0, DebugEvent::query()->count());
+    }
+
+    public function test_webhooks_without_a_cluster_are_checked_against_every_cluster(): void
+    {
+        App::factory()->create(['id' => 100001]);
+        $other = App::factory()->connection(self::OTHER)->create(['id' => 100001]);
+        $payload = ['time_ms' => now()->getTimestampMs(), 'events' => [['name' => 'client_event', 'channel' => 'private-chat']]];
+
+        $headers = $this->webhookHeaders($payload, $other->secret);
+
+        $this->withHeaders($headers)->postJson('/webhooks', $payload)->assertOk();
+    }
+
+    public function test_admins_can_add_change_and_remove_servers(): void
+    {
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+
+        $this->post(route('apps.servers.save'), $this->server(['name' => 'b2', 'cluster' => 'b', 'host' => 'b2']))
+            ->assertSessionHasNoErrors();
+
+        $b2 = SoketiServer::query()->where('name', 'b2')->sole();
+        $this->assertSame('b2', $b2->host);
+
+        $this->post(route('apps.servers.save'), $this->server(['id' => $b2->id, 'name' => 'b2', 'cluster' => 'b', 'host' => 'b2.internal']))
+            ->assertSessionHasNoErrors();
+        $this->assertSame('b2.internal', $b2->fresh()->host);
+
+        $this->post(route('apps.servers.delete'), ['id' => $b2->id])->assertSessionHasNoErrors();
+        $this->assertNull($b2->fresh());
+    }
+
+    public function test_nodes_of_a_cluster_share_its_database_connection(): void
+    {
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+
+        $a1 = SoketiServer::query()->where('name', 'a1')->sole();
+
+        $this->post(route('apps.servers.save'), $this->server(['id' => $a1->id, 'name' => 'a1', 'cluster' => 'a', 'host' => 'a1', 'database_connection' => self::OTHER]))
+            ->assertSessionHasNoErrors();
+
+        $this->assertSame([self::OTHER, self::OTHER], SoketiServer::query()->where('cluster', 'a')->pluck('database_connection')->all());
+    }
+
+    public function test_server_settings_are_validated(): void
+    {
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+
+        $this->post(route('apps.servers.save'), $this->server(['name' => 'x', 'cluster' => 'a b', 'host' => 'http://x:6001', 'database_connection' => 'nope']))
+            ->assertSessionHasErrors(['cluster', 'host', 'database_connection']);
+    }
+
+    public function test_switching_clusters_shows_that_clusters_apps(): void
+    {
+        App::factory()->create(['name' => 'Default app']);
+        App::factory()->connection(self::OTHER)->create(['name' => 'Other app']);
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+
+        $this->get(route('apps.index'))->assertSee('Default app')->assertDontSee('Other app');
+
+        $this->post(route('apps.servers.switch'), ['cluster' => 'b'])->assertRedirect(route('apps.index'));
+
+        $this->assertSame('b', session(SoketiServers::SESSION_KEY));
+        $this->get(route('apps.index'))->assertSee('Other app')->assertDontSee('Default app');
+    }
+
+    public function test_servers_added_mid_request_can_be_switched_to(): void
+    {
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+
+        // Loads the servers before the new one exists
+        $this->assertFalse(app(SoketiServers::class)->clusters()->contains('name', 'c'));
+
+        $this->post(route('apps.servers.save'), $this->server(['name' => 'c1', 'cluster' => 'c', 'host' => 'c1']))
+            ->assertSessionHasNoErrors();
+
+        $this->post(route('apps.servers.switch'), ['cluster' => 'c'])->assertRedirect(route('apps.index'));
+    }
+
+    public function test_unknown_clusters_can_not_be_switched_to(): void
+    {
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+
+        $this->post(route('apps.servers.switch'), ['cluster' => 'nope'])->assertNotFound();
+    }
+
+    /**
+     * Prometheus output of a node with the given connections per app
+     */
+    private function prometheus(array $connections, int $heap): string
+    {
+        $lines = collect($connections)->map(fn ($count, $appId) => "soketi_connected{app_id=\"{$appId}\",port=\"6001\"} {$count}");
+
+        return $lines->push("soketi_nodejs_heap_size_used_bytes{port=\"6001\"} {$heap}")->implode("\n");
+    }
+
+    private function webhookHeaders(array $payload, string $secret, ?string $connection = null): array
+    {
+        return array_filter([
+            'X-App-Id' => '100001',
+            App::CONNECTION_HEADER => $connection,
+            'X-Pusher-Signature' => hash_hmac('sha256', json_encode($payload), $secret),
+        ]);
+    }
+
+    private function server(array $attributes): array
+    {
+        return $attributes + [
+            'scheme' => 'http',
+            'websocket_port' => 6001,
+            'metrics_port' => 9601,
+            'enabled' => true,
+        ];
+    }
+}
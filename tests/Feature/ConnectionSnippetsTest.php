@@ -0,0 +1,47 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Services\ConnectionSnippets;
+use Tests\TestCase;
+
+class ConnectionSnippetsTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config([
+            'soketi.client.host' => 'https://ws.example.com/',
+            'soketi.client.port' => 443,
+            'soketi.client.scheme' => 'https',
+        ]);
+    }
+
+    public function test_snippets_match_their_fixtures()
+    {
+        $app = new App(['id' => 123456, 'key' => 'abcdefghij0123456789', 'secret' => 'not-in-snippets']);
+
+        $snippets = app(ConnectionSnippets::class)->forApp($app);
+
+        $this->assertSame(array_keys(ConnectionSnippets::SNIPPETS), array_column($snippets, 'name'));
+
+        foreach ($snippets as $snippet) {
+            $this->assertSame(
+                trim(file_get_contents(base_path("tests/fixtures/snippets/{$snippet['name']}.txt"))),
+                $snippet['code'],
+                "The {$snippet['name']} snippet doesn't match its fixture"
+            );
+        }
+    }
+
+    public function test_snippets_never_contain_the_secret()
+    {
+        $app = new App(['id' => 123456, 'key' => 'abcdefghij0123456789', 'secret' => 'not-in-snippets']);
+
+        foreach (app(ConnectionSnippets::class)->forApp($app) as $snippet) {
+            $this->assertStringNotContainsString('not-in-snippets', $snippet['code']);
+        }
+    }
+}
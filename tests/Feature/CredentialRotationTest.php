@@ -0,0 +1,208 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\CredentialRotation;
+use App\Models\User;
+use App\Services\CredentialRotator;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class CredentialRotationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $admin;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->admin = User::factory()->create(['role' => 'admin']);
+    }
+
+    public function test_staging_returns_new_credentials_without_changing_the_app(): void
+    {
+        $app = App::factory()->create();
+
+        $response = $this->actingAs($this->admin)
+            ->withSession(['auth.password_confirmed_at' => time()])
+            ->postJson(route('apps.credentials.rotate', $app->id))
+            ->assertOk()
+            ->assertJsonPath('data.status', 'pending');
+
+        $this->assertNotSame($app->key, $response->json('data.new_key'));
+        $this->assertSame($app->key, $app->fresh()->key);
+    }
+
+    public function test_staging_again_cancels_the_previous_staged_credentials(): void
+    {
+        $app = App::factory()->create();
+
+        $this->actingAs($this->admin)->withSession(['auth.password_confirmed_at' => time()]);
+        $this->postJson(route('apps.credentials.rotate', $app->id))->assertOk();
+        $this->postJson(route('apps.credentials.rotate', $app->id))->assertOk();
+
+        $this->assertSame(['pending', 'cancelled'], CredentialRotation::query()->latest('id')->pluck('status')->all());
+    }
+
+    public function test_staging_requires_a_confirmed_password(): void
+    {
+        $app = App::factory()->create();
+
+        $this->actingAs($this->admin)
+            ->postJson(route('apps.credentials.rotate', $app->id))
+            ->assertStatus(423);
+
+        $this->assertSame(0, CredentialRotation::query()->count());
+    }
+
+    public function test_history_never_contains_secrets(): void
+    {
+        $app = App::factory()->create();
+        $rotation = app(CredentialRotator::class)->stage($app, null, $this->admin);
+
+        $response = $this->actingAs($this->admin)->getJson(route('apps.credentials.rotations', $app->id))->assertOk();
+
+        $this->assertStringNotContainsString($rotation->new_secret, $response->getContent());
+        $this->assertStringNotContainsString($app->secret, $response->getContent());
+    }
+
+    public function test_cutover_swaps_the_staged_credentials_in(): void
+    {
+        $app = App::factory()->create();
+        $rotation = app(CredentialRotator::class)->stage($app, null, $this->admin);
+
+        $this->actingAs($this->admin)
+            ->postJson(route('apps.credentials.cutover', [$app->id, $rotation->id]))
+            ->assertOk()
+            ->assertJsonPath('data.status', 'completed')
+            ->assertJsonPath('data.can_rollback', true);
+
+        $fresh = $app->fresh();
+        $this->assertSame($rotation->new_key, $fresh->key);
+        $this->assertSame($rotation->new_secret, $fresh->secret);
+        $this->assertSame($app->key, $rotation->fresh()->previous_key);
+    }
+
+    public function test_rotations_can_only_be_cut_over_once(): void
+    {
+        $app = App::factory()->create();
+        $rotation = app(CredentialRotator::class)->stage($app, null, $this->admin);
+
+        $this->assertTrue(app(CredentialRotator::class)->cutover($rotation));
+        $this->assertFalse(app(CredentialRotator::class)->cutover(CredentialRotation::find($rotation->id)));
+
+        $this->actingAs($this->admin)
+            ->postJson(route('apps.credentials.cutover', [$app->id, $rotation->id]))
+            ->assertStatus(422);
+    }
+
+    public function test_rollback_restores_the_previous_credentials(): void
+    {
+        $app = App::factory()->create();
+        $rotation = app(CredentialRotator::class)->stage($app, null, $this->admin);
+        app(CredentialRotator::class)->cutover($rotation);
+
+        $this->actingAs($this->admin)
+            ->postJson(route('apps.credentials.rollback', [$app->id, $rotation->id]))
+            ->assertOk()
+            ->assertJsonPath('data.status', 'rolled_back');
+
+        $fresh = $app->fresh();
+        $this->assertSame($app->key, $fresh->key);
+        $this->assertSame($app->secret, $fresh->secret);
+    }
+
+    public function test_rollback_is_refused_once_the_window_has_closed(): void
+    {
+        $app = App::factory()->create();
+        $rotation = app(CredentialRotator::class)->stage($app, null, $this->admin);
+        app(CredentialRotator::class)->cutover($rotation);
+
+        $this->travel(config('soketi.credential_rotation.rollback_minutes', 60) + 1)->minutes();
+
+        $this->actingAs($this->admin)
+            ->postJson(route('apps.credentials.rollback', [$app->id, $rotation->id]))
+            ->assertStatus(422);
+
+        $this->assertSame($rotation->new_key, $app->fresh()->key);
+    }
+
+    public function test_rollback_is_refused_after_a_later_rotation(): void
+    {
+        $app = App::factory()->create();
+        $rotator = app(CredentialRotator::class);
+
+        $first = $rotator->stage($app, null, $this->admin);
+        $rotator->cutover($first);
+        $second = $rotator->stage($app->fresh(), null, $this->admin);
+        $rotator->cutover($second);
+
+        $this->actingAs($this->admin)
+            ->postJson(route('apps.credentials.rollback', [$app->id, $first->id]))
+            ->assertStatus(422);
+
+        $this->assertSame($second->new_key, $app->fresh()->key);
+    }
+
+    public function test_replaced_secrets_are_accepted_during_the_rollback_window(): void
+    {
+        $app = App::factory()->create();
+        $rotator = app(CredentialRotator::class);
+        $rotation = $rotator->stage($app, null, $this->admin);
+        $rotator->cutover($rotation);
+
+        $this->assertSame([$rotation->new_secret, $app->secret], $rotator->acceptedSecrets($app->fresh()));
+
+        $this->travel(config('soketi.credential_rotation.rollback_minutes', 60) + 1)->minutes();
+
+        $this->assertSame([$rotation->new_secret], $rotator->acceptedSecrets($app->fresh()));
+    }
+
+    public function test_scheduled_rotations_are_cut_over_when_due(): void
+    {
+        $app = App::factory()->create();
+        $rotation = app(CredentialRotator::class)->stage($app, now()->addHour(), $this->admin);
+
+        $this->artisan('soketi:cutover-credentials')->assertSuccessful();
+        $this->assertTrue($rotation->fresh()->isPending());
+
+        $this->travel(61)->minutes();
+
+        $this->artisan('soketi:cutover-credentials')->assertSuccessful();
+        $this->assertSame('completed', $rotation->fresh()->status);
+        $this->assertSame($rotation->new_key, $app->fresh()->key);
+    }
+
+    public function test_a_failing_scheduled_rotation_does_not_stop_the_others(): void
+    {
+        $gone = App::factory()->create();
+        $app = App::factory()->create();
+        $rotator = app(CredentialRotator::class);
+
+        $broken = $rotator->stage($gone, now()->addMinute(), $this->admin);
+        $working = $rotator->stage($app, now()->addMinute(), $this->admin);
+        $gone->delete();
+
+        $this->travel(2)->minutes();
+
+        $this->assertSame(1, $rotator->cutoverDue());
+        $this->assertSame('failed', $broken->fresh()->status);
+        $this->assertSame('completed', $working->fresh()->status);
+    }
+
+    public function test_viewers_can_not_rotate_credentials(): void
+    {
+        $app = App::factory()->create();
+        $viewer = User::factory()->create(['role' => 'viewer']);
+        $viewer->grants()->create(['app_id' => (string) $app->id, 'connection' => $app->connectionKey(), 'role' => 'viewer']);
+
+        $this->actingAs($viewer)
+            ->postJson(route('apps.credentials.rotate', $app->id))
+            ->assertForbidden();
+
+        $this->assertSame(0, CredentialRotation::query()->count());
+    }
+}
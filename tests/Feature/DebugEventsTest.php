@@ -0,0 +1,151 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\DebugEvent;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class DebugEventsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private App $soketiApp;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->soketiApp = App::factory()->create();
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+    }
+
+    public function test_events_are_returned_newest_first_in_the_debug_page_shape(): void
+    {
+        $first = $this->event(['name' => 'channel_occupied', 'channel' => 'presence-room']);
+        $second = $this->event(['name' => 'member_added', 'channel' => 'presence-room', 'user_id' => '42']);
+
+        $this->events()
+            ->assertOk()
+            ->assertJsonPath('data.0.debug_uuid', (string) $second->id)
+            ->assertJsonPath('data.0.user_id', '42')
+            ->assertJsonPath('data.1.debug_uuid', (string) $first->id)
+            ->assertJsonPath('next_cursor', null);
+    }
+
+    public function test_events_can_be_filtered_by_type(): void
+    {
+        $this->event(['name' => 'channel_occupied', 'channel' => 'presence-room']);
+        $this->event(['name' => 'client_event', 'channel' => 'private-chat']);
+        $this->event(['name' => 'member_added', 'channel' => 'presence-room']);
+
+        $this->assertSame(['member_added', 'client_event'], $this->names(['types' => ['client_event', 'member_added']]));
+    }
+
+    public function test_channel_filter_takes_wildcards_and_matches_the_rest_literally(): void
+    {
+        $this->event(['name' => 'client_event', 'channel' => 'private-user.1']);
+        $this->event(['name' => 'client_event', 'channel' => 'private-user.2']);
+        $this->event(['name' => 'client_event', 'channel' => 'private-chat']);
+        $this->event(['name' => 'client_event', 'channel' => 'private_user']);
+
+        $this->assertSame(['private-user.2', 'private-user.1'], $this->channels(['channel' => 'private-user.*']));
+        $this->assertSame(['private-chat'], $this->channels(['channel' => 'private-chat']));
+        // "_" is not a LIKE wildcard here
+        $this->assertSame([], $this->channels(['channel' => 'private_chat']));
+    }
+
+    public function test_user_filter_matches_user_ids_and_socket_ids(): void
+    {
+        $this->event(['name' => 'member_added', 'channel' => 'presence-room', 'user_id' => '42']);
+        $this->event(['name' => 'client_event', 'channel' => 'presence-room', 'socket_id' => '123.456']);
+        $this->event(['name' => 'member_added', 'channel' => 'presence-room', 'user_id' => '7']);
+
+        $this->assertSame(['member_added'], $this->names(['user' => '42']));
+        $this->assertSame(['client_event'], $this->names(['user' => '123.456']));
+    }
+
+    public function test_events_can_be_filtered_by_time_range(): void
+    {
+        $this->event(['name' => 'channel_occupied', 'channel' => 'a'], now()->subHours(3));
+        $this->event(['name' => 'member_added', 'channel' => 'a'], now()->subHour());
+        $this->event(['name' => 'channel_vacated', 'channel' => 'a'], now());
+
+        $this->assertSame(['member_added'], $this->names([
+            'from' => now()->subHours(2)->toIso8601String(),
+            'to' => now()->subMinutes(30)->toIso8601String(),
+        ]));
+    }
+
+    public function test_search_looks_through_payloads_ignoring_case(): void
+    {
+        $this->event(['name' => 'client_event', 'channel' => 'private-chat', 'data' => ['text' => 'Hello World']]);
+        $this->event(['name' => 'client_event', 'channel' => 'private-chat', 'data' => ['text' => 'bye']]);
+        $this->event(['name' => 'client_event', 'channel' => 'private-chat', 'data' => ['url' => 'https://example.com/a']]);
+
+        $this->assertCount(1, $this->names(['search' => 'hello world']));
+        // Payloads are stored unescaped, so slashes match as typed
+        $this->assertCount(1, $this->names(['search' => 'example.com/a']));
+        $this->assertCount(0, $this->names(['search' => '100%']));
+    }
+
+    public function test_events_are_paged_with_a_cursor(): void
+    {
+        $ids = collect(range(1, 5))->map(fn () => $this->event(['name' => 'client_event', 'channel' => 'private-chat'])->id)->reverse()->values();
+
+        $first = $this->events(['per_page' => 2])->assertOk();
+        $second = $this->events(['per_page' => 2, 'cursor' => $first->json('next_cursor')])->assertOk();
+        $third = $this->events(['per_page' => 2, 'cursor' => $second->json('next_cursor')])->assertOk();
+
+        $pages = collect([$first, $second, $third])->flatMap(fn ($page) => array_column($page->json('data'), 'debug_uuid'));
+
+        $this->assertSame($ids->map(fn ($id) => (string) $id)->all(), $pages->all());
+        $this->assertNull($third->json('next_cursor'));
+    }
+
+    public function test_only_events_of_the_app_in_its_own_cluster_are_returned(): void
+    {
+        $this->event(['name' => 'client_event', 'channel' => 'mine']);
+        $this->event(['name' => 'client_event', 'channel' => 'other-cluster'], null, ['connection' => 'other-cluster']);
+        $this->event(['name' => 'client_event', 'channel' => 'other-app'], null, ['app_id' => 'other-app']);
+
+        $this->assertSame(['mine'], $this->channels());
+    }
+
+    public function test_filters_are_validated(): void
+    {
+        $this->events(['types' => ['not_a_type']])->assertStatus(422);
+        $this->events(['per_page' => 1000])->assertStatus(422);
+    }
+
+    private function events(array $query = [])
+    {
+        return $this->getJson(route('apps.debug.events', [$this->soketiApp->id] + $query));
+    }
+
+    private function names(array $query = []): array
+    {
+        return array_column($this->events($query)->assertOk()->json('data'), 'name');
+    }
+
+    private function channels(array $query = []): array
+    {
+        return array_column($this->events($query)->assertOk()->json('data'), 'channel');
+    }
+
+    private function event(array $payload, $occurredAt = null, array $attributes = []): DebugEvent
+    {
+        return DebugEvent::create($attributes + [
+            'app_id' => (string) $this->soketiApp->id,
+            'connection' => $this->soketiApp->connectionKey(),
+            'name' => $payload['name'],
+            'channel' => $payload['channel'] ?? null,
+            'user_id' => $payload['user_id'] ?? null,
+            'socket_id' => $payload['socket_id'] ?? null,
+            'payload' => json_encode($payload, DebugEvent::PAYLOAD_FLAGS),
+            'occurred_at' => $occurredAt ?? now(),
+        ]);
+    }
+}
@@ -0,0 +1,103 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\DebugEvent;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class DebugExportTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private App $soketiApp;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->soketiApp = App::factory()->create();
+        $this->actingAs(User::factory()->create(['role' => 'admin']));
+    }
+
+    public function test_json_export_is_an_array_of_events_oldest_first(): void
+    {
+        $this->event('channel_occupied', 'presence-room', ['name' => 'channel_occupied', 'channel' => 'presence-room']);
+        $this->event('client_event', 'private-chat', ['name' => 'client_event', 'channel' => 'private-chat', 'data' => ['text' => 'hi']]);
+
+        $response = $this->export('json')->assertOk()->assertHeader('Content-Type', 'application/json');
+
+        $rows = json_decode($response->streamedContent(), true);
+        $this->assertSame(['channel_occupied', 'client_event'], array_column($rows, 'name'));
+        $this->assertSame(['text' => 'hi'], $rows[1]['payload']['data']);
+    }
+
+    public function test_ndjson_export_has_one_event_per_line(): void
+    {
+        $this->event('channel_occupied', 'presence-room', ['name' => 'channel_occupied']);
+        $this->event('channel_vacated', 'presence-room', ['name' => 'channel_vacated']);
+
+        $response = $this->export('ndjson')->assertOk();
+
+        $lines = explode("\n", trim($response->streamedContent()));
+        $this->assertCount(2, $lines);
+        $this->assertSame('channel_vacated', json_decode($lines[1], true)['name']);
+    }
+
+    public function test_csv_export_has_a_header_and_encodes_payloads_as_json(): void
+    {
+        $this->event('client_event', 'private-chat', ['name' => 'client_event', 'data' => ['text' => 'hi']]);
+
+        $response = $this->export('csv')->assertOk();
+
+        $rows = array_map('str_getcsv', explode("\n", trim($response->streamedContent())));
+        $this->assertSame(['id', 'occurred_at', 'name', 'channel', 'event', 'user_id', 'socket_id', 'payload'], $rows[0]);
+        $this->assertSame('private-chat', $rows[1][3]);
+        $this->assertSame(['name' => 'client_event', 'data' => ['text' => 'hi']], json_decode($rows[1][7], true));
+    }
+
+    public function test_csv_cells_that_look_like_formulas_are_escaped(): void
+    {
+        $this->event('client_event', 'private-chat', ['name' => 'client_event'], ['event' => '=HYPERLINK("http://evil.test")', 'user_id' => '@SUM(1)']);
+        $this->event('client_event', 'private-chat', ['name' => 'client_event'], ['event' => '-1', 'user_id' => '+cmd']);
+
+        $rows = array_map('str_getcsv', explode("\n", trim($this->export('csv')->streamedContent())));
+
+        $this->assertSame(["'=HYPERLINK(\"http://evil.test\")", "'@SUM(1)"], [$rows[1][4], $rows[1][5]]);
+        $this->assertSame(['-1', "'+cmd"], [$rows[2][4], $rows[2][5]]);
+    }
+
+    public function test_export_applies_the_debug_page_filters(): void
+    {
+        $this->event('channel_occupied', 'presence-room', ['name' => 'channel_occupied']);
+        $this->event('client_event', 'private-chat', ['name' => 'client_event']);
+
+        $rows = json_decode($this->export('json', ['types' => ['client_event']])->streamedContent(), true);
+
+        $this->assertSame(['client_event'], array_column($rows, 'name'));
+    }
+
+    public function test_unknown_formats_are_rejected(): void
+    {
+        $this->getJson(route('apps.debug.export', [$this->soketiApp->id, 'format' => 'xml']))->assertStatus(422);
+    }
+
+    private function export(string $format, array $filters = [])
+    {
+        return $this->get(route('apps.debug.export', [$this->soketiApp->id, 'format' => $format] + $filters));
+    }
+
+    private function event(string $name, string $channel, array $payload, array $attributes = []): DebugEvent
+    {
+        return DebugEvent::create($attributes + [
+            'app_id' => (string) $this->soketiApp->id,
+            'connection' => $this->soketiApp->connectionKey(),
+            'name' => $name,
+            'channel' => $channel,
+            'payload' => json_encode($payload, DebugEvent::PAYLOAD_FLAGS),
+            'occurred_at' => now(),
+        ]);
+    }
+}
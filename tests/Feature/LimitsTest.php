@@ -0,0 +1,58 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class LimitsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_limits_can_be_saved(): void
+    {
+        $app = App::factory()->create();
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->post(route('apps.limits', $app), [
+                'max_connections' => 500,
+                'max_client_events_per_sec' => -1,
+            ])
+            ->assertSessionHasNoErrors();
+
+        $app->refresh();
+        $this->assertEquals(500, $app->max_connections);
+        $this->assertEquals(-1, $app->max_client_events_per_sec);
+    }
+
+    public function test_limits_must_be_whole_numbers_of_at_least_minus_one(): void
+    {
+        $app = App::factory()->create();
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->post(route('apps.limits', $app), [
+                'max_connections' => -2,
+                'max_backend_events_per_sec' => 1.5,
+                'max_event_payload_in_kb' => 'lots',
+            ])
+            ->assertSessionHasErrors(['max_connections', 'max_backend_events_per_sec', 'max_event_payload_in_kb']);
+
+        $this->assertEquals(-1, $app->fresh()->max_connections);
+    }
+
+    public function test_unknown_fields_are_not_saved(): void
+    {
+        $app = App::factory()->create();
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->post(route('apps.limits', $app), [
+                'max_connections' => 10,
+                'secret' => 'overwritten',
+            ])
+            ->assertSessionHasNoErrors();
+
+        $this->assertNotSame('overwritten', $app->fresh()->secret);
+    }
+}
@@ -0,0 +1,84 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Log;
+use Tests\TestCase;
+
+class RevealSecretTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_apps_page_never_contains_secrets(): void
+    {
+        $app = App::factory()->create();
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->get('/apps')
+            ->assertOk()
+            ->assertSee($app->key)
+            ->assertDontSee($app->secret);
+    }
+
+    public function test_revealing_a_secret_requires_a_confirmed_password(): void
+    {
+        $app = App::factory()->create();
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->getJson(route('apps.credentials.secret', $app->id))
+            ->assertStatus(423);
+    }
+
+    public function test_secret_is_revealed_and_logged_once_the_password_is_confirmed(): void
+    {
+        Log::spy();
+
+        $app = App::factory()->create();
+        $user = User::factory()->create(['role' => 'admin']);
+
+        $this->actingAs($user)
+            ->withSession(['auth.password_confirmed_at' => time()])
+            ->getJson(route('apps.credentials.secret', $app->id))
+            ->assertOk()
+            ->assertJsonPath('data.secret', $app->secret);
+
+        Log::shouldHaveReceived('info')
+            ->withArgs(fn ($message, $context) => $message === 'App secret revealed'
+                && $context['app_id'] == $app->id
+                && $context['user_id'] === $user->id)
+            ->once();
+    }
+
+    public function test_reveal_link_goes_through_password_confirmation(): void
+    {
+        $app = App::factory()->create();
+        $user = User::factory()->create(['role' => 'admin']);
+
+        $this->actingAs($user)
+            ->get(route('apps.credentials.reveal', $app->id))
+            ->assertRedirect(route('password.confirm'));
+
+        $this->actingAs($user)
+            ->post('/confirm-password', ['password' => 'password'])
+            ->assertRedirect(route('apps.credentials.reveal', $app->id));
+
+        $this->actingAs($user)
+            ->get(route('apps.credentials.reveal', $app->id))
+            ->assertRedirect(route('apps.index', ['reveal' => $app->id]));
+    }
+
+    public function test_viewers_can_not_reveal_secrets(): void
+    {
+        $app = App::factory()->create();
+        $viewer = User::factory()->create(['role' => 'viewer']);
+        $viewer->grants()->create(['app_id' => (string) $app->id, 'connection' => $app->connectionKey(), 'role' => 'viewer']);
+
+        $this->actingAs($viewer)
+            ->withSession(['auth.password_confirmed_at' => time()])
+            ->getJson(route('apps.credentials.secret', $app->id))
+            ->assertForbidden();
+    }
+}
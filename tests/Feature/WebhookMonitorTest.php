@@ -0,0 +1,178 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\User;
+use App\Models\WebhookMonitorEvent;
+use App\Services\WebhookMonitor;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class WebhookMonitorTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2025-01-15 12:00:00');
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    public function test_signed_deliveries_are_recorded_one_row_per_event(): void
+    {
+        $app = $this->monitoredApp();
+
+        $this->deliver($app, [
+            'time_ms' => Carbon::now()->subSeconds(2)->getTimestampMs(),
+            'events' => [
+                ['name' => 'channel_occupied', 'channel' => 'presence-room'],
+                ['name' => 'member_added', 'channel' => 'presence-room', 'user_id' => '42'],
+            ],
+        ])->assertOk();
+
+        $rows = WebhookMonitorEvent::query()->orderBy('id')->get();
+
+        $this->assertSame(['channel_occupied', 'member_added'], $rows->pluck('name')->all());
+        $this->assertTrue($rows->every(fn ($row) => $row->signature_valid
+            && $row->webhook_id === 'http-hook'
+            && $row->connection === $app->connectionKey()
+            && $row->webhook_call_id !== null));
+        $this->assertSame(2, (int) $rows->first()->sent_at->diffInSeconds($rows->first()->received_at));
+    }
+
+    public function test_rejected_deliveries_are_recorded_once_without_their_events(): void
+    {
+        $app = $this->monitoredApp();
+
+        $this->deliver($app, [
+            'time_ms' => Carbon::now()->getTimestampMs(),
+            'events' => [
+                ['name' => 'channel_occupied', 'channel' => 'presence-room'],
+                ['name' => 'channel_vacated', 'channel' => 'presence-room'],
+            ],
+        ], 'not-the-secret')->assertServerError();
+
+        $row = WebhookMonitorEvent::query()->sole();
+
+        $this->assertFalse($row->signature_valid);
+        $this->assertNull($row->name);
+        $this->assertSame('http-hook', $row->webhook_id);
+    }
+
+    public function test_rejected_deliveries_for_webhooks_not_being_monitored_are_ignored(): void
+    {
+        $app = $this->monitoredApp();
+
+        $this->deliver($app, ['events' => []], 'not-the-secret', 'other-hook')->assertServerError();
+
+        $this->assertSame(0, WebhookMonitorEvent::query()->count());
+    }
+
+    public function test_monitor_endpoint_is_rate_limited(): void
+    {
+        config(['soketi.webhook_monitor.rate_limit' => 2]);
+        $app = $this->monitoredApp();
+
+        $this->deliver($app, ['events' => []])->assertOk();
+        $this->deliver($app, ['events' => []])->assertOk();
+        $this->deliver($app, ['events' => []])->assertStatus(429);
+    }
+
+    public function test_summary_counts_events_delays_failures_and_gaps(): void
+    {
+        config(['soketi.webhook_monitor.gap_minutes' => 5]);
+        $app = $this->monitoredApp();
+
+        $this->record($app, 'member_added', '12:10:00', '12:09:58');
+        $this->record($app, 'member_added', '12:10:30', '12:10:29');
+        $this->record($app, 'channel_occupied', '12:20:00', '12:20:00');
+        $this->record($app, null, '12:25:00', null, false);
+        // Another webhook, and the same app ID in another cluster, don't count
+        $this->record($app, 'member_added', '12:15:00', '12:15:00', true, ['webhook_id' => 'other-hook']);
+        $this->record($app, 'member_added', '12:15:00', '12:15:00', true, ['connection' => 'other-cluster']);
+
+        Carbon::setTestNow('2025-01-15 12:30:00');
+
+        $summary = $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->getJson(route('apps.webhooks.monitor.data', [$app->id, 'http-hook', 'hours' => 1]))
+            ->assertOk()
+            ->json('data');
+
+        $this->assertTrue($summary['monitoring']);
+        $this->assertSame('minute', $summary['granularity']);
+        $this->assertSame(3, $summary['totals']['events']);
+        $this->assertSame(1, $summary['totals']['signature_failures']);
+        $this->assertSame(['channel_occupied' => 1, 'member_added' => 2], collect($summary['totals']['by_type'])->sortKeys()->all());
+        $this->assertSame(1000, $summary['totals']['avg_delay_ms']);
+        $this->assertCount(1, $summary['signature_failures']);
+
+        $minute = collect($summary['volume'])->firstWhere('timestamp', Carbon::parse('2025-01-15 12:10:00')->timestamp);
+        $this->assertSame(2, $minute['member_added']);
+
+        // Since monitoring started at 12:00, between the deliveries and since the last one
+        $this->assertSame([600, 600, 570], array_column($summary['gaps'], 'seconds'));
+        $this->assertSame(1, collect($summary['gaps'])->where('ongoing', true)->count());
+    }
+
+    public function test_old_deliveries_are_pruned(): void
+    {
+        config(['soketi.webhook_monitor.keep_days' => 7]);
+        $app = $this->monitoredApp();
+
+        $old = $this->record($app, 'member_added', '12:00:00', null, true, ['received_at' => Carbon::now()->subDays(8)]);
+        $recent = $this->record($app, 'member_added', '12:00:00', null, true, ['received_at' => Carbon::now()->subDays(6)]);
+
+        $this->artisan('model:prune', ['--model' => [WebhookMonitorEvent::class]])->assertSuccessful();
+
+        $this->assertNull($old->fresh());
+        $this->assertNotNull($recent->fresh());
+    }
+
+    private function monitoredApp(): App
+    {
+        $app = App::factory()->create([
+            'webhooks' => [['id' => 'http-hook', 'url' => 'https://example.com/hook', 'event_types' => ['channel_occupied', 'member_added']]],
+        ]);
+
+        app(WebhookMonitor::class)->toggle($app, 'http-hook');
+        $app->save();
+
+        return $app;
+    }
+
+    /**
+     * Post a delivery to the monitor endpoint the way Soketi sends it to the shadow webhook
+     */
+    private function deliver(App $app, array $payload, ?string $secret = null, string $webhookId = 'http-hook')
+    {
+        return $this->withHeaders([
+            'X-App-Id' => (string) $app->id,
+            App::CONNECTION_HEADER => $app->connectionKey(),
+            WebhookMonitor::HEADER => $webhookId,
+            'X-Pusher-Signature' => hash_hmac('sha256', json_encode($payload), $secret ?? $app->secret),
+        ])->postJson('/webhooks/monitor', $payload);
+    }
+
+    private function record(App $app, ?string $name, string $receivedAt, ?string $sentAt, bool $valid = true, array $attributes = []): WebhookMonitorEvent
+    {
+        return WebhookMonitorEvent::create($attributes + [
+            'app_id' => (string) $app->id,
+            'connection' => $app->connectionKey(),
+            'webhook_id' => 'http-hook',
+            'name' => $name,
+            'signature_valid' => $valid,
+            'sent_at' => $sentAt ? Carbon::parse("2025-01-15 {$sentAt}") : null,
+            'received_at' => Carbon::parse("2025-01-15 {$receivedAt}"),
+        ]);
+    }
+}
@@ -0,0 +1,119 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\User;
+use App\Models\WebhookTestResult;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Http\Client\Request;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class WebhookTestFireTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_test_events_are_signed_like_soketi_signs_them(): void
+    {
+        Http::fake(['example.com/*' => Http::response('ok', 200, ['X-Receiver' => 'yes'])]);
+
+        $app = $this->appWithWebhook(['headers' => ['Authorization' => 'Bearer token']]);
+
+        $response = $this->fire($app, 'member_added')->assertOk();
+
+        Http::assertSent(function (Request $request) use ($app) {
+            $body = json_decode($request->body(), true);
+
+            return $request->url() === 'https://example.com/hook'
+                && $request->header('X-Pusher-Key')[0] === $app->key
+                && $request->header('X-Pusher-Signature')[0] === hash_hmac('sha256', $request->body(), $app->secret)
+                && $request->header('Authorization')[0] === 'Bearer token'
+                && $body['events'][0]['name'] === 'member_added'
+                && isset($body['time_ms']);
+        });
+
+        $response->assertJsonPath('data.status', 200);
+        $response->assertJsonPath('data.response_body', 'ok');
+        $response->assertJsonPath('data.response_headers.X-Receiver', 'yes');
+    }
+
+    public function test_the_secret_never_shows_up_in_stored_results(): void
+    {
+        Http::fake(['example.com/*' => Http::response('ok')]);
+
+        $app = $this->appWithWebhook();
+
+        $this->fire($app, 'client_event')->assertOk();
+
+        $result = WebhookTestResult::query()->sole();
+
+        $this->assertStringNotContainsString($app->secret, json_encode($result->request_headers));
+        $this->assertStringNotContainsString($app->secret, $result->request_body);
+    }
+
+    public function test_failed_requests_are_recorded(): void
+    {
+        Http::fake(fn () => throw new ConnectionException('Connection refused'));
+
+        $app = $this->appWithWebhook();
+
+        $this->fire($app, 'channel_occupied')
+            ->assertOk()
+            ->assertJsonPath('data.status', null)
+            ->assertJsonPath('data.error', 'Connection refused');
+    }
+
+    public function test_only_the_latest_results_are_kept(): void
+    {
+        config(['soketi.webhook_tests.keep' => 2]);
+        Http::fake(['example.com/*' => Http::response('ok')]);
+
+        $app = $this->appWithWebhook();
+
+        foreach (['client_event', 'channel_occupied', 'channel_vacated'] as $eventType) {
+            $this->fire($app, $eventType)->assertOk();
+        }
+
+        $this->assertSame(['channel_vacated', 'channel_occupied'], WebhookTestResult::query()->latest('id')->pluck('event_type')->all());
+
+        $this->getJson(route('apps.webhooks.tests', [$app->id, 'http-hook']))
+            ->assertOk()
+            ->assertJsonCount(2, 'data');
+    }
+
+    public function test_lambda_webhooks_can_not_be_test_fired(): void
+    {
+        Http::fake();
+
+        $app = App::factory()->create(['webhooks' => [[
+            'id' => 'lambda-hook',
+            'lambda_function' => 'receiver',
+            'event_types' => ['client_event'],
+        ]]]);
+
+        $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->postJson(route('apps.webhooks.test', $app->id), ['id' => 'lambda-hook', 'event_type' => 'client_event'])
+            ->assertStatus(422)
+            ->assertJsonPath('success', false);
+
+        Http::assertNothingSent();
+    }
+
+    private function appWithWebhook(array $webhook = []): App
+    {
+        return App::factory()->create(['webhooks' => [$webhook + [
+            'id' => 'http-hook',
+            'url' => 'https://example.com/hook',
+            'event_types' => ['client_event', 'channel_occupied', 'channel_vacated', 'member_added', 'member_removed'],
+            'headers' => [],
+        ]]]);
+    }
+
+    private function fire(App $app, string $eventType)
+    {
+        return $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->postJson(route('apps.webhooks.test', $app->id), ['id' => 'http-hook', 'event_type' => $eventType]);
+    }
+}
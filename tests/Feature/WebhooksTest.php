@@ -0,0 +1,173 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\App;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class WebhooksTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_http_webhooks_can_be_saved(): void
+    {
+        $app = App::factory()->create();
+
+        $this->save($app, [
+            'target' => 'http',
+            'url' => 'https://example.com/hook',
+            'event_types' => ['channel_occupied', 'channel_vacated'],
+            'headers' => [['key' => 'Authorization', 'value' => 'Bearer token']],
+            'filter' => ['channel_name_starts_with' => 'private-'],
+        ])->assertSessionHasNoErrors();
+
+        $webhook = $app->fresh()->webhooks->first();
+
+        $this->assertSame('https://example.com/hook', $webhook['url']);
+        $this->assertSame(['channel_occupied', 'channel_vacated'], $webhook['event_types']);
+        $this->assertSame(['Authorization' => 'Bearer token'], $webhook['headers']);
+        $this->assertSame(['channel_name_starts_with' => 'private-'], $webhook['filter']);
+    }
+
+    public function test_webhook_urls_must_be_http_or_https(): void
+    {
+        $app = App::factory()->create();
+
+        $this->save($app, ['target' => 'http', 'url' => 'not a url', 'event_types' => ['client_event']])
+            ->assertSessionHasErrors('url');
+
+        $this->save($app, ['target' => 'http', 'url' => 'ftp://example.com/hook', 'event_types' => ['client_event']])
+            ->assertSessionHasErrors(['url' => 'The webhook URL must use http or https.']);
+
+        $this->assertEmpty($app->fresh()->webhooks);
+    }
+
+    public function test_webhooks_need_known_event_types(): void
+    {
+        $app = App::factory()->create();
+
+        $this->save($app, ['target' => 'http', 'url' => 'https://example.com/hook', 'event_types' => []])
+            ->assertSessionHasErrors(['event_types' => 'Choose at least one event.']);
+
+        $this->save($app, ['target' => 'http', 'url' => 'https://example.com/hook', 'event_types' => ['channel_deleted']])
+            ->assertSessionHasErrors('event_types.0');
+    }
+
+    public function test_webhook_headers_are_validated(): void
+    {
+        $app = App::factory()->create();
+
+        $this->save($app, [
+            'target' => 'http',
+            'url' => 'https://example.com/hook',
+            'event_types' => ['client_event'],
+            'headers' => [
+                ['key' => 'Bad Header', 'value' => 'value'],
+                ['key' => 'X-Pusher-Signature', 'value' => 'forged'],
+                ['key' => 'X-Multi-Line', 'value' => "one\r\ntwo"],
+                ['key' => '', 'value' => 'nameless'],
+            ],
+        ])->assertSessionHasErrors([
+            'headers.0.key',
+            'headers.1.key' => "The X-Pusher-Signature header is set by Soketi and can't be overridden.",
+            'headers.2.value' => 'Header values must fit on a single line.',
+            'headers.3.key' => 'Give this header a name.',
+        ]);
+    }
+
+    public function test_lambda_webhooks_can_be_saved(): void
+    {
+        $app = App::factory()->create();
+
+        $this->save($app, [
+            'target' => 'lambda',
+            'lambda_function' => 'arn:aws:lambda:us-east-1:123456789012:function:receiver:live',
+            'lambda' => ['async' => true, 'region' => 'us-east-1', 'client_options' => '{"maxAttempts":3}'],
+            'event_types' => ['member_added'],
+        ])->assertSessionHasNoErrors();
+
+        $webhook = $app->fresh()->webhooks->first();
+
+        $this->assertArrayNotHasKey('url', $webhook);
+        $this->assertSame('arn:aws:lambda:us-east-1:123456789012:function:receiver:live', $webhook['lambda_function']);
+        $this->assertSame(['async' => true, 'region' => 'us-east-1', 'client_options' => ['maxAttempts' => 3]], $webhook['lambda']);
+    }
+
+    public function test_editing_a_lambda_webhook_keeps_settings_the_form_does_not_show(): void
+    {
+        $app = App::factory()->create(['webhooks' => [[
+            'id' => 'lambda-hook',
+            'lambda_function' => 'receiver',
+            'lambda' => ['async' => false, 'region' => 'eu-west-1', 'credentials' => ['profile' => 'soketi']],
+            'event_types' => ['client_event'],
+            'headers' => [],
+        ]]]);
+
+        $this->save($app, [
+            'id' => 'lambda-hook',
+            'target' => 'lambda',
+            'lambda_function' => 'receiver',
+            'lambda' => ['async' => true, 'region' => 'eu-west-1'],
+            'event_types' => ['client_event', 'channel_occupied'],
+        ])->assertSessionHasNoErrors();
+
+        $webhook = $app->fresh()->webhooks->first();
+
+        $this->assertSame(['async' => true, 'region' => 'eu-west-1', 'credentials' => ['profile' => 'soketi']], $webhook['lambda']);
+        $this->assertSame(['client_event', 'channel_occupied'], $webhook['event_types']);
+    }
+
+    public function test_switching_a_lambda_webhook_to_http_drops_its_lambda_settings(): void
+    {
+        $app = App::factory()->create(['webhooks' => [[
+            'id' => 'lambda-hook',
+            'lambda_function' => 'receiver',
+            'lambda' => ['async' => true],
+            'event_types' => ['client_event'],
+        ]]]);
+
+        $this->save($app, [
+            'id' => 'lambda-hook',
+            'target' => 'http',
+            'url' => 'https://example.com/hook',
+            'event_types' => ['client_event'],
+        ])->assertSessionHasNoErrors();
+
+        $webhook = $app->fresh()->webhooks->first();
+
+        $this->assertSame('https://example.com/hook', $webhook['url']);
+        $this->assertArrayNotHasKey('lambda_function', $webhook);
+        $this->assertArrayNotHasKey('lambda', $webhook);
+    }
+
+    public function test_lambda_settings_are_validated(): void
+    {
+        $app = App::factory()->create();
+
+        $this->save($app, [
+            'target' => 'lambda',
+            'lambda_function' => 'not a function!',
+            'lambda' => ['async' => false, 'region' => 'mars', 'client_options' => '[1, 2, 3]'],
+            'event_types' => ['client_event'],
+        ])->assertSessionHasErrors([
+            'lambda_function' => 'Enter a Lambda function name or function ARN.',
+            'lambda.region' => 'Enter an AWS region such as us-east-1.',
+            'lambda.client_options' => 'Client options must be a JSON object.',
+        ]);
+
+        $this->save($app, [
+            'target' => 'lambda',
+            'lambda_function' => 'receiver',
+            'lambda' => ['client_options' => '{not json'],
+            'event_types' => ['client_event'],
+        ])->assertSessionHasErrors(['lambda.client_options' => 'Client options must be a JSON object.']);
+    }
+
+    private function save(App $app, array $webhook)
+    {
+        return $this->actingAs(User::factory()->create(['role' => 'admin']))
+            ->post("/apps/{$app->id}/webhooks/save", $webhook);
+    }
+}